@@ -0,0 +1,72 @@
+// admin.js - Administrative commands: create users and give owners to projects that have none
+//
+//   node admin.js create-user <userId> [name] [email]   create a user and print its first API key
+//   node admin.js unowned                               list projects that hold data but have no members
+//   node admin.js assign-owner <projectId> <userId>     make an existing user the owner of a project
+//
+// Projects created before authentication existed have no members. They are never claimed by
+// an upload; assign their owners here.
+const mongoose = require('mongoose');
+const { generateApiKey } = require('./utils/auth.js');
+const { User, ProjectMembership, SchemaUpload, Conversation, Thread, ProjectStats, ProjectSettings, IngestionJob } = require('./models/index.js');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/schema_chat_db';
+const USAGE = 'Usage: node admin.js create-user <userId> [name] [email] | unowned | assign-owner <projectId> <userId>';
+
+const commands = {
+    'create-user': async (userId, name, email) => {
+        if (!userId || !/^[\w.@-]{3,64}$/.test(userId)) {
+            throw new Error('userId must be 3-64 characters of letters, digits, _ . @ -');
+        }
+        const apiKey = generateApiKey();
+        await User.create({ userId, name, email, apiKeys: [{ prefix: apiKey.prefix, keyHash: apiKey.keyHash, label: 'default' }] });
+        console.log(`👤 Created user ${userId}`);
+        console.log(`🔑 API key (shown once): ${apiKey.key}`);
+    },
+
+    unowned: async () => {
+        const projectIds = new Set();
+        for (const model of [SchemaUpload, Conversation, Thread, ProjectStats, ProjectSettings, IngestionJob]) {
+            for (const projectId of await model.distinct('projectId')) projectIds.add(projectId);
+        }
+        const owned = new Set(await ProjectMembership.distinct('projectId'));
+        const unowned = [...projectIds].filter(projectId => !owned.has(projectId)).sort();
+
+        if (unowned.length === 0) {
+            console.log('✅ Every project has members');
+            return;
+        }
+        console.log(`⚠️ ${unowned.length} project(s) without members:`);
+        unowned.forEach(projectId => console.log(`   ${projectId}`));
+    },
+
+    'assign-owner': async (projectId, userId) => {
+        if (!projectId || !userId) throw new Error(USAGE);
+        if (!(await User.exists({ userId }))) throw new Error(`User ${userId} does not exist`);
+
+        await ProjectMembership.findOneAndUpdate(
+            { projectId, userId },
+            { $set: { role: 'owner' }, $setOnInsert: { addedBy: 'admin' } },
+            { upsert: true }
+        );
+        console.log(`🔑 ${userId} now owns project ${projectId}`);
+    }
+};
+
+(async () => {
+    const [command, ...args] = process.argv.slice(2);
+    if (!commands[command]) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(MONGODB_URI);
+        await commands[command](...args);
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error(`❌ ${command} failed:`, error.message);
+        process.exit(1);
+    }
+})();
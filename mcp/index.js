@@ -6,10 +6,57 @@ const path = require('path');
 const fs = require('fs').promises;
 const mongoose = require('mongoose');
 const chatTool = require('./tools/chatTool.js');
-const { initializeVectorStore, storeSchemaEmbeddings, searchSimilarChunks } = require('./utils/vectorStore.js');
-const { generateEmbeddings } = require('./utils/embed.js');
-const { extractText } = require('./utils/extractText.js');
-const { SchemaUpload, Conversation, ProjectStats } = require('./models/index.js');
+const { generateSqlTool, validateSqlTool, runSqlTool, executeAnswerSql } = require('./tools/sqlTool.js');
+const {
+    initializeVectorStore,
+    flushVectorStore,
+    getProjectCollection,
+    getProjectStats,
+    listProjects
+} = require('./utils/vectorStore.js');
+const { getEmbeddingModel, getEmbeddingMetrics } = require('./utils/embed.js');
+const {
+    SUPPORTED_FILE_TYPES,
+    replaceSchemaContent,
+    removeSchemaUpload,
+    getConversationHistory,
+    createThread,
+    resolveThread,
+    getProjectSchemaModel,
+    getLlmConfig,
+    saveConversation,
+    updateProjectStats
+} = require('./utils/projectData.js');
+const { createMcpRouter } = require('./utils/mcpServer.js');
+const { createSchemaMcpServer } = require('./tools/mcpTools.js');
+const { validateLlmSettings, providers: llmProviders } = require('./utils/llmProviders.js');
+const { diffSchemaModels, diffSchemaText } = require('./utils/schemaDiff.js');
+const { startTask, cancelTask, finishTask, getTask, isCancellation } = require('./utils/taskRegistry.js');
+const { ERD_FORMATS, renderErd } = require('./utils/erd.js');
+const {
+    AUTH_CONFIG,
+    ROLES,
+    generateApiKey,
+    issueToken,
+    authenticate,
+    requireProjectRole,
+    listUserProjects
+} = require('./utils/auth.js');
+const { createRateLimiter, requireQuota, recordUsage, sendQuotaExceeded, getUsage } = require('./utils/usageLimits.js');
+const { estimateTokens } = require('./utils/promptBudget.js');
+const { ARCHIVE_LIMITS, collectSchemaFiles } = require('./utils/archive.js');
+const { searchProjectSchema } = require('./utils/schemaSearch.js');
+const {
+    enqueueIngestion,
+    enqueueReindex,
+    startIngestionWorker,
+    retryIngestion,
+    subscribeToJob,
+    waitForJob,
+    describeJob,
+    isFinished
+} = require('./utils/ingestionJobs.js');
+const { SchemaUpload, Thread, Conversation, ProjectStats, ProjectSettings, User, ProjectMembership, IngestionJob } = require('./models/index.js');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -26,11 +73,31 @@ mongoose.connect(MONGODB_URI, {
     process.exit(1);
 });
 
+// Comma-separated allowed origins; `*` must be set explicitly
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || 'http://localhost:3000').split(',').map(origin => origin.trim());
+
 app.use(cors({
-    origin: '*',
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control']
+    origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Cache-Control'],
+    exposedHeaders: ['X-Task-Id']
 }));
+
+if (AUTH_CONFIG.disabled) {
+    console.warn(`⚠️ AUTH_DISABLED=true: every request runs as ${AUTH_CONFIG.devUserId} with access to all projects`);
+}
+
+// Every route except /health and /auth/register needs an API key or JWT; sets req.user
+app.use(authenticate);
+app.use(createRateLimiter('general'));
+
+// Chat and upload limits per user and per project (RATE_LIMIT_WINDOW_MS window), on top of daily quotas
+const chatLimits = [createRateLimiter('chat', 'user'), createRateLimiter('chat', 'project'), requireQuota('requests', { alsoCheck: ['tokensGenerated'] })];
+const uploadLimits = [createRateLimiter('upload', 'user'), createRateLimiter('upload', 'project'), requireQuota('uploads', { alsoCheck: ['chunksEmbedded'] })];
+
+// Model Context Protocol (JSON-RPC) endpoints; mounted before the body parser, the router parses its own JSON
+app.use('/mcp', createMcpRouter(createSchemaMcpServer()));
+
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -52,16 +119,33 @@ const upload = multer({
     storage,
     limits: { fileSize: 10 * 1024 * 1024 },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['.sql', '.json', '.prisma', '.csv', '.php', '.go', '.java', '.js', '.ts', '.py', '.rb', '.xml', '.yaml', '.yml'];
         const ext = path.extname(file.originalname).toLowerCase();
-        if (allowedTypes.includes(ext)) {
+        if (SUPPORTED_FILE_TYPES.includes(ext)) {
             cb(null, true);
         } else {
-            cb(new Error(`Unsupported file type: ${ext}. Allowed: ${allowedTypes.join(', ')}`));
+            cb(new Error(`Unsupported file type: ${ext}. Allowed: ${SUPPORTED_FILE_TYPES.join(', ')}`));
         }
     }
 });
 
+// Multi-file and archive uploads: every file is accepted here and reported as skipped later
+// if it is unsupported, so one stray README does not reject a whole directory
+const MAX_UPLOAD_FILES = parseInt(process.env.MAX_UPLOAD_FILES) || 100;
+const batchUpload = multer({
+    storage,
+    preservePath: true,
+    limits: { fileSize: ARCHIVE_LIMITS.maxArchiveBytes, files: MAX_UPLOAD_FILES + 1 }
+});
+
+/**
+ * Remove multer's temporary files once the response is over, whatever the outcome
+ */
+function discardUploadedFiles(req, res, next) {
+    const files = [req.file, ...Object.values(req.files || {}).flat()].filter(Boolean);
+    res.on('close', () => files.forEach(file => fs.unlink(file.path).catch(() => {})));
+    next();
+}
+
 // Initialize vector store on startup
 let vectorStore;
 (async () => {
@@ -72,13 +156,21 @@ let vectorStore;
         console.error('❌ Failed to initialize vector store:', error.message);
         process.exit(1);
     }
+
+    // Picks up jobs queued or interrupted before a restart
+    startIngestionWorker(vectorStore).catch(error => {
+        console.error('❌ Failed to start the ingestion worker:', error.message);
+    });
 })();
 
 /**
- * MCP-compliant task endpoint
+ * MCP-compliant task endpoint. Every run gets a task id (X-Task-Id header, and the first
+ * event of a chat stream) that POST /task/:taskId/cancel accepts; a run whose client
+ * disconnects is cancelled automatically.
  */
-app.post('/task', async (req, res) => {
-    const { task, input, projectId, userId } = req.body;
+app.post('/task', requireProjectRole('viewer'), ...chatLimits, async (req, res) => {
+    const { task, input, projectId } = req.body;
+    const { userId } = req.user;
 
     if (!task || !input || !projectId) {
         return res.status(400).json({
@@ -88,34 +180,84 @@ app.post('/task', async (req, res) => {
 
     console.log(`📝 Processing task: ${task} for project: ${projectId}`);
 
+    const taskRun = startTask({ type: task, projectId, userId });
+    res.setHeader('X-Task-Id', taskRun.id);
+    res.on('close', () => {
+        if (!res.writableFinished) cancelTask(taskRun.id, 'client_disconnected');
+    });
+
     try {
         switch (task) {
             case 'chat':
-                await handleChatTask(req, res, input, projectId, userId);
+                await handleChatTask(req, res, input, projectId, userId, taskRun);
+                break;
+
+            case 'generate-sql':
+                await handleGenerateSqlTask(req, res, input, projectId, taskRun);
+                break;
+
+            case 'validate-sql':
+                await handleValidateSqlTask(req, res, input, projectId, taskRun);
+                break;
+
+            case 'run-sql':
+                await handleRunSqlTask(req, res, input, projectId, taskRun);
                 break;
 
             default:
                 res.status(400).json({
                     error: `Unsupported task type: ${task}`,
-                    supportedTasks: ['chat']
+                    supportedTasks: ['chat', 'generate-sql', 'validate-sql', 'run-sql']
                 });
         }
     } catch (error) {
+        if (isCancellation(error, taskRun.signal)) {
+            console.log(`🛑 Task ${taskRun.id} (${task}) cancelled`);
+            // 499: client closed request (nginx convention); only seen when cancelled through the endpoint
+            if (!res.headersSent) res.status(499).json({ error: 'Task cancelled', taskId: taskRun.id, status: 'cancelled' });
+            return;
+        }
+
         console.error(`❌ Error processing task ${task}:`, error);
-        res.status(500).json({
-            error: 'Internal server error',
+        res.status(error.status || 500).json({
+            error: error.status === 404 ? 'Not found' : error.status === 400 ? 'Invalid request' : 'Internal server error',
             message: error.message
         });
+    } finally {
+        finishTask(taskRun.id);
+    }
+});
+
+/**
+ * Stop a running /task: the LLM stream or sandbox is aborted and a chat keeps its partial answer
+ */
+app.post('/task/:taskId/cancel', (req, res) => {
+    const running = getTask(req.params.taskId);
+
+    // Other users' tasks look the same as unknown ones
+    if (!running || (running.userId !== req.user.userId && !req.user.trusted)) {
+        return res.status(404).json({ error: 'Task not found or already finished' });
     }
+
+    const taskRun = cancelTask(running.id, 'client_request');
+
+    res.json({
+        taskId: taskRun.id,
+        task: taskRun.type,
+        projectId: taskRun.projectId,
+        status: 'cancelled'
+    });
 });
 
-async function handleChatTask(req, res, input, projectId, userId) {
+async function handleChatTask(req, res, input, projectId, userId, taskRun) {
+    // Resolved before the stream opens so invalid settings still get a 400 and unknown threads a 404
+    const llmConfig = await getLlmConfig(projectId, req.body.llm);
+    const { thread, created } = await resolveThread(projectId, req.body.threadId, { userId, question: input });
+
     res.writeHead(200, {
         'Content-Type': 'text/event-stream',
         'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Cache-Control'
+        'Connection': 'keep-alive'
     });
 
     let fullResponse = '';
@@ -123,7 +265,7 @@ async function handleChatTask(req, res, input, projectId, userId) {
 
     const streamFn = (data) => {
         const chunk = typeof data === 'string' ? data : JSON.stringify(data);
-        res.write(`data: ${chunk}\n\n`);
+        if (!res.writableEnded && !res.destroyed) res.write(`data: ${chunk}\n\n`);
 
         // Collect response content for storage
         if (typeof data === 'object' && data.content) {
@@ -132,27 +274,62 @@ async function handleChatTask(req, res, input, projectId, userId) {
     };
 
     try {
-        // Get conversation history before processing
-        const conversationHistory = await getConversationHistory(projectId, userId);
+        streamFn({ type: 'task', taskId: taskRun.id });
+        streamFn({ type: 'thread', threadId: thread._id, title: thread.title, created });
+
+        // History comes from this thread only; a new thread has none
+        const conversationHistory = created ? [] : await getConversationHistory(projectId, userId, undefined, thread._id);
 
         // Use the chat tool to handle the request
-        const contextUsed = await chatTool(input, projectId, userId, streamFn, conversationHistory);
+        const { contextUsed, citations, llm, budget, cancelled } = await chatTool(
+            input, projectId, userId, streamFn, conversationHistory, llmConfig, { signal: taskRun.signal }
+        );
+        if (llm) {
+            streamFn({ type: 'metadata', provider: llm.provider, model: llm.model, tokens: budget });
+            await recordUsage({ userId, projectId }, { tokensGenerated: estimateTokens(fullResponse) });
+        }
+        if (cancelled) streamFn({ type: 'cancelled', taskId: taskRun.id, partial: fullResponse.length > 0 });
+
+        // Optionally run SQL from the answer in the sandbox and attach a badge per statement
+        let sqlExecutions = [];
+        if (req.body.runSql && fullResponse && !cancelled) {
+            const schemaModel = await getProjectSchemaModel(projectId);
+            if (schemaModel) {
+                sqlExecutions = await executeAnswerSql(fullResponse, schemaModel, { projectId, seedRows: req.body.seedRows, signal: taskRun.signal });
+                sqlExecutions.forEach(execution => streamFn({ type: 'sql_execution', ...execution }));
+            }
+        }
 
-        // Store conversation in MongoDB
+        // Store conversation in MongoDB; a cancelled one keeps the partial answer
         await saveConversation({
             projectId,
+            threadId: thread._id,
             userId,
+            status: cancelled ? 'cancelled' : 'completed',
             userMessage: input,
             assistantResponse: fullResponse,
             contextUsed,
+            citations,
+            provider: llm?.provider,
+            model: llm?.model,
+            temperature: llmConfig.temperature,
+            sqlExecutions: sqlExecutions.map(execution => ({
+                sql: execution.sql,
+                status: execution.badge.status,
+                label: execution.badge.label,
+                rowCount: execution.rowCount,
+                error: execution.error
+            })),
             responseTime: Date.now() - startTime
         });
 
         // Update project stats
         await updateProjectStats(projectId, userId);
 
-        res.write('data: [DONE]\n\n');
-        res.end();
+        if (!res.writableEnded) {
+            res.write('data: [DONE]\n\n');
+            res.end();
+        }
 
         //   res.status(200).json({
         //     success: true,
@@ -163,16 +340,125 @@ async function handleChatTask(req, res, input, projectId, userId) {
     } catch (error) {
         console.error('❌ Chat tool error:', error);
         streamFn({ error: 'Failed to process chat request', message: error.message });
-        res.write('data: [DONE]\n\n');
-        res.end();
+        if (!res.writableEnded) {
+            res.write('data: [DONE]\n\n');
+            res.end();
+        }
+    }
+}
+
+async function handleGenerateSqlTask(req, res, input, projectId, taskRun) {
+    const { dialect } = req.body;
+    const startTime = Date.now();
+
+    const llmConfig = await getLlmConfig(projectId, req.body.llm);
+    const schemaModel = await getProjectSchemaModel(projectId);
+    const result = await generateSqlTool(input, projectId, schemaModel, { dialect, llm: llmConfig, signal: taskRun.signal });
+    await recordUsage({ userId: req.user.userId, projectId }, { tokensGenerated: result.llm?.outputTokens });
+
+    res.json({
+        success: true,
+        task: 'generate-sql',
+        taskId: taskRun.id,
+        projectId,
+        result: {
+            sql: result.sql,
+            dialect: result.dialect,
+            tables: result.tables,
+            columns: result.columns,
+            explanation: result.explanation,
+            valid: result.valid,
+            warnings: result.warnings,
+            llm: result.llm
+        },
+        contextUsed: result.contextUsed.map(chunk => ({
+            id: chunk.id,
+            filename: chunk.metadata?.filename,
+            entityName: chunk.metadata?.entityName,
+            similarity: chunk.similarity
+        })),
+        responseTime: Date.now() - startTime
+    });
+}
+
+async function handleValidateSqlTask(req, res, input, projectId, taskRun) {
+    const { dialect, explain } = req.body;
+    const startTime = Date.now();
+
+    const llmConfig = explain ? await getLlmConfig(projectId, req.body.llm) : undefined;
+    const schemaModel = await getProjectSchemaModel(projectId);
+    const result = await validateSqlTool(input, schemaModel, { dialect, explain: Boolean(explain), projectId, llm: llmConfig, signal: taskRun.signal });
+    await recordUsage({ userId: req.user.userId, projectId }, { tokensGenerated: result.llm?.outputTokens });
+    if (taskRun.signal.aborted) throw taskRun.signal.reason;
+
+    res.json({
+        success: true,
+        task: 'validate-sql',
+        taskId: taskRun.id,
+        projectId,
+        result,
+        responseTime: Date.now() - startTime
+    });
+}
+
+async function handleRunSqlTask(req, res, input, projectId, taskRun) {
+    const { seedRows, maxRows } = req.body;
+    const startTime = Date.now();
+
+    const schemaModel = await getProjectSchemaModel(projectId);
+    if (!schemaModel) {
+        return res.status(400).json({
+            error: 'No parsed SQL schema found for this project',
+            message: 'Upload a .sql schema file before running queries in the sandbox'
+        });
     }
+
+    const result = await runSqlTool(input, schemaModel, { seedRows, maxRows, projectId, signal: taskRun.signal });
+    if (result.cancelled) throw taskRun.signal.reason;
+
+    res.json({
+        success: true,
+        task: 'run-sql',
+        taskId: taskRun.id,
+        projectId,
+        result,
+        responseTime: Date.now() - startTime
+    });
 }
 
+/**
+ * Search a project's schema chunks with the same retrieval chat uses, e.g. to see why an answer
+ * missed context. Body: { query, filters: { fileTypes, uploadIds, entityNames, entityTypes,
+ * minSimilarity }, limit, offset, hybrid }
+ */
+app.post('/project/:projectId/search', requireProjectRole('viewer'), requireQuota('requests'), async (req, res) => {
+    const { projectId } = req.params;
+    const { query, filters, limit, offset, hybrid } = req.body || {};
+
+    if (!vectorStore) {
+        return res.status(500).json({ error: 'Vector store not initialized' });
+    }
+
+    try {
+        const search = await searchProjectSchema(vectorStore, projectId, { query, filters: filters ?? {}, limit, offset, hybrid });
+        res.json({ projectId, query, ...search });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: 'Invalid request', message: error.message });
+        }
+        console.error('❌ Error searching schema:', error);
+        res.status(500).json({
+            error: 'Failed to search schema',
+            message: error.message
+        });
+    }
+});
+
 /**
  * Updated schema upload endpoint with MongoDB storage
  */
 
-app.get('/project/:projectId/vectors', async (req, res) => {
+app.get('/project/:projectId/vectors', requireProjectRole('viewer'), async (req, res) => {
     const { projectId } = req.params;
     //   const vectorStore = require('./utils/vectorStore').getVectorStore();
 
@@ -195,10 +481,11 @@ app.get('/project/:projectId/vectors', async (req, res) => {
             });
         }
 
-        const results = await vectorStore.collection.get({
+        const collection = await getProjectCollection(vectorStore, projectId);
+        const results = collection ? await collection.get({
             include: ['embeddings', 'documents', 'metadatas', 'uris'], // ✅ only these allowed
             where: { projectId }
-        });
+        }) : { ids: [] };
 
         const vectorCount = results?.ids?.length || 0;
 
@@ -226,110 +513,310 @@ app.get('/project/:projectId/vectors', async (req, res) => {
     }
 });
 
-app.post('/upload-schema', upload.single('file'), async (req, res) => {
-    let filePath = null;
+/**
+ * Upload schemas: one `file`, several `files` (directory uploads may send relative paths
+ * as file names), or .zip/.tar/.tar.gz archives. The files are queued as an ingestion job
+ * and the response (202) carries its id; `?wait=true` answers with the finished job instead,
+ * or with the same 202 when the job is still running after INGESTION_WAIT_TIMEOUT_MS.
+ */
+app.post('/upload-schema', batchUpload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'files', maxCount: MAX_UPLOAD_FILES }
+]), discardUploadedFiles, requireProjectRole('editor', { claimUnowned: true }), ...uploadLimits, async (req, res) => {
+    const received = [...(req.files?.file || []), ...(req.files?.files || [])];
+    const { projectId } = req.body;
+
+    if (received.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'No file uploaded'
+        });
+    }
 
     try {
-        const { projectId, userId } = req.body;
-        if (!projectId) {
+        const { files, skipped } = await collectSchemaFiles(received, { allowedExtensions: SUPPORTED_FILE_TYPES });
+
+        if (files.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: 'projectId is required'
+                error: 'No schema files could be ingested',
+                skipped: skipped.map(entry => ({ fileName: entry.path, reason: entry.reason }))
             });
         }
 
-        if (!req.file) {
-            return res.status(400).json({
-                success: false,
-                error: 'No file uploaded'
-            });
+        const job = await enqueueIngestion({ projectId, userId: req.user.userId, files, skipped });
+        const jobUrl = `/project/${encodeURIComponent(projectId)}/jobs/${job._id}`;
+        let status = job.status;
+
+        if (req.query.wait === 'true') {
+            const report = await waitForJob(job._id);
+            if (report.status === 'completed' || report.status === 'failed') {
+                return res.status(report.summary.ingested > 0 ? 200 : 400).json({
+                    success: report.status === 'completed' && report.summary.ingested > 0,
+                    message: report.summary.ingested > 0
+                        ? `Ingested ${report.summary.ingested} of ${report.summary.files} file(s)`
+                        : 'No schema files could be ingested',
+                    data: report
+                });
+            }
+            // Still running when the wait ran out: answer like an upload without ?wait
+            status = report.status;
         }
 
-        filePath = req.file.path;
-        const fileExtension = path.extname(req.file.originalname).toLowerCase();
-        const originalName = req.file.originalname;
-        const fileSize = req.file.size;
+        res.status(202).json({
+            success: true,
+            message: `Queued ${files.length} file(s) for ingestion`,
+            data: {
+                projectId,
+                jobId: job._id,
+                status,
+                files: files.length,
+                skipped: skipped.length,
+                statusUrl: jobUrl,
+                eventsUrl: `${jobUrl}/events`
+            }
+        });
+    } catch (error) {
+        console.error('Error queuing schema upload:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while processing schemas',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * Recent ingestion jobs of a project, newest first
+ */
+app.get('/project/:projectId/jobs', requireProjectRole('viewer'), async (req, res) => {
+    const { projectId } = req.params;
+    const { status, limit = 20 } = req.query;
+
+    try {
+        const query = { projectId };
+        if (status) query.status = status;
 
-        console.log(`Processing schema file: ${originalName} (${fileSize} bytes) for project: ${projectId}`);
+        const jobs = await IngestionJob.find(query)
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(limit) || 20, 100));
 
-        // Extract text content
-        const extractedText = await extractText(filePath, originalName);
+        res.json({ projectId, jobs: jobs.map(job => describeJob(job)) });
+    } catch (error) {
+        console.error('❌ Error listing ingestion jobs:', error);
+        res.status(500).json({ error: 'Failed to list ingestion jobs', message: error.message });
+    }
+});
 
-        if (!extractedText || extractedText.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'No text content could be extracted from the file'
-            });
+/**
+ * Status of one ingestion job with its per-file report
+ */
+app.get('/project/:projectId/jobs/:jobId', requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const job = await findProjectJob(req.params.projectId, req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Not found', message: 'Ingestion job not found' });
         }
+        res.json(describeJob(job));
+    } catch (error) {
+        console.error('❌ Error fetching ingestion job:', error);
+        res.status(500).json({ error: 'Failed to fetch ingestion job', message: error.message });
+    }
+});
+
+/**
+ * Server-sent progress of an ingestion job: the current state first, then an event for
+ * every stage change and embedded chunk. The stream ends once the job completes or fails.
+ */
+app.get('/project/:projectId/jobs/:jobId/events', requireProjectRole('viewer'), async (req, res) => {
+    let job;
+    try {
+        job = await findProjectJob(req.params.projectId, req.params.jobId);
+    } catch (error) {
+        console.error('❌ Error fetching ingestion job:', error);
+        return res.status(500).json({ error: 'Failed to fetch ingestion job', message: error.message });
+    }
+    if (!job) {
+        return res.status(404).json({ error: 'Not found', message: 'Ingestion job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
 
-        // Split text into chunks
-        const chunks = splitIntoChunks(extractedText, 500, 50);
+    const send = (update) => {
+        if (!res.writableEnded && !res.destroyed) res.write(`data: ${JSON.stringify({ type: 'progress', ...update })}\n\n`);
+        if (isFinished(update.status)) close();
+    };
+    const unsubscribe = subscribeToJob(job._id, send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const close = () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        if (!res.writableEnded) res.end();
+    };
+    res.on('close', close);
 
-        if (chunks.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'No valid chunks could be created from the file content'
+    send(describeJob(job));
+});
+
+/**
+ * Queue a failed ingestion job again; files already ingested are not repeated
+ */
+app.post('/project/:projectId/jobs/:jobId/retry', requireProjectRole('editor'), ...uploadLimits, async (req, res) => {
+    try {
+        const job = await findProjectJob(req.params.projectId, req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Not found', message: 'Ingestion job not found' });
+        }
+
+        const retried = await retryIngestion(job._id);
+        if (!retried) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `Only failed jobs can be retried (this job is ${job.status})`
             });
         }
 
-        console.log(`Created ${chunks.length} text chunks from ${originalName}`);
+        res.status(202).json(describeJob(retried));
+    } catch (error) {
+        console.error('❌ Error retrying ingestion job:', error);
+        res.status(500).json({ error: 'Failed to retry ingestion job', message: error.message });
+    }
+});
 
-        // Store embeddings in vector store
-        const storedCount = await storeSchemaEmbeddings(vectorStore, projectId, chunks, {
-            filename: req.file.originalname,
-            uploadedBy: userId,
-            uploadedAt: new Date().toISOString(),
-            fileType: fileExtension
-        });
+async function findProjectJob(projectId, jobId) {
+    if (!mongoose.isValidObjectId(jobId)) return null;
+    return IngestionJob.findOne({ _id: jobId, projectId });
+}
 
-        // Save schema upload to MongoDB
-        const schemaUpload = new SchemaUpload({
-            projectId,
-            userId,
-            fileName: originalName,
-            fileType: fileExtension,
-            fileSize,
-            extractedText,
-            chunksStored: storedCount
-        });
+/**
+ * Re-embed every active upload of a project from its stored text with the current
+ * embedding model. Runs as a job; follow it with the job status and events endpoints.
+ */
+app.post('/project/:projectId/reindex', requireProjectRole('owner'), ...uploadLimits, async (req, res) => {
+    const { projectId } = req.params;
 
-        await schemaUpload.save();
-        console.log('✅ Schema upload saved to MongoDB');
+    try {
+        const job = await enqueueReindex({ projectId, userId: req.user.userId });
+        if (!job) {
+            return res.status(400).json({ error: 'Invalid request', message: 'The project has no active uploads to reindex' });
+        }
 
-        // Update project stats
-        await updateProjectStats(projectId, userId);
+        res.status(202).json(reindexResponse(job));
+    } catch (error) {
+        console.error('❌ Error queuing reindex:', error);
+        res.status(500).json({ error: 'Failed to queue reindex', message: error.message });
+    }
+});
 
-        // Clean up uploaded file
-        await fs.unlink(filePath);
-        filePath = null;
+/**
+ * Reindex every project the caller owns (every project for trusted callers), one job per project
+ */
+app.post('/reindex', ...uploadLimits, async (req, res) => {
+    try {
+        const memberships = await listUserProjects(req.user);
+        const projectIds = memberships === null
+            ? await SchemaUpload.distinct('projectId', { isActive: true })
+            : memberships.filter(membership => membership.role === 'owner').map(membership => membership.projectId);
+
+        const jobs = [];
+        for (const projectId of projectIds) {
+            const job = await enqueueReindex({ projectId, userId: req.user.userId });
+            if (job) jobs.push(reindexResponse(job));
+        }
 
-        res.json({
-            success: true,
-            message: 'Schema uploaded and processed successfully',
-            data: {
-                projectId,
-                fileName: originalName,
-                chunksStored: storedCount,
-                fileSize: fileSize,
-                uploadId: schemaUpload._id
-            }
+        res.status(jobs.length > 0 ? 202 : 200).json({
+            message: jobs.length > 0 ? `Queued reindex of ${jobs.length} project(s)` : 'No active uploads to reindex',
+            embeddingModel: getEmbeddingModel(),
+            jobs
         });
-
     } catch (error) {
-        console.error('Error processing schema upload:', error);
+        console.error('❌ Error queuing reindex:', error);
+        res.status(500).json({ error: 'Failed to queue reindex', message: error.message });
+    }
+});
 
-        if (filePath) {
-            try {
-                await fs.unlink(filePath);
-            } catch (cleanupError) {
-                console.error('Error cleaning up file:', cleanupError);
-            }
+function reindexResponse(job) {
+    const jobUrl = `/project/${encodeURIComponent(job.projectId)}/jobs/${job._id}`;
+    return {
+        projectId: job.projectId,
+        jobId: job._id,
+        status: job.status,
+        uploads: job.files.length,
+        embeddingModel: getEmbeddingModel(),
+        statusUrl: jobUrl,
+        eventsUrl: `${jobUrl}/events`
+    };
+}
+
+
+/**
+ * List the caller's projects (every project for trusted callers) with vector counts,
+ * active upload counts and last activity, most recently active first
+ */
+app.get('/projects', async (req, res) => {
+    if (!vectorStore) {
+        return res.status(500).json({ error: 'Vector store not initialized' });
+    }
+
+    try {
+        const memberships = await listUserProjects(req.user);
+        let vectorCounts;
+        if (memberships === null) {
+            vectorCounts = await listProjects(vectorStore);
+        } else {
+            vectorCounts = await Promise.all(memberships.map(membership => getProjectStats(vectorStore, membership.projectId)));
         }
 
+        const projectIds = memberships === null
+            ? [...new Set([
+                ...vectorCounts.map(project => project.projectId),
+                ...await SchemaUpload.distinct('projectId', { isActive: true }),
+                ...await ProjectStats.distinct('projectId')
+            ])]
+            : memberships.map(membership => membership.projectId);
+
+        const [uploads, stats] = await Promise.all([
+            SchemaUpload.aggregate([
+                { $match: { projectId: { $in: projectIds }, isActive: true } },
+                { $group: { _id: '$projectId', count: { $sum: 1 }, lastUpload: { $max: '$uploadedAt' } } }
+            ]),
+            ProjectStats.find({ projectId: { $in: projectIds } }).select('projectId lastActivity').lean()
+        ]);
+
+        const projects = projectIds.map(projectId => {
+            const vectors = vectorCounts.find(project => project.projectId === projectId);
+            const projectUploads = uploads.find(entry => entry._id === projectId);
+            const activity = [
+                stats.find(entry => entry.projectId === projectId)?.lastActivity,
+                projectUploads?.lastUpload,
+                vectors?.lastUpdated
+            ].filter(Boolean).map(date => new Date(date).getTime());
+
+            return {
+                projectId,
+                role: memberships ? memberships.find(membership => membership.projectId === projectId).role : undefined,
+                vectorCount: vectors?.documentCount || 0,
+                uploadCount: projectUploads?.count || 0,
+                lastActivity: activity.length > 0 ? new Date(Math.max(...activity)) : null,
+                collection: vectors?.collection
+            };
+        }).sort((a, b) => (b.lastActivity?.getTime() || 0) - (a.lastActivity?.getTime() || 0));
+
+        res.json({
+            storage: vectorStore.isInMemory ? 'in-memory' : 'chromadb',
+            collectionMode: vectorStore.isInMemory ? undefined : vectorStore.collectionMode,
+            count: projects.length,
+            projects
+        });
+    } catch (error) {
+        console.error('❌ Error listing projects:', error);
         res.status(500).json({
-            success: false,
-            error: 'Internal server error while processing schema',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            error: 'Failed to list projects',
+            message: error.message
         });
     }
 });
@@ -337,7 +824,7 @@ app.post('/upload-schema', upload.single('file'), async (req, res) => {
 /**
  * Get project information including uploaded schemas and conversation count
  */
-app.get('/project/:projectId/info', async (req, res) => {
+app.get('/project/:projectId/info', requireProjectRole('viewer'), async (req, res) => {
     const { projectId } = req.params;
 
     try {
@@ -355,6 +842,8 @@ app.get('/project/:projectId/info', async (req, res) => {
                 fileType: schema.fileType,
                 fileSize: schema.fileSize,
                 chunksStored: schema.chunksStored,
+                version: schema.version,
+                tableCount: schema.schemaModel?.tables?.length,
                 uploadedAt: schema.uploadedAt,
                 uploadedBy: schema.userId
             })),
@@ -375,162 +864,846 @@ app.get('/project/:projectId/info', async (req, res) => {
 });
 
 /**
- * Get conversation history for a project
+ * Get the parsed schema model (tables, columns, constraints) for an upload
  */
-app.get('/project/:projectId/conversations', async (req, res) => {
-    const { projectId } = req.params;
-    const { userId, limit = 20, offset = 0 } = req.query;
+app.get('/project/:projectId/schemas/:uploadId/model', requireProjectRole('viewer'), async (req, res) => {
+    const { projectId, uploadId } = req.params;
+
+    if (!mongoose.isValidObjectId(uploadId)) {
+        return res.status(400).json({ error: 'Invalid uploadId' });
+    }
 
     try {
-        const query = { projectId };
-        if (userId) query.userId = userId;
+        const schema = await SchemaUpload.findOne({ _id: uploadId, projectId }).select('fileName fileType schemaModel');
 
-        const conversations = await Conversation.find(query)
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(parseInt(offset))
-            .select('-contextUsed'); // Exclude heavy context data
+        if (!schema) {
+            return res.status(404).json({ error: 'Schema upload not found' });
+        }
 
-        const total = await Conversation.countDocuments(query);
+        if (!schema.schemaModel) {
+            return res.status(404).json({
+                error: 'No structured model available for this upload',
+                fileType: schema.fileType
+            });
+        }
 
         res.json({
-            conversations,
-            pagination: {
-                total,
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-                hasMore: (parseInt(offset) + parseInt(limit)) < total
-            }
+            projectId,
+            uploadId,
+            fileName: schema.fileName,
+            model: schema.schemaModel
         });
     } catch (error) {
-        console.error('❌ Error fetching conversations:', error);
+        console.error('❌ Error fetching schema model:', error);
         res.status(500).json({
-            error: 'Failed to fetch conversations',
+            error: 'Failed to fetch schema model',
             message: error.message
         });
     }
 });
 
 /**
- * Health check endpoint
+ * Entity-relationship diagram of a project's active uploads (?format=mermaid|dbml|dot).
+ * ?tables=orders,users scopes it to those tables plus ?depth=1 hops of related tables.
  */
-app.get('/health', async (req, res) => {
+app.get('/project/:projectId/erd', requireProjectRole('viewer'), async (req, res) => {
+    const { projectId } = req.params;
+    const format = (req.query.format || 'mermaid').toLowerCase();
+    const tables = req.query.tables ? String(req.query.tables).split(',').map(name => name.trim()).filter(Boolean) : [];
+    const depth = req.query.depth !== undefined ? parseInt(req.query.depth) : 1;
+
+    if (!ERD_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unsupported format: ${format}`, supportedFormats: ERD_FORMATS });
+    }
+    if (Number.isNaN(depth) || depth < 0) {
+        return res.status(400).json({ error: 'depth must be a non-negative integer' });
+    }
+
     try {
-        // Test MongoDB connection
-        const mongoStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
+        const schemaModel = await getProjectSchemaModel(projectId);
+        if (!schemaModel) {
+            return res.status(404).json({ error: 'No parsed schema (SQL or Prisma) found for this project' });
+        }
 
-        // Test vector store
-        const vectorStatus = vectorStore ? 'connected' : 'disconnected';
+        const erd = renderErd(schemaModel, format, { tables, depth });
+        if (tables.length > 0 && erd.focus.length === 0) {
+            return res.status(404).json({ error: `None of the tables were found: ${tables.join(', ')}` });
+        }
 
-        res.json({
-            status: 'healthyyyy',
-            timestamp: new Date().toISOString(),
-            services: {
-                mongodb: mongoStatus,
-                vectorStore: vectorStatus,
-                ollama: 'not_checked'
-            }
-        });
+        res.json({ projectId, ...erd });
     } catch (error) {
+        console.error('❌ Error building ER diagram:', error);
         res.status(500).json({
-            status: 'unhealthy',
-            error: error.message
+            error: 'Failed to build ER diagram',
+            message: error.message
         });
     }
 });
 
-// Helper Functions
+/**
+ * Replace an active upload's content in place, from a multipart `file` or a JSON `content` field
+ */
+app.put('/project/:projectId/schemas/:uploadId', upload.single('file'), discardUploadedFiles, requireProjectRole('editor'), ...uploadLimits, async (req, res) => {
+    const { projectId, uploadId } = req.params;
+    let filePath = req.file?.path || null;
+
+    try {
+        if (!mongoose.isValidObjectId(uploadId)) {
+            return res.status(400).json({ success: false, error: 'Invalid uploadId' });
+        }
+
+        const schema = await SchemaUpload.findOne({ _id: uploadId, projectId });
+        if (!schema || schema.deletedAt) {
+            return res.status(404).json({ success: false, error: 'Schema upload not found' });
+        }
+        if (!schema.isActive) {
+            return res.status(409).json({
+                success: false,
+                error: `Version ${schema.version} of ${schema.fileName} has been superseded; only the active version can be replaced`
+            });
+        }
+
+        let content = req.body?.content;
+        let fileSize;
+        if (req.file) {
+            if (path.extname(req.file.originalname).toLowerCase() !== schema.fileType) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Replacement must be a ${schema.fileType} file like the original ${schema.fileName}`
+                });
+            }
+            content = await fs.readFile(filePath, 'utf8');
+            fileSize = req.file.size;
+        }
+
+        if (typeof content !== 'string' || content.trim().length === 0) {
+            return res.status(400).json({ success: false, error: 'A file or non-empty content is required' });
+        }
+
+        const { chunksStored, schemaModel, vectorsRemoved, embeddingCache } = await replaceSchemaContent(vectorStore, schema, {
+            userId: req.user.userId,
+            content,
+            fileSize
+        });
+
+        res.json({
+            success: true,
+            message: 'Schema replaced successfully',
+            data: {
+                projectId,
+                uploadId: schema._id,
+                fileName: schema.fileName,
+                version: schema.version,
+                fileSize: schema.fileSize,
+                chunksStored,
+                embeddingCache,
+                vectorsRemoved,
+                replacedAt: schema.replacedAt,
+                tablesParsed: schemaModel ? schemaModel.tables.length : undefined,
+                parseWarnings: schemaModel?.warnings.length ? schemaModel.warnings : undefined
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error replacing schema:', error);
+
+        if (error.status === 400) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (error.status === 429) {
+            return sendQuotaExceeded(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to replace schema',
+            message: error.message
+        });
+    } finally {
+        if (filePath) {
+            await fs.unlink(filePath).catch(cleanupError => console.error('Error cleaning up file:', cleanupError));
+        }
+    }
+});
+
+/**
+ * Delete an upload and its vectors; the project's schema totals update immediately
+ */
+app.delete('/project/:projectId/schemas/:uploadId', requireProjectRole('editor'), async (req, res) => {
+    const { projectId, uploadId } = req.params;
+
+    if (!mongoose.isValidObjectId(uploadId)) {
+        return res.status(400).json({ success: false, error: 'Invalid uploadId' });
+    }
+
+    try {
+        const schema = await SchemaUpload.findOne({ _id: uploadId, projectId });
+        if (!schema || schema.deletedAt) {
+            return res.status(404).json({ success: false, error: 'Schema upload not found' });
+        }
+
+        const vectorsRemoved = await removeSchemaUpload(vectorStore, schema);
+        const totalSchemas = await SchemaUpload.countDocuments({ projectId, isActive: true });
+
+        res.json({
+            success: true,
+            message: 'Schema deleted successfully',
+            data: {
+                projectId,
+                uploadId: schema._id,
+                fileName: schema.fileName,
+                version: schema.version,
+                vectorsRemoved,
+                totalSchemas
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error deleting schema:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete schema',
+            message: error.message
+        });
+    }
+});
 
 /**
- * Get recent conversation history for context
+ * List every uploaded version of a schema file, newest first
  */
-async function getConversationHistory(projectId, userId, limit = 5) {
+app.get('/project/:projectId/schemas/:fileName/versions', requireProjectRole('viewer'), async (req, res) => {
+    const { projectId, fileName } = req.params;
+
     try {
-        const conversations = await Conversation.find({
+        const versions = await SchemaUpload.find({ projectId, fileName })
+            .sort({ version: -1, uploadedAt: -1 })
+            .select('version isActive fileSize chunksStored schemaModel.tables.name uploadedAt supersededAt replacedAt deletedAt userId');
+
+        if (versions.length === 0) {
+            return res.status(404).json({ error: `No uploads of ${fileName} found for this project` });
+        }
+
+        res.json({
             projectId,
-            ...(userId && { userId })
-        })
-            .sort({ createdAt: -1 })
-            .limit(limit)
-            .select('userMessage assistantResponse createdAt');
+            fileName,
+            versions: versions.map(upload => ({
+                uploadId: upload._id,
+                version: upload.version,
+                isActive: upload.isActive,
+                fileSize: upload.fileSize,
+                chunksStored: upload.chunksStored,
+                tableCount: upload.schemaModel?.tables?.length,
+                uploadedAt: upload.uploadedAt,
+                uploadedBy: upload.userId,
+                supersededAt: upload.supersededAt,
+                replacedAt: upload.replacedAt,
+                deletedAt: upload.deletedAt
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Error fetching schema versions:', error);
+        res.status(500).json({
+            error: 'Failed to fetch schema versions',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Structural diff between two versions of a schema file (?from=<version>&to=<version>).
+ * Defaults to the active version against the one before it.
+ */
+app.get('/project/:projectId/schemas/:fileName/diff', requireProjectRole('viewer'), async (req, res) => {
+    const { projectId, fileName } = req.params;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : undefined;
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : undefined;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ error: 'from and to must be version numbers' });
+    }
+
+    try {
+        const newer = to !== undefined
+            ? await SchemaUpload.findOne({ projectId, fileName, version: to })
+            : await SchemaUpload.findOne({ projectId, fileName }).sort({ version: -1 });
+        if (!newer) {
+            return res.status(404).json({ error: `Version ${to ?? 'latest'} of ${fileName} not found` });
+        }
+
+        const older = from !== undefined
+            ? await SchemaUpload.findOne({ projectId, fileName, version: from })
+            : await SchemaUpload.findOne({ projectId, fileName, version: { $lt: newer.version } }).sort({ version: -1 });
+        if (!older) {
+            return res.status(404).json({
+                error: from !== undefined ? `Version ${from} of ${fileName} not found` : `${fileName} has no version before ${newer.version}`
+            });
+        }
+
+        const structural = Boolean(older.schemaModel && newer.schemaModel);
+        const describe = (upload) => ({ version: upload.version, uploadId: upload._id, uploadedAt: upload.uploadedAt });
 
-        return conversations.reverse(); // Return in chronological order
+        res.json({
+            projectId,
+            fileName,
+            from: describe(older),
+            to: describe(newer),
+            structural,
+            diff: structural
+                ? diffSchemaModels(older.schemaModel, newer.schemaModel)
+                : diffSchemaText(older.extractedText, newer.extractedText, newer.fileType)
+        });
     } catch (error) {
-        console.error('Error fetching conversation history:', error);
-        return [];
+        console.error('❌ Error diffing schema versions:', error);
+        res.status(500).json({
+            error: 'Failed to diff schema versions',
+            message: error.message
+        });
     }
-}
+});
 
 /**
- * Save conversation to MongoDB
+ * Get a project's LLM settings and the providers they can choose from
  */
-async function saveConversation(conversationData) {
+app.get('/project/:projectId/settings', requireProjectRole('viewer'), async (req, res) => {
+    const { projectId } = req.params;
+
     try {
-        const conversation = new Conversation(conversationData);
-        await conversation.save();
-        console.log('✅ Conversation saved to MongoDB');
-        return conversation;
+        const settings = await ProjectSettings.findOne({ projectId }).lean();
+
+        res.json({
+            projectId,
+            llm: settings?.llm || {},
+            effectiveLlm: await getLlmConfig(projectId),
+            availableProviders: Object.entries(llmProviders).map(([name, provider]) => ({
+                name,
+                defaultModel: provider.defaultModel
+            })),
+            updatedAt: settings?.updatedAt
+        });
     } catch (error) {
-        console.error('Error saving conversation:', error);
-        throw error;
+        console.error('❌ Error fetching project settings:', error);
+        res.status(500).json({
+            error: 'Failed to fetch project settings',
+            message: error.message
+        });
     }
-}
+});
 
 /**
- * Update project statistics
+ * Replace a project's LLM settings (provider, model, temperature, contextSize, maxTokens, baseUrl, fallbackProvider)
  */
-async function updateProjectStats(projectId, userId) {
+app.put('/project/:projectId/settings/llm', requireProjectRole('owner'), async (req, res) => {
+    const { projectId } = req.params;
+    const allowedKeys = ['provider', 'model', 'temperature', 'contextSize', 'maxTokens', 'baseUrl', 'fallbackProvider'];
+    const llm = Object.fromEntries(
+        Object.entries(req.body || {}).filter(([key, value]) => allowedKeys.includes(key) && value !== undefined)
+    );
+
+    try {
+        validateLlmSettings(llm);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
     try {
-        const stats = await ProjectStats.findOneAndUpdate(
+        const settings = await ProjectSettings.findOneAndUpdate(
             { projectId },
-            {
-                $inc: { totalConversations: 1 },
-                lastActivity: new Date(),
-                $addToSet: {
-                    users: { userId, lastActive: new Date() }
-                }
-            },
+            { llm, updatedAt: new Date() },
             { upsert: true, new: true }
-        );
+        ).lean();
 
-        // Update schema count
-        const schemaCount = await SchemaUpload.countDocuments({ projectId, isActive: true });
-        stats.totalSchemas = schemaCount;
-        await stats.save();
+        console.log(`⚙️ Updated LLM settings for project: ${projectId}`);
 
+        res.json({
+            projectId,
+            llm: settings.llm,
+            effectiveLlm: await getLlmConfig(projectId)
+        });
     } catch (error) {
-        console.error('Error updating project stats:', error);
+        console.error('❌ Error updating project settings:', error);
+        res.status(500).json({
+            error: 'Failed to update project settings',
+            message: error.message
+        });
     }
-}
+});
+
+/**
+ * Get conversation history for a project
+ */
+app.get('/project/:projectId/conversations', requireProjectRole('viewer'), async (req, res) => {
+    const { projectId } = req.params;
+    const { userId, threadId, limit = 20, offset = 0 } = req.query;
+
+    if (threadId && !mongoose.isValidObjectId(threadId)) {
+        return res.status(400).json({ error: 'Invalid threadId' });
+    }
+
+    try {
+        const query = { projectId };
+        if (userId) query.userId = userId;
+        if (threadId) query.threadId = threadId;
+
+        const conversations = await Conversation.find(query)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip(parseInt(offset))
+            .select('-contextUsed'); // Exclude heavy context data
+
+        const total = await Conversation.countDocuments(query);
+
+        res.json({
+            conversations,
+            pagination: {
+                total,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: (parseInt(offset) + parseInt(limit)) < total
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching conversations:', error);
+        res.status(500).json({
+            error: 'Failed to fetch conversations',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Start a conversation thread
+ */
+app.post('/project/:projectId/threads', requireProjectRole('viewer'), async (req, res) => {
+    const { projectId } = req.params;
+    const { title } = req.body || {};
 
-function splitIntoChunks(text, chunkSize = 500, overlap = 50) {
-    const chunks = [];
-    let start = 0;
+    if (title !== undefined && typeof title !== 'string') {
+        return res.status(400).json({ error: 'title must be a string' });
+    }
 
-    while (start < text.length) {
-        let end = start + chunkSize;
+    try {
+        const thread = await createThread(projectId, { userId: req.user.userId, title });
+        res.status(201).json(describeThread(thread));
+    } catch (error) {
+        console.error('❌ Error creating thread:', error);
+        res.status(500).json({
+            error: 'Failed to create thread',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * List a project's threads, most recently active first
+ */
+app.get('/project/:projectId/threads', requireProjectRole('viewer'), async (req, res) => {
+    const { projectId } = req.params;
+    const { userId, limit = 20, offset = 0 } = req.query;
 
-        if (end < text.length) {
-            const lastSpace = text.lastIndexOf(' ', end);
-            if (lastSpace > start + chunkSize * 0.7) {
-                end = lastSpace;
+    try {
+        const query = { projectId };
+        if (userId) query.userId = userId;
+
+        const [threads, total] = await Promise.all([
+            Thread.find(query)
+                .sort({ lastActivity: -1 })
+                .limit(parseInt(limit))
+                .skip(parseInt(offset)),
+            Thread.countDocuments(query)
+        ]);
+
+        res.json({
+            projectId,
+            threads: threads.map(describeThread),
+            pagination: {
+                total,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: (parseInt(offset) + parseInt(limit)) < total
             }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching threads:', error);
+        res.status(500).json({
+            error: 'Failed to fetch threads',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Get a thread with its messages in chronological order
+ */
+app.get('/project/:projectId/threads/:threadId', requireProjectRole('viewer'), async (req, res) => {
+    const { projectId, threadId } = req.params;
+
+    if (!mongoose.isValidObjectId(threadId)) {
+        return res.status(400).json({ error: 'Invalid threadId' });
+    }
+
+    try {
+        const thread = await Thread.findOne({ _id: threadId, projectId });
+        if (!thread) {
+            return res.status(404).json({ error: 'Thread not found' });
+        }
+
+        const messages = await Conversation.find({ projectId, threadId })
+            .sort({ createdAt: 1 })
+            .select('-contextUsed');
+
+        res.json({ ...describeThread(thread), messages });
+    } catch (error) {
+        console.error('❌ Error fetching thread:', error);
+        res.status(500).json({
+            error: 'Failed to fetch thread',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Rename a thread
+ */
+app.patch('/project/:projectId/threads/:threadId', requireProjectRole('editor'), async (req, res) => {
+    const { projectId, threadId } = req.params;
+    const title = typeof req.body?.title === 'string' ? req.body.title.trim() : '';
+
+    if (!mongoose.isValidObjectId(threadId)) {
+        return res.status(400).json({ error: 'Invalid threadId' });
+    }
+    if (!title) {
+        return res.status(400).json({ error: 'title is required' });
+    }
+
+    try {
+        const thread = await Thread.findOneAndUpdate({ _id: threadId, projectId }, { title }, { new: true });
+        if (!thread) {
+            return res.status(404).json({ error: 'Thread not found' });
+        }
+
+        res.json(describeThread(thread));
+    } catch (error) {
+        console.error('❌ Error renaming thread:', error);
+        res.status(500).json({
+            error: 'Failed to rename thread',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Delete a thread and its messages
+ */
+app.delete('/project/:projectId/threads/:threadId', requireProjectRole('editor'), async (req, res) => {
+    const { projectId, threadId } = req.params;
+
+    if (!mongoose.isValidObjectId(threadId)) {
+        return res.status(400).json({ error: 'Invalid threadId' });
+    }
+
+    try {
+        const thread = await Thread.findOneAndDelete({ _id: threadId, projectId });
+        if (!thread) {
+            return res.status(404).json({ error: 'Thread not found' });
+        }
+
+        const { deletedCount } = await Conversation.deleteMany({ projectId, threadId });
+        console.log(`🗑️ Deleted thread ${threadId} with ${deletedCount} messages`);
+
+        res.json({
+            success: true,
+            threadId,
+            messagesDeleted: deletedCount
+        });
+    } catch (error) {
+        console.error('❌ Error deleting thread:', error);
+        res.status(500).json({
+            error: 'Failed to delete thread',
+            message: error.message
+        });
+    }
+});
+
+function describeThread(thread) {
+    return {
+        threadId: thread._id,
+        projectId: thread.projectId,
+        title: thread.title,
+        messageCount: thread.messageCount,
+        lastActivity: thread.lastActivity,
+        createdAt: thread.createdAt,
+        createdBy: thread.userId
+    };
+}
+
+/**
+ * Create a user and its first API key. The key is only ever returned here.
+ */
+app.post('/auth/register', async (req, res) => {
+    const { userId, name, email, label } = req.body || {};
+
+    if (!AUTH_CONFIG.allowRegistration) {
+        return res.status(403).json({ error: 'Registration is disabled' });
+    }
+    if (typeof userId !== 'string' || !/^[\w.@-]{3,64}$/.test(userId)) {
+        return res.status(400).json({ error: 'userId must be 3-64 characters of letters, digits, _ . @ -' });
+    }
+
+    try {
+        const apiKey = generateApiKey();
+        await User.create({
+            userId,
+            name,
+            email,
+            apiKeys: [{ prefix: apiKey.prefix, keyHash: apiKey.keyHash, label: label || 'default' }]
+        });
+
+        console.log(`👤 Registered user ${userId}`);
+        res.status(201).json({ userId, apiKey: apiKey.key, prefix: apiKey.prefix });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: `User ${userId} already exists` });
+        }
+        console.error('❌ Error registering user:', error);
+        res.status(500).json({
+            error: 'Failed to register user',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * The authenticated user, its API keys (without secrets) and project roles
+ */
+app.get('/auth/me', async (req, res) => {
+    try {
+        const [user, projects] = await Promise.all([
+            User.findOne({ userId: req.user.userId }).lean(),
+            listUserProjects(req.user)
+        ]);
+
+        res.json({
+            userId: req.user.userId,
+            authMethod: req.user.authMethod,
+            name: user?.name || null,
+            email: user?.email || null,
+            apiKeys: (user?.apiKeys || []).map(({ prefix, label, createdAt, lastUsedAt }) => ({ prefix, label, createdAt, lastUsedAt })),
+            projects: projects || 'all'
+        });
+    } catch (error) {
+        console.error('❌ Error fetching user:', error);
+        res.status(500).json({
+            error: 'Failed to fetch user',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Add an API key for the authenticated user
+ */
+app.post('/auth/api-keys', async (req, res) => {
+    const { label } = req.body || {};
+
+    try {
+        const apiKey = generateApiKey();
+        const result = await User.updateOne(
+            { userId: req.user.userId },
+            { $push: { apiKeys: { prefix: apiKey.prefix, keyHash: apiKey.keyHash, label: label || 'default' } } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.status(201).json({ apiKey: apiKey.key, prefix: apiKey.prefix, label: label || 'default' });
+    } catch (error) {
+        console.error('❌ Error creating API key:', error);
+        res.status(500).json({
+            error: 'Failed to create API key',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Revoke one of the authenticated user's API keys by its prefix
+ */
+app.delete('/auth/api-keys/:prefix', async (req, res) => {
+    try {
+        const result = await User.updateOne(
+            { userId: req.user.userId, 'apiKeys.prefix': req.params.prefix },
+            { $pull: { apiKeys: { prefix: req.params.prefix } } }
+        );
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json({ success: true, revoked: req.params.prefix });
+    } catch (error) {
+        console.error('❌ Error revoking API key:', error);
+        res.status(500).json({
+            error: 'Failed to revoke API key',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Exchange the current credentials for a short-lived JWT
+ */
+app.post('/auth/token', (req, res) => {
+    try {
+        const token = issueToken(req.user.userId);
+        res.json({ token, tokenType: 'Bearer', expiresIn: AUTH_CONFIG.jwtExpiresIn });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: 'Failed to issue token', message: error.message });
+    }
+});
+
+/**
+ * Today's usage of the caller and the project against their daily quotas and rate limits
+ */
+app.get('/project/:projectId/usage', requireProjectRole('viewer'), async (req, res) => {
+    try {
+        res.json(await getUsage({ userId: req.user.userId, projectId: req.params.projectId }));
+    } catch (error) {
+        console.error('❌ Error fetching usage:', error);
+        res.status(500).json({
+            error: 'Failed to fetch usage',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * List a project's members
+ */
+app.get('/project/:projectId/members', requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const members = await ProjectMembership.find({ projectId: req.params.projectId })
+            .sort({ createdAt: 1 })
+            .select('userId role addedBy createdAt')
+            .lean();
+
+        res.json({
+            projectId: req.params.projectId,
+            members: members.map(({ userId, role, addedBy, createdAt }) => ({ userId, role, addedBy, createdAt }))
+        });
+    } catch (error) {
+        console.error('❌ Error fetching members:', error);
+        res.status(500).json({
+            error: 'Failed to fetch members',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Add a member or change their role (owners only)
+ */
+app.put('/project/:projectId/members/:userId', requireProjectRole('owner'), async (req, res) => {
+    const { projectId, userId } = req.params;
+    const { role } = req.body || {};
+
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    try {
+        if (!(await User.exists({ userId }))) {
+            return res.status(404).json({ error: `User ${userId} not found` });
+        }
+        if (role !== 'owner' && await isLastOwner(projectId, userId)) {
+            return res.status(409).json({ error: 'A project must keep at least one owner' });
+        }
+
+        const membership = await ProjectMembership.findOneAndUpdate(
+            { projectId, userId },
+            { $set: { role }, $setOnInsert: { addedBy: req.user.userId, createdAt: new Date() } },
+            { upsert: true, new: true }
+        );
+
+        console.log(`🔑 ${userId} is now ${role} of project ${projectId}`);
+        res.json({ projectId, userId, role: membership.role, addedBy: membership.addedBy });
+    } catch (error) {
+        console.error('❌ Error updating member:', error);
+        res.status(500).json({
+            error: 'Failed to update member',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Remove a member (owners only); the last owner cannot be removed
+ */
+app.delete('/project/:projectId/members/:userId', requireProjectRole('owner'), async (req, res) => {
+    const { projectId, userId } = req.params;
+
+    try {
+        if (await isLastOwner(projectId, userId)) {
+            return res.status(409).json({ error: 'A project must keep at least one owner' });
         }
 
-        const chunk = text.slice(start, end).trim();
-        if (chunk.length > 0) {
-            chunks.push(chunk);
+        const result = await ProjectMembership.deleteOne({ projectId, userId });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: `${userId} is not a member of this project` });
         }
 
-        start = end - overlap;
-        if (start >= text.length) break;
+        res.json({ success: true, projectId, userId });
+    } catch (error) {
+        console.error('❌ Error removing member:', error);
+        res.status(500).json({
+            error: 'Failed to remove member',
+            message: error.message
+        });
     }
+});
 
-    return chunks;
+async function isLastOwner(projectId, userId) {
+    const owners = await ProjectMembership.find({ projectId, role: 'owner' }).select('userId').lean();
+    return owners.length === 1 && owners[0].userId === userId;
 }
 
+/**
+ * Embedding throughput since startup, for tuning EMBEDDING_BATCH_SIZE and EMBEDDING_CONCURRENCY
+ */
+app.get('/embeddings/metrics', (req, res) => {
+    res.json(getEmbeddingMetrics());
+});
+
+/**
+ * Health check endpoint
+ */
+app.get('/health', async (req, res) => {
+    try {
+        // Test MongoDB connection
+        const mongoStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
+
+        // Test vector store
+        const vectorStatus = vectorStore ? 'connected' : 'disconnected';
+
+        res.json({
+            status: 'healthyyyy',
+            timestamp: new Date().toISOString(),
+            services: {
+                mongodb: mongoStatus,
+                vectorStore: vectorStatus,
+                ollama: 'not_checked'
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'unhealthy',
+            error: error.message
+        });
+    }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: 'Upload rejected', message: error.message });
+    }
+
     console.error('❌ Unhandled error:', error);
     res.status(500).json({
         error: 'Internal server error',
@@ -539,21 +1712,47 @@ app.use((error, req, res, next) => {
 });
 
 // Graceful shutdown
-process.on('SIGINT', async () => {
+async function shutdown() {
     console.log('🛑 Shutting down gracefully...');
+    await flushVectorStore();
     await mongoose.connection.close();
     process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Start server
 app.listen(PORT, () => {
     console.log(`🚀 MCP Tool Server running on http://localhost:${PORT}`);
     console.log(`📡 Ready to handle schema-aware chat requests`);
     console.log(`🔧 Available endpoints:`);
+    console.log(`   GET  /mcp/sse, POST /mcp/messages - MCP over HTTP/SSE`);
+    console.log(`   POST /mcp - MCP JSON-RPC request/response`);
     console.log(`   POST /task - MCP-compliant task processor`);
-    console.log(`   POST /upload-schema - Schema file upload`);
+    console.log(`   POST /task/:taskId/cancel - Cancel a running task`);
+    console.log(`   POST /upload-schema - Queue a schema upload (file, files[] or .zip/.tar.gz archive)`);
+    console.log(`   GET  /project/:id/jobs, GET /project/:id/jobs/:jobId - Ingestion jobs`);
+    console.log(`   GET  /project/:id/jobs/:jobId/events - Ingestion progress (SSE)`);
+    console.log(`   POST /project/:id/jobs/:jobId/retry - Retry a failed ingestion job`);
+    console.log(`   POST /project/:id/reindex, POST /reindex - Re-embed uploads with the current embedding model`);
+    console.log(`   GET  /projects - Projects with vector and upload counts`);
+    console.log(`   POST /project/:id/search - Ranked schema chunks with filters and pagination`);
     console.log(`   GET  /project/:id/info - Project information`);
+    console.log(`   GET  /project/:id/schemas/:uploadId/model - Parsed schema model`);
+    console.log(`   GET  /project/:id/erd?format=mermaid|dbml|dot - ER diagram`);
+    console.log(`   PUT  /project/:id/schemas/:uploadId - Replace an upload's content`);
+    console.log(`   DELETE /project/:id/schemas/:uploadId - Delete an upload and its vectors`);
+    console.log(`   GET  /project/:id/schemas/:fileName/versions - Schema file versions`);
+    console.log(`   GET  /project/:id/schemas/:fileName/diff?from=&to= - Diff between versions`);
+    console.log(`   GET  /project/:id/settings, PUT /project/:id/settings/llm - LLM settings`);
     console.log(`   GET  /project/:id/conversations - Conversation history`);
+    console.log(`   GET/POST /project/:id/threads, GET/PATCH/DELETE /project/:id/threads/:threadId - Conversation threads`);
+    console.log(`   POST /auth/register, GET /auth/me, POST /auth/token - Users and credentials`);
+    console.log(`   POST /auth/api-keys, DELETE /auth/api-keys/:prefix - API keys`);
+    console.log(`   GET  /project/:id/usage - Usage against quotas and rate limits`);
+    console.log(`   GET  /project/:id/members, PUT/DELETE /project/:id/members/:userId - Project members`);
+    console.log(`   GET  /embeddings/metrics - Embedding throughput`);
     console.log(`   GET  /health - Health check`);
 });
 
@@ -32,6 +32,15 @@ const schemaUploadSchema = new mongoose.Schema({
         type: Number,
        
     },
+    schemaModel: {
+        // Normalized tables/columns/constraints parsed from the upload (see utils/sqlParser.js)
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    version: {
+        type: Number, // increments per projectId + fileName; only the newest version is active
+        default: 1
+    },
     uploadedAt: {
         type: Date,
         default: Date.now
@@ -39,9 +48,66 @@ const schemaUploadSchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+    supersededAt: {
+        type: Date,
+        default: null
+    },
+    replacedAt: {
+        type: Date, // last in-place content replacement (PUT)
+        default: null
+    },
+    reindexedAt: {
+        type: Date, // last re-embedding with the current embedding model
+        default: null
+    },
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    batchId: {
+        type: String, // ingestion job the file was uploaded with, shared by the files of one upload
+        default: null
+    },
+    source: {
+        type: String, // archive the file was unpacked from
+        default: null
     }
 });
 
+// Unique, so two uploads of one file can never both take the same version (see saveNextVersion)
+schemaUploadSchema.index({ projectId: 1, fileName: 1, version: -1 }, { unique: true });
+
+// Conversation Thread Model
+const threadSchema = new mongoose.Schema({
+    projectId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    userId: {
+        type: String // creator; threads are shared within the project
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    messageCount: {
+        type: Number,
+        default: 0
+    },
+    lastActivity: {
+        type: Date,
+        default: Date.now
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+threadSchema.index({ projectId: 1, lastActivity: -1 });
+
 // Conversation Model
 const conversationSchema = new mongoose.Schema({
     projectId: {
@@ -49,6 +115,11 @@ const conversationSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    threadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Thread',
+        index: true
+    },
     userId: {
         type: String,
         required: true
@@ -59,16 +130,44 @@ const conversationSchema = new mongoose.Schema({
     },
     assistantResponse: {
         type: String,
-        required: true
+        // A cancelled answer may have been stopped before any text arrived
+        required: function () { return this.status !== 'cancelled'; }
+    },
+    status: {
+        type: String,
+        enum: ['completed', 'cancelled'],
+        default: 'completed'
     },
     contextUsed: [{
         text: String,
         similarity: Number,
         metadata: mongoose.Schema.Types.Mixed
     }],
+    citations: [{
+        marker: Number, // the [n] used in the answer
+        chunkId: String,
+        filename: String,
+        entityName: String,
+        entityType: String,
+        similarity: Number,
+        score: Number,
+        cited: Boolean // whether the answer actually referenced it
+    }],
+    sqlExecutions: [{
+        sql: String,
+        status: String, // success | failed | timeout | cancelled
+        label: String,
+        rowCount: Number,
+        error: String
+    }],
+    provider: {
+        type: String // LLM provider that produced the answer (ollama, openai, mock)
+    },
     model: {
-        type: String,
-        default: 'llama3.2:1b-instruct-q4_K_M'
+        type: String
+    },
+    temperature: {
+        type: Number
     },
     responseTime: {
         type: Number // in milliseconds
@@ -104,13 +203,262 @@ const projectStatsSchema = new mongoose.Schema({
     }]
 });
 
+// Per-project settings
+const projectSettingsSchema = new mongoose.Schema({
+    projectId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    llm: {
+        provider: String,
+        model: String,
+        temperature: Number,
+        contextSize: Number,
+        maxTokens: Number,
+        baseUrl: String,
+        fallbackProvider: String
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// API user; authenticates with API keys (stored hashed) or JWTs whose `sub` is the userId
+const userSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: String,
+    email: String,
+    apiKeys: [{
+        prefix: String, // first characters of the key, shown to identify it
+        keyHash: String, // sha256 of the full key
+        label: String,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastUsedAt: Date
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+userSchema.index({ 'apiKeys.keyHash': 1 });
+
+// Project membership; roles rank viewer < editor < owner
+const projectMembershipSchema = new mongoose.Schema({
+    projectId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    role: {
+        type: String,
+        enum: ['owner', 'editor', 'viewer'],
+        required: true
+    },
+    addedBy: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+projectMembershipSchema.index({ projectId: 1, userId: 1 }, { unique: true });
+
+// Daily usage counters per user and per project (see utils/usageLimits.js)
+const usageRecordSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        enum: ['user', 'project'],
+        required: true
+    },
+    key: {
+        type: String, // userId or projectId
+        required: true
+    },
+    day: {
+        type: String, // UTC date, YYYY-MM-DD
+        required: true
+    },
+    requests: {
+        type: Number,
+        default: 0
+    },
+    uploads: {
+        type: Number,
+        default: 0
+    },
+    tokensGenerated: {
+        type: Number,
+        default: 0
+    },
+    chunksEmbedded: {
+        type: Number,
+        default: 0
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+usageRecordSchema.index({ scope: 1, key: 1, day: 1 }, { unique: true });
+
+// Background ingestion of uploaded schema files (see utils/ingestionJobs.js)
+const ingestionJobSchema = new mongoose.Schema({
+    projectId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    kind: {
+        type: String, // ingest: new uploads; reindex: re-embed active uploads from their stored text
+        enum: ['ingest', 'reindex'],
+        default: 'ingest'
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued',
+        index: true
+    },
+    stage: {
+        type: String, // queued, extracting, embedding, saving, done
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    files: [{
+        fileName: String,
+        source: String, // archive the file came from
+        size: Number,
+        status: {
+            type: String,
+            enum: ['pending', 'ingested', 'skipped', 'failed'],
+            default: 'pending'
+        },
+        reason: String,
+        uploadId: mongoose.Schema.Types.ObjectId,
+        version: Number,
+        previousVersionsRetired: Number,
+        chunksStored: Number,
+        cacheHits: Number, // chunks whose embedding came from the embedding cache
+        tablesParsed: Number
+    }],
+    progress: {
+        currentFile: String,
+        filesDone: { type: Number, default: 0 },
+        filesTotal: { type: Number, default: 0 },
+        chunksEmbedded: { type: Number, default: 0 }, // of the current file
+        chunksTotal: { type: Number, default: 0 }
+    },
+    chunksStored: {
+        type: Number,
+        default: 0
+    },
+    error: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// File content waiting to be ingested; removed once its job completes
+const ingestionJobFileSchema = new mongoose.Schema({
+    jobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'IngestionJob',
+        required: true,
+        index: true
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    content: {
+        type: String,
+        required: true
+    }
+});
+
+// Embeddings by chunk content, so unchanged chunks are not embedded again (see utils/embeddingCache.js)
+const embeddingCacheSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    model: {
+        type: String,
+        required: true
+    },
+    dimensions: {
+        type: Number,
+        required: true
+    },
+    contentHash: {
+        type: String, // sha256 of the chunk text
+        required: true
+    },
+    embedding: {
+        type: [Number],
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+embeddingCacheSchema.index({ provider: 1, model: 1, dimensions: 1, contentHash: 1 }, { unique: true });
+
 // Create models
 const SchemaUpload = mongoose.model('SchemaUpload', schemaUploadSchema);
+const Thread = mongoose.model('Thread', threadSchema);
 const Conversation = mongoose.model('Conversation', conversationSchema);
 const ProjectStats = mongoose.model('ProjectStats', projectStatsSchema);
+const ProjectSettings = mongoose.model('ProjectSettings', projectSettingsSchema);
+const User = mongoose.model('User', userSchema);
+const ProjectMembership = mongoose.model('ProjectMembership', projectMembershipSchema);
+const UsageRecord = mongoose.model('UsageRecord', usageRecordSchema);
+const IngestionJob = mongoose.model('IngestionJob', ingestionJobSchema);
+const IngestionJobFile = mongoose.model('IngestionJobFile', ingestionJobFileSchema);
+const EmbeddingCache = mongoose.model('EmbeddingCache', embeddingCacheSchema);
 
 module.exports = {
     SchemaUpload,
+    Thread,
     Conversation,
-    ProjectStats
+    ProjectStats,
+    ProjectSettings,
+    User,
+    ProjectMembership,
+    UsageRecord,
+    IngestionJob,
+    IngestionJobFile,
+    EmbeddingCache
 };
\ No newline at end of file
@@ -0,0 +1,40 @@
+// stdio.js - MCP server over stdio, for clients (IDEs, agent frameworks) that launch the server as a subprocess
+const mongoose = require('mongoose');
+
+// stdout carries JSON-RPC messages only; route every log line to stderr
+console.log = console.error;
+console.info = console.error;
+console.warn = console.error;
+
+const { initializeVectorStore, flushVectorStore } = require('./utils/vectorStore.js');
+const { LOCAL_STORE_CONFIG } = require('./utils/localVectorStore.js');
+const { startStdioTransport } = require('./utils/mcpServer.js');
+const { createSchemaMcpServer } = require('./tools/mcpTools.js');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/schema_chat_db';
+
+// The launching process is trusted like a local admin: it has the same database access we do
+const STDIO_USER = { userId: process.env.MCP_STDIO_USER || 'mcp-client', authMethod: 'stdio', trusted: true };
+
+(async () => {
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        // Its own snapshot file: the HTTP server may be running on the default one
+        await initializeVectorStore({ snapshotPath: LOCAL_STORE_CONFIG.stdioSnapshotPath });
+        console.log('✅ Vector store initialized successfully');
+    } catch (error) {
+        console.error('❌ Failed to start MCP stdio server:', error.message);
+        process.exit(1);
+    }
+
+    const transport = startStdioTransport(createSchemaMcpServer(), { context: { user: STDIO_USER } });
+    console.log('📡 MCP server ready on stdio');
+
+    transport.on('close', async () => {
+        await flushVectorStore();
+        await mongoose.connection.close();
+        process.exit(0);
+    });
+})();
@@ -0,0 +1,162 @@
+// test/archive.test.js - Safe unpacking of uploaded .zip / .tar / .tar.gz archives
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const tarStream = require('tar-stream');
+const { archiveType, extractArchive, collectSchemaFiles } = require('../utils/archive');
+
+const ALLOWED = { allowedExtensions: ['.sql', '.prisma'] };
+const SCHEMA = 'CREATE TABLE users (id INT);';
+
+// Entries every archive below contains, with the reason each unsafe one is skipped
+const ENTRIES = [
+    { name: 'db/schema.sql', content: SCHEMA },
+    { name: 'db/../../etc/passwd.sql', content: SCHEMA },
+    { name: '/abs/schema.sql', content: SCHEMA },
+    { name: 'node_modules/pkg/schema.sql', content: SCHEMA },
+    { name: 'db/.hidden.sql', content: SCHEMA },
+    { name: 'README.md', content: '# readme' },
+    { name: 'empty.sql', content: '' }
+];
+const SKIPPED = {
+    'db/../../etc/passwd.sql': 'path traversal',
+    '/abs/schema.sql': 'absolute path',
+    'node_modules/pkg/schema.sql': 'ignored folder',
+    'db/.hidden.sql': 'hidden file',
+    'README.md': 'unsupported file type (.md)',
+    'empty.sql': 'empty or encrypted file'
+};
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function writeTar(fileName, entries, gzip) {
+    const pack = tarStream.pack();
+    for (const entry of entries) pack.entry({ name: entry.name }, entry.content);
+    pack.finalize();
+
+    const chunks = [];
+    for await (const chunk of pack) chunks.push(chunk);
+    const buffer = Buffer.concat(chunks);
+
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, gzip ? zlib.gzipSync(buffer) : buffer);
+    return filePath;
+}
+
+// zlib.crc32 needs Node 20.15+; the image runs Node 18
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A zip with stored (uncompressed) entries; enough for yauzl
+function writeZip(fileName, entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name);
+        const data = Buffer.from(entry.content);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + data.length;
+    }
+
+    const centralSize = centrals.reduce((sum, buffer) => sum + buffer.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, Buffer.concat([...locals, ...centrals, end]));
+    return filePath;
+}
+
+function assertExtracted(result) {
+    assert.deepEqual(result.files, [{ path: 'db/schema.sql', content: SCHEMA, size: SCHEMA.length }]);
+    assert.deepEqual(Object.fromEntries(result.skipped.map(entry => [entry.path, entry.reason])), SKIPPED);
+}
+
+test('archiveType recognizes supported archive names', () => {
+    assert.equal(archiveType('schemas.ZIP'), '.zip');
+    assert.equal(archiveType('schemas.tar.gz'), '.tar.gz');
+    assert.equal(archiveType('schemas.tgz'), '.tgz');
+    assert.equal(archiveType('schema.sql'), null);
+});
+
+test('extracts .tar.gz archives and skips unsafe entries', async () => {
+    assertExtracted(await extractArchive(await writeTar('schemas.tar.gz', ENTRIES, true), 'schemas.tar.gz', ALLOWED));
+});
+
+test('extracts .tar archives', async () => {
+    assertExtracted(await extractArchive(await writeTar('schemas.tar', ENTRIES, false), 'schemas.tar', ALLOWED));
+});
+
+test('extracts .zip archives', async () => {
+    assertExtracted(await extractArchive(writeZip('schemas.zip', ENTRIES), 'schemas.zip', ALLOWED));
+});
+
+test('rejects unsupported and unreadable archives with status 400', async () => {
+    const filePath = path.join(dir, 'broken.zip');
+    fs.writeFileSync(filePath, 'not a zip');
+
+    await assert.rejects(extractArchive(filePath, 'schema.sql', ALLOWED), { status: 400 });
+    await assert.rejects(extractArchive(filePath, 'broken.zip', ALLOWED), { status: 400, message: /^Could not read broken.zip/ });
+});
+
+test('collectSchemaFiles unpacks archives and drops duplicate paths', async () => {
+    const archivePath = await writeTar('bundle.tgz', [{ name: 'schema.sql', content: SCHEMA }], true);
+    const plainPath = path.join(dir, 'plain.sql');
+    fs.writeFileSync(plainPath, SCHEMA);
+
+    const { files, skipped } = await collectSchemaFiles([
+        { originalname: 'bundle.tgz', path: archivePath, size: fs.statSync(archivePath).size },
+        { originalname: 'schema.sql', path: plainPath, size: SCHEMA.length },
+        { originalname: 'notes.txt', path: plainPath, size: SCHEMA.length }
+    ], ALLOWED);
+
+    assert.deepEqual(files.map(file => [file.path, file.source]), [['schema.sql', 'bundle.tgz']]);
+    assert.deepEqual(skipped.map(entry => [entry.path, entry.reason]), [
+        ['notes.txt', 'unsupported file type (.txt)'],
+        ['schema.sql', 'duplicate path in this upload']
+    ]);
+});
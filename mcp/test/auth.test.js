@@ -0,0 +1,141 @@
+// test/auth.test.js - API keys, JWTs, project roles and claiming brand-new projects
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+delete process.env.AUTH_DISABLED;
+delete process.env.ALLOW_REGISTRATION;
+delete process.env.JWT_ISSUER;
+delete process.env.JWT_AUDIENCE;
+
+const { User, ProjectMembership, SchemaUpload, Conversation, Thread, ProjectStats, ProjectSettings, IngestionJob } = require('../models/index.js');
+const auth = require('../utils/auth');
+
+// Roles by `${projectId}:${userId}`
+let memberships;
+
+beforeEach(() => {
+    mock.restoreAll();
+    memberships = new Map();
+    mock.method(ProjectMembership, 'findOne', ({ projectId, userId }) => ({
+        select: () => ({ lean: async () => (memberships.has(`${projectId}:${userId}`) ? { role: memberships.get(`${projectId}:${userId}`) } : null) })
+    }));
+    mock.method(ProjectMembership, 'exists', async ({ projectId }) => [...memberships.keys()].some(key => key.startsWith(`${projectId}:`)));
+    for (const model of [SchemaUpload, Conversation, Thread, ProjectStats, ProjectSettings, IngestionJob]) {
+        mock.method(model, 'exists', async () => null);
+    }
+});
+
+test('API keys are random, prefixed and stored only as a SHA-256 hash', () => {
+    const first = auth.generateApiKey();
+    const second = auth.generateApiKey();
+
+    assert.match(first.key, /^sck_[\w-]{32}$/);
+    assert.notEqual(first.key, second.key);
+    assert.equal(first.prefix, first.key.slice(0, 12));
+    assert.equal(first.keyHash, crypto.createHash('sha256').update(first.key).digest('hex'));
+    assert.ok(!first.keyHash.includes(first.key));
+});
+
+test('identify looks API keys up by hash', async () => {
+    const { key, keyHash } = auth.generateApiKey();
+    const findOneAndUpdate = mock.method(User, 'findOneAndUpdate', async (filter) => (filter['apiKeys.keyHash'] === keyHash ? { userId: 'alice' } : null));
+
+    assert.deepEqual(await auth.identify({ 'x-api-key': key }), { userId: 'alice', authMethod: 'api_key', trusted: false });
+    assert.deepEqual(await auth.identify({ authorization: `Bearer ${key}` }), { userId: 'alice', authMethod: 'api_key', trusted: false });
+    await assert.rejects(auth.identify({ 'x-api-key': 'sck_unknown' }), { status: 401, message: 'Invalid API key' });
+    assert.equal(findOneAndUpdate.mock.callCount(), 3);
+    assert.equal(await auth.identify({}), null);
+});
+
+test('identify accepts signed JWTs and rejects expired or forged ones', async () => {
+    const updateOne = mock.method(User, 'updateOne', async () => ({}));
+
+    assert.deepEqual(await auth.identify({ authorization: `Bearer ${auth.issueToken('bob')}` }), { userId: 'bob', authMethod: 'jwt', trusted: false });
+    assert.deepEqual(updateOne.mock.calls[0].arguments[0], { userId: 'bob' });
+
+    const expired = jwt.sign({ exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret', { subject: 'bob' });
+    await assert.rejects(auth.identify({ authorization: `Bearer ${expired}` }), { status: 401, message: 'Token expired' });
+
+    const forged = jwt.sign({}, 'other-secret', { subject: 'bob' });
+    await assert.rejects(auth.identify({ authorization: `Bearer ${forged}` }), { status: 401, message: 'Invalid token' });
+
+    const unsigned = jwt.sign({}, null, { algorithm: 'none', subject: 'bob' });
+    await assert.rejects(auth.identify({ authorization: `Bearer ${unsigned}` }), { status: 401 });
+});
+
+test('assertProjectAccess enforces viewer < editor < owner', async () => {
+    memberships.set('p1:carol', 'viewer');
+    memberships.set('p1:dave', 'owner');
+
+    assert.equal(await auth.assertProjectAccess({ userId: 'carol' }, 'p1', 'viewer'), 'viewer');
+    await assert.rejects(auth.assertProjectAccess({ userId: 'carol' }, 'p1', 'editor'), {
+        status: 403,
+        message: 'This action requires the editor role (you are viewer)'
+    });
+    assert.equal(await auth.assertProjectAccess({ userId: 'dave' }, 'p1', 'owner'), 'owner');
+    await assert.rejects(auth.assertProjectAccess({ userId: 'erin' }, 'p1'), { status: 403, message: 'You are not a member of this project' });
+    await assert.rejects(auth.assertProjectAccess(null, 'p1'), { status: 401 });
+    await assert.rejects(auth.assertProjectAccess({ userId: 'dave' }, ''), { status: 400 });
+    assert.equal(await auth.assertProjectAccess({ userId: 'dev', trusted: true }, 'p1', 'owner'), 'owner');
+});
+
+test('claimUnowned makes the first uploader owner of a brand-new project only', async () => {
+    const create = mock.method(ProjectMembership, 'create', async ({ projectId, userId, role }) => {
+        memberships.set(`${projectId}:${userId}`, role);
+    });
+
+    assert.equal(await auth.assertProjectAccess({ userId: 'frank' }, 'fresh', 'editor', { claimUnowned: true }), 'owner');
+    assert.deepEqual(create.mock.calls[0].arguments[0], { projectId: 'fresh', userId: 'frank', role: 'owner', addedBy: 'frank' });
+
+    // Already has members
+    await assert.rejects(auth.assertProjectAccess({ userId: 'grace' }, 'fresh', 'editor', { claimUnowned: true }), { status: 403 });
+
+    // No members, but data stored before authentication existed
+    mock.method(SchemaUpload, 'exists', async ({ projectId }) => (projectId === 'legacy' ? { _id: 1 } : null));
+    await assert.rejects(auth.assertProjectAccess({ userId: 'grace' }, 'legacy', 'editor', { claimUnowned: true }), { status: 403 });
+    assert.equal(create.mock.callCount(), 1);
+
+    // Nor is one whose only trace is a queued ingestion job
+    mock.method(IngestionJob, 'exists', async ({ projectId }) => (projectId === 'queued' ? { _id: 1 } : null));
+    await assert.rejects(auth.assertProjectAccess({ userId: 'grace' }, 'queued', 'editor', { claimUnowned: true }), { status: 403 });
+    assert.equal(create.mock.callCount(), 1);
+
+    // Without the option nothing is claimed
+    await assert.rejects(auth.assertProjectAccess({ userId: 'grace' }, 'other', 'editor'), { status: 403 });
+});
+
+test('a claim lost to a concurrent upload falls back to the stored role', async () => {
+    mock.method(ProjectMembership, 'create', async () => {
+        memberships.set('race:heidi', 'owner');
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+
+    await assert.rejects(auth.assertProjectAccess({ userId: 'ivan' }, 'race', 'editor', { claimUnowned: true }), { status: 403 });
+});
+
+test('requireProjectRole answers 403 as JSON', async () => {
+    const middleware = auth.requireProjectRole('editor');
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; }
+    };
+    let nextCalled = false;
+
+    await middleware({ params: { projectId: 'p1' }, user: { userId: 'nobody' } }, res, () => { nextCalled = true; });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, { error: 'Forbidden', message: 'You are not a member of this project' });
+
+    memberships.set('p1:judy', 'editor');
+    const req = { params: { projectId: 'p1' }, user: { userId: 'judy' } };
+    await middleware(req, res, () => { nextCalled = true; });
+    assert.equal(nextCalled, true);
+    assert.equal(req.projectRole, 'editor');
+});
+
+test('registration is off unless ALLOW_REGISTRATION=true', () => {
+    assert.equal(auth.AUTH_CONFIG.allowRegistration, false);
+});
@@ -0,0 +1,64 @@
+// test/chatTool.test.js - Chat prompts, source events and [n] citations
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// chatTool destructures these at load time, so they are replaced before it is required
+const embed = require('../utils/embed');
+const vectorStore = require('../utils/vectorStore');
+const projectData = require('../utils/projectData');
+
+const CHUNKS = [
+    { id: 'c1', text: 'Table users: id, email', similarity: 0.9, score: 0.8, metadata: { filename: 'schema.sql', entityName: 'users', entityType: 'table' } },
+    { id: 'c2', text: 'Table orders: id, user_id', similarity: 0.7, metadata: { filename: 'schema.sql', entityName: 'orders', entityType: 'table' } }
+];
+
+// Prompts are logged in full; the runner can choke on that much output
+mock.method(console, 'log', () => {});
+
+mock.method(embed, 'generateEmbeddings', async () => [1, 0]);
+mock.method(vectorStore, 'searchSimilarChunks', async () => CHUNKS);
+mock.method(projectData, 'getProjectSchemaModel', async () => null);
+
+const chatTool = require('../tools/chatTool');
+const { resolveLlmConfig, providers } = require('../utils/llmProviders');
+
+async function ask(question, answer) {
+    process.env.MOCK_LLM_RESPONSE = answer;
+    const events = [];
+    const result = await chatTool(question, 'p1', 'u1', event => events.push(event), [], resolveLlmConfig({ provider: 'mock', fallbackProvider: null }));
+    return { result, events };
+}
+
+test('sources are streamed before the answer, then the cited markers', async () => {
+    const { result, events } = await ask('who placed each order?', 'orders.user_id references users.id [2]');
+
+    assert.deepEqual(events[0], {
+        type: 'context',
+        sources: [
+            { marker: 1, chunkId: 'c1', filename: 'schema.sql', entityName: 'users', entityType: 'table', similarity: 0.9, score: 0.8 },
+            { marker: 2, chunkId: 'c2', filename: 'schema.sql', entityName: 'orders', entityType: 'table', similarity: 0.7 }
+        ]
+    });
+    assert.ok(events.slice(1, -1).every(event => event.type === 'content'));
+    assert.deepEqual(events.at(-1), { type: 'citations', cited: [2] });
+    assert.deepEqual(result.citations.map(source => source.cited), [false, true]);
+});
+
+test('grouped and adjacent markers are all recognized', async () => {
+    assert.deepEqual((await ask('q', 'Both tables [1, 2].')).events.at(-1), { type: 'citations', cited: [1, 2] });
+    assert.deepEqual((await ask('q', 'See [1][2]; not [x] or [3].')).events.at(-1), { type: 'citations', cited: [1, 2] });
+});
+
+test('the prompt numbers chunks with their citation markers', async (t) => {
+    let prompt = '';
+    t.mock.method(providers.mock, 'generate', async (text, config, onToken) => {
+        prompt = text;
+        onToken('ok');
+    });
+
+    const { result } = await ask('q', 'ok');
+    assert.equal(result.contextUsed.length, 2);
+    assert.match(prompt, /\[1\] \(relevance: 0\.80\):\nTable users: id, email/);
+    assert.match(prompt, /\[2\] \(similarity: 70\.0%\):\nTable orders: id, user_id/);
+    assert.match(prompt, /Cite the schema chunks you rely on with their markers/);
+});
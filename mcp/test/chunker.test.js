@@ -0,0 +1,78 @@
+// test/chunker.test.js - Entity-aware chunking and the character window fallback
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { chunkSchemaText, splitIntoChunks } = require('../utils/chunker');
+const { parseSqlSchema } = require('../utils/sqlParser');
+
+const entities = (chunks) => chunks.map(chunk => [chunk.metadata.entityName, chunk.metadata.entityType, chunk.metadata.chunkStrategy]);
+
+test('splitIntoChunks overlaps consecutive windows', () => {
+    assert.deepEqual(splitIntoChunks('abcdefghij', 4, 2), ['abcd', 'cdef', 'efgh', 'ghij']);
+});
+
+test('splitIntoChunks with overlap 0 does not repeat text', () => {
+    assert.deepEqual(splitIntoChunks('abcdefghij', 4, 0), ['abcd', 'efgh', 'ij']);
+});
+
+test('splitIntoChunks breaks on whitespace near the window end', () => {
+    assert.deepEqual(splitIntoChunks('alpha beta gamma', 12, 0), ['alpha beta', 'gamma']);
+});
+
+test('CHUNK_OVERLAP=0 is honoured and invalid settings fall back to the defaults', () => {
+    const config = (env) => JSON.parse(execFileSync(process.execPath, [
+        '-e', 'console.log(JSON.stringify(require("./utils/chunker").CHUNK_CONFIG))'
+    ], { cwd: path.join(__dirname, '..'), env: { ...process.env, ...env } }).toString());
+
+    assert.deepEqual(config({ CHUNK_SIZE: '800', CHUNK_OVERLAP: '0' }), { chunkSize: 800, overlap: 0 });
+    assert.deepEqual(config({ CHUNK_SIZE: '0', CHUNK_OVERLAP: 'abc' }), { chunkSize: 500, overlap: 50 });
+    assert.deepEqual(config({ CHUNK_SIZE: '', CHUNK_OVERLAP: '-5' }), { chunkSize: 500, overlap: 50 });
+});
+
+test('SQL schemas are chunked per table from the schema model', () => {
+    const sql = 'CREATE TABLE users (id SERIAL PRIMARY KEY, email VARCHAR(255));\nCREATE TABLE orders (id INT, user_id INT REFERENCES users(id));';
+    const chunks = chunkSchemaText(sql, { fileType: '.sql', schemaModel: parseSqlSchema(sql) });
+
+    assert.deepEqual(entities(chunks), [
+        ['users', 'table', 'entity'],
+        ['orders', 'table', 'entity']
+    ]);
+    assert.match(chunks[1].text, /user_id: INT REFERENCES users\(id\)/);
+});
+
+test('brace-delimited entities become one chunk each', () => {
+    const chunks = chunkSchemaText('model User {\n  id Int @id\n  email String\n}\n\nenum Role {\n  ADMIN\n}\n', { fileType: '.prisma' });
+    assert.deepEqual(entities(chunks), [['User', 'model', 'entity'], ['Role', 'enum', 'entity']]);
+    assert.equal(chunks[1].text, 'enum Role {\n  ADMIN\n}');
+
+    assert.deepEqual(entities(chunkSchemaText('type User struct {\n  ID int\n}\n', { fileType: '.go' })), [['User', 'struct', 'entity']]);
+});
+
+test('Python and Ruby classes are found by indentation and end keywords', () => {
+    const python = chunkSchemaText('from django.db import models\n\nclass User(models.Model):\n    email = models.CharField()\n\nclass Order(models.Model):\n    total = models.IntegerField()\n', { fileType: '.py' });
+    assert.deepEqual(entities(python), [['User', 'class', 'entity'], ['Order', 'class', 'entity'], [undefined, 'text', 'window']]);
+    assert.equal(python[2].text, 'from django.db import models');
+
+    const ruby = chunkSchemaText('class User < ApplicationRecord\n  has_many :orders\nend\n', { fileType: '.rb' });
+    assert.deepEqual(entities(ruby), [['User', 'class', 'entity']]);
+});
+
+test('unstructured text falls back to numbered character windows', () => {
+    const chunks = chunkSchemaText('just some notes about the database with no structure', { fileType: '.txt', chunkSize: 20, overlap: 0 });
+    assert.deepEqual(chunks.map(chunk => chunk.text), ['just some notes', 'about the database', 'with no structure']);
+    assert.deepEqual(chunks.map(chunk => [chunk.metadata.chunkPart, chunk.metadata.chunkParts]), [[1, 3], [2, 3], [3, 3]]);
+});
+
+test('oversized entities are split with the header repeated', () => {
+    const fields = Array.from({ length: 20 }, (_, i) => `  field${i} String`).join('\n');
+    const chunks = chunkSchemaText(`model Wide {\n${fields}\n}\n`, { fileType: '.prisma', chunkSize: 120 });
+
+    assert.ok(chunks.length > 1);
+    for (const [index, chunk] of chunks.entries()) {
+        assert.ok(chunk.text.startsWith('model Wide {'));
+        assert.ok(chunk.text.endsWith('}'));
+        assert.equal(chunk.metadata.chunkPart, index + 1);
+        assert.equal(chunk.metadata.chunkParts, chunks.length);
+    }
+});
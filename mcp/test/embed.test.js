@@ -0,0 +1,113 @@
+// test/embed.test.js - Batched embedding requests, retries and throughput metrics
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+// Batching is configured when the module loads
+process.env.EMBEDDING_PROVIDER = 'openai';
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.EMBEDDING_BATCH_SIZE = '2';
+process.env.EMBEDDING_CONCURRENCY = '2';
+process.env.EMBEDDING_MAX_RETRIES = '2';
+process.env.EMBEDDING_RETRY_DELAY_MS = '1';
+
+const { generateEmbeddings, generateEmbeddingsWithModel, embeddingModelTags, getEmbeddingMetrics } = require('../utils/embed');
+
+// Answers each OpenAI request with [length, position] vectors, out of order like the API may
+function openAiAnswer(input) {
+    const data = input.map((text, index) => ({ index, embedding: [text.length, index] }));
+    return { data: { data: data.reverse() } };
+}
+
+let respond;
+let post;
+
+beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    respond = async (url, { input }) => openAiAnswer(input);
+    post = mock.method(axios, 'post', (...args) => respond(...args));
+});
+
+test('inputs are split into batches and results keep input order', async () => {
+    const progress = [];
+    const texts = ['a', 'bb', 'ccc', 'dddd', 'eeeee'];
+    const vectors = await generateEmbeddings(texts, { onProgress: (done, total) => progress.push([done, total]) });
+
+    assert.deepEqual(post.mock.calls.map(call => call.arguments[1].input), [['a', 'bb'], ['ccc', 'dddd'], ['eeeee']]);
+    assert.deepEqual(vectors, [[1, 0], [2, 1], [3, 0], [4, 1], [5, 0]]);
+    assert.deepEqual(progress.at(-1), [5, 5]);
+    assert.equal(progress.length, 3);
+
+    // A single string is embedded on its own and returned unwrapped
+    assert.deepEqual(await generateEmbeddings('xyz'), [3, 0]);
+});
+
+test('no more than the configured number of batches are in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    respond = async (url, { input }) => {
+        peak = Math.max(peak, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return openAiAnswer(input);
+    };
+
+    await generateEmbeddings(['1', '2', '3', '4', '5', '6', '7', '8']);
+    assert.equal(post.mock.callCount(), 4);
+    assert.equal(peak, 2);
+});
+
+test('transient failures are retried with backoff', async () => {
+    const before = getEmbeddingMetrics().providers.openai?.retries || 0;
+    let failures = 2;
+    respond = async (url, { input }) => {
+        if (failures-- > 0) throw Object.assign(new Error('overloaded'), { response: { status: 503 } });
+        return openAiAnswer(input);
+    };
+
+    assert.deepEqual(await generateEmbeddings(['a', 'bb']), [[1, 0], [2, 1]]);
+    assert.equal(post.mock.callCount(), 3);
+    assert.equal(getEmbeddingMetrics().providers.openai.retries, before + 2);
+});
+
+test('permanent errors and exhausted retries fall back to mock embeddings', async () => {
+    respond = async () => { throw Object.assign(new Error('bad request'), { response: { status: 400 } }); };
+    const [vector] = await generateEmbeddings(['a', 'bb']);
+    assert.equal(post.mock.callCount(), 1);
+    assert.equal(vector.length, 768);
+
+    post.mock.resetCalls();
+    const failuresBefore = getEmbeddingMetrics().providers.openai.failures;
+    respond = async () => { throw Object.assign(new Error('rate limited'), { response: { status: 429 } }); };
+    await generateEmbeddings(['a']);
+    // The first attempt plus EMBEDDING_MAX_RETRIES
+    assert.equal(post.mock.callCount(), 3);
+    assert.equal(getEmbeddingMetrics().providers.openai.failures, failuresBefore + 1);
+});
+
+test('metrics report configuration and throughput per provider', async () => {
+    await generateEmbeddings(['a', 'bb', 'ccc']);
+    const metrics = getEmbeddingMetrics();
+
+    assert.equal(metrics.provider, 'openai');
+    assert.equal(metrics.model, 'text-embedding-3-small');
+    assert.deepEqual(metrics.config, { batchSize: 2, concurrency: 2, maxRetries: 2, retryDelayMs: 1, ollamaBatchEndpoint: true });
+    assert.equal(metrics.providers.openai.lastRun.texts, 3);
+    assert.equal(metrics.providers.openai.lastRun.batches, 2);
+    assert.ok(metrics.providers.openai.calls >= 1);
+});
+
+test('callers that store vectors learn the model and can refuse mock fallbacks', async () => {
+    const { embeddings, embeddingModel } = await generateEmbeddingsWithModel(['a', 'bb']);
+    assert.deepEqual(embeddings, [[1, 0], [2, 1]]);
+    // Dimensions are those of the returned vectors
+    assert.deepEqual(embeddingModel, { provider: 'openai', model: 'text-embedding-3-small', dimensions: 2 });
+    assert.deepEqual(embeddingModelTags(embeddingModel), { embeddingModel: 'openai:text-embedding-3-small', embeddingDimensions: 2 });
+
+    respond = async () => { throw Object.assign(new Error('invalid api key'), { response: { status: 401 } }); };
+    await assert.rejects(generateEmbeddingsWithModel(['a'], { fallbackToMock: false }), /invalid api key/);
+    assert.deepEqual((await generateEmbeddingsWithModel('a')).embeddingModel, { provider: 'mock', model: 'hash', dimensions: 768 });
+});
@@ -0,0 +1,109 @@
+// test/embeddingCache.test.js - Content-addressed embedding cache and stale-model purge
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const mongoose = require('mongoose');
+
+process.env.EMBEDDING_PROVIDER = 'openai';
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.OPENAI_EMBEDDING_DIMENSIONS = '2';
+delete process.env.EMBEDDING_CACHE;
+
+const { EmbeddingCache } = require('../models/index.js');
+const { hashContent, lookupEmbeddings, storeEmbeddings } = require('../utils/embeddingCache');
+const { generateEmbeddings } = require('../utils/embed');
+
+const IDENTITY = { provider: 'openai', model: 'text-embedding-3-small', dimensions: 2 };
+
+// In-memory stand-in for the EmbeddingCache collection
+let entries;
+let connected;
+
+Object.defineProperty(mongoose.connection, 'readyState', { get: () => (connected ? 1 : 0), configurable: true });
+
+function sameIdentity(entry, { provider, model, dimensions }) {
+    return entry.provider === provider && entry.model === model && entry.dimensions === dimensions;
+}
+
+beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    entries = [];
+    connected = true;
+    mock.method(EmbeddingCache, 'find', ({ contentHash, ...identity }) => ({
+        select: () => ({ lean: async () => entries.filter(entry => sameIdentity(entry, identity) && contentHash.$in.includes(entry.contentHash)) })
+    }));
+    mock.method(EmbeddingCache, 'bulkWrite', async (operations) => {
+        for (const { updateOne: { filter, update } } of operations) {
+            if (!entries.some(entry => sameIdentity(entry, filter) && entry.contentHash === filter.contentHash)) {
+                entries.push({ ...update.$setOnInsert });
+            }
+        }
+    });
+    mock.method(EmbeddingCache, 'deleteMany', async ({ provider, $or: [{ model }, { dimensions }] }) => {
+        const stale = entry => entry.provider === provider && (entry.model !== model.$ne || entry.dimensions !== dimensions.$ne);
+        const before = entries.length;
+        entries = entries.filter(entry => !stale(entry));
+        return { deletedCount: before - entries.length };
+    });
+});
+
+test('stored embeddings are found by content hash under the same model only', async () => {
+    const hash = hashContent('Table users: id');
+    assert.equal(hash, hashContent('Table users: id'));
+    assert.notEqual(hash, hashContent('Table users: id, email'));
+
+    await storeEmbeddings(IDENTITY, [{ hash, embedding: [0.1, 0.2] }]);
+    await storeEmbeddings(IDENTITY, [{ hash, embedding: [9, 9] }]);
+    assert.deepEqual(await lookupEmbeddings(IDENTITY, [hash, 'missing']), new Map([[hash, [0.1, 0.2]]]));
+    assert.deepEqual(await lookupEmbeddings({ ...IDENTITY, provider: 'ollama', model: 'nomic-embed-text' }, [hash]), new Map());
+});
+
+test('vectors with the wrong dimensions are neither cached nor served', async () => {
+    await storeEmbeddings(IDENTITY, [{ hash: 'a', embedding: [1, 2, 3] }, { hash: 'b', embedding: [1, 2] }]);
+    assert.deepEqual(entries.map(entry => entry.contentHash), ['b']);
+
+    entries.push({ ...IDENTITY, contentHash: 'c', embedding: [1] });
+    assert.deepEqual([...(await lookupEmbeddings(IDENTITY, ['b', 'c'])).keys()], ['b']);
+});
+
+test('entries from a previous model or dimension are purged once per process', async () => {
+    const identity = { provider: 'ollama', model: 'mxbai-embed-large', dimensions: 2 };
+    entries.push(
+        { provider: 'ollama', model: 'nomic-embed-text', dimensions: 2, contentHash: 'old-model', embedding: [1, 1] },
+        { provider: 'ollama', model: 'mxbai-embed-large', dimensions: 3, contentHash: 'old-dims', embedding: [1, 1, 1] },
+        { ...identity, contentHash: 'current', embedding: [1, 1] },
+        { ...IDENTITY, contentHash: 'other-provider', embedding: [1, 1] }
+    );
+
+    await lookupEmbeddings(identity, ['current']);
+    assert.deepEqual(entries.map(entry => entry.contentHash), ['current', 'other-provider']);
+
+    await lookupEmbeddings(identity, ['current']);
+    assert.equal(EmbeddingCache.deleteMany.mock.callCount(), 1);
+});
+
+test('the cache is skipped while MongoDB is not connected', async () => {
+    connected = false;
+    await storeEmbeddings(IDENTITY, [{ hash: 'a', embedding: [1, 2] }]);
+    assert.deepEqual(await lookupEmbeddings(IDENTITY, ['a']), new Map());
+    assert.equal(EmbeddingCache.bulkWrite.mock.callCount(), 0);
+    assert.equal(EmbeddingCache.find.mock.callCount(), 0);
+});
+
+test('only uncached, distinct chunks are sent to the provider', async () => {
+    const post = mock.method(axios, 'post', async (url, { input }) => ({
+        data: { data: input.map((text, index) => ({ index, embedding: [text.length, 1] })) }
+    }));
+    await storeEmbeddings(IDENTITY, [{ hash: hashContent('cached'), embedding: [0, 0] }]);
+
+    let cache;
+    const vectors = await generateEmbeddings(['cached', 'new', 'new', 'fresh'], { onCache: (counts) => { cache = counts; } });
+
+    assert.deepEqual(post.mock.calls.map(call => call.arguments[1].input), [['new', 'fresh']]);
+    assert.deepEqual(vectors, [[0, 0], [3, 1], [3, 1], [5, 1]]);
+    assert.deepEqual(cache, { hits: 1, misses: 3 });
+    // Fresh embeddings are cached for the next upload
+    assert.equal(entries.length, 3);
+});
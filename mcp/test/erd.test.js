@@ -0,0 +1,64 @@
+// test/erd.test.js - ER diagram rendering and diagram requests in chat
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderErd, detectDiagramRequest } = require('../utils/erd');
+const { parseSqlSchema } = require('../utils/sqlParser');
+
+const MODEL = parseSqlSchema(`
+CREATE TABLE users (id INT PRIMARY KEY, email TEXT UNIQUE);
+CREATE TABLE profiles (user_id INT PRIMARY KEY REFERENCES users(id));
+CREATE TABLE orders (id INT PRIMARY KEY, user_id INT NOT NULL REFERENCES users(id), coupon_id INT REFERENCES coupons(id));
+CREATE TABLE items (id INT, order_id INT REFERENCES orders(id));
+`);
+
+test('Mermaid output marks keys and relationship cardinality', () => {
+    const { diagram, entities, relationships } = renderErd(MODEL, 'mermaid');
+    const lines = diagram.split('\n');
+
+    assert.equal(lines[0], 'erDiagram');
+    assert.ok(lines.includes('    INT user_id PK, FK'));
+    assert.ok(lines.includes('    TEXT email UK'));
+    assert.ok(lines.includes('  profiles |o--|| users : "user_id"'));
+    assert.ok(lines.includes('  orders }o--|| users : "user_id"'));
+    assert.ok(lines.includes('  orders }o--o| coupons : "coupon_id"'));
+    // Referenced tables outside the schema have no column block
+    assert.ok(!lines.includes('  coupons {'));
+    assert.deepEqual(entities, ['users', 'profiles', 'orders', 'items', 'coupons']);
+    assert.equal(relationships, 4);
+});
+
+test('DBML output has tables and refs', () => {
+    const { diagram } = renderErd(MODEL, 'dbml');
+    assert.match(diagram, /Table orders \{\n {2}id INT \[pk\]\n {2}user_id INT \[not null\]\n {2}coupon_id INT\n\}/);
+    assert.match(diagram, /^Ref: profiles\.user_id - users\.id$/m);
+    assert.match(diagram, /^Ref: orders\.user_id > users\.id$/m);
+    assert.doesNotMatch(diagram, /Table coupons/);
+});
+
+test('DOT output draws external tables dashed', () => {
+    const { diagram } = renderErd(MODEL, 'dot');
+    assert.ok(diagram.startsWith('digraph erd {'));
+    assert.match(diagram, /"coupons" \[label="\{coupons\}", style=dashed\];/);
+    assert.match(diagram, /"orders" -> "users" \[label="user_id", dir=both, arrowtail=crow, arrowhead=tee\];/);
+});
+
+test('focus tables include their neighbours up to the given depth', () => {
+    const scoped = renderErd(MODEL, 'mermaid', { tables: ['items'], depth: 1 });
+    assert.deepEqual(scoped.entities, ['orders', 'items']);
+    assert.deepEqual(scoped.focus, ['items']);
+    assert.equal(scoped.relationships, 1);
+
+    const wider = renderErd(MODEL, 'mermaid', { tables: ['items'], depth: 2 });
+    assert.deepEqual(wider.entities, ['users', 'orders', 'items', 'coupons']);
+});
+
+test('unknown formats are rejected', () => {
+    assert.throws(() => renderErd(MODEL, 'svg'), /^Error: Unsupported diagram format: svg/);
+});
+
+test('detectDiagramRequest finds diagram questions and the tables they name', () => {
+    assert.deepEqual(detectDiagramRequest('show me the ER diagram for order and users', MODEL), { tables: ['users', 'orders'] });
+    assert.deepEqual(detectDiagramRequest('draw an ERD', MODEL), { tables: [] });
+    assert.equal(detectDiagramRequest('list the orders', MODEL), null);
+    assert.equal(detectDiagramRequest('show the diagram', null), null);
+});
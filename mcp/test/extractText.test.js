@@ -0,0 +1,40 @@
+// test/extractText.test.js - Text and schema model extraction from uploaded files
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractSchema } = require('../utils/extractText');
+
+async function extractFrom(fileName, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extract-test-'));
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, content);
+    try {
+        return await extractSchema(filePath, fileName);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('SQL uploads get a parsed model and a table summary ahead of the DDL', async () => {
+    const ddl = 'CREATE TABLE users (id SERIAL PRIMARY KEY, email TEXT NOT NULL);';
+    const { text, model } = await extractFrom('schema.sql', ddl);
+
+    assert.deepEqual(model.tables.map(t => t.name), ['users']);
+    assert.ok(text.startsWith('SQL Database Schema (postgres):'));
+    assert.match(text, /Table users:\n {2}- id: SERIAL PRIMARY KEY AUTO INCREMENT\n {2}- email: TEXT NOT NULL/);
+    assert.ok(text.endsWith(ddl));
+});
+
+test('Prisma uploads get a parsed model', async () => {
+    const { model } = await extractFrom('schema.prisma', 'model User {\n  id Int @id\n}\n');
+    assert.equal(model.format, 'prisma');
+    assert.deepEqual(model.tables.map(t => t.name), ['User']);
+});
+
+test('other formats have no schema model', async () => {
+    const { text, model } = await extractFrom('models.go', 'type User struct {\n  ID int\n}\n');
+    assert.equal(model, null);
+    assert.match(text, /User/);
+});
@@ -0,0 +1,55 @@
+// test/hybridSearch.test.js - BM25 + vector fusion and identifier reranking
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenizeForSearch, buildKeywordIndex, rankHybrid } = require('../utils/hybridSearch');
+
+const DOCS = [
+    { id: 'users', text: 'Table users:\n  - id: SERIAL\n  - email: TEXT', embedding: [1, 0, 0], metadata: { entityName: 'public.users' } },
+    { id: 'orders', text: 'Table orders:\n  - id: INT\n  - user_id: INT\n  - created_at: TIMESTAMP', embedding: [0, 1, 0], metadata: { entityName: 'orders' } },
+    { id: 'notes', text: 'General notes about the billing system', embedding: [0, 0, 1], metadata: {} }
+];
+
+test('tokenizeForSearch keeps identifiers whole and adds their parts, minus stop words', () => {
+    assert.deepEqual(tokenizeForSearch('the created_at of orderStatus'), ['created_at', 'created', 'orderstatus', 'order', 'status']);
+});
+
+test('buildKeywordIndex records document frequencies and identifiers', () => {
+    const index = buildKeywordIndex(DOCS);
+    assert.equal(index.documentFrequency.get('id'), 2);
+    assert.equal(index.lengths.length, 3);
+    assert.deepEqual([...index.identifiers[0].entities], ['public.users', 'users']);
+    assert.deepEqual([...index.identifiers[1].columns], ['id', 'user_id', 'created_at']);
+});
+
+test('rankHybrid fuses keyword and vector scores', () => {
+    const index = buildKeywordIndex(DOCS);
+
+    // Vector and keyword scores agree on the notes chunk
+    const [top] = rankHybrid(index, 'billing system', [0, 0, 1], 1);
+    assert.equal(top.id, 'notes');
+    assert.equal(top.scores.vector, 1);
+    assert.ok(top.scores.keyword > 0);
+
+    // Keywords alone can outrank a vector match
+    const ranked = rankHybrid(index, 'email address', [0, 0.9, 0.1], 3);
+    assert.equal(ranked[0].id, 'users');
+    assert.deepEqual(ranked[0].matchedIdentifiers, ['email']);
+});
+
+test('rankHybrid boosts chunks that define an identifier the question names', () => {
+    const index = buildKeywordIndex(DOCS);
+    const [top] = rankHybrid(index, 'when was created_at set', [1, 0, 0], 3);
+
+    assert.equal(top.id, 'orders');
+    assert.deepEqual(top.matchedIdentifiers, ['created_at']);
+    assert.equal(top.scores.identifier, 0.5);
+});
+
+test('rankHybrid tolerates missing embeddings and empty indexes', () => {
+    assert.deepEqual(rankHybrid(buildKeywordIndex([]), 'users', [1, 0, 0]), []);
+
+    const index = buildKeywordIndex([{ id: 'x', text: 'users table', metadata: {} }]);
+    const [only] = rankHybrid(index, 'users', [1, 0, 0]);
+    assert.equal(only.similarity, 0);
+    assert.ok(only.score > 0);
+});
@@ -0,0 +1,254 @@
+// test/ingestionJobs.test.js - Background ingestion queue: processing, retries and restart recovery
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { IngestionJob, IngestionJobFile, SchemaUpload } = require('../models/index.js');
+const projectData = require('../utils/projectData');
+
+// In-memory stand-ins for the two collections, holding plain objects
+let jobs;
+let contents;
+let ingest;
+let uploads;
+
+// Copies keep ObjectIds intact, unlike structuredClone
+function load(raw) {
+    return IngestionJob.hydrate(new IngestionJob(raw).toObject());
+}
+
+function matches(doc, filter) {
+    return Object.entries(filter).every(([key, value]) => String(doc[key]) === String(value));
+}
+
+mock.method(IngestionJob, 'create', async (data) => {
+    const doc = new IngestionJob(data);
+    jobs.push(doc.toObject());
+    return doc;
+});
+mock.method(IngestionJob, 'findById', async (id) => {
+    const raw = jobs.find(job => String(job._id) === String(id));
+    return raw ? load(raw) : null;
+});
+mock.method(IngestionJob, 'updateOne', async ({ _id }, { $set }) => {
+    Object.assign(jobs.find(job => String(job._id) === String(_id)), $set);
+});
+mock.method(IngestionJob, 'updateMany', async (filter, { $set }) => {
+    const found = jobs.filter(job => matches(job, filter));
+    found.forEach(job => Object.assign(job, $set));
+    return { modifiedCount: found.length };
+});
+mock.method(IngestionJob, 'findOneAndUpdate', async (filter, { $set = {}, $inc = {} }, { arrayFilters } = {}) => {
+    const raw = jobs.filter(job => matches(job, filter)).sort((a, b) => a.createdAt - b.createdAt)[0];
+    if (!raw) return null;
+
+    // The only positional update used: files.$[failed].<field> with arrayFilters on status
+    const failed = arrayFilters ? raw.files.filter(file => file.status === arrayFilters[0]['failed.status']) : [];
+    for (const [key, value] of Object.entries($set)) {
+        const positional = /^files\.\$\[failed\]\.(\w+)$/.exec(key);
+        if (positional) {
+            failed.forEach(file => { file[positional[1]] = value; });
+        } else {
+            raw[key] = value;
+        }
+    }
+    for (const [key, value] of Object.entries($inc)) raw[key] = (raw[key] || 0) + value;
+    return load(raw);
+});
+mock.method(IngestionJobFile, 'insertMany', async (files) => { contents.push(...files); });
+mock.method(IngestionJobFile, 'find', ({ jobId }) => ({ lean: async () => contents.filter(file => String(file.jobId) === String(jobId)) }));
+mock.method(IngestionJobFile, 'deleteMany', async ({ jobId }) => { contents = contents.filter(file => String(file.jobId) !== String(jobId)); });
+
+mock.method(SchemaUpload, 'find', () => ({ sort: () => ({ select: async () => uploads.filter(upload => upload.isActive) }) }));
+mock.method(SchemaUpload, 'findOne', async ({ _id }) => uploads.find(upload => String(upload._id) === String(_id) && upload.isActive) || null);
+
+// Every job logs its progress; the runner can choke on that much output
+mock.method(console, 'log', () => {});
+
+// ingestionJobs destructures ingestSchema and reindexUpload when it loads
+mock.method(projectData, 'ingestSchema', (...args) => ingest(...args));
+mock.method(projectData, 'reindexUpload', async (store, upload) => ({ upload, chunksStored: 2, vectorsRemoved: 2, embeddingCache: { hits: 0, misses: 2 } }));
+
+const { enqueueIngestion, enqueueReindex, startIngestionWorker, retryIngestion, waitForJob } = require('../utils/ingestionJobs');
+
+const FILES = [
+    { path: 'a.sql', content: 'CREATE TABLE a (id INT);', size: 24 },
+    { path: 'b.sql', content: 'CREATE TABLE b (id INT);', size: 24 }
+];
+
+function ingestedResult(fileName) {
+    return { upload: { _id: new mongoose.Types.ObjectId(), version: 1 }, chunksStored: 1, retiredVersions: 0, embeddingCache: { hits: 1, misses: 0 }, schemaModel: { tables: [{ name: fileName }] } };
+}
+
+beforeEach(() => {
+    jobs = [];
+    contents = [];
+    uploads = [];
+    ingest = async (store, { fileName }) => ingestedResult(fileName);
+});
+
+test('queued files are ingested in the background and their content dropped', async () => {
+    await startIngestionWorker({ isInMemory: true });
+    const job = await enqueueIngestion({ projectId: 'p1', userId: 'u1', files: FILES, skipped: [{ path: 'notes.png', reason: 'Unsupported file type' }] });
+    const done = await waitForJob(job._id);
+
+    assert.equal(done.status, 'completed');
+    assert.deepEqual(done.files.map(file => [file.fileName, file.status]), [['a.sql', 'ingested'], ['b.sql', 'ingested'], ['notes.png', 'skipped']]);
+    assert.deepEqual(done.progress, { currentFile: null, filesDone: 2, filesTotal: 2, chunksEmbedded: 0, chunksTotal: 0 });
+    assert.equal(done.summary.chunksStored, 2);
+    assert.deepEqual(done.summary.embeddingCache, { hits: 2, misses: 0 });
+
+    // Stored content is deleted just after the final progress event
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(contents, []);
+});
+
+test('unusable files are skipped while other failures fail the job', async () => {
+    ingest = async (store, { fileName }) => {
+        if (fileName === 'a.sql') throw Object.assign(new Error('No text content could be extracted from the file'), { status: 400 });
+        throw new Error('vector store unavailable');
+    };
+
+    const job = await enqueueIngestion({ projectId: 'p1', userId: 'u1', files: FILES });
+    const done = await waitForJob(job._id);
+
+    assert.equal(done.status, 'failed');
+    assert.equal(done.error, '1 file(s) failed');
+    assert.deepEqual(done.files.map(file => [file.status, file.reason]), [
+        ['skipped', 'No text content could be extracted from the file'],
+        ['failed', 'vector store unavailable']
+    ]);
+    // Content is kept so the job can be retried
+    assert.equal(contents.length, 2);
+});
+
+test('waitForJob sees a job that finishes while the job is being read', async (t) => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    ingest = async (store, { fileName }) => {
+        await gate;
+        return ingestedResult(fileName);
+    };
+    const job = await enqueueIngestion({ projectId: 'p1', userId: 'u1', files: FILES.slice(0, 1) });
+
+    const findById = IngestionJob.findById;
+    t.mock.method(IngestionJob, 'findById', async (id) => {
+        // A read that still sees the job running, while the job completes
+        const running = await findById(id);
+        release();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return running;
+    });
+
+    const done = await waitForJob(job._id);
+    assert.equal(done.status, 'completed');
+});
+
+test('waitForJob gives up after its timeout and returns the job as it stands', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    ingest = async (store, { fileName }) => {
+        await gate;
+        return ingestedResult(fileName);
+    };
+    const job = await enqueueIngestion({ projectId: 'p1', userId: 'u1', files: FILES.slice(0, 1) });
+
+    const pending = await waitForJob(job._id, { timeoutMs: 20 });
+    assert.equal(pending.status, 'running');
+    assert.equal(pending.summary.ingested, 0);
+
+    release();
+    assert.equal((await waitForJob(job._id, { timeoutMs: 1000 })).status, 'completed');
+    assert.equal(await waitForJob(new mongoose.Types.ObjectId(), { timeoutMs: 20 }), null);
+});
+
+test('a job queued just as the worker finds the queue empty is still run', { timeout: 2000 }, async (t) => {
+    const claim = IngestionJob.findOneAndUpdate;
+    let second = null;
+    t.mock.method(IngestionJob, 'findOneAndUpdate', async (...args) => {
+        const job = await claim(...args);
+        if (!job && !second) {
+            second = await enqueueIngestion({ projectId: 'p1', userId: 'u1', files: FILES.slice(1) });
+        }
+        return job;
+    });
+
+    const first = await enqueueIngestion({ projectId: 'p1', userId: 'u1', files: FILES.slice(0, 1) });
+    assert.equal((await waitForJob(first._id)).status, 'completed');
+    while (!second) await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal((await waitForJob(second._id)).status, 'completed');
+});
+
+test('retryIngestion re-runs only the failed files', async () => {
+    let failB = true;
+    const seen = [];
+    ingest = async (store, { fileName }) => {
+        seen.push(fileName);
+        if (fileName === 'b.sql' && failB) throw new Error('vector store unavailable');
+        return ingestedResult(fileName);
+    };
+
+    const job = await enqueueIngestion({ projectId: 'p1', userId: 'u1', files: FILES });
+    assert.equal((await waitForJob(job._id)).status, 'failed');
+
+    failB = false;
+    assert.equal(await retryIngestion(new mongoose.Types.ObjectId()), null);
+    const retried = await retryIngestion(job._id);
+    assert.equal(retried.status, 'queued');
+
+    const done = await waitForJob(job._id);
+    assert.equal(done.status, 'completed');
+    assert.equal(done.attempts, 2);
+    assert.deepEqual(seen, ['a.sql', 'b.sql', 'b.sql']);
+    assert.equal(await retryIngestion(job._id), null);
+});
+
+test('jobs interrupted by a restart are queued again without repeating finished files', async () => {
+    const jobId = new mongoose.Types.ObjectId();
+    jobs.push(new IngestionJob({
+        _id: jobId,
+        projectId: 'p1',
+        userId: 'u1',
+        status: 'running',
+        attempts: 1,
+        files: [
+            { fileName: 'a.sql', status: 'ingested', chunksStored: 3 },
+            { fileName: 'b.sql', status: 'pending' }
+        ],
+        progress: { filesTotal: 2, filesDone: 1 }
+    }).toObject());
+    contents.push({ jobId, fileName: 'b.sql', content: FILES[1].content });
+
+    const seen = [];
+    ingest = async (store, { fileName }) => {
+        seen.push(fileName);
+        return ingestedResult(fileName);
+    };
+
+    await startIngestionWorker({ isInMemory: true });
+    const done = await waitForJob(jobId);
+
+    assert.equal(done.status, 'completed');
+    assert.equal(done.attempts, 2);
+    assert.deepEqual(seen, ['b.sql']);
+    assert.equal(done.summary.chunksStored, 4);
+});
+
+test('a reindex job re-embeds every active upload from its stored text', async () => {
+    assert.equal(await enqueueReindex({ projectId: 'p1', userId: 'u1' }), null);
+
+    const upload = (fileName, isActive = true) => ({ _id: new mongoose.Types.ObjectId(), fileName, fileSize: 10, version: 1, isActive, schemaModel: null });
+    uploads.push(upload('a.sql'), upload('b.sql'), upload('old.sql', false));
+
+    const job = await enqueueReindex({ projectId: 'p1', userId: 'u1' });
+    // b.sql is deleted while the job waits
+    uploads[1].isActive = false;
+    const done = await waitForJob(job._id);
+
+    assert.equal(done.kind, 'reindex');
+    assert.equal(done.status, 'completed');
+    assert.deepEqual(done.files.map(file => [file.fileName, file.status, file.reason]), [
+        ['a.sql', 'ingested', undefined],
+        ['b.sql', 'skipped', 'Upload is no longer active']
+    ]);
+    assert.equal(done.summary.chunksStored, 2);
+});
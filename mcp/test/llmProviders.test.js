@@ -0,0 +1,168 @@
+// test/llmProviders.test.js - LLM settings resolution, the baseUrl allowlist and provider fallback
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { once } = require('events');
+
+let llm;
+let endpoint;
+let server;
+const authHeaders = [];
+
+before(async () => {
+    // A stand-in OpenAI-compatible endpoint that records the key it is sent
+    server = http.createServer((req, res) => {
+        authHeaders.push(req.headers.authorization);
+        res.statusCode = 500;
+        res.end('{}');
+    }).listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    endpoint = `http://127.0.0.1:${server.address().port}/v1`;
+
+    // Settings are read when the module loads
+    for (const name of ['LLM_PROVIDER', 'LLM_FALLBACK_PROVIDER', 'LLM_TEMPERATURE', 'LLM_MAX_TOKENS', 'OPENAI_BASE_URL', 'OLLAMA_NUM_CTX', 'MOCK_LLM_RESPONSE']) {
+        delete process.env[name];
+    }
+    process.env.OPENAI_API_KEY = 'sk-server-key';
+    process.env.OPENAI_MAX_RETRIES = '0';
+    process.env.LLM_ALLOWED_BASE_URLS = `HTTP://VLLM:8000/v1/, ${endpoint}`;
+    llm = require('../utils/llmProviders');
+});
+
+after(() => {
+    server.close();
+});
+
+test('request overrides win over project settings, which win over the environment', () => {
+    const defaults = llm.resolveLlmConfig();
+    assert.equal(defaults.provider, 'ollama');
+    assert.equal(defaults.temperature, 0.7);
+    assert.equal(defaults.maxTokens, 2000);
+    assert.equal(defaults.fallbackProvider, 'openai');
+
+    const project = { provider: 'openai', model: 'gpt-4o-mini', temperature: 0.2 };
+    assert.deepEqual(llm.resolveLlmConfig(project, { temperature: 1.1 }), {
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        temperature: 1.1,
+        contextSize: null,
+        maxTokens: 2000,
+        baseUrl: null,
+        fallbackProvider: 'openai'
+    });
+});
+
+test('a project model is dropped when the request switches provider', () => {
+    const config = llm.resolveLlmConfig({ provider: 'openai', model: 'gpt-4o-mini' }, { provider: 'mock' });
+    assert.equal(config.model, 'mock-echo');
+});
+
+test('fallbackProvider null switches the environment fallback off', () => {
+    assert.equal(llm.resolveLlmConfig({ fallbackProvider: null }).fallbackProvider, null);
+    assert.equal(llm.resolveLlmConfig({ fallbackProvider: null }, { fallbackProvider: 'mock' }).fallbackProvider, 'mock');
+});
+
+test('invalid settings are rejected with status 400', () => {
+    for (const settings of [{ provider: 'nope' }, { fallbackProvider: 'nope' }, { temperature: 3 }, { contextSize: 100 }, { maxTokens: 0 }]) {
+        assert.throws(() => llm.validateLlmSettings(settings), { status: 400 }, JSON.stringify(settings));
+    }
+});
+
+test('baseUrl cannot be set per request', () => {
+    assert.throws(() => llm.resolveLlmConfig({}, { baseUrl: 'http://attacker.example' }), {
+        status: 400,
+        message: /baseUrl cannot be overridden per request/
+    });
+});
+
+test('project baseUrl must be on the allowlist', () => {
+    assert.doesNotThrow(() => llm.validateLlmSettings({ baseUrl: 'http://vllm:8000/v1' }));
+    assert.doesNotThrow(() => llm.validateLlmSettings({ baseUrl: `${endpoint}/` }));
+    assert.throws(() => llm.validateLlmSettings({ baseUrl: 'http://attacker.example/v1' }), { status: 400, message: /^baseUrl must be one of/ });
+    assert.throws(() => llm.validateLlmSettings({ baseUrl: 'file:///etc/passwd' }), { status: 400 });
+
+    assert.equal(llm.resolveLlmConfig({ provider: 'openai', baseUrl: 'http://vllm:8000/v1/' }).baseUrl, 'http://vllm:8000/v1/');
+    // Stored before the allowlist existed: ignored rather than used
+    assert.equal(llm.resolveLlmConfig({ provider: 'openai', baseUrl: 'http://attacker.example/v1' }).baseUrl, null);
+});
+
+test('the server OpenAI key is never sent to a project endpoint', async () => {
+    const config = llm.resolveLlmConfig({ provider: 'openai', baseUrl: endpoint, fallbackProvider: null });
+    await assert.rejects(llm.providers.openai.generate('hi', config, () => {}));
+
+    assert.ok(authHeaders.length > 0);
+    assert.ok(authHeaders.every(header => header === 'Bearer not-needed'));
+});
+
+test('the mock provider streams a deterministic answer', async () => {
+    const config = llm.resolveLlmConfig({ provider: 'mock', fallbackProvider: null });
+    const collect = async () => {
+        const chunks = [];
+        const used = await llm.generateWithProvider('same prompt', chunk => chunks.push(chunk), config);
+        return { used, text: chunks.map(chunk => chunk.content).join('') };
+    };
+
+    const first = await collect();
+    assert.deepEqual(first.used, { provider: 'mock', model: 'mock-echo' });
+    assert.match(first.text, /^Mock answer from mock-echo \(prompt [0-9a-f]{8}/);
+    assert.equal((await collect()).text, first.text);
+});
+
+test('generateWithProvider falls back when the primary provider fails before streaming', async (t) => {
+    t.mock.method(llm.providers.ollama, 'generate', async () => { throw new Error('connection refused'); });
+    const chunks = [];
+
+    const used = await llm.generateWithProvider('hello', chunk => chunks.push(chunk), llm.resolveLlmConfig({ fallbackProvider: 'mock' }));
+    assert.deepEqual(used, { provider: 'mock', model: 'mock-echo' });
+    assert.ok(chunks.every(chunk => chunk.type === 'content'));
+});
+
+test('generateWithProvider keeps a partial answer instead of switching providers mid-stream', async (t) => {
+    t.mock.method(llm.providers.ollama, 'generate', async (prompt, config, onToken) => {
+        onToken('partial');
+        throw new Error('stream reset');
+    });
+    const chunks = [];
+
+    const used = await llm.generateWithProvider('hello', chunk => chunks.push(chunk), llm.resolveLlmConfig({ fallbackProvider: 'mock' }));
+    assert.equal(used.provider, 'ollama');
+    assert.deepEqual(chunks.map(chunk => chunk.content), ['partial']);
+});
+
+test('generateWithProvider reports an error event when every provider fails', async (t) => {
+    t.mock.method(llm.providers.ollama, 'generate', async () => { throw new Error('down'); });
+    const chunks = [];
+
+    const used = await llm.generateWithProvider('hello', chunk => chunks.push(chunk), llm.resolveLlmConfig({ fallbackProvider: null }));
+    assert.equal(used, null);
+    assert.deepEqual(chunks, [{
+        type: 'error',
+        error: 'LLM service unavailable',
+        message: 'down',
+        suggestion: 'Try running: ollama pull llama3.2:1b-instruct-q4_K_M'
+    }]);
+});
+
+test('getContextWindow prefers contextSize, then the model prefix table', () => {
+    assert.equal(llm.getContextWindow({ provider: 'openai', model: 'gpt-4o', contextSize: 2048 }), 2048);
+    assert.equal(llm.getContextWindow({ provider: 'openai', model: 'gpt-4o-mini' }), 128000);
+    assert.equal(llm.getContextWindow({ provider: 'openai', model: 'gpt-4-32k-0613' }), 32768);
+    assert.equal(llm.getContextWindow({ provider: 'openai', model: 'my-finetune' }), 8192);
+    assert.equal(llm.getContextWindow({ provider: 'ollama', model: 'llama3' }), 4096);
+});
+
+test('an unknown LLM_FALLBACK_PROVIDER stops the module from loading', () => {
+    const load = (fallback) => execFileSync(process.execPath, ['-e', 'require("./utils/llmProviders")'], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, LLM_FALLBACK_PROVIDER: fallback },
+        stdio: 'pipe'
+    });
+
+    assert.throws(() => load('opnai'), (error) => {
+        assert.match(error.stderr.toString(), /LLM_FALLBACK_PROVIDER "opnai" is not a known provider\. Available: ollama, openai, mock/);
+        return true;
+    });
+    load('mock');
+});
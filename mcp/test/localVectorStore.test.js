@@ -0,0 +1,149 @@
+// test/localVectorStore.test.js - Local vector store: Chroma-style filters, snapshots and Chroma sync
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    createLocalStore, acquireSnapshotLock, releaseSnapshotLock, loadSnapshot, saveSnapshot, flushSnapshot, addDocuments, matchesWhere, exportToChroma, importFromChroma
+} = require('../utils/localVectorStore');
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-vector-store-'));
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function doc(id, projectId, metadata = {}) {
+    return { id, text: `text of ${id}`, embedding: [0.5, -0.25], metadata: { projectId, ...metadata } };
+}
+
+test('matchesWhere supports equality, comparison, set and logical operators', () => {
+    const metadata = { projectId: 'p1', version: 3, entityType: 'table' };
+
+    assert.equal(matchesWhere(metadata, undefined), true);
+    assert.equal(matchesWhere(metadata, { projectId: 'p1', entityType: 'table' }), true);
+    assert.equal(matchesWhere(metadata, { projectId: 'p2' }), false);
+    assert.equal(matchesWhere(metadata, { version: { $gte: 3, $lt: 4 } }), true);
+    assert.equal(matchesWhere(metadata, { version: { $gt: 3 } }), false);
+    assert.equal(matchesWhere(metadata, { version: { $ne: 3 } }), false);
+    assert.equal(matchesWhere(metadata, { entityType: { $in: ['table', 'view'] } }), true);
+    assert.equal(matchesWhere(metadata, { entityType: { $nin: ['table'] } }), false);
+    assert.equal(matchesWhere(metadata, { $and: [{ projectId: 'p1' }, { $or: [{ version: 1 }, { entityType: { $eq: 'table' } }] }] }), true);
+    assert.equal(matchesWhere(metadata, { $or: [{ version: 1 }, { entityType: 'enum' }] }), false);
+    // Missing fields only match $ne / $nin
+    assert.equal(matchesWhere({}, { fileName: { $ne: 'a.sql' } }), true);
+    assert.throws(() => matchesWhere(metadata, { version: { $regex: '3' } }), /Unsupported filter operator: \$regex/);
+});
+
+test('documents with an existing id replace it', () => {
+    const store = createLocalStore({ snapshotPath: '' });
+    addDocuments(store, [doc('a', 'p1'), doc('b', 'p1'), doc('c', 'p2')]);
+    addDocuments(store, [{ ...doc('a', 'p1'), text: 'updated' }]);
+
+    assert.equal(store.snapshotPath, null);
+    assert.deepEqual(store.documents.get('p1').map(d => [d.id, d.text]), [['a', 'updated'], ['b', 'text of b']]);
+    assert.equal(store.documents.get('p2').length, 1);
+});
+
+test('a saved snapshot loads back into an empty store', async () => {
+    const snapshotPath = path.join(dir, 'nested', 'store.ndjson');
+    const store = createLocalStore({ snapshotPath });
+    addDocuments(store, [doc('a', 'p1', { version: 2 }), doc('b', 'p2')]);
+    await saveSnapshot(store);
+
+    assert.equal(fs.existsSync(`${snapshotPath}.tmp`), false);
+    const [header] = fs.readFileSync(snapshotPath, 'utf8').split('\n');
+    assert.deepEqual({ ...JSON.parse(header), savedAt: undefined }, { format: 1, savedAt: undefined, documents: 2 });
+
+    const restored = createLocalStore({ snapshotPath });
+    assert.equal(await loadSnapshot(restored), 2);
+    assert.deepEqual(restored.documents, store.documents);
+
+    // Nothing to load without a file
+    assert.equal(await loadSnapshot(createLocalStore({ snapshotPath: path.join(dir, 'missing.ndjson') })), 0);
+});
+
+test('unreadable lines are skipped but an unknown format is refused', async () => {
+    const snapshotPath = path.join(dir, 'damaged.ndjson');
+    fs.writeFileSync(snapshotPath, [
+        JSON.stringify({ format: 1, savedAt: 'then', documents: 2 }),
+        JSON.stringify(doc('a', 'p1')),
+        '{"id": "b", "text": "trunc'
+    ].join('\n'));
+    const store = createLocalStore({ snapshotPath });
+    assert.equal(await loadSnapshot(store), 1);
+    assert.deepEqual(store.documents.get('p1').map(d => d.id), ['a']);
+
+    fs.writeFileSync(snapshotPath, `${JSON.stringify({ format: 99 })}\n`);
+    await assert.rejects(loadSnapshot(createLocalStore({ snapshotPath })), /Unsupported vector store snapshot format: 99/);
+});
+
+test('flushSnapshot writes pending changes at once', async () => {
+    const snapshotPath = path.join(dir, 'flush.ndjson');
+    const store = createLocalStore({ snapshotPath });
+    addDocuments(store, [doc('a', 'p1')]);
+    store.snapshot.dirty = true;
+
+    await flushSnapshot(store);
+    assert.equal(store.snapshot.dirty, false);
+    assert.equal(fs.readFileSync(snapshotPath, 'utf8').trim().split('\n').length, 2);
+    await flushSnapshot(null);
+});
+
+test('a snapshot file is locked to one live process', () => {
+    const snapshotPath = path.join(dir, 'locked.ndjson');
+    const lockPath = `${snapshotPath}.lock`;
+
+    // Held by another live process
+    fs.writeFileSync(lockPath, String(process.ppid));
+    assert.equal(acquireSnapshotLock(createLocalStore({ snapshotPath })), process.ppid);
+    assert.equal(fs.readFileSync(lockPath, 'utf8'), String(process.ppid));
+
+    // Left behind by a process that is gone
+    fs.writeFileSync(lockPath, '999999999');
+    const store = createLocalStore({ snapshotPath });
+    assert.equal(acquireSnapshotLock(store), null);
+    assert.equal(fs.readFileSync(lockPath, 'utf8'), String(process.pid));
+
+    releaseSnapshotLock(store);
+    assert.equal(fs.existsSync(lockPath), false);
+    assert.equal(acquireSnapshotLock(createLocalStore({ snapshotPath: '' })), null);
+});
+
+test('vectors round-trip through a Chroma collection', async () => {
+    // Fake collection holding rows by id, paged like Chroma's get()
+    const rows = new Map();
+    const collection = {
+        upsert: async ({ ids, embeddings, documents, metadatas }) => {
+            ids.forEach((id, i) => rows.set(id, { id, embedding: embeddings[i], text: documents[i], metadata: metadatas[i] }));
+        },
+        get: async ({ where, limit, offset }) => {
+            const page = [...rows.values()].filter(row => matchesWhere(row.metadata, where)).slice(offset, offset + limit);
+            return {
+                ids: page.map(row => row.id),
+                documents: page.map(row => row.text),
+                embeddings: page.map(row => Float32Array.from(row.embedding)),
+                metadatas: page.map(row => row.metadata)
+            };
+        }
+    };
+
+    const source = createLocalStore({ snapshotPath: '' });
+    addDocuments(source, [doc('a', 'p1'), doc('b', 'p1'), doc('c', 'p2')]);
+    assert.equal(await exportToChroma(source, collection, { projectId: 'p1' }), 2);
+    assert.equal(await exportToChroma(source, collection), 3);
+
+    const target = createLocalStore({ snapshotPath: '' });
+    assert.equal(await importFromChroma(target, collection, { projectId: 'p2' }), 1);
+    assert.deepEqual([...target.documents.keys()], ['p2']);
+    assert.equal(await importFromChroma(target, collection), 3);
+    assert.deepEqual(target.documents, source.documents);
+});
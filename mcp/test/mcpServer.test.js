@@ -0,0 +1,212 @@
+// test/mcpServer.test.js - JSON-RPC dispatch and the stdio / HTTP transports
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { once } = require('events');
+const express = require('express');
+const { createMcpServer, createMcpRouter, startStdioTransport, McpError, ERROR_CODES } = require('../utils/mcpServer');
+
+const server = createMcpServer({
+    name: 'test-server',
+    version: '1.0.0',
+    instructions: 'Ask about schemas',
+    tools: [
+        {
+            name: 'echo',
+            description: 'Echo text',
+            inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+            handler: async ({ text }) => text
+        },
+        {
+            name: 'stats',
+            description: 'Return JSON',
+            inputSchema: { type: 'object', properties: {} },
+            handler: async () => ({ tables: 2 })
+        },
+        {
+            name: 'fail',
+            description: 'Always throws',
+            inputSchema: { type: 'object', properties: {} },
+            handler: async () => { throw new Error('boom'); }
+        }
+    ],
+    resources: {
+        list: async () => [{ uri: 'schema://p1', name: 'p1' }],
+        read: async (uri) => (uri === 'schema://p1' ? [{ uri, mimeType: 'text/plain', text: 'CREATE TABLE a (id INT);' }] : null),
+        templates: [{ uriTemplate: 'schema://{projectId}', name: 'Project schema' }]
+    }
+});
+
+const call = (method, params, id = 1) => server.handleMessage({ jsonrpc: '2.0', id, method, params });
+
+test('initialize negotiates the protocol version and advertises capabilities', async () => {
+    const { result } = await call('initialize', { protocolVersion: '2024-11-05' });
+    assert.equal(result.protocolVersion, '2024-11-05');
+    assert.deepEqual(result.serverInfo, { name: 'test-server', version: '1.0.0' });
+    assert.equal(result.instructions, 'Ask about schemas');
+    assert.ok(result.capabilities.tools);
+    assert.ok(result.capabilities.resources);
+
+    const unknown = await call('initialize', { protocolVersion: '1999-01-01' });
+    assert.equal(unknown.result.protocolVersion, '2025-06-18');
+});
+
+test('tools/list describes tools without their handlers', async () => {
+    const { result } = await call('tools/list');
+    assert.deepEqual(result.tools.map(tool => tool.name), ['echo', 'stats', 'fail']);
+    assert.equal(result.tools[0].handler, undefined);
+});
+
+test('tools/call wraps handler output as tool content', async () => {
+    assert.deepEqual((await call('tools/call', { name: 'echo', arguments: { text: 'hi' } })).result, {
+        content: [{ type: 'text', text: 'hi' }],
+        isError: false
+    });
+
+    const json = (await call('tools/call', { name: 'stats' })).result;
+    assert.deepEqual(JSON.parse(json.content[0].text), { tables: 2 });
+});
+
+test('tools/call reports tool failures as error results, not JSON-RPC errors', async () => {
+    const missing = (await call('tools/call', { name: 'echo', arguments: {} })).result;
+    assert.equal(missing.isError, true);
+    assert.equal(missing.content[0].text, 'Missing required argument(s): text');
+
+    const thrown = (await call('tools/call', { name: 'fail' })).result;
+    assert.deepEqual(thrown, { content: [{ type: 'text', text: 'boom' }], isError: true });
+
+    const unknown = await call('tools/call', { name: 'nope' });
+    assert.equal(unknown.error.code, ERROR_CODES.INVALID_PARAMS);
+});
+
+test('resources are listed and read, with a not-found error', async () => {
+    assert.deepEqual((await call('resources/list')).result.resources, [{ uri: 'schema://p1', name: 'p1' }]);
+    assert.equal((await call('resources/templates/list')).result.resourceTemplates.length, 1);
+    assert.equal((await call('resources/read', { uri: 'schema://p1' })).result.contents[0].text, 'CREATE TABLE a (id INT);');
+
+    const missing = await call('resources/read', { uri: 'schema://p2' });
+    assert.deepEqual(missing.error, { code: ERROR_CODES.RESOURCE_NOT_FOUND, message: 'Resource not found', data: { uri: 'schema://p2' } });
+});
+
+test('invalid messages, unknown methods and notifications', async () => {
+    assert.equal((await server.handleMessage({ id: 1, method: 'ping' })).error.code, ERROR_CODES.INVALID_REQUEST);
+    assert.equal((await call('nope')).error.code, ERROR_CODES.METHOD_NOT_FOUND);
+    assert.equal(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+    assert.equal(await server.handleMessage({ jsonrpc: '2.0', id: 5, result: {} }), null);
+});
+
+test('batches answer every request and skip notifications', async () => {
+    const responses = await server.handleMessage([
+        { jsonrpc: '2.0', id: 1, method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '2.0', id: 2, method: 'nope' }
+    ]);
+    assert.deepEqual(responses.map(response => response.id), [1, 2]);
+    assert.equal((await server.handleMessage([])).error.code, ERROR_CODES.INVALID_REQUEST);
+});
+
+test('McpError codes reach the client', async () => {
+    const custom = createMcpServer({
+        name: 's',
+        version: '1',
+        resources: { list: async () => { throw new McpError(ERROR_CODES.INVALID_PARAMS, 'bad cursor'); }, read: async () => null }
+    });
+    const response = await custom.handleMessage({ jsonrpc: '2.0', id: 1, method: 'resources/list' });
+    assert.deepEqual(response.error, { code: ERROR_CODES.INVALID_PARAMS, message: 'bad cursor' });
+});
+
+test('stdio transport reads and writes newline-delimited JSON', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const rl = startStdioTransport(server, { input, output });
+    const lines = [];
+    output.on('data', chunk => lines.push(...chunk.toString().split('\n').filter(Boolean)));
+
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+    input.write('not json\n');
+    input.end();
+    await once(rl, 'close');
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Replies are written as handlers finish, so order is not guaranteed
+    const replies = lines.map(line => JSON.parse(line));
+    assert.equal(replies.length, 2);
+    assert.deepEqual(replies.find(reply => reply.id === 1), { jsonrpc: '2.0', id: 1, result: {} });
+    assert.deepEqual(replies.find(reply => reply.id === null), { jsonrpc: '2.0', id: null, error: { code: ERROR_CODES.PARSE_ERROR, message: 'Parse error' } });
+});
+
+test('HTTP transport answers POSTed messages and rejects malformed JSON', async () => {
+    const app = express();
+    app.use('/mcp', createMcpRouter(server));
+    const listener = app.listen(0);
+    await once(listener, 'listening');
+    const url = `http://127.0.0.1:${listener.address().port}/mcp`;
+
+    try {
+        const post = (body) => fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+
+        const ok = await post('{"jsonrpc":"2.0","id":7,"method":"ping"}');
+        assert.deepEqual(await ok.json(), { jsonrpc: '2.0', id: 7, result: {} });
+
+        const notification = await post('{"jsonrpc":"2.0","method":"notifications/initialized"}');
+        assert.equal(notification.status, 202);
+
+        const malformed = await post('{"jsonrpc":');
+        assert.equal(malformed.status, 400);
+        assert.equal((await malformed.json()).error.code, ERROR_CODES.PARSE_ERROR);
+    } finally {
+        listener.close();
+    }
+});
+
+test('the caller identity reaches tool handlers on every transport', async (t) => {
+    // Session logs on stdout would interleave with the test runner's own output
+    let sessionClosed;
+    const closedLogged = new Promise(resolve => { sessionClosed = resolve; });
+    t.mock.method(console, 'log', (message) => {
+        if (/SSE session closed/.test(message)) sessionClosed();
+    });
+    const seen = [];
+    const identityServer = createMcpServer({
+        name: 's',
+        version: '1',
+        tools: [{ name: 'whoami', description: 'Caller', inputSchema: { type: 'object', properties: {} }, handler: async (args, context) => context.user?.userId || 'anonymous' }]
+    });
+    const whoami = { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'whoami' } };
+
+    seen.push((await identityServer.handleMessage(whoami, { user: { userId: 'alice' } })).result.content[0].text);
+    seen.push((await identityServer.handleMessage(whoami)).result.content[0].text);
+
+    const app = express();
+    app.use((req, res, next) => { req.user = { userId: req.get('x-user') }; next(); });
+    app.use('/mcp', createMcpRouter(identityServer));
+    const listener = app.listen(0);
+    await once(listener, 'listening');
+    const base = `http://127.0.0.1:${listener.address().port}/mcp`;
+    let reader = null;
+
+    try {
+        const response = await fetch(base, { method: 'POST', headers: { 'Content-Type': 'application/json', 'x-user': 'bob' }, body: JSON.stringify(whoami) });
+        seen.push((await response.json()).result.content[0].text);
+
+        // An SSE session only takes messages from the user who opened it
+        const stream = await fetch(`${base}/sse`, { headers: { 'x-user': 'carol' } });
+        reader = stream.body.getReader();
+        const { value } = await reader.read();
+        const endpoint = /data: (\S+)/.exec(Buffer.from(value).toString())[1];
+
+        const hijack = await fetch(`http://127.0.0.1:${listener.address().port}${endpoint}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-user': 'mallory' },
+            body: JSON.stringify(whoami)
+        });
+        assert.equal(hijack.status, 404);
+    } finally {
+        await reader?.cancel();
+        listener.close();
+        listener.closeAllConnections();
+        if (reader) await closedLogged;
+    }
+
+    assert.deepEqual(seen, ['alice', 'anonymous', 'bob']);
+});
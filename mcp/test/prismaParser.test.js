@@ -0,0 +1,48 @@
+// test/prismaParser.test.js - Prisma schema parsing into the shared schema model
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrismaSchema } = require('../utils/prismaParser');
+const { findTable, findColumn } = require('../utils/sqlParser');
+
+const SCHEMA = `
+enum Role {
+  ADMIN
+  USER
+}
+
+model User {
+  id    Int    @id @default(autoincrement())
+  email String @unique
+  role  Role   @default(USER)
+  posts Post[]
+  @@map("users")
+}
+
+model Post {
+  id       Int  @id
+  authorId Int
+  author   User @relation(fields: [authorId], references: [id], onDelete: Cascade)
+  @@index([authorId])
+}
+`;
+
+test('models become tables named by @@map, without relation list fields', () => {
+    const model = parsePrismaSchema(SCHEMA);
+    assert.equal(model.format, 'prisma');
+    assert.deepEqual(model.tables.map(table => [table.name, table.modelName]), [['users', 'User'], ['Post', 'Post']]);
+
+    const users = findTable(model, 'users');
+    assert.deepEqual(users.columns.map(column => column.name), ['id', 'email', 'role']);
+    assert.deepEqual(users.primaryKey, ['id']);
+    assert.equal(findColumn(users, 'id').autoIncrement, true);
+    assert.equal(findColumn(users, 'email').unique, true);
+    assert.deepEqual(findColumn(users, 'role').enumValues, ['ADMIN', 'USER']);
+});
+
+test('@relation fields become foreign keys to the mapped table', () => {
+    const posts = findTable(parsePrismaSchema(SCHEMA), 'Post');
+
+    assert.deepEqual(findColumn(posts, 'authorId').references, { table: 'users', schema: null, columns: ['id'], onDelete: 'CASCADE', onUpdate: null });
+    assert.deepEqual(posts.foreignKeys.map(fk => [fk.columns, fk.table, fk.relationField]), [[['authorId'], 'users', 'author']]);
+    assert.deepEqual(posts.indexes.map(index => index.columns), [['authorId']]);
+});
@@ -0,0 +1,132 @@
+// test/projectData.test.js - Conversation threads and schema upload persistence
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.EMBEDDING_PROVIDER = 'mock';
+
+const { Thread, Conversation, SchemaUpload, ProjectStats, UsageRecord } = require('../models/index.js');
+const { resolveThread, getConversationHistory, saveConversation, ingestSchema } = require('../utils/projectData');
+const { createLocalStore } = require('../utils/localVectorStore');
+
+// Stands in for a mongoose query chain resolving to rows
+function query(rows) {
+    const chain = { sort: () => chain, limit: () => chain, select: () => chain, lean: () => chain, then: (resolve, reject) => Promise.resolve(rows).then(resolve, reject) };
+    return chain;
+}
+
+test('resolveThread starts a thread titled after the question', async (t) => {
+    t.mock.method(Thread.prototype, 'save', async function () { return this; });
+
+    const { thread, created } = await resolveThread('p1', null, {
+        userId: 'u1',
+        question: 'Which tables reference the customers table and what are their foreign key columns?\nThanks'
+    });
+
+    assert.equal(created, true);
+    assert.equal(thread.projectId, 'p1');
+    assert.equal(thread.title, 'Which tables reference the customers table and what are…');
+
+    const untitled = await resolveThread('p1', null, { question: '  ' });
+    assert.equal(untitled.thread.title, 'New conversation');
+});
+
+test('resolveThread rejects malformed and unknown thread ids', async (t) => {
+    const findOne = t.mock.method(Thread, 'findOne', async () => null);
+
+    await assert.rejects(resolveThread('p1', 'not-an-id'), { status: 400, message: 'Invalid threadId' });
+
+    const id = new mongoose.Types.ObjectId().toString();
+    await assert.rejects(resolveThread('p1', id), { status: 404 });
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: id, projectId: 'p1' });
+});
+
+test('getConversationHistory scopes to the thread when one is given', async (t) => {
+    const find = t.mock.method(Conversation, 'find', () => query([{ userMessage: 'b' }, { userMessage: 'a' }]));
+
+    const history = await getConversationHistory('p1', 'u1', 5, 't1');
+    assert.deepEqual(history.map(c => c.userMessage), ['a', 'b']);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { projectId: 'p1', threadId: 't1' });
+
+    await getConversationHistory('p1', 'u1');
+    assert.deepEqual(find.mock.calls[1].arguments[0], { projectId: 'p1', userId: 'u1' });
+});
+
+test('saveConversation counts the message on its thread', async (t) => {
+    t.mock.method(Conversation.prototype, 'save', async function () { return this; });
+    const updateOne = t.mock.method(Thread, 'updateOne', async () => ({}));
+    const threadId = new mongoose.Types.ObjectId();
+
+    await saveConversation({ projectId: 'p1', userId: 'u1', threadId, userMessage: 'q', assistantResponse: 'a' });
+    assert.equal(updateOne.mock.callCount(), 1);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[0], { _id: threadId });
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1].$inc, { messageCount: 1 });
+
+    await saveConversation({ projectId: 'p1', userId: 'u1', userMessage: 'q', assistantResponse: 'a' });
+    assert.equal(updateOne.mock.callCount(), 1);
+});
+
+// Everything ingestSchema touches besides the upload record and the vector store
+function mockIngestion(t, latestVersions) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(UsageRecord, 'find', () => query([]));
+    t.mock.method(UsageRecord, 'updateOne', async () => ({}));
+    t.mock.method(ProjectStats, 'findOneAndUpdate', async () => ({ save: async () => {} }));
+    t.mock.method(SchemaUpload, 'countDocuments', async () => 1);
+    t.mock.method(SchemaUpload, 'updateMany', async () => ({ modifiedCount: 0 }));
+    let reads = 0;
+    t.mock.method(SchemaUpload, 'findOne', () => query({ version: latestVersions[Math.min(reads++, latestVersions.length - 1)] }));
+}
+
+const SQL = 'CREATE TABLE users (id INT PRIMARY KEY, email TEXT);';
+
+test('ingestSchema takes the next version when a concurrent upload claimed the same one', async (t) => {
+    mockIngestion(t, [1, 2]);
+    const saves = [];
+    t.mock.method(SchemaUpload.prototype, 'save', async function () {
+        saves.push([this.version, this.isActive]);
+        if (saves.length === 1) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        return this;
+    });
+
+    const store = createLocalStore({ snapshotPath: '' });
+    const { upload } = await ingestSchema(store, { projectId: 'p1', userId: 'u1', fileName: 'users.sql', content: SQL });
+
+    assert.equal(upload.version, 3);
+    // Claimed inactive, activated once the vectors are stored
+    assert.deepEqual(saves, [[2, false], [3, false], [3, true]]);
+    assert.ok(store.documents.get('p1').every(doc => doc.metadata.uploadId === String(upload._id)));
+});
+
+test('ingestSchema gives up after repeated version collisions', async (t) => {
+    mockIngestion(t, [1]);
+    const save = t.mock.method(SchemaUpload.prototype, 'save', async () => {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+    const store = createLocalStore({ snapshotPath: '' });
+
+    await assert.rejects(ingestSchema(store, { projectId: 'p1', userId: 'u1', fileName: 'users.sql', content: SQL }), /E11000/);
+    assert.equal(save.mock.callCount(), 5);
+    assert.equal(store.documents.has('p1'), false);
+
+    // Collisions are only detected with the unique index in place
+    assert.ok(SchemaUpload.schema.indexes().some(([fields, options]) => fields.version && options.unique));
+});
+
+test('ingestSchema removes the new version and its vectors when activating it fails', async (t) => {
+    mockIngestion(t, [1]);
+    t.mock.method(SchemaUpload.prototype, 'save', async function () {
+        if (this.isActive) throw new Error('connection lost');
+        return this;
+    });
+    const deleteOne = t.mock.method(SchemaUpload, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    // Vectors of the active version, stored before uploads were tagged
+    const store = createLocalStore({ snapshotPath: '' });
+    store.documents.set('p1', [{ id: 'legacy', text: 'users', embedding: [1, 0], metadata: { projectId: 'p1', filename: 'users.sql' } }]);
+
+    await assert.rejects(ingestSchema(store, { projectId: 'p1', userId: 'u1', fileName: 'users.sql', content: SQL }), /connection lost/);
+    assert.deepEqual(store.documents.get('p1').map(doc => doc.id), ['legacy']);
+    assert.equal(deleteOne.mock.callCount(), 1);
+    assert.ok(deleteOne.mock.calls[0].arguments[0]._id);
+});
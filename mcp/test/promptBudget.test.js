@@ -0,0 +1,68 @@
+// test/promptBudget.test.js - Token estimation and context window budgeting
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { BUDGET_CONFIG, estimateTokens, planBudget, fitToBudget, truncateToTokens } = require('../utils/promptBudget');
+
+test('estimateTokens counts words, numbers and punctuation', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens(null), 0);
+    // "select" = 2, "12345" = 2, "(" and ")" = 1 each
+    assert.equal(estimateTokens('select (12345)'), 6);
+});
+
+test('planBudget reserves the margin, the answer and the fixed parts', () => {
+    const plan = planBudget({ contextWindow: 10000, maxTokens: 1000, fixedTokens: 2000 });
+    assert.equal(plan.margin, Math.ceil(10000 * BUDGET_CONFIG.safetyMargin));
+    assert.equal(plan.answerTokens, 1000);
+    assert.equal(plan.flexibleTokens, 10000 - plan.margin - 1000 - 2000);
+});
+
+test('planBudget caps the answer share and never goes negative', () => {
+    const plan = planBudget({ contextWindow: 1000, maxTokens: 100000, fixedTokens: 5000 });
+    assert.equal(plan.answerTokens, Math.floor(1000 * BUDGET_CONFIG.answerShare));
+    assert.equal(plan.flexibleTokens, 0);
+});
+
+test('fitToBudget keeps items in priority order until the budget runs out', () => {
+    const items = ['aaaa aaaa', 'bbbb', 'cccc cccc cccc'];
+    const result = fitToBudget(items, 3, { render: item => item });
+
+    assert.deepEqual(result.selected.map(entry => entry.item), ['aaaa aaaa', 'bbbb']);
+    assert.equal(result.tokens, 3);
+    assert.equal(result.dropped, 1);
+    assert.equal(result.compressed, 0);
+});
+
+test('fitToBudget compresses an item that does not fit when enough budget remains', () => {
+    const long = 'word '.repeat(200);
+    const result = fitToBudget([long], 100, {
+        render: item => item,
+        compress: (item, tokens) => truncateToTokens(item, tokens)
+    });
+
+    assert.equal(result.selected.length, 1);
+    assert.equal(result.selected[0].compressed, true);
+    assert.ok(result.tokens <= 100);
+    assert.equal(result.compressed, 1);
+});
+
+test('fitToBudget drops instead of compressing below the minimum', () => {
+    let called = false;
+    const result = fitToBudget(['word '.repeat(200)], BUDGET_CONFIG.minCompressedTokens - 1, {
+        render: item => item,
+        compress: () => { called = true; return 'short'; }
+    });
+
+    assert.equal(called, false);
+    assert.equal(result.dropped, 1);
+});
+
+test('truncateToTokens marks the cut and stays within the limit', () => {
+    const text = 'column_name '.repeat(100);
+    assert.equal(truncateToTokens('short text', 50), 'short text');
+
+    const cut = truncateToTokens(text, 40);
+    assert.ok(cut.endsWith('(truncated to fit the context window)'));
+    assert.ok(estimateTokens(cut) <= 40);
+    assert.equal(truncateToTokens(text, 2), null);
+});
@@ -0,0 +1,73 @@
+// test/schemaDiff.test.js - Structural and entity-level diffs between schema versions
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSchemaModels, diffSchemaText } = require('../utils/schemaDiff');
+const { parseSqlSchema } = require('../utils/sqlParser');
+
+const BEFORE = `
+CREATE TYPE status AS ENUM ('a', 'b');
+CREATE TABLE users (id INT PRIMARY KEY, email TEXT, name TEXT);
+CREATE TABLE legacy (id INT);
+`;
+const AFTER = `
+CREATE TYPE status AS ENUM ('a', 'c');
+CREATE TABLE users (id INT PRIMARY KEY, email VARCHAR(255) NOT NULL, age INT);
+CREATE TABLE orders (id INT, user_id INT REFERENCES users(id));
+CREATE UNIQUE INDEX users_email ON users(email);
+`;
+
+test('diffSchemaModels reports added, removed and changed tables', () => {
+    const diff = diffSchemaModels(parseSqlSchema(BEFORE), parseSqlSchema(AFTER));
+
+    assert.deepEqual(diff.tables.added, ['orders']);
+    assert.deepEqual(diff.tables.removed, ['legacy']);
+    assert.deepEqual(diff.tables.changed.map(table => table.name), ['users']);
+    assert.deepEqual(diff.summary, {
+        tablesAdded: 1,
+        tablesRemoved: 1,
+        tablesChanged: 1,
+        columnsAdded: 1,
+        columnsRemoved: 1,
+        columnsChanged: 1,
+        identical: false
+    });
+});
+
+test('diffSchemaModels lists column property and constraint changes', () => {
+    const [users] = diffSchemaModels(parseSqlSchema(BEFORE), parseSqlSchema(AFTER)).tables.changed;
+
+    assert.deepEqual(users.columns.added, [{ name: 'age', type: 'INT', nullable: true }]);
+    assert.deepEqual(users.columns.removed, [{ name: 'name', type: 'TEXT', nullable: true }]);
+    assert.deepEqual(users.columns.changed, [{
+        name: 'email',
+        changes: {
+            type: { from: 'TEXT', to: 'VARCHAR(255)' },
+            nullable: { from: true, to: false },
+            unique: { from: false, to: true }
+        }
+    }]);
+    assert.deepEqual(users.constraints.indexes, { added: ['UNIQUE (email)'], removed: [] });
+});
+
+test('diffSchemaModels compares enum values', () => {
+    const diff = diffSchemaModels(parseSqlSchema(BEFORE), parseSqlSchema(AFTER));
+    assert.deepEqual(diff.enums.changed, [{ name: 'status', addedValues: ['c'], removedValues: ['b'] }]);
+});
+
+test('identical schemas produce an empty diff, ignoring name case', () => {
+    const diff = diffSchemaModels(parseSqlSchema('CREATE TABLE Users (ID INT);'), parseSqlSchema('create table users (id INT);'));
+    assert.equal(diff.summary.identical, true);
+    assert.deepEqual(diff.tables, { added: [], removed: [], changed: [] });
+});
+
+test('diffSchemaText compares chunker entities for formats without a model', () => {
+    const diff = diffSchemaText(
+        'type A struct {\n  X int\n}\ntype B struct {\n  Y int\n}\n',
+        'type A struct {\n  X string\n}\ntype C struct {\n  Z int\n}\n',
+        '.go'
+    );
+
+    assert.deepEqual(diff.entities, { added: ['struct C'], removed: ['struct B'], changed: ['struct A'] });
+    assert.equal(diff.summary.identical, false);
+    assert.equal(diffSchemaText('type A struct {\n  X int\n}\n', 'type A struct {\n  X int\n}\n', '.go').summary.identical, true);
+});
@@ -0,0 +1,92 @@
+// test/schemaSearch.test.js - Schema search filters and pagination
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SEARCH_MAX_WINDOW = '20';
+
+// schemaSearch destructures these at load time, so they are replaced before it is required
+const embed = require('../utils/embed');
+const vectorStore = require('../utils/vectorStore');
+const { matchesWhere } = require('../utils/localVectorStore');
+
+// 30 chunks, similarity falling from 0.99; every third is a model from a .prisma upload
+const CHUNKS = Array.from({ length: 30 }, (_, i) => ({
+    id: `c${i + 1}`,
+    text: `chunk ${i + 1}`,
+    similarity: 0.99 - i * 0.03,
+    metadata: i % 3 === 0
+        ? { filename: 'schema.prisma', fileType: '.prisma', entityName: `Model${i + 1}`, entityType: 'model', uploadId: 'u2' }
+        : { filename: 'schema.sql', fileType: '.sql', entityName: `table_${i + 1}`, entityType: 'table', uploadId: 'u1' }
+}));
+
+mock.method(embed, 'generateEmbeddingsWithModel', async () => ({ embeddings: [1, 0], embeddingModel: { provider: 'mock', model: 'hash', dimensions: 2 } }));
+const search = mock.method(vectorStore, 'searchSimilarChunks', async (store, projectId, embedding, topK, { where }) => (
+    CHUNKS.filter(chunk => matchesWhere(chunk.metadata, where)).slice(0, topK)
+));
+
+const { searchProjectSchema } = require('../utils/schemaSearch');
+
+beforeEach(() => {
+    search.mock.resetCalls();
+});
+
+const ids = (response) => response.results.map(result => result.id);
+
+test('pages are ranked across requests and report whether more follow', async () => {
+    const first = await searchProjectSchema({}, 'p1', { query: 'users', limit: 3 });
+    assert.deepEqual(ids(first), ['c1', 'c2', 'c3']);
+    assert.deepEqual(first.results.map(result => result.rank), [1, 2, 3]);
+    assert.equal(first.hasMore, true);
+    assert.equal(first.count, 3);
+    assert.deepEqual(first.embeddingModel, { embeddingModel: 'mock:hash', embeddingDimensions: 2 });
+    // One extra chunk tells whether a next page exists
+    assert.equal(search.mock.calls[0].arguments[3], 4);
+
+    const second = await searchProjectSchema({}, 'p1', { query: 'users', limit: 3, offset: 3 });
+    assert.deepEqual(ids(second), ['c4', 'c5', 'c6']);
+    assert.equal(second.results[0].rank, 4);
+
+    // The last page the window allows never claims more
+    const last = await searchProjectSchema({}, 'p1', { query: 'users', limit: 5, offset: 15 });
+    assert.deepEqual(ids(last), ['c16', 'c17', 'c18', 'c19', 'c20']);
+    assert.equal(last.hasMore, false);
+});
+
+test('filters become a metadata where clause', async () => {
+    const response = await searchProjectSchema({}, 'p1', {
+        query: 'models',
+        filters: { fileTypes: ['prisma'], entityTypes: 'model', uploadIds: [' u2 '] },
+        hybrid: false
+    });
+
+    assert.deepEqual(search.mock.calls[0].arguments[4].where, { $and: [{ fileType: '.prisma' }, { uploadId: 'u2' }, { entityType: 'model' }] });
+    assert.equal(search.mock.calls[0].arguments[4].queryText, null);
+    assert.equal(response.mode, 'vector');
+    assert.deepEqual(ids(response), ['c1', 'c4', 'c7', 'c10', 'c13', 'c16', 'c19', 'c22', 'c25', 'c28']);
+
+    await searchProjectSchema({}, 'p1', { query: 'x', filters: { entityNames: ['Model1', 'Model4'] } });
+    assert.deepEqual(search.mock.calls[1].arguments[4].where, { entityName: { $in: ['Model1', 'Model4'] } });
+});
+
+test('a similarity floor widens the search until the page is filled', async () => {
+    const response = await searchProjectSchema({}, 'p1', { query: 'users', limit: 2, offset: 2, filters: { minSimilarity: 0.9 } });
+
+    assert.deepEqual(ids(response), ['c3', 'c4']);
+    assert.equal(response.hasMore, false);
+    // Only 4 chunks clear the floor, so the search doubled until it reached the window
+    assert.deepEqual(search.mock.calls.map(call => call.arguments[3]), [5, 10, 20]);
+});
+
+test('invalid requests are rejected with status 400', async () => {
+    const rejects = (request, message) => assert.rejects(searchProjectSchema({}, 'p1', request), { status: 400, message });
+
+    await rejects({ query: '  ' }, 'query is required');
+    await rejects({ query: 'x', limit: 0 }, 'limit must be an integer between 1 and 50');
+    await rejects({ query: 'x', limit: 2.5 }, 'limit must be an integer between 1 and 50');
+    await rejects({ query: 'x', offset: -1 }, 'offset must be a non-negative integer');
+    await rejects({ query: 'x', offset: 15, limit: 10 }, 'offset + limit may not exceed 20');
+    await rejects({ query: 'x', filters: [] }, 'filters must be an object');
+    await rejects({ query: 'x', filters: { fileTypes: [''] } }, 'filters.fileTypes must be a string or an array of strings');
+    await rejects({ query: 'x', filters: { minSimilarity: 2 } }, 'filters.minSimilarity must be a number between -1 and 1');
+    assert.equal(search.mock.callCount(), 0);
+});
@@ -0,0 +1,98 @@
+// test/sqlAnalyzer.test.js - Table/column resolution and diagnostics for queries
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeQuery } = require('../utils/sqlAnalyzer');
+const { parseSqlSchema } = require('../utils/sqlParser');
+
+const schema = parseSqlSchema(`
+CREATE TABLE users (id SERIAL PRIMARY KEY, email VARCHAR(255));
+CREATE TABLE orders (id INT PRIMARY KEY, user_id INT REFERENCES users(id), total DECIMAL(10,2));
+`);
+
+const errors = (sql) => analyzeQuery(sql, schema).diagnostics.filter(d => d.severity === 'error');
+
+test('resolves tables and columns through aliases and joins', () => {
+    const result = analyzeQuery('SELECT u.email, o.total FROM users u JOIN orders o ON o.user_id = u.id', schema);
+    assert.deepEqual(result.statementTypes, ['SELECT']);
+    assert.deepEqual(result.tables.map(t => t.name), ['users', 'orders']);
+    assert.deepEqual(result.columns.map(c => `${c.table}.${c.column}`).sort(), ['orders.total', 'orders.user_id', 'users.email', 'users.id']);
+    assert.deepEqual(result.diagnostics, []);
+});
+
+test('resolves CTE and derived table columns', () => {
+    assert.deepEqual(errors('WITH big AS (SELECT user_id, total FROM orders WHERE total > 100) SELECT b.total FROM big b'), []);
+    assert.deepEqual(errors('SELECT t.email FROM (SELECT email FROM users) t'), []);
+});
+
+test('reports unknown tables and columns with suggestions', () => {
+    const [table] = errors('SELECT * FROM userz');
+    assert.equal(table.code, 'unknown_table');
+    assert.equal(table.suggestion, 'users');
+
+    const [column] = errors('SELECT emial FROM users');
+    assert.equal(column.code, 'unknown_column');
+    assert.equal(column.suggestion, 'email');
+    assert.equal(column.position, 7);
+});
+
+test('warns about comparisons between incompatible types', () => {
+    const { diagnostics } = analyzeQuery('SELECT * FROM users WHERE email > 5', schema);
+    assert.deepEqual(diagnostics.map(d => [d.severity, d.code]), [['warning', 'type_mismatch']]);
+});
+
+test('reports ambiguous columns, unknown enum values and joins on non-key columns', () => {
+    const model = parseSqlSchema(`
+CREATE TYPE status AS ENUM ('open', 'closed');
+CREATE TABLE users (id SERIAL PRIMARY KEY, email VARCHAR(255), name TEXT);
+CREATE TABLE orders (id INT PRIMARY KEY, user_id INT REFERENCES users(id), state status, name TEXT);
+`);
+    const codes = (sql) => analyzeQuery(sql, model).diagnostics.map(d => [d.severity, d.code]);
+
+    assert.deepEqual(codes('SELECT name FROM users JOIN orders ON orders.user_id = users.id'), [['error', 'ambiguous_column']]);
+    assert.deepEqual(codes("SELECT * FROM orders WHERE state = 'pending'"), [['warning', 'invalid_enum_value']]);
+    assert.deepEqual(codes("SELECT * FROM orders WHERE state = 'open'"), []);
+    assert.deepEqual(codes('SELECT * FROM users u JOIN orders o ON o.name = u.email'), [['warning', 'non_key_join']]);
+});
+
+test('reports empty input and unsupported statements', () => {
+    assert.equal(errors('').at(0).code, 'empty_query');
+    assert.deepEqual(analyzeQuery('DROP TABLE users', schema).diagnostics.map(d => [d.severity, d.code]), [['info', 'unsupported_statement']]);
+});
+
+test('warns when there is no schema to check against', () => {
+    const { tables, diagnostics } = analyzeQuery('SELECT * FROM users', null);
+    assert.deepEqual(tables.map(t => [t.name, t.known]), [['users', false]]);
+    assert.deepEqual(diagnostics.map(d => d.code), ['no_schema']);
+});
+
+test('reports clauses without an operand as syntax errors', () => {
+    const cases = {
+        'SELECT * FROM': 'Expected a table after FROM',
+        'SELECT * FROM users WHERE': 'Expected a condition after WHERE',
+        'SELECT * FROM users JOIN': 'Expected a table after "JOIN"',
+        'SELECT * FROM users u JOIN orders o ON': 'Expected a join condition after ON',
+        'SELECT * FROM users,': 'Expected a table after ","',
+        'SELECT * FROM users ORDER BY': 'Expected an expression after ORDER BY',
+        'SELECT * FROM users )': 'Unexpected ")" in FROM clause',
+        'WITH x AS (SELECT 1)': 'Expected a query after WITH',
+        'UPDATE users SET': 'Expected an assignment after SET',
+        'DELETE FROM users WHERE': 'Expected a condition after WHERE'
+    };
+
+    for (const [sql, message] of Object.entries(cases)) {
+        assert.deepEqual(errors(sql).map(d => [d.code, d.message]), [['syntax_error', message]], sql);
+    }
+});
+
+test('accepts complete statements without syntax errors', () => {
+    for (const sql of [
+        'SELECT 1',
+        'SELECT * FROM users, orders',
+        'SELECT * FROM (users u JOIN orders o USING (id))',
+        'SELECT * FROM generate_series(1, 3) g',
+        'DELETE FROM users',
+        "UPDATE users SET email = 'x' WHERE id = 1"
+    ]) {
+        assert.deepEqual(errors(sql), [], sql);
+    }
+});
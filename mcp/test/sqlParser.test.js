@@ -0,0 +1,113 @@
+// test/sqlParser.test.js - Tokenizer, dialect detection and DDL parsing
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSqlSchema, mergeSchemaModels, tokenize, detectDialect, findTable, findColumn, splitTopLevel } = require('../utils/sqlParser');
+
+const SCHEMA = `
+CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT now()
+);
+CREATE TABLE orders (
+    id INT PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    total DECIMAL(10,2)
+);
+CREATE INDEX idx_orders_user ON orders(user_id);
+`;
+
+test('tokenize drops comments and keeps string literals whole', () => {
+    const tokens = tokenize("SELECT 'a;b' -- trailing\n, x /* block */ FROM t");
+    assert.deepEqual(tokens.map(t => `${t.type}:${t.value}`), ['word:SELECT', 'string:a;b', 'punct:,', 'word:x', 'word:FROM', 'word:t']);
+});
+
+test('tokenize records source offsets', () => {
+    const sql = 'SELECT id FROM users';
+    const [, id] = tokenize(sql);
+    assert.equal(sql.slice(id.start, id.end), 'id');
+});
+
+test('splitTopLevel ignores separators inside parentheses', () => {
+    const parts = splitTopLevel(tokenize('a, f(b, c), d'), ',');
+    assert.equal(parts.length, 3);
+});
+
+test('detectDialect recognizes dialect-specific syntax', () => {
+    assert.equal(detectDialect('CREATE TABLE a (id INT AUTO_INCREMENT) ENGINE=InnoDB'), 'mysql');
+    assert.equal(detectDialect('CREATE TABLE a (id SERIAL)'), 'postgres');
+});
+
+test('parseSqlSchema reads tables, columns and constraints', () => {
+    const model = parseSqlSchema(SCHEMA);
+    assert.equal(model.format, 'sql');
+    assert.deepEqual(model.tables.map(t => t.name), ['users', 'orders']);
+
+    const users = findTable(model, 'USERS');
+    assert.deepEqual(users.primaryKey, ['id']);
+
+    const email = findColumn(users, 'email');
+    assert.equal(email.dataType, 'varchar');
+    assert.deepEqual(email.typeArgs, [255]);
+    assert.equal(email.nullable, false);
+    assert.equal(email.unique, true);
+    assert.equal(findColumn(users, 'created_at').category, 'timestamp');
+    assert.equal(findColumn(users, 'id').autoIncrement, true);
+});
+
+test('parseSqlSchema collects foreign keys and indexes', () => {
+    const orders = findTable(parseSqlSchema(SCHEMA), 'orders');
+    assert.deepEqual(orders.foreignKeys.map(fk => ({ columns: fk.columns, table: fk.table, referencedColumns: fk.referencedColumns, onDelete: fk.onDelete })), [
+        { columns: ['user_id'], table: 'users', referencedColumns: ['id'], onDelete: 'CASCADE' }
+    ]);
+    assert.deepEqual(orders.indexes.map(index => ({ name: index.name, columns: index.columns })), [
+        { name: 'idx_orders_user', columns: ['user_id'] }
+    ]);
+});
+
+test('parseSqlSchema handles table constraints, enums, schemas and comments', () => {
+    const model = parseSqlSchema(`
+CREATE TYPE mood AS ENUM ('happy', 'sad');
+CREATE TABLE public.people (
+    name TEXT,
+    feeling mood,
+    tag_id INT,
+    PRIMARY KEY (name, tag_id),
+    CONSTRAINT fk_tag FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE SET NULL
+);
+COMMENT ON TABLE public.people IS 'Folks';
+`);
+    const people = findTable(model, 'people', 'public');
+
+    assert.deepEqual(model.enums, [{ name: 'mood', schema: null, values: ['happy', 'sad'] }]);
+    assert.deepEqual(people.primaryKey, ['name', 'tag_id']);
+    assert.equal(people.comment, 'Folks');
+    assert.equal(findColumn(people, 'feeling').category, 'enum');
+    assert.deepEqual(people.foreignKeys.map(fk => [fk.name, fk.table, fk.onDelete]), [['fk_tag', 'tags', 'SET NULL']]);
+});
+
+test('parseSqlSchema reads MySQL DDL and skips broken statements with a warning', () => {
+    const model = parseSqlSchema('CREATE TABLE `orders` (`id` int NOT NULL AUTO_INCREMENT, PRIMARY KEY (`id`)) ENGINE=InnoDB; CREATE TABLE broken (');
+
+    assert.equal(model.dialect, 'mysql');
+    assert.deepEqual(model.tables.map(t => t.name), ['orders']);
+    assert.equal(findColumn(model.tables[0], 'id').autoIncrement, true);
+    assert.equal(model.warnings.length, 1);
+    assert.match(model.warnings[0], /^Skipped statement "CREATE TABLE broken \("/);
+});
+
+test('parseSqlSchema applies ALTER TABLE', () => {
+    const model = parseSqlSchema(`${SCHEMA}\nALTER TABLE users ADD COLUMN name TEXT;`);
+    assert.ok(findColumn(findTable(model, 'users'), 'name'));
+});
+
+test('mergeSchemaModels combines files, later definitions winning', () => {
+    const merged = mergeSchemaModels([
+        parseSqlSchema('CREATE TABLE a (id INT); CREATE TABLE b (id INT);'),
+        null,
+        parseSqlSchema('CREATE TABLE b (id INT, name TEXT);')
+    ]);
+    assert.deepEqual(merged.tables.map(t => t.name).sort(), ['a', 'b']);
+    assert.ok(findColumn(findTable(merged, 'b'), 'name'));
+    assert.equal(mergeSchemaModels([null]), null);
+});
@@ -0,0 +1,134 @@
+// test/sqlSandbox.test.js - Read-only query execution against a throwaway SQLite copy of the schema
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runSqlInSandbox, executeInSandbox, checkReadOnlySql, adaptToSqlite, SANDBOX_CONFIG } = require('../utils/sqlSandbox');
+const { parseSqlSchema } = require('../utils/sqlParser');
+
+const schema = parseSqlSchema(`
+CREATE TABLE users (id SERIAL PRIMARY KEY, email VARCHAR(255) NOT NULL);
+CREATE TABLE orders (id INT PRIMARY KEY, user_id INT REFERENCES users(id), total DECIMAL(10,2));
+`);
+
+test('checkReadOnlySql accepts read-only statements', () => {
+    for (const sql of [
+        'SELECT 1',
+        '  -- leading comment\nselect * from users',
+        'WITH t AS (SELECT 1) SELECT * FROM t',
+        'VALUES (1), (2)',
+        'EXPLAIN QUERY PLAN SELECT * FROM users',
+        "SELECT 'attach database' AS note"
+    ]) {
+        assert.equal(checkReadOnlySql(sql), null, sql);
+    }
+});
+
+test('checkReadOnlySql rejects writes and anything else', () => {
+    for (const sql of ['DELETE FROM users', "INSERT INTO users VALUES (1, 'a')", 'DROP TABLE users', 'CREATE TABLE x (id INT)', '']) {
+        assert.match(checkReadOnlySql(sql), /^Only read-only statements/, sql);
+    }
+});
+
+test('checkReadOnlySql rejects ATTACH, DETACH and PRAGMA anywhere in the query', () => {
+    assert.match(checkReadOnlySql("ATTACH DATABASE '/tmp/x.db' AS x"), /^Only read-only statements/);
+    assert.match(checkReadOnlySql('PRAGMA query_only = OFF'), /^Only read-only statements/);
+    assert.equal(checkReadOnlySql("SELECT 1; ATTACH DATABASE '/tmp/x.db' AS x"), 'ATTACH is not allowed in the sandbox');
+    assert.equal(checkReadOnlySql("EXPLAIN ATTACH DATABASE '/tmp/x.db' AS x"), 'ATTACH is not allowed in the sandbox');
+    assert.equal(checkReadOnlySql('EXPLAIN DETACH DATABASE main'), 'DETACH is not allowed in the sandbox');
+    assert.equal(checkReadOnlySql('EXPLAIN PRAGMA query_only = OFF'), 'PRAGMA is not allowed in the sandbox');
+});
+
+test('executeInSandbox runs queries against seeded tables', () => {
+    const result = executeInSandbox('SELECT id, email FROM users ORDER BY id', schema, { seedRows: 2 });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.columns, ['id', 'email']);
+    assert.equal(result.rowCount, 2);
+    assert.equal(result.rows.length, 2);
+});
+
+test('executeInSandbox truncates to maxRows', () => {
+    const result = executeInSandbox('SELECT * FROM users', schema, { seedRows: 5, maxRows: 3 });
+    assert.equal(result.rows.length, 3);
+    assert.equal(result.truncated, true);
+});
+
+test('executeInSandbox rejects writes', () => {
+    const result = executeInSandbox('DELETE FROM users', schema);
+    assert.equal(result.success, false);
+    assert.match(result.error, /^Only read-only statements/);
+});
+
+test('executeInSandbox never creates files through ATTACH', () => {
+    const target = path.join(os.tmpdir(), `sandbox-attach-${process.pid}.db`);
+    for (const sql of [`ATTACH DATABASE '${target}' AS x`, `EXPLAIN ATTACH DATABASE '${target}' AS x`]) {
+        const result = executeInSandbox(sql, schema);
+        assert.equal(result.success, false, sql);
+    }
+    assert.equal(fs.existsSync(target), false);
+});
+
+test('executeInSandbox reports SQL errors instead of throwing', () => {
+    const result = executeInSandbox('SELECT missing FROM users', schema);
+    assert.equal(result.success, false);
+    assert.match(result.error, /no such column/);
+});
+
+test('adaptToSqlite rewrites Postgres-only syntax', () => {
+    assert.equal(adaptToSqlite("SELECT id::text FROM users WHERE email ILIKE '%a%'", 'postgres'), "SELECT id FROM users WHERE email LIKE '%a%'");
+});
+
+test('runSqlInSandbox runs the query in a child process', async () => {
+    const result = await runSqlInSandbox('SELECT count(*) AS n FROM orders', schema, { seedRows: 4 });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.rows, [[4]]);
+    assert.equal(typeof result.executionTime, 'number');
+});
+
+test('runSqlInSandbox stops queries that exceed the time limit', async () => {
+    const endless = 'WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n) SELECT count(*) FROM n';
+    const result = await runSqlInSandbox(endless, schema, { timeoutMs: 300 });
+    assert.equal(result.success, false);
+    assert.equal(result.timedOut, true);
+});
+
+test('runSqlInSandbox kills the child when the signal aborts', async () => {
+    const endless = 'WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n) SELECT count(*) FROM n';
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    const result = await runSqlInSandbox(endless, schema, { timeoutMs: 5000, signal: controller.signal });
+    assert.equal(result.success, false);
+    assert.equal(result.cancelled, true);
+    assert.ok(result.executionTime < 5000);
+
+    const early = await runSqlInSandbox('SELECT 1', schema, { signal: controller.signal });
+    assert.equal(early.cancelled, true);
+});
+
+test('runSqlInSandbox queues queries beyond maxConcurrent', async (t) => {
+    const endless = 'WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n) SELECT count(*) FROM n';
+    const maxConcurrent = SANDBOX_CONFIG.maxConcurrent;
+    SANDBOX_CONFIG.maxConcurrent = 1;
+    t.after(() => { SANDBOX_CONFIG.maxConcurrent = maxConcurrent; });
+
+    const startTime = Date.now();
+    const results = await Promise.all([
+        runSqlInSandbox(endless, schema, { timeoutMs: 300 }),
+        runSqlInSandbox(endless, schema, { timeoutMs: 300 })
+    ]);
+    // The second query only starts, and its time limit only runs, once the first child is gone
+    assert.ok(results.every(result => result.timedOut));
+    assert.ok(Date.now() - startTime >= 600);
+
+    // Aborting a queued query gives up its place without waiting for the running one
+    const controller = new AbortController();
+    const running = runSqlInSandbox(endless, schema, { timeoutMs: 1000 });
+    const queued = runSqlInSandbox('SELECT 1', schema, { signal: controller.signal });
+    controller.abort();
+    const queuedAt = Date.now();
+    assert.equal((await queued).cancelled, true);
+    assert.ok(Date.now() - queuedAt < 1000);
+    assert.equal((await running).timedOut, true);
+});
@@ -0,0 +1,107 @@
+// test/sqlTool.test.js - generate-sql, validate-sql and run-sql against the uploaded schema
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const chatTool = require('../tools/chatTool');
+const { parseSqlSchema } = require('../utils/sqlParser');
+
+// sqlTool picks these up when it is loaded, so stub them first
+let reply = '';
+let lastPrompt = null;
+mock.method(chatTool, 'retrieveSchemaContext', async () => ({ hasContext: false, chunks: [] }));
+mock.method(chatTool, 'generateStreamingResponse', async (prompt, onData) => {
+    lastPrompt = prompt;
+    onData({ content: reply });
+});
+const { generateSqlTool, validateSqlTool, runSqlTool, executeAnswerSql } = require('../tools/sqlTool');
+
+const schema = parseSqlSchema('CREATE TABLE users (id SERIAL PRIMARY KEY, email VARCHAR(255));');
+
+beforeEach(() => {
+    reply = '';
+    lastPrompt = null;
+});
+
+test('reads the requested JSON shape', async () => {
+    reply = 'Here you go: {"sql": "SELECT email FROM users WHERE id = 1", "explanation": "Looks up one user."}';
+    const result = await generateSqlTool('email of user 1', 'p1', schema);
+
+    assert.equal(result.sql, 'SELECT email FROM users WHERE id = 1;');
+    assert.equal(result.explanation, 'Looks up one user.');
+    assert.equal(result.dialect, 'postgres');
+    assert.deepEqual(result.tables, ['users']);
+    assert.deepEqual(result.columns.sort(), ['users.email', 'users.id']);
+    assert.equal(result.valid, true);
+});
+
+test('falls back to fenced and bare SQL', async () => {
+    reply = 'Use this:\n```sql\nSELECT id FROM users;\n```';
+    assert.equal((await generateSqlTool('ids', 'p1', schema)).sql, 'SELECT id FROM users;');
+
+    reply = 'SELECT count(*) FROM users';
+    assert.equal((await generateSqlTool('how many', 'p1', schema)).sql, 'SELECT count(*) FROM users;');
+});
+
+test('reports invented columns as invalid', async () => {
+    reply = '{"sql": "SELECT phone FROM users", "explanation": ""}';
+    const result = await generateSqlTool('phones', 'p1', schema);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.warnings.map(w => w.code), ['unknown_column']);
+});
+
+test('returns no_sql when the reply has no statement', async () => {
+    reply = 'I cannot answer that with this schema.';
+    const result = await generateSqlTool('weather', 'p1', schema);
+
+    assert.equal(result.sql, null);
+    assert.equal(result.valid, false);
+    assert.equal(result.explanation, 'I cannot answer that with this schema.');
+    assert.deepEqual(result.warnings.map(w => w.code), ['no_sql']);
+});
+
+test('validate-sql reports diagnostics without calling the model', async () => {
+    const result = await validateSqlTool('SELECT phone FROM userz', schema, { projectId: 'p1' });
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.summary, { errors: 1, warnings: 0 });
+    assert.deepEqual(result.diagnostics.map(d => [d.code, d.suggestion]), [['unknown_table', 'users']]);
+    assert.equal(result.explanation, null);
+    assert.equal(lastPrompt, null);
+});
+
+test('validate-sql asks the model to explain the findings when requested', async () => {
+    reply = ' Use users.email instead. ';
+    const result = await validateSqlTool('SELECT emial FROM users', schema, { projectId: 'p1', explain: true });
+
+    assert.equal(result.valid, false);
+    assert.equal(result.explanation, 'Use users.email instead.');
+    assert.match(lastPrompt, /\[error\] Unknown column "emial" \(not found in users\) \(did you mean "email"\?\)/);
+    assert.match(lastPrompt, /Table users:/);
+});
+
+test('run-sql adds a badge describing the outcome', async () => {
+    const ok = await runSqlTool('SELECT id FROM users', schema, { seedRows: 1 });
+    assert.deepEqual(ok.badge, { status: 'success', label: 'Executed successfully (1 row)' });
+
+    const failed = await runSqlTool('SELECT phone FROM users', schema);
+    assert.equal(failed.badge.status, 'failed');
+    assert.match(failed.badge.label, /^Failed with no such column: phone/);
+});
+
+test('executeAnswerSql runs each statement of the SQL blocks in an answer', async () => {
+    const answer = [
+        'Count the users:',
+        '```sql',
+        'SELECT count(*) FROM users; SELECT phone FROM users;',
+        '```',
+        '```js',
+        'const sql = "SELECT 1";',
+        '```'
+    ].join('\n');
+    const executions = await executeAnswerSql(answer, schema);
+
+    assert.deepEqual(executions.map(e => [e.sql, e.success, e.badge.status]), [
+        ['SELECT count(*) FROM users', true, 'success'],
+        ['SELECT phone FROM users', false, 'failed']
+    ]);
+});
@@ -0,0 +1,46 @@
+// test/taskRegistry.test.js - Task ids, cancellation and aborting LLM streams
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTask, cancelTask, finishTask, getTask, isCancellation } = require('../utils/taskRegistry');
+const { resolveLlmConfig, generateWithProvider } = require('../utils/llmProviders');
+
+test('tasks are registered until finished', () => {
+    const task = startTask({ type: 'chat', projectId: 'p1', userId: 'u1' });
+    assert.match(task.id, /^[0-9a-f-]{36}$/);
+    assert.equal(getTask(task.id), task);
+
+    finishTask(task.id);
+    assert.equal(getTask(task.id), null);
+    assert.equal(cancelTask(task.id), null);
+});
+
+test('cancelTask aborts the signal with a recognisable reason', () => {
+    const task = startTask({ type: 'generate-sql', projectId: 'p1', userId: 'u1' });
+
+    assert.equal(cancelTask(task.id, 'client_disconnected'), task);
+    assert.equal(task.signal.aborted, true);
+    assert.equal(task.signal.reason.reason, 'client_disconnected');
+    assert.equal(isCancellation(task.signal.reason), true);
+    // A second cancel keeps the first reason
+    cancelTask(task.id);
+    assert.equal(task.signal.reason.reason, 'client_disconnected');
+    finishTask(task.id);
+
+    assert.equal(isCancellation(new Error('boom')), false);
+    assert.equal(isCancellation(new Error('boom'), task.signal), true);
+});
+
+test('generateWithProvider stops streaming once the task is cancelled', async () => {
+    process.env.MOCK_LLM_RESPONSE = 'one two three four five';
+    const task = startTask({ type: 'chat', projectId: 'p1', userId: 'u1' });
+    const chunks = [];
+
+    const used = await generateWithProvider('q', (chunk) => {
+        chunks.push(chunk.content);
+        if (chunks.length === 2) cancelTask(task.id);
+    }, resolveLlmConfig({ provider: 'mock', fallbackProvider: 'mock' }), { signal: task.signal });
+
+    assert.deepEqual(used, { provider: 'mock', model: 'mock-echo', cancelled: true });
+    assert.deepEqual(chunks, ['one ', 'two ']);
+    finishTask(task.id);
+});
@@ -0,0 +1,119 @@
+// test/usageLimits.test.js - Daily quotas and per-user / per-project rate limits
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+
+// Limits are read when the module loads
+process.env.QUOTA_USER_DAILY_REQUESTS = '3';
+process.env.QUOTA_PROJECT_DAILY_REQUESTS = '4';
+process.env.QUOTA_USER_DAILY_TOKENS = '0';
+process.env.QUOTA_PROJECT_DAILY_TOKENS = '100';
+process.env.CHAT_RATE_LIMIT_PER_USER = '2';
+
+const { UsageRecord } = require('../models/index.js');
+const { checkQuota, consumeQuota, recordUsage, requireQuota, createRateLimiter, consumeRateLimit, getUsage } = require('../utils/usageLimits');
+
+// In-memory stand-in for the UsageRecord collection
+let records;
+
+beforeEach(() => {
+    records = [];
+    mock.method(UsageRecord, 'find', ({ day, $or }) => ({
+        lean: async () => records.filter(record => record.day === day && $or.some(({ scope, key }) => record.scope === scope && record.key === key))
+    }));
+    mock.method(UsageRecord, 'updateOne', async ({ scope, key, day }, { $inc }) => {
+        let record = records.find(r => r.scope === scope && r.key === key && r.day === day);
+        if (!record) records.push(record = { scope, key, day });
+        for (const [metric, value] of Object.entries($inc)) record[metric] = (record[metric] || 0) + value;
+    });
+});
+
+test('consumeQuota counts against both the user and the project', async () => {
+    const subject = { userId: 'u1', projectId: 'p1' };
+    for (let i = 0; i < 3; i++) await consumeQuota(subject, 'requests');
+
+    await assert.rejects(consumeQuota(subject, 'requests'), (error) => {
+        assert.equal(error.status, 429);
+        assert.match(error.message, /^Daily request quota for this user reached \(3\/3\)/);
+        assert.deepEqual(error.quota, { scope: 'user', metric: 'requests', used: 3, limit: 3, requested: 1 });
+        assert.ok(error.retryAfter > 0 && error.retryAfter <= 86400);
+        return true;
+    });
+
+    // Another user still shares the project's quota
+    await consumeQuota({ userId: 'u2', projectId: 'p1' }, 'requests');
+    await assert.rejects(consumeQuota({ userId: 'u2', projectId: 'p1' }, 'requests'), { status: 429, quota: { scope: 'project', metric: 'requests', used: 4, limit: 4, requested: 1 } });
+});
+
+test('checkQuota with amount 0 only fails once the quota is spent', async () => {
+    await recordUsage({ userId: 'u1', projectId: 'p1' }, { tokensGenerated: 99 });
+    await checkQuota({ userId: 'u1', projectId: 'p1' }, 'tokensGenerated', 0);
+    await assert.rejects(checkQuota({ userId: 'u1', projectId: 'p1' }, 'tokensGenerated', 2), { status: 429 });
+
+    await recordUsage({ userId: 'u1', projectId: 'p1' }, { tokensGenerated: 1 });
+    await assert.rejects(checkQuota({ userId: 'u1', projectId: 'p1' }, 'tokensGenerated', 0), { status: 429 });
+});
+
+test('a quota of 0 is unlimited and unknown metrics are not recorded', async () => {
+    await recordUsage({ userId: 'u1' }, { tokensGenerated: 1e9, bogus: 5 });
+    await checkQuota({ userId: 'u1' }, 'tokensGenerated', 1e9);
+    assert.deepEqual(records.map(({ scope, key, tokensGenerated, bogus }) => [scope, key, tokensGenerated, bogus]), [['user', 'u1', 1e9, undefined]]);
+});
+
+test('getUsage reports used, limit and remaining per metric', async () => {
+    await recordUsage({ userId: 'u1', projectId: 'p1' }, { requests: 2 });
+    const usage = await getUsage({ userId: 'u1', projectId: 'p1' });
+
+    assert.deepEqual(usage.user.requests, { used: 2, limit: 3, remaining: 1 });
+    assert.deepEqual(usage.project.requests, { used: 2, limit: 4, remaining: 2 });
+    assert.deepEqual(usage.user.tokensGenerated, { used: 0, limit: null, remaining: null });
+});
+
+test('HTTP limits answer 429 with Retry-After', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => { req.user = { userId: req.get('x-user') }; next(); });
+    app.post('/chat/:projectId', createRateLimiter('chat', 'user'), requireQuota('requests'), (req, res) => res.json({ ok: true }));
+    const listener = app.listen(0);
+    await once(listener, 'listening');
+    const post = (user, projectId = 'p9') => fetch(`http://127.0.0.1:${listener.address().port}/chat/${projectId}`, { method: 'POST', headers: { 'x-user': user } });
+
+    try {
+        assert.equal((await post('a')).status, 200);
+        assert.equal((await post('a')).status, 200);
+
+        const limited = await post('a');
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+        const body = await limited.json();
+        assert.equal(body.error, 'Too many requests');
+        assert.deepEqual(body.limit, { name: 'chat', scope: 'user', max: 2, windowMs: 60000 });
+
+        // The daily quota trips independently of the rate limit
+        assert.equal((await post('b')).status, 200);
+        assert.equal((await post('b')).status, 200);
+        const quota = await post('c');
+        assert.equal(quota.status, 429);
+        assert.equal((await quota.json()).error, 'Quota exceeded');
+    } finally {
+        listener.close();
+    }
+});
+
+test('MCP tool calls count against the same rate limit windows as HTTP routes', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.equal(createRateLimiter('chat', 'user'), createRateLimiter('chat', 'user'));
+
+    const subject = { userId: 'mcp-user', projectId: 'mcp-project' };
+    await consumeRateLimit('chat', subject);
+    await consumeRateLimit('chat', subject);
+    await assert.rejects(consumeRateLimit('chat', subject), (error) => {
+        assert.equal(error.status, 429);
+        assert.ok(error.retryAfter >= 1 && error.retryAfter <= 60);
+        return true;
+    });
+
+    // Without a user only the project window counts
+    await consumeRateLimit('chat', { projectId: 'mcp-other' });
+});
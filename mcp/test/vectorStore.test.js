@@ -0,0 +1,213 @@
+// test/vectorStore.test.js - Vector cleanup, embedding model scoping and ChromaDB collection layouts
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.EMBEDDING_PROVIDER = 'mock';
+process.env.EMBEDDING_DIMENSIONS = '4';
+
+const {
+    deleteFileEmbeddings, deleteUploadEmbeddings, deleteProjectEmbeddings, storeSchemaEmbeddings, searchSimilarChunks,
+    getCollectionName, listProjects, migrateSharedCollection
+} = require('../utils/vectorStore');
+const { createLocalStore, matchesWhere } = require('../utils/localVectorStore');
+
+function doc(id, metadata) {
+    return { id, text: id, embedding: [1, 0], metadata: { projectId: 'p1', ...metadata } };
+}
+
+function memoryStore() {
+    return {
+        isInMemory: true,
+        documents: new Map([['p1', [
+            doc('legacy', { filename: 'a.sql' }),
+            doc('v1', { filename: 'a.sql', uploadId: 'u1', uploadedAt: '2026-01-01T00:00:00.000Z' }),
+            doc('v2', { filename: 'a.sql', uploadId: 'u2', uploadedAt: '2026-02-01T00:00:00.000Z' }),
+            doc('v2-replaced', { filename: 'a.sql', uploadId: 'u2', uploadedAt: '2026-03-01T00:00:00.000Z' }),
+            doc('other', { filename: 'b.sql', uploadId: 'u3' })
+        ]]])
+    };
+}
+
+const remainingIds = (store) => store.documents.get('p1').map(d => d.id);
+
+test('deleteFileEmbeddings keeps the version just stored', async () => {
+    const store = memoryStore();
+    assert.equal(await deleteFileEmbeddings(store, 'p1', 'a.sql', { keepUploadId: 'u2' }), 2);
+    assert.deepEqual(remainingIds(store), ['v2', 'v2-replaced', 'other']);
+
+    assert.equal(await deleteFileEmbeddings(store, 'p1', 'a.sql'), 2);
+    assert.deepEqual(remainingIds(store), ['other']);
+});
+
+test('deleteUploadEmbeddings removes one upload plus untagged legacy vectors of its file', async () => {
+    const store = memoryStore();
+    assert.equal(await deleteUploadEmbeddings(store, 'p1', { uploadId: 'u2', filename: 'a.sql' }), 3);
+    assert.deepEqual(remainingIds(store), ['v1', 'other']);
+});
+
+test('deleteUploadEmbeddings with storedBefore spares the replacement vectors', async () => {
+    const store = memoryStore();
+    const removed = await deleteUploadEmbeddings(store, 'p1', { uploadId: 'u2', filename: 'a.sql', storedBefore: '2026-03-01T00:00:00.000Z' });
+    assert.equal(removed, 2);
+    assert.deepEqual(remainingIds(store), ['v1', 'v2-replaced', 'other']);
+});
+
+test('ChromaDB deletes are filtered by file and then by id', async () => {
+    const calls = [];
+    const store = {
+        collection: {
+            get: async (query) => {
+                calls.push(['get', query]);
+                return { ids: ['x1', 'x2'], metadatas: [{ uploadId: 'u1' }, { uploadId: 'u2' }] };
+            },
+            delete: async (query) => { calls.push(['delete', query]); }
+        }
+    };
+
+    assert.equal(await deleteUploadEmbeddings(store, 'p1', { uploadId: 'u1', filename: 'a.sql' }), 1);
+    assert.deepEqual(calls, [
+        ['get', { where: { $and: [{ projectId: 'p1' }, { filename: 'a.sql' }] }, include: ['metadatas'] }],
+        ['delete', { ids: ['x1'] }]
+    ]);
+});
+
+test('stored vectors are tagged with their model and searches only compare equal tags', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const warn = t.mock.method(console, 'warn', () => {});
+    const store = createLocalStore({ snapshotPath: '' });
+
+    assert.equal(await storeSchemaEmbeddings(store, 'p1', ['Table users: id, email'], { filename: 'a.sql' }), 1);
+    const [stored] = store.documents.get('p1');
+    assert.equal(stored.metadata.embeddingModel, 'mock:hash');
+    assert.equal(stored.metadata.embeddingDimensions, 4);
+
+    // A vector from an older model, with the same length
+    store.documents.get('p1').push({ id: 'old', text: 'Table orders', embedding: stored.embedding, metadata: { projectId: 'p1', embeddingModel: 'ollama:nomic-embed-text', embeddingDimensions: 4 } });
+
+    const found = await searchSimilarChunks(store, 'p1', stored.embedding, 5);
+    assert.deepEqual(found.map(chunk => chunk.id), [stored.id]);
+    const hybrid = await searchSimilarChunks(store, 'p1', stored.embedding, 5, { queryText: 'users email' });
+    assert.deepEqual(hybrid.map(chunk => chunk.id), [stored.id]);
+
+    const other = await searchSimilarChunks(store, 'p1', stored.embedding, 5, { embeddingModel: { provider: 'openai', model: 'text-embedding-3-small' } });
+    assert.deepEqual(other, []);
+    assert.match(warn.mock.calls.at(-1).arguments[0], /has 2 vectors but none from openai:text-embedding-3-small \(4 dimensions\); reindex it/);
+});
+
+// Fake ChromaDB client: collections by name, each holding rows by id
+function chromaClient() {
+    const collections = new Map();
+    const makeCollection = (name) => {
+        const rows = new Map();
+        return {
+            name,
+            rows,
+            upsert: async ({ ids, embeddings, documents, metadatas }) => {
+                ids.forEach((id, i) => rows.set(id, { id, embedding: embeddings[i], text: documents[i], metadata: metadatas[i] }));
+            },
+            add: async (records) => collections.get(name).upsert(records),
+            get: async ({ where, limit = Infinity, offset = 0 } = {}) => {
+                const page = [...rows.values()].filter(row => matchesWhere(row.metadata, where)).slice(offset, offset + limit);
+                return {
+                    ids: page.map(row => row.id),
+                    documents: page.map(row => row.text),
+                    embeddings: page.map(row => row.embedding),
+                    metadatas: page.map(row => row.metadata)
+                };
+            },
+            delete: async ({ ids, where }) => {
+                for (const row of [...rows.values()]) {
+                    if (ids ? ids.includes(row.id) : matchesWhere(row.metadata, where)) rows.delete(row.id);
+                }
+            },
+            count: async () => rows.size
+        };
+    };
+
+    return {
+        collections,
+        getOrCreateCollection: async ({ name }) => {
+            if (!collections.has(name)) collections.set(name, makeCollection(name));
+            return collections.get(name);
+        },
+        getCollection: async ({ name }) => {
+            if (!collections.has(name)) throw new Error(`Collection ${name} does not exist`);
+            return collections.get(name);
+        },
+        deleteCollection: async ({ name }) => { collections.delete(name); },
+        listCollections: async ({ limit, offset }) => [...collections.values()].slice(offset, offset + limit)
+    };
+}
+
+async function chromaStore(collectionMode) {
+    const client = chromaClient();
+    const collection = await client.getOrCreateCollection({ name: 'schema_embeddings' });
+    return { client, collection, collections: new Map(), collectionMode };
+}
+
+function row(id, projectId, timestamp = '2026-01-01T00:00:00.000Z') {
+    return { ids: [id], embeddings: [[1, 0]], documents: [id], metadatas: [{ projectId, filename: 'a.sql', timestamp }] };
+}
+
+test('collection names keep a readable id and a hash, per project or per tenant', () => {
+    assert.equal(getCollectionName('acme:billing', 'shared'), 'schema_embeddings');
+
+    const billing = getCollectionName('acme:billing', 'project');
+    assert.match(billing, /^schema_embeddings_acme-billing_[0-9a-f]{8}$/);
+    assert.notEqual(billing, getCollectionName('acme/billing', 'project'));
+    assert.match(getCollectionName('***', 'project'), /^schema_embeddings_[0-9a-f]{8}$/);
+
+    assert.equal(getCollectionName('acme:billing', 'tenant'), getCollectionName('acme:crm', 'tenant'));
+    assert.match(getCollectionName('acme:billing', 'tenant'), /^schema_embeddings_acme_[0-9a-f]{8}$/);
+});
+
+test('listProjects counts vectors per project in the local store', async () => {
+    const store = createLocalStore({ snapshotPath: '' });
+    store.documents.set('p1', [doc('a', { timestamp: '2026-01-01T00:00:00.000Z' }), doc('b', { timestamp: '2026-02-01T00:00:00.000Z' })]);
+    store.documents.set('emptied', []);
+
+    assert.deepEqual(await listProjects(store), [{ projectId: 'p1', documentCount: 2, lastUpdated: Date.parse('2026-02-01T00:00:00.000Z') }]);
+});
+
+test('per-project collections are listed, dropped and filled by migration', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const store = await chromaStore('project');
+    await store.collection.add(row('s1', 'p1'));
+    await store.collection.add(row('s2', 'p2', '2026-03-01T00:00:00.000Z'));
+    await store.collection.add({ ids: ['foreign'], embeddings: [[0, 1]], documents: ['x'], metadatas: [{ source: 'other-app' }] });
+
+    // Nothing outside the shared collection yet
+    assert.deepEqual(await listProjects(store), []);
+    assert.equal(await deleteUploadEmbeddings(store, 'p1', { uploadId: 'u1', filename: 'a.sql' }), 0);
+
+    assert.deepEqual(await migrateSharedCollection(store), { moved: 2, projects: { p1: 1, p2: 1 } });
+    assert.deepEqual([...store.collection.rows.keys()], ['foreign']);
+    assert.deepEqual(await listProjects(store), [
+        { projectId: 'p1', documentCount: 1, lastUpdated: Date.parse('2026-01-01T00:00:00.000Z'), collection: getCollectionName('p1', 'project') },
+        { projectId: 'p2', documentCount: 1, lastUpdated: Date.parse('2026-03-01T00:00:00.000Z'), collection: getCollectionName('p2', 'project') }
+    ]);
+
+    // Running it again moves nothing
+    assert.deepEqual(await migrateSharedCollection(store), { moved: 0, projects: {} });
+
+    await deleteProjectEmbeddings(store, 'p1');
+    assert.equal(store.client.collections.has(getCollectionName('p1', 'project')), false);
+    assert.equal(store.client.collections.has(getCollectionName('p2', 'project')), true);
+});
+
+test('tenant collections are shared by the projects of a tenant', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const store = await chromaStore('tenant');
+    await store.collection.add(row('a', 'acme:billing'));
+    await store.collection.add(row('b', 'acme:crm'));
+
+    assert.equal((await migrateSharedCollection(store, { projectId: 'acme:crm' })).moved, 1);
+    assert.equal(store.collection.rows.size, 1);
+    await migrateSharedCollection(store);
+    assert.equal(store.client.collections.size, 2);
+
+    await deleteProjectEmbeddings(store, 'acme:crm');
+    assert.deepEqual((await listProjects(store)).map(project => project.projectId), ['acme:billing']);
+
+    await assert.rejects(migrateSharedCollection(await chromaStore('shared')), /Set VECTOR_COLLECTION_MODE to project or tenant/);
+});
@@ -1,10 +1,11 @@
 // tools/chatTool.js - Updated Schema-Aware Chat Tool with History
-const { generateEmbeddings } = require('../utils/embed');
+const { generateEmbeddingsWithModel } = require('../utils/embed');
 const { searchSimilarChunks } = require('../utils/vectorStore');
-const axios = require('axios');
+const { resolveLlmConfig, generateWithProvider, getContextWindow } = require('../utils/llmProviders');
+const { BUDGET_CONFIG, estimateTokens, planBudget, fitToBudget, truncateToTokens } = require('../utils/promptBudget');
+const { getProjectSchemaModel } = require('../utils/projectData');
+const { renderErd, detectDiagramRequest } = require('../utils/erd');
 
-const OLLAMA_BASE_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
-const DEFAULT_MODEL = process.env.OLLAMA_MODEL || 'llama3.2:1b-instruct-q4_K_M';
 const MAX_CONTEXT_CHUNKS = parseInt(process.env.MAX_CONTEXT_CHUNKS) || 5;
 const MAX_CONVERSATION_HISTORY = parseInt(process.env.MAX_CONVERSATION_HISTORY) || 5;
 
@@ -15,27 +16,57 @@ const MAX_CONVERSATION_HISTORY = parseInt(process.env.MAX_CONVERSATION_HISTORY)
  * @param {string} userId - User identifier
  * @param {function} streamFn - Function to stream response chunks to client
  * @param {Array} conversationHistory - Recent conversation history
- * @returns {Array} Context chunks used for response generation
+ * @param {object} llmConfig - Resolved provider settings (see utils/llmProviders)
+ * @param {object} options - { signal } - AbortSignal that stops retrieval and generation
+ * @returns {Promise<object>} { contextUsed, citations, llm, budget, diagram, cancelled } - context chunks used, their [n]
+ *   markers (see describeSources), the { provider, model } that answered, the prompt's token breakdown, the rendered
+ *   diagram when the question asked for one (answered without the LLM), and whether the run was cancelled
  */
-async function chatTool(input, projectId, userId, streamFn, conversationHistory = []) {
+async function chatTool(input, projectId, userId, streamFn, conversationHistory = [], llmConfig = resolveLlmConfig(), { signal } = {}) {
     console.log(`💬 Processing chat request for project: ${projectId}`);
 
     let contextUsed = [];
 
     try {
+        // Diagram requests ("show me the diagram for orders") are drawn from the parsed schema
+        const diagram = await answerDiagramRequest(input, projectId, streamFn);
+        if (diagram) {
+            return { contextUsed, citations: [], llm: null, diagram };
+        }
+
         // Step 1: Retrieve relevant schema context using RAG
         const context = await retrieveSchemaContext(input, projectId);
-        contextUsed = context.chunks;
+        if (signal?.aborted) {
+            return { contextUsed, citations: [], llm: null, cancelled: true };
+        }
 
-        // Step 2: Construct context-aware prompt with history
-        const prompt = buildContextAwarePrompt(input, context, projectId, conversationHistory);
+        // Step 2: Construct context-aware prompt with history, within the model's context window
+        const { prompt, chunks, budget } = buildContextAwarePrompt(input, context, projectId, conversationHistory, llmConfig);
+        contextUsed = chunks;
 
+        // Tell the client what the answer can cite before any of it arrives
+        const sources = describeSources(chunks);
+        streamFn({ type: 'context', sources });
 
         console.log({"the prompt we build is":prompt})
-        // Step 3: Send to LLM and stream response
-        await generateStreamingResponse(prompt, streamFn);
+        // Step 3: Send to LLM and stream response; the answer gets what the prompt left of the window
+        let answer = '';
+        const llm = await generateStreamingResponse(prompt, (data) => {
+            if (data.type === 'content') answer += data.content;
+            streamFn(data);
+        }, {
+            ...llmConfig,
+            contextSize: budget.contextWindow,
+            maxTokens: budget.answerTokens
+        }, { signal });
+
+        const citations = markCitedSources(answer, sources);
+        const cancelled = Boolean(llm?.cancelled);
+        if (llm && !cancelled && sources.length > 0) {
+            streamFn({ type: 'citations', cited: citations.filter(source => source.cited).map(source => source.marker) });
+        }
 
-        return contextUsed;
+        return { contextUsed, citations, llm, budget, cancelled };
 
     } catch (error) {
         console.error('❌ Chat tool error:', error);
@@ -44,47 +75,76 @@ async function chatTool(input, projectId, userId, streamFn, conversationHistory
 }
 
 /**
- * Retrieve relevant schema chunks using vector similarity search
+ * Citation entries for the chunks in a prompt; marker n is the [n] the model cites
+ * @returns {Array} [{ marker, chunkId, filename, entityName, entityType, similarity, score }]
  */
-function splitIntoChunks(text, chunkSize = 500, overlap = 50) {
-    const chunks = [];
-    let start = 0;
-
-    while (start < text.length) {
-        let end = start + chunkSize;
-
-        if (end < text.length) {
-            const lastSpace = text.lastIndexOf(' ', end);
-            if (lastSpace > start + chunkSize * 0.7) {
-                end = lastSpace;
-            }
-        }
-
-        const chunk = text.slice(start, end).trim();
-        if (chunk.length > 0) {
-            chunks.push(chunk);
-        }
+function describeSources(chunks) {
+    return chunks.map((chunk, index) => ({
+        marker: index + 1,
+        chunkId: chunk.id,
+        filename: chunk.metadata?.filename,
+        entityName: chunk.metadata?.entityName,
+        entityType: chunk.metadata?.entityType,
+        similarity: chunk.similarity,
+        ...(chunk.score !== undefined && { score: chunk.score })
+    }));
+}
 
-        start = end - overlap;
-        if (start >= text.length) break;
+/**
+ * Flag the sources an answer cites with [n] (also [1, 3] and [1][2])
+ */
+function markCitedSources(answer, sources) {
+    const cited = new Set();
+    for (const [, group] of answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+        group.split(',').forEach(marker => cited.add(parseInt(marker)));
     }
+    return sources.map(source => ({ ...source, cited: cited.has(source.marker) }));
+}
 
-    return chunks;
+/**
+ * Stream a Mermaid ER diagram, scoped to the tables the question names and their
+ * direct neighbours, when the question asks for one
+ * @returns {Promise<object|null>} Rendered diagram, or null when no diagram was requested or no schema is parsed
+ */
+async function answerDiagramRequest(input, projectId, streamFn) {
+    const schemaModel = await getProjectSchemaModel(projectId);
+    const request = detectDiagramRequest(input, schemaModel);
+    if (!request) return null;
+
+    const diagram = renderErd(schemaModel, 'mermaid', { tables: request.tables, depth: 1 });
+    console.log(`🗺️ Answering with an ER diagram of ${diagram.entities.length} tables`);
+
+    const scope = diagram.focus.length > 0
+        ? `${diagram.focus.join(', ')} and the tables related to ${diagram.focus.length > 1 ? 'them' : 'it'}`
+        : 'the whole schema';
+
+    streamFn({ type: 'diagram', ...diagram });
+    streamFn({
+        type: 'content',
+        content: `Entity-relationship diagram for ${scope} (${diagram.entities.length} tables, ${diagram.relationships} relationships):\n\n\`\`\`mermaid\n${diagram.diagram}\n\`\`\`\n`,
+        done: false
+    });
+
+    return diagram;
 }
 
+/**
+ * Retrieve relevant schema chunks using hybrid keyword + vector search
+ */
 async function retrieveSchemaContext(query, projectId) {
     try {
         console.log(`🔍 Searching for relevant schema context...`);
 
         // Generate embedding for the user's question
-        const queryEmbedding = await generateEmbeddings(query);
+        const { embeddings: queryEmbedding, embeddingModel } = await generateEmbeddingsWithModel(query);
 
         // Search for similar chunks in the project's schema
         const relevantChunks = await searchSimilarChunks(
             global.vectorStore || require('../utils/vectorStore').getVectorStore(),
             projectId,
             queryEmbedding,
-            MAX_CONTEXT_CHUNKS
+            MAX_CONTEXT_CHUNKS,
+            { queryText: query, embeddingModel }
         );
 
         console.log(`📊 Found ${relevantChunks.length} relevant schema chunks`);
@@ -101,228 +161,142 @@ async function retrieveSchemaContext(query, projectId) {
 }
 
 /**
- * Build a context-aware prompt with schema information and conversation history
+ * Build a context-aware prompt with schema information and conversation history, sized to
+ * the model's context window. The system text, question and instructions are always kept;
+ * the rest of the window, less the answer's share, goes to schema chunks (most relevant
+ * first) and history (most recent first). Pieces that do not fit are compressed or dropped.
+ * @returns {object} { prompt, chunks: the chunks included, budget: token breakdown }
  */
-function buildContextAwarePrompt(userInput, context, projectId, conversationHistory) {
-    let prompt = '';
+function buildContextAwarePrompt(userInput, context, projectId, conversationHistory, llmConfig = resolveLlmConfig()) {
     const isPrismaSchema = context.chunks.some(
         chunk => chunk.metadata?.fileType === '.prisma'
     );
 
-    console.log({"isPrisma":isPrismaSchema})
     // System prompt
-    prompt += `You are an AI assistant helping with database and schema-related questions for project "${projectId}". `;
-    prompt += `You have access to database schema information and conversation history to provide accurate, context-aware responses.\n\n`;
-
-    // Add conversation history if available
-    if (conversationHistory && conversationHistory.length > 0) {
-        prompt += `**Recent Conversation History:**\n`;
-        conversationHistory.forEach((conv, index) => {
-            prompt += `${index + 1}. User: ${conv.userMessage}\n`;
-            prompt += `   Assistant: ${conv.assistantResponse.substring(0, 200)}${conv.assistantResponse.length > 200 ? '...' : ''}\n\n`;
-        });
-    }
-
-    // Add schema context if available
-    if (context.hasContext && context.chunks.length > 0) {
-        prompt += `**Database Schema Context:**\n`;
-        context.chunks.forEach((chunk, index) => {
-            prompt += `Schema Chunk ${index + 1} (similarity: ${(chunk.similarity * 100).toFixed(1)}%):\n`;
-            prompt += `${chunk.text}\n`;
-            if (chunk.metadata && chunk.metadata.filename) {
-                prompt += `(Source: ${chunk.metadata.filename})\n`;
-            }
-            prompt += `\n`;
-        });
-    }
+    let system = `You are an AI assistant helping with database and schema-related questions for project "${projectId}". `;
+    system += `You have access to database schema information and conversation history to provide accurate, context-aware responses.\n\n`;
 
     // Current user question
-    prompt += `**Current User Question:**\n${userInput}\n\n`;
+    const question = `**Current User Question:**\n${userInput}\n\n`;
 
     // Instructions
-    prompt += `**Instructions:**\n`;
-    prompt += `- Use the schema context above to provide accurate answers\n`;
-    prompt += `- Reference the conversation history when relevant to maintain context\n`;
-    prompt += `- If the question relates to database structure, tables, or fields, reference the schema\n`;
-    prompt += `- If you need to suggest SQL queries, base them on the actual schema structure\n`;
-
+    let instructions = `**Instructions:**\n`;
+    instructions += `- Use the schema context above to provide accurate answers\n`;
+    instructions += `- Reference the conversation history when relevant to maintain context\n`;
+    instructions += `- If the question relates to database structure, tables, or fields, reference the schema\n`;
+    instructions += `- If you need to suggest SQL queries, base them on the actual schema structure\n`;
 
     if (isPrismaSchema) {
-        prompt += `- Since the schema is in Prisma format, also include equivalent Prisma ORM code using Prisma Client JS\n`;
+        instructions += `- Since the schema is in Prisma format, also include equivalent Prisma ORM code using Prisma Client JS\n`;
     }
 
-    prompt += `- If the question cannot be answered with the provided schema, say so clearly\n`;
-    prompt += `- Be concise but thorough in your explanation\n`;
-    prompt += `- Maintain conversational flow by acknowledging previous interactions when relevant\n\n`;
-    prompt += `**Response:**`;
-
-    return prompt;
-}
-
-/**
- * Generate streaming response from LLM (Ollama)
- */
-async function generateStreamingResponse(prompt, streamFn) {
-    try {
-        console.log(`🤖 Generating response using ${DEFAULT_MODEL}...`);
-
-        await checkOllamaHealth();
-
-        const response = await axios.post(`${OLLAMA_BASE_URL}/api/generate`, {
-            model: DEFAULT_MODEL,
-            prompt: prompt,
-            stream: true,
-            options: {
-                temperature: 0.7,
-                top_p: 0.9,
-                max_tokens: 2000,
-                stop: ["User:", "**User", "**Current User"]
-            }
-        }, {
-            responseType: 'stream',
-            timeout: 60000
-        });
+    instructions += `- Cite the schema chunks you rely on with their markers, e.g. "orders.user_id references users.id [2]"\n`;
+    instructions += `- If the question cannot be answered with the provided schema, say so clearly\n`;
+    instructions += `- Be concise but thorough in your explanation\n`;
+    instructions += `- Maintain conversational flow by acknowledging previous interactions when relevant\n\n`;
+    instructions += `**Response:**`;
+
+    const historyHeader = `**Recent Conversation History:**\n`;
+    const schemaHeader = `**Database Schema Context:**\n`;
+    const fixedTokens = estimateTokens(system) + estimateTokens(question) + estimateTokens(instructions) +
+        estimateTokens(historyHeader) + estimateTokens(schemaHeader);
+
+    const contextWindow = getContextWindow(llmConfig);
+    const plan = planBudget({ contextWindow, maxTokens: llmConfig.maxTokens, fixedTokens });
+
+    // History may claim its share up front; schema context gets the rest, and history any leftover
+    const history = (conversationHistory || []).slice().reverse();
+    const historyWanted = history.reduce((sum, conv) => sum + estimateTokens(renderHistoryEntry(conv)), 0);
+    const historyReserve = Math.min(historyWanted, Math.floor(plan.flexibleTokens * BUDGET_CONFIG.historyShare));
+
+    const chunkFit = fitToBudget(context.hasContext ? context.chunks : [], plan.flexibleTokens - historyReserve, {
+        render: chunk => renderChunk(chunk, chunk.text),
+        compress: (chunk, tokens) => {
+            const header = renderChunk(chunk, '');
+            const text = truncateToTokens(chunk.text, tokens - estimateTokens(header));
+            return text && renderChunk(chunk, text);
+        }
+    });
 
-        let buffer = '';
-
-        response.data.on('data', (chunk) => {
-            buffer += chunk.toString();
-
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
-
-            for (const line of lines) {
-                if (line.trim()) {
-                    try {
-                        const parsed = JSON.parse(line);
-
-                        if (parsed.response) {
-                            streamFn({
-                                type: 'content',
-                                content: parsed.response,
-                                done: parsed.done || false
-                            });
-                        }
-
-                        if (parsed.done) {
-                            console.log('✅ LLM response generation completed');
-                            return;
-                        }
-
-                    } catch (parseError) {
-                        console.warn('⚠️ Failed to parse JSON chunk:', line);
-                    }
-                }
-            }
-        });
+    const historyFit = fitToBudget(history, plan.flexibleTokens - chunkFit.tokens, {
+        render: conv => renderHistoryEntry(conv),
+        compress: conv => renderHistoryEntry(conv, 60)
+    });
 
-        response.data.on('end', () => {
-            console.log('✅ Response stream ended');
-        });
+    let prompt = system;
 
-        response.data.on('error', (error) => {
-            console.error('❌ Stream error:', error);
-            throw error;
+    // Add conversation history if available, oldest first
+    const historyEntries = historyFit.selected.reverse();
+    if (historyEntries.length > 0) {
+        prompt += historyHeader;
+        historyEntries.forEach(({ text }, index) => {
+            prompt += `${index + 1}. ${text}`;
         });
-
-        await new Promise((resolve, reject) => {
-            response.data.on('end', resolve);
-            response.data.on('error', reject);
-        });
-
-    } catch (error) {
-        console.error('❌ LLM generation error:', error.message);
-
-        if (process.env.OPENAI_API_KEY) {
-            console.log('🔄 Falling back to OpenAI...');
-            await generateOpenAIResponse(prompt, streamFn);
-        } else {
-            streamFn({
-                type: 'error',
-                error: 'LLM service unavailable',
-                message: `Failed to connect to Ollama at ${OLLAMA_BASE_URL}. Make sure Ollama is running and the model "${DEFAULT_MODEL}" is available.`,
-                suggestion: `Try running: ollama pull ${DEFAULT_MODEL}`
-            });
-        }
     }
-}
 
-/**
- * Fallback to OpenAI API if Ollama is unavailable
- */
-async function generateOpenAIResponse(prompt, streamFn) {
-    try {
-        const openai = require('openai');
-        const client = new openai.OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-
-        const stream = await client.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [{ role: 'user', content: prompt }],
-            stream: true,
-            max_tokens: 2000,
-            temperature: 0.7
+    // Add schema context if available
+    if (chunkFit.selected.length > 0) {
+        prompt += schemaHeader;
+        chunkFit.selected.forEach(({ text }, index) => {
+            prompt += `[${index + 1}] ${text}`;
         });
+    }
 
-        for await (const chunk of stream) {
-            const content = chunk.choices[0]?.delta?.content;
-            if (content) {
-                streamFn({
-                    type: 'content',
-                    content: content,
-                    done: false
-                });
-            }
-        }
+    prompt += question;
+    prompt += instructions;
+
+    const promptTokens = estimateTokens(prompt);
+    const budget = {
+        contextWindow,
+        promptTokens,
+        answerTokens: Math.max(Math.min(llmConfig.maxTokens, contextWindow - plan.margin - promptTokens), 0),
+        sections: {
+            system: estimateTokens(system),
+            history: historyFit.tokens,
+            schemaContext: chunkFit.tokens,
+            question: estimateTokens(question),
+            instructions: estimateTokens(instructions)
+        },
+        chunks: { included: chunkFit.selected.length, compressed: chunkFit.compressed, dropped: chunkFit.dropped },
+        history: { included: historyFit.selected.length, compressed: historyFit.compressed, dropped: historyFit.dropped },
+        estimated: true
+    };
+
+    if (chunkFit.dropped + chunkFit.compressed + historyFit.dropped + historyFit.compressed > 0) {
+        console.log(`✂️ Prompt trimmed to ${promptTokens}/${contextWindow} tokens: ${chunkFit.dropped} chunks dropped, ${chunkFit.compressed} compressed, ${historyFit.dropped} history entries dropped`);
+    }
 
-        console.log('✅ OpenAI response generation completed');
+    return { prompt, chunks: chunkFit.selected.map(({ item }) => item), budget };
+}
 
-    } catch (error) {
-        console.error('❌ OpenAI fallback error:', error);
-        streamFn({
-            type: 'error',
-            error: 'All LLM services unavailable',
-            message: 'Both Ollama and OpenAI services are currently unavailable'
-        });
+function renderChunk(chunk, text) {
+    const relevance = chunk.score !== undefined ? `relevance: ${chunk.score.toFixed(2)}` : `similarity: ${(chunk.similarity * 100).toFixed(1)}%`;
+    let rendered = `(${relevance}):\n${text}\n`;
+    if (chunk.metadata && chunk.metadata.filename) {
+        const entity = chunk.metadata.entityName ? `, ${chunk.metadata.entityType} ${chunk.metadata.entityName}` : '';
+        rendered += `(Source: ${chunk.metadata.filename}${entity})\n`;
     }
+    return rendered + `\n`;
 }
 
-/**
- * Check if Ollama service is healthy and model is available
- */
-async function checkOllamaHealth() {
-    try {
-        const healthResponse = await axios.get(`${OLLAMA_BASE_URL}/api/tags`, {
-            timeout: 5000
-        });
-
-        const availableModels = healthResponse.data.models || [];
-        const modelExists = availableModels.some(model =>
-            model.name === DEFAULT_MODEL || model.name.startsWith(DEFAULT_MODEL.split(':')[0])
-        );
-
-        if (!modelExists) {
-            const availableNames = availableModels.map(m => m.name).join(', ');
-            throw new Error(`Model "${DEFAULT_MODEL}" not found. Available models: ${availableNames}. Please run: ollama pull ${DEFAULT_MODEL}`);
-        }
-
-        console.log(`✅ Ollama health check passed - ${DEFAULT_MODEL} is available`);
-
-    } catch (error) {
-        if (error.code === 'ECONNREFUSED') {
-            throw new Error(`Ollama service is not running at ${OLLAMA_BASE_URL}`);
-        }
-        throw error;
-    }
+function renderHistoryEntry(conv, answerLength = 200) {
+    const answer = conv.assistantResponse || '';
+    return `User: ${conv.userMessage}\n` +
+        `   Assistant: ${answer.substring(0, answerLength)}${answer.length > answerLength ? '...' : ''}\n\n`;
 }
 
 /**
- * Utility function to truncate context if it's too long
+ * Stream a response from the configured LLM provider
+ * @param {string} prompt - Full prompt
+ * @param {function} streamFn - Function to stream response chunks to client
+ * @param {object} llmConfig - Resolved provider settings (see utils/llmProviders)
+ * @param {object} options - { signal }
+ * @returns {Promise<object|null>} { provider, model, cancelled? } that answered, or null on failure
  */
-function truncateContext(context, maxLength = 4000) {
-    if (context.length <= maxLength) return context;
-    return context.substring(0, maxLength - 100) + '\n... (context truncated for length)';
+async function generateStreamingResponse(prompt, streamFn, llmConfig = resolveLlmConfig(), options = {}) {
+    return generateWithProvider(prompt, streamFn, llmConfig, options);
 }
 
-module.exports = chatTool;
\ No newline at end of file
+module.exports = chatTool;
+module.exports.retrieveSchemaContext = retrieveSchemaContext;
+module.exports.generateStreamingResponse = generateStreamingResponse;
\ No newline at end of file
@@ -0,0 +1,352 @@
+// tools/mcpTools.js - MCP tool and resource definitions wrapping the chat, search, upload and SQL tools
+const chatTool = require('./chatTool');
+const { generateSqlTool, validateSqlTool, runSqlTool } = require('./sqlTool');
+const { generateEmbeddingsWithModel } = require('../utils/embed');
+const { searchSimilarChunks, getVectorStore } = require('../utils/vectorStore');
+const {
+    ingestSchema,
+    getConversationHistory,
+    resolveThread,
+    getProjectSchemaModel,
+    getLlmConfig,
+    saveConversation,
+    updateProjectStats
+} = require('../utils/projectData');
+const { createMcpServer } = require('../utils/mcpServer');
+const { assertProjectAccess, listUserProjects } = require('../utils/auth');
+const { createRateLimiter, consumeRateLimit, checkQuota, consumeQuota, recordUsage } = require('../utils/usageLimits');
+const { estimateTokens } = require('../utils/promptBudget');
+const { SchemaUpload } = require('../models/index.js');
+const { version } = require('../package.json');
+
+const RESOURCE_SCHEME = 'schema://';
+
+const projectIdProperty = { type: 'string', description: 'Project identifier the schemas were uploaded under' };
+const llmProperty = {
+    type: 'object',
+    description: 'Overrides the project\'s LLM settings for this call',
+    properties: {
+        provider: { type: 'string', enum: ['ollama', 'openai', 'mock'] },
+        model: { type: 'string' },
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        contextSize: { type: 'integer', minimum: 256 }
+    }
+};
+
+const tools = [
+    {
+        name: 'chat',
+        description: 'Ask a question about a project\'s database schema. Answers use the uploaded schemas and the thread\'s earlier messages; omit threadId to start a new thread.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                projectId: projectIdProperty,
+                question: { type: 'string', description: 'Question about the schema' },
+                threadId: { type: 'string', description: 'Thread to continue, as returned by an earlier chat call' },
+                llm: llmProperty
+            },
+            required: ['projectId', 'question']
+        },
+        access: 'viewer',
+        quota: 'requests',
+        rateLimit: 'chat',
+        handler: handleChat
+    },
+    {
+        name: 'search_schema',
+        description: 'Find the schema chunks (tables, models, classes) most relevant to a query, combining keyword and vector search.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                projectId: projectIdProperty,
+                query: { type: 'string', description: 'Search text' },
+                limit: { type: 'integer', minimum: 1, maximum: 20, default: 5 }
+            },
+            required: ['projectId', 'query']
+        },
+        access: 'viewer',
+        handler: handleSearchSchema
+    },
+    {
+        name: 'upload_schema',
+        description: 'Upload a schema file (SQL DDL, Prisma, JSON, ORM models, ...) so it can be searched and used in answers.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                projectId: projectIdProperty,
+                fileName: { type: 'string', description: 'File name including extension, e.g. schema.sql' },
+                content: { type: 'string', description: 'File content' }
+            },
+            required: ['projectId', 'fileName', 'content']
+        },
+        // The first upload to a brand-new project makes the caller its owner
+        access: 'editor',
+        claimUnowned: true,
+        quota: 'uploads',
+        rateLimit: 'upload',
+        handler: handleUploadSchema
+    },
+    {
+        name: 'generate_sql',
+        description: 'Write a SQL query for a question, checked against the project\'s parsed schema.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                projectId: projectIdProperty,
+                question: { type: 'string' },
+                dialect: { type: 'string', enum: ['postgres', 'mysql', 'sqlite', 'generic'] },
+                llm: llmProperty
+            },
+            required: ['projectId', 'question']
+        },
+        access: 'viewer',
+        quota: 'requests',
+        rateLimit: 'chat',
+        handler: async ({ projectId, question, dialect, llm }, { user }) => {
+            const llmConfig = await getLlmConfig(projectId, llm);
+            const schemaModel = await getProjectSchemaModel(projectId);
+            const { contextUsed, ...result } = await generateSqlTool(question, projectId, schemaModel, { dialect, llm: llmConfig });
+            await recordUsage({ userId: user.userId, projectId }, { tokensGenerated: result.llm?.outputTokens });
+            return result;
+        }
+    },
+    {
+        name: 'validate_sql',
+        description: 'Check a SQL query against the project\'s parsed schema: unknown tables/columns, ambiguous references, type mismatches, non-key joins.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                projectId: projectIdProperty,
+                sql: { type: 'string' },
+                dialect: { type: 'string', enum: ['postgres', 'mysql', 'sqlite', 'generic'] }
+            },
+            required: ['projectId', 'sql']
+        },
+        access: 'viewer',
+        handler: async ({ projectId, sql, dialect }) => {
+            const schemaModel = await getProjectSchemaModel(projectId);
+            return validateSqlTool(sql, schemaModel, { dialect, projectId });
+        }
+    },
+    {
+        name: 'run_sql',
+        description: 'Run a read-only query in a SQLite sandbox built from the project\'s uploaded DDL, optionally seeded with sample rows.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                projectId: projectIdProperty,
+                sql: { type: 'string' },
+                seedRows: { type: 'integer', minimum: 0, default: 0 },
+                maxRows: { type: 'integer', minimum: 1 }
+            },
+            required: ['projectId', 'sql']
+        },
+        access: 'viewer',
+        quota: 'requests',
+        rateLimit: 'chat',
+        handler: async ({ projectId, sql, seedRows, maxRows }) => {
+            const schemaModel = await getProjectSchemaModel(projectId);
+            if (!schemaModel) {
+                return { content: [{ type: 'text', text: 'No parsed SQL schema found for this project' }], isError: true };
+            }
+            const result = await runSqlTool(sql, schemaModel, { seedRows, maxRows, projectId });
+            return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], isError: !result.success };
+        }
+    }
+];
+
+async function handleChat({ projectId, question, threadId, llm: overrides }, { user }) {
+    const { userId } = user;
+    const startTime = Date.now();
+    const llmConfig = await getLlmConfig(projectId, overrides);
+    const { thread, created } = await resolveThread(projectId, threadId, { userId, question });
+    let answer = '';
+    let failure = null;
+
+    const collect = (data) => {
+        if (data.type === 'error') {
+            failure = data;
+        } else if (data.content) {
+            answer += data.content;
+        }
+    };
+
+    const conversationHistory = created ? [] : await getConversationHistory(projectId, userId, undefined, thread._id);
+    const { contextUsed, citations, llm } = await chatTool(question, projectId, userId, collect, conversationHistory, llmConfig);
+    if (llm) await recordUsage({ userId, projectId }, { tokensGenerated: estimateTokens(answer) });
+
+    if (!answer) {
+        return {
+            content: [{ type: 'text', text: failure ? `${failure.error}: ${failure.message}` : 'The model returned an empty answer' }],
+            isError: true
+        };
+    }
+
+    await saveConversation({
+        projectId,
+        threadId: thread._id,
+        userId,
+        userMessage: question,
+        assistantResponse: answer,
+        contextUsed,
+        citations,
+        provider: llm?.provider,
+        model: llm?.model,
+        temperature: llmConfig.temperature,
+        responseTime: Date.now() - startTime
+    });
+    await updateProjectStats(projectId, userId);
+
+    const sources = citations.map(source =>
+        `[${source.marker}] ${[source.filename, source.entityName && `${source.entityType} ${source.entityName}`].filter(Boolean).join(', ')}${source.cited ? '' : ' (not cited)'}`
+    );
+
+    return {
+        content: [
+            { type: 'text', text: answer },
+            ...(sources.length > 0 ? [{ type: 'text', text: `Sources:\n${sources.join('\n')}` }] : []),
+            { type: 'text', text: `threadId: ${thread._id} (pass it to continue this thread)` }
+        ]
+    };
+}
+
+async function handleSearchSchema({ projectId, query, limit = 5 }) {
+    const { embeddings: queryEmbedding, embeddingModel } = await generateEmbeddingsWithModel(query);
+    const chunks = await searchSimilarChunks(getVectorStore(), projectId, queryEmbedding, Math.min(Math.max(limit, 1), 20), { queryText: query, embeddingModel });
+
+    if (chunks.length === 0) {
+        return `No schema content found for project "${projectId}"`;
+    }
+
+    return chunks.map((chunk, index) => {
+        const source = [chunk.metadata?.filename, chunk.metadata?.entityName && `${chunk.metadata.entityType} ${chunk.metadata.entityName}`]
+            .filter(Boolean)
+            .join(', ');
+        const relevance = chunk.score !== undefined ? `relevance: ${chunk.score.toFixed(2)}, ` : '';
+        return `[${index + 1}] ${source || chunk.id} (${relevance}similarity: ${(chunk.similarity * 100).toFixed(1)}%)\n${chunk.text}`;
+    }).join('\n\n');
+}
+
+async function handleUploadSchema({ projectId, fileName, content }, { user }) {
+    const { upload, chunksStored, schemaModel, retiredVersions, embeddingCache } = await ingestSchema(getVectorStore(), {
+        projectId,
+        userId: user.userId,
+        fileName,
+        content
+    });
+
+    return {
+        uploadId: upload._id,
+        projectId,
+        fileName,
+        version: upload.version,
+        previousVersionsRetired: retiredVersions,
+        chunksStored,
+        embeddingCache,
+        tablesParsed: schemaModel ? schemaModel.tables.length : undefined,
+        parseWarnings: schemaModel?.warnings.length ? schemaModel.warnings : undefined,
+        resourceUri: uploadUri(upload)
+    };
+}
+
+/**
+ * Each active upload is a resource: schema://<projectId>/<uploadId> holds the extracted
+ * text, schema://<projectId>/<uploadId>/model the parsed model (SQL and Prisma uploads).
+ */
+const resources = {
+    templates: [
+        {
+            uriTemplate: `${RESOURCE_SCHEME}{projectId}/{uploadId}`,
+            name: 'Uploaded schema',
+            description: 'Extracted text of an uploaded schema file',
+            mimeType: 'text/plain'
+        },
+        {
+            uriTemplate: `${RESOURCE_SCHEME}{projectId}/{uploadId}/model`,
+            name: 'Parsed schema model',
+            description: 'Tables, columns and constraints parsed from an uploaded SQL or Prisma file',
+            mimeType: 'application/json'
+        }
+    ],
+
+    async list({ user } = {}) {
+        // Only the caller's projects; null means every project (trusted callers)
+        const projects = await listUserProjects(user);
+        const query = projects ? { isActive: true, projectId: { $in: projects.map(p => p.projectId) } } : { isActive: true };
+        const uploads = await SchemaUpload.find(query)
+            .sort({ projectId: 1, uploadedAt: -1 })
+            .select('projectId fileName fileType fileSize uploadedAt');
+
+        return uploads.map(upload => ({
+            uri: uploadUri(upload),
+            name: `${upload.projectId}/${upload.fileName}`,
+            description: `${upload.fileType} schema uploaded ${upload.uploadedAt.toISOString()}`,
+            mimeType: 'text/plain',
+            size: upload.fileSize
+        }));
+    },
+
+    async read(uri, { user } = {}) {
+        const match = uri.startsWith(RESOURCE_SCHEME) && uri.slice(RESOURCE_SCHEME.length).match(/^([^/]+)\/([0-9a-f]{24})(\/model)?$/i);
+        if (!match) return null;
+
+        const [, encodedProjectId, uploadId, wantsModel] = match;
+        const projectId = decodeURIComponent(encodedProjectId);
+        await assertProjectAccess(user, projectId, 'viewer');
+
+        const upload = await SchemaUpload.findOne({ _id: uploadId, projectId, isActive: true })
+            .select(wantsModel ? 'schemaModel' : 'extractedText');
+        if (!upload) return null;
+
+        if (wantsModel) {
+            if (!upload.schemaModel) return null;
+            return [{ uri, mimeType: 'application/json', text: JSON.stringify(upload.schemaModel, null, 2) }];
+        }
+        return [{ uri, mimeType: 'text/plain', text: upload.extractedText }];
+    }
+};
+
+/**
+ * MCP server exposing the tools and resources above; shared by the stdio and HTTP transports.
+ * Every tool call first checks the caller's role in the project it names, then the per-window
+ * rate limits its HTTP route has, then its daily quota.
+ */
+function createSchemaMcpServer() {
+    // The limiters are created here, at startup, as express-rate-limit expects
+    for (const name of new Set(tools.map(tool => tool.rateLimit).filter(Boolean))) {
+        createRateLimiter(name, 'user');
+        createRateLimiter(name, 'project');
+    }
+
+    return createMcpServer({
+        name: 'schema-chat-mcp',
+        version,
+        instructions: 'Tools answer questions about database schemas uploaded per project. Upload a schema with upload_schema, then use chat, search_schema or the SQL tools with the same projectId.',
+        tools: tools.map(withProjectAccess),
+        resources
+    });
+}
+
+function withProjectAccess(tool) {
+    return {
+        ...tool,
+        handler: async (args, context = {}) => {
+            await assertProjectAccess(context.user, args.projectId, tool.access, { claimUnowned: tool.claimUnowned });
+            const subject = { userId: context.user.userId, projectId: args.projectId };
+            if (tool.rateLimit) {
+                await consumeRateLimit(tool.rateLimit, subject);
+            }
+            if (tool.quota) {
+                if (tool.quota === 'requests') await checkQuota(subject, 'tokensGenerated', 0);
+                await consumeQuota(subject, tool.quota);
+            }
+            return tool.handler(args, context);
+        }
+    };
+}
+
+function uploadUri(upload) {
+    return `${RESOURCE_SCHEME}${encodeURIComponent(upload.projectId)}/${upload._id}`;
+}
+
+module.exports = { tools, resources, createSchemaMcpServer };
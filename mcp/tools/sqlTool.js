@@ -0,0 +1,322 @@
+// tools/sqlTool.js - Natural-language to SQL generation validated against the uploaded schema
+const { retrieveSchemaContext, generateStreamingResponse } = require('./chatTool');
+const { analyzeQuery } = require('../utils/sqlAnalyzer');
+const { findTable, tokenize, splitTopLevel } = require('../utils/sqlParser');
+const { runSqlInSandbox } = require('../utils/sqlSandbox');
+const { formatSqlTable } = require('../utils/extractText');
+const { estimateTokens } = require('../utils/promptBudget');
+
+const DIALECT_NAMES = {
+    postgres: 'PostgreSQL',
+    mysql: 'MySQL',
+    sqlite: 'SQLite',
+    generic: 'ANSI SQL'
+};
+
+const MAX_ANSWER_STATEMENTS = parseInt(process.env.SQL_SANDBOX_MAX_STATEMENTS) || 3;
+
+/**
+ * Generate a SQL statement for a natural-language question
+ * @param {string} question - User's question
+ * @param {string} projectId - Project identifier for schema context
+ * @param {object|null} schemaModel - Merged schema model of the project's uploads
+ * @param {object} options - { dialect, llm, signal } - dialect overrides the schema's; llm is a resolved provider config
+ * @returns {Promise<object>} { sql, dialect, tables, columns, explanation, warnings, valid, llm, contextUsed }
+ */
+async function generateSqlTool(question, projectId, schemaModel, options = {}) {
+    console.log(`🧮 Generating SQL for project: ${projectId}`);
+
+    const dialect = options.dialect || schemaModel?.dialect || 'generic';
+
+    // Step 1: Retrieve relevant schema context using RAG
+    const context = await retrieveSchemaContext(question, projectId);
+
+    // Step 2: Ask the LLM for a single statement in a machine-readable shape
+    const prompt = buildSqlPrompt(question, context, projectId, dialect);
+    const { text: rawResponse, llm } = await collectResponse(prompt, options.llm, options.signal);
+    const { sql, explanation } = parseSqlResponse(rawResponse);
+
+    if (!sql) {
+        return {
+            sql: null,
+            dialect,
+            tables: [],
+            columns: [],
+            explanation: explanation || 'The model did not return a SQL statement.',
+            warnings: [{ severity: 'error', code: 'no_sql', message: 'No SQL statement found in the model response' }],
+            valid: false,
+            llm,
+            contextUsed: context.chunks
+        };
+    }
+
+    // Step 3: Check the statement against the project's uploaded schema
+    const analysis = analyzeQuery(sql, schemaModel, { dialect: dialect !== 'generic' ? dialect : undefined });
+    const warnings = analysis.diagnostics.filter(d => d.severity !== 'info');
+
+    return {
+        sql,
+        dialect,
+        tables: analysis.tables.map(t => t.name),
+        columns: analysis.columns.map(c => `${c.table}.${c.column}`),
+        explanation,
+        warnings,
+        valid: !warnings.some(w => w.severity === 'error'),
+        llm,
+        contextUsed: context.chunks
+    };
+}
+
+/**
+ * Check a user-supplied SQL statement against the uploaded schema.
+ * Diagnostics are computed deterministically; the LLM is only used to explain them when asked.
+ * @param {string} sql - SQL to validate
+ * @param {object|null} schemaModel - Merged schema model of the project's uploads
+ * @param {object} options - { dialect, explain, projectId, llm, signal }
+ * @returns {Promise<object>} { valid, dialect, statementTypes, tables, columns, diagnostics, summary, explanation }
+ */
+async function validateSqlTool(sql, schemaModel, options = {}) {
+    console.log(`🔎 Validating SQL for project: ${options.projectId}`);
+
+    const analysis = analyzeQuery(sql, schemaModel, { dialect: options.dialect });
+    const errors = analysis.diagnostics.filter(d => d.severity === 'error').length;
+    const warnings = analysis.diagnostics.filter(d => d.severity === 'warning').length;
+
+    const result = {
+        valid: errors === 0,
+        dialect: analysis.dialect,
+        statementTypes: analysis.statementTypes,
+        tables: analysis.tables,
+        columns: analysis.columns,
+        diagnostics: analysis.diagnostics,
+        summary: { errors, warnings },
+        explanation: null
+    };
+
+    if (options.explain) {
+        try {
+            const prompt = buildValidationPrompt(sql, analysis, schemaModel);
+            const { text, llm } = await collectResponse(prompt, options.llm, options.signal);
+            result.explanation = text.trim();
+            result.llm = llm;
+        } catch (error) {
+            console.error('❌ Failed to explain SQL diagnostics:', error.message);
+            result.explanationError = error.message;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Execute a query in the SQLite sandbox built from the project's schema
+ * @param {string} sql - Read-only SQL statement
+ * @param {object} schemaModel - Merged schema model of the project's uploads
+ * @param {object} options - { seedRows, maxRows, timeoutMs, projectId, signal }
+ * @returns {Promise<object>} Sandbox result plus a { status, label } badge
+ */
+async function runSqlTool(sql, schemaModel, options = {}) {
+    console.log(`🧪 Running SQL in sandbox for project: ${options.projectId}`);
+
+    const result = await runSqlInSandbox(sql, schemaModel, options);
+    return { ...result, badge: sqlBadge(result) };
+}
+
+/**
+ * Run the SQL found in a chat answer through the sandbox, one badge per statement
+ * @param {string} answer - Full assistant response (markdown)
+ * @param {object} schemaModel - Merged schema model of the project's uploads
+ * @param {object} options - Passed through to runSqlTool
+ * @returns {Promise<Array>} [{ sql, success, rowCount, error, badge }]
+ */
+async function executeAnswerSql(answer, schemaModel, options = {}) {
+    const statements = extractSqlStatements(answer, schemaModel?.dialect).slice(0, MAX_ANSWER_STATEMENTS);
+    const executions = [];
+
+    // Sequential on purpose: each run spawns a sandbox process
+    for (const sql of statements) {
+        const result = await runSqlTool(sql, schemaModel, options);
+        executions.push({
+            sql,
+            success: result.success,
+            rowCount: result.rowCount,
+            error: result.error,
+            badge: result.badge
+        });
+    }
+
+    return executions;
+}
+
+function sqlBadge(result) {
+    if (result.success) {
+        const rows = `${result.rowCount}${result.truncated ? '+' : ''} row${result.rowCount === 1 && !result.truncated ? '' : 's'}`;
+        return { status: 'success', label: `Executed successfully (${rows})` };
+    }
+    if (result.cancelled) {
+        return { status: 'cancelled', label: 'Cancelled' };
+    }
+    return { status: result.timedOut ? 'timeout' : 'failed', label: `Failed with ${result.error}` };
+}
+
+/**
+ * Pull individual SQL statements out of ```sql fenced blocks (or untagged fences that hold SQL)
+ */
+function extractSqlStatements(text, dialect) {
+    const statements = [];
+    const fencePattern = /```([\w-]*)[^\n]*\n([\s\S]*?)```/g;
+    let match;
+
+    while ((match = fencePattern.exec(text || '')) !== null) {
+        const [, language, body] = match;
+        const looksLikeSql = /^\s*(SELECT|WITH|INSERT|UPDATE|DELETE|EXPLAIN)\b/i.test(body);
+        if (language ? !/^(sql|postgres(ql)?|mysql|sqlite|psql)$/i.test(language) : !looksLikeSql) continue;
+
+        const toks = tokenize(body, { dialect });
+        for (const statement of splitTopLevel(toks, ';')) {
+            if (statement.length === 0) continue;
+            statements.push(body.slice(statement[0].start, statement[statement.length - 1].end));
+        }
+    }
+
+    return statements;
+}
+
+/**
+ * Build the prompt asking the LLM to explain validation findings
+ */
+function buildValidationPrompt(sql, analysis, schemaModel) {
+    let prompt = `You are an expert ${DIALECT_NAMES[analysis.dialect] || analysis.dialect} reviewer. `;
+    prompt += `A static checker has already validated the query below against the database schema. `;
+    prompt += `Explain its findings to the user and suggest corrected SQL where needed.\n\n`;
+
+    prompt += `**Query:**\n${sql}\n\n`;
+
+    const touched = analysis.tables
+        .filter(t => t.known)
+        .map(t => findTable(schemaModel, t.name, t.schema))
+        .filter(Boolean);
+    if (touched.length > 0) {
+        prompt += `**Relevant Schema:**\n${touched.map(formatSqlTable).join('\n')}\n\n`;
+    }
+
+    prompt += `**Findings:**\n`;
+    if (analysis.diagnostics.length === 0) {
+        prompt += `- No problems found\n`;
+    } else {
+        analysis.diagnostics.forEach(d => {
+            prompt += `- [${d.severity}] ${d.message}${d.suggestion ? ` (did you mean "${d.suggestion}"?)` : ''}\n`;
+        });
+    }
+
+    prompt += `\n**Instructions:**\n`;
+    prompt += `- Treat the findings as authoritative; do not add or dismiss problems\n`;
+    prompt += `- Be brief and refer to tables and columns by name\n\n`;
+    prompt += `**Response:**`;
+
+    return prompt;
+}
+
+/**
+ * Build the SQL generation prompt
+ */
+function buildSqlPrompt(question, context, projectId, dialect) {
+    let prompt = `You are an expert ${DIALECT_NAMES[dialect] || dialect} developer writing queries for project "${projectId}". `;
+    prompt += `Write one SQL statement that answers the question using only the tables and columns in the schema below.\n\n`;
+
+    if (context.hasContext) {
+        prompt += `**Database Schema Context:**\n`;
+        context.chunks.forEach((chunk, index) => {
+            prompt += `Schema Chunk ${index + 1}:\n${chunk.text}\n\n`;
+        });
+    } else {
+        prompt += `**Database Schema Context:**\nNo schema has been uploaded for this project.\n\n`;
+    }
+
+    prompt += `**Question:**\n${question}\n\n`;
+
+    prompt += `**Instructions:**\n`;
+    prompt += `- Respond with JSON only, no markdown: {"sql": "<single SQL statement>", "explanation": "<one or two sentences>"}\n`;
+    prompt += `- Use ${DIALECT_NAMES[dialect] || dialect} syntax\n`;
+    prompt += `- Use only tables and columns that appear in the schema context; never invent names\n`;
+    prompt += `- Qualify columns with table aliases when more than one table is involved\n`;
+    prompt += `- If the question cannot be answered with the schema, return an empty "sql" and explain why\n\n`;
+    prompt += `**Response:**`;
+
+    return prompt;
+}
+
+/**
+ * Run the streaming LLM call to completion
+ * @returns {Promise<object>} { text, llm } - full text and the { provider, model, outputTokens } that produced it
+ */
+async function collectResponse(prompt, llmConfig, signal) {
+    let text = '';
+    let failure = null;
+
+    const llm = await generateStreamingResponse(prompt, (data) => {
+        if (data.type === 'error') {
+            failure = data;
+        } else if (data.content) {
+            text += data.content;
+        }
+    }, llmConfig, { signal });
+
+    if (llm?.cancelled) {
+        throw signal.reason;
+    }
+    if (failure && !text) {
+        throw new Error(failure.message || failure.error);
+    }
+
+    return { text, llm: { ...llm, outputTokens: estimateTokens(text) } };
+}
+
+/**
+ * Pull the SQL statement and explanation out of the model's reply.
+ * Accepts the requested JSON shape, a ```sql fenced block, or bare SQL.
+ */
+function parseSqlResponse(text) {
+    const trimmed = (text || '').trim();
+
+    const jsonStart = trimmed.indexOf('{');
+    const jsonEnd = trimmed.lastIndexOf('}');
+    if (jsonStart !== -1 && jsonEnd > jsonStart) {
+        try {
+            const parsed = JSON.parse(trimmed.slice(jsonStart, jsonEnd + 1));
+            if (typeof parsed.sql === 'string') {
+                return {
+                    sql: cleanSql(parsed.sql),
+                    explanation: typeof parsed.explanation === 'string' ? parsed.explanation.trim() : ''
+                };
+            }
+        } catch (error) {
+            // Not valid JSON; fall through to the other formats
+        }
+    }
+
+    const fenced = trimmed.match(/```(?:sql)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+        return {
+            sql: cleanSql(fenced[1]),
+            explanation: trimmed.replace(fenced[0], '').trim()
+        };
+    }
+
+    const bare = trimmed.match(/^(SELECT|WITH|INSERT|UPDATE|DELETE)\b[^;]*;?/im);
+    if (bare) {
+        return {
+            sql: cleanSql(bare[0]),
+            explanation: trimmed.replace(bare[0], '').trim()
+        };
+    }
+
+    return { sql: null, explanation: trimmed };
+}
+
+function cleanSql(sql) {
+    const cleaned = sql.trim().replace(/;\s*$/, '');
+    return cleaned.length > 0 ? `${cleaned};` : null;
+}
+
+module.exports = { generateSqlTool, validateSqlTool, runSqlTool, executeAnswerSql };
@@ -0,0 +1,256 @@
+// utils/archive.js - Safe in-memory extraction of .zip / .tar / .tar.gz schema archives
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const tarStream = require('tar-stream');
+
+const ARCHIVE_LIMITS = {
+    // Size of the uploaded archive itself
+    maxArchiveBytes: (parseInt(process.env.ARCHIVE_MAX_SIZE_MB) || 25) * 1024 * 1024,
+    maxEntries: parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 500,
+    // Per schema file, the same limit as a direct upload
+    maxEntryBytes: (parseInt(process.env.MAX_FILE_SIZE_MB) || 10) * 1024 * 1024,
+    // Everything unpacked together; beyond this the archive is treated as a zip bomb
+    maxTotalBytes: (parseInt(process.env.ARCHIVE_MAX_UNPACKED_MB) || 50) * 1024 * 1024,
+    // Every entry, skipped ones included (a tarball has to be decompressed to reach the next entry)
+    maxScannedBytes: (parseInt(process.env.ARCHIVE_MAX_SCANNED_MB) || 200) * 1024 * 1024,
+    maxCompressionRatio: parseInt(process.env.ARCHIVE_MAX_COMPRESSION_RATIO) || 100
+};
+
+const ARCHIVE_TYPES = ['.zip', '.tar', '.tar.gz', '.tgz'];
+
+// Folders packers add that never hold schemas
+const IGNORED_SEGMENTS = new Set(['__MACOSX', '.git', 'node_modules']);
+
+/**
+ * Archive type of a file name, or null when it is not an archive
+ */
+function archiveType(fileName) {
+    const lower = fileName.toLowerCase();
+    return ARCHIVE_TYPES.find(type => lower.endsWith(type)) || null;
+}
+
+/**
+ * Unpack an archive into memory. Nothing is written to disk; unsafe, oversized and
+ * unsupported entries are skipped with a reason.
+ * @param {string} filePath - Archive on disk
+ * @param {string} fileName - Original name (decides the format)
+ * @param {object} options - { allowedExtensions }
+ * @returns {Promise<object>} { files: [{ path, content, size }], skipped: [{ path, reason }] }
+ * @throws {Error} with status 400 for unreadable archives, 413 when limits are exceeded
+ */
+async function extractArchive(filePath, fileName, { allowedExtensions }) {
+    const type = archiveType(fileName);
+    if (!type) throw archiveError(400, `${fileName} is not a supported archive (${ARCHIVE_TYPES.join(', ')})`);
+
+    const result = { files: [], skipped: [], totalBytes: 0, scannedBytes: 0, entries: 0 };
+    const accept = (entryPath, size) => {
+        result.entries++;
+        result.scannedBytes += size;
+        if (result.entries > ARCHIVE_LIMITS.maxEntries) {
+            throw archiveError(413, `Archive has more than ${ARCHIVE_LIMITS.maxEntries} entries`);
+        }
+        if (result.scannedBytes > ARCHIVE_LIMITS.maxScannedBytes) {
+            throw archiveError(413, `Archive contents exceed ${formatMb(ARCHIVE_LIMITS.maxScannedBytes)}`);
+        }
+
+        const reason = rejectEntry(entryPath, size, allowedExtensions);
+        if (reason) {
+            result.skipped.push({ path: entryPath, reason });
+            return null;
+        }
+        return normalizeEntryPath(entryPath);
+    };
+    const addFile = (entryPath, buffer) => {
+        result.totalBytes += buffer.length;
+        if (result.totalBytes > ARCHIVE_LIMITS.maxTotalBytes) {
+            throw archiveError(413, `Archive unpacks to more than ${formatMb(ARCHIVE_LIMITS.maxTotalBytes)}`);
+        }
+        result.files.push({ path: entryPath, content: buffer.toString('utf8'), size: buffer.length });
+    };
+
+    try {
+        if (type === '.zip') {
+            await extractZip(filePath, accept, addFile);
+        } else {
+            await extractTar(filePath, type !== '.tar', accept, addFile);
+        }
+    } catch (error) {
+        if (error.status) throw error;
+        throw archiveError(400, `Could not read ${fileName}: ${error.message}`);
+    }
+
+    console.log(`📦 Unpacked ${fileName}: ${result.files.length} schema file(s), ${result.skipped.length} skipped`);
+    return { files: result.files, skipped: result.skipped };
+}
+
+async function extractZip(filePath, accept, addFile) {
+    // decodeStrings: false so one bad name skips that entry instead of failing the archive
+    const zipfile = await yauzl.openPromise(filePath, { lazyEntries: true, decodeStrings: false });
+
+    try {
+        for await (const entry of zipfile.eachEntry()) {
+            const entryPath = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileNameRaw, entry.extraFields, false);
+            if (entryPath.endsWith('/')) continue;
+
+            const ratio = entry.compressedSize > 0 ? entry.uncompressedSize / entry.compressedSize : 0;
+            if (ratio > ARCHIVE_LIMITS.maxCompressionRatio && entry.uncompressedSize > 1024 * 1024) {
+                throw archiveError(413, `Suspicious compression ratio (${Math.round(ratio)}:1) for ${entryPath}`);
+            }
+            if (entry.isEncrypted()) {
+                accept(entryPath, 0);
+                continue;
+            }
+
+            const target = accept(entryPath, entry.uncompressedSize);
+            if (!target) continue;
+
+            // yauzl checks the inflated size against the declared one while streaming
+            addFile(target, await readStream(await zipfile.openReadStreamPromise(entry), ARCHIVE_LIMITS.maxEntryBytes));
+        }
+    } finally {
+        zipfile.close();
+    }
+}
+
+async function extractTar(filePath, gzipped, accept, addFile) {
+    const extract = tarStream.extract();
+
+    extract.on('entry', (header, stream, next) => {
+        const finish = (error) => (error ? extract.destroy(error) : next());
+        stream.on('error', finish);
+
+        // Links, devices and directories carry no content we want
+        let target;
+        try {
+            target = header.type === 'file' ? accept(header.name, header.size) : null;
+        } catch (error) {
+            return finish(error);
+        }
+        if (!target) {
+            stream.on('end', () => finish()).resume();
+            return;
+        }
+
+        readStream(stream, ARCHIVE_LIMITS.maxEntryBytes)
+            .then(buffer => {
+                addFile(target, buffer);
+                finish();
+            })
+            .catch(finish);
+    });
+
+    const source = fs.createReadStream(filePath);
+    const gunzip = zlib.createGunzip();
+    await (gzipped ? pipeline(source, gunzip, extract) : pipeline(source, extract));
+}
+
+/**
+ * Gather the schema files of an upload request: plain files as they are, archives unpacked.
+ * Paths (directory uploads send them as file names) are checked like archive entries.
+ * @param {Array} uploadedFiles - multer files
+ * @param {object} options - { allowedExtensions }
+ * @returns {Promise<object>} { files: [{ path, content, size, source }], skipped: [{ path, source, reason }] }
+ */
+async function collectSchemaFiles(uploadedFiles, { allowedExtensions }) {
+    const files = [];
+    const skipped = [];
+
+    for (const uploaded of uploadedFiles) {
+        const source = uploaded.originalname;
+
+        if (archiveType(source)) {
+            try {
+                const unpacked = await extractArchive(uploaded.path, source, { allowedExtensions });
+                files.push(...unpacked.files.map(file => ({ ...file, source })));
+                skipped.push(...unpacked.skipped.map(entry => ({ ...entry, source })));
+            } catch (error) {
+                if (!error.status) throw error;
+                skipped.push({ path: source, source, reason: error.message });
+            }
+            continue;
+        }
+
+        const reason = rejectEntry(source, uploaded.size, allowedExtensions);
+        if (reason) {
+            skipped.push({ path: source, source, reason });
+            continue;
+        }
+        const content = await fs.promises.readFile(uploaded.path, 'utf8');
+        files.push({ path: normalizeEntryPath(source), content, size: uploaded.size, source });
+    }
+
+    // The same path twice would make the second a new version of the first
+    const seen = new Set();
+    const unique = files.filter(file => {
+        if (!seen.has(file.path)) {
+            seen.add(file.path);
+            return true;
+        }
+        skipped.push({ path: file.path, source: file.source, reason: 'duplicate path in this upload' });
+        return false;
+    });
+
+    return { files: unique, skipped };
+}
+
+/**
+ * Why an entry is skipped, or null when it should be ingested
+ */
+function rejectEntry(entryPath, size, allowedExtensions) {
+    if (!entryPath || entryPath.includes('\0')) return 'invalid file name';
+    if (/^([a-zA-Z]:)?[\\/]/.test(entryPath)) return 'absolute path';
+    if (entryPath.split(/[\\/]/).includes('..')) return 'path traversal';
+
+    const segments = normalizeEntryPath(entryPath).split('/');
+    if (segments.some(segment => IGNORED_SEGMENTS.has(segment))) return 'ignored folder';
+    if (segments[segments.length - 1].startsWith('.')) return 'hidden file';
+
+    const extension = path.extname(entryPath).toLowerCase();
+    if (!allowedExtensions.includes(extension)) return `unsupported file type${extension ? ` (${extension})` : ''}`;
+    if (size === 0) return 'empty or encrypted file';
+    if (size > ARCHIVE_LIMITS.maxEntryBytes) return `larger than ${formatMb(ARCHIVE_LIMITS.maxEntryBytes)}`;
+    return null;
+}
+
+function normalizeEntryPath(entryPath) {
+    return path.posix.normalize(entryPath.replace(/\\/g, '/')).replace(/^\.\//, '');
+}
+
+/**
+ * Buffer a stream, failing once it exceeds maxBytes (headers can lie about sizes)
+ */
+async function readStream(stream, maxBytes) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of stream) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            stream.destroy();
+            throw archiveError(413, `An archive entry unpacks to more than ${formatMb(maxBytes)}`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+function formatMb(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+function archiveError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = {
+    ARCHIVE_LIMITS,
+    ARCHIVE_TYPES,
+    archiveType,
+    extractArchive,
+    collectSchemaFiles
+};
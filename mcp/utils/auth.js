@@ -0,0 +1,225 @@
+// utils/auth.js - API key / JWT authentication and project-level role checks
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, ProjectMembership, SchemaUpload, Conversation, Thread, ProjectStats, ProjectSettings, IngestionJob } = require('../models/index.js');
+
+const AUTH_CONFIG = {
+    // Development only: every request runs as devUserId with access to every project
+    disabled: process.env.AUTH_DISABLED === 'true',
+    devUserId: process.env.AUTH_DEV_USER_ID || 'local-dev',
+    // Off by default; without it users are created with `npm run admin -- create-user`
+    allowRegistration: process.env.ALLOW_REGISTRATION === 'true',
+    jwtSecret: process.env.JWT_SECRET || null,
+    jwtIssuer: process.env.JWT_ISSUER || undefined,
+    jwtAudience: process.env.JWT_AUDIENCE || undefined,
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1h'
+};
+
+const ROLES = ['viewer', 'editor', 'owner'];
+const API_KEY_PREFIX = 'sck_';
+const PUBLIC_PATHS = ['/health', '/auth/register'];
+
+/**
+ * Create a new API key; only its hash is stored
+ * @returns {object} { key, prefix, keyHash }
+ */
+function generateApiKey() {
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 8), keyHash: hashApiKey(key) };
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Sign a JWT for a user (requires JWT_SECRET)
+ */
+function issueToken(userId) {
+    if (!AUTH_CONFIG.jwtSecret) {
+        throw httpError(501, 'JWT issuing is not configured (set JWT_SECRET)');
+    }
+    return jwt.sign({}, AUTH_CONFIG.jwtSecret, {
+        algorithm: 'HS256',
+        subject: userId,
+        expiresIn: AUTH_CONFIG.jwtExpiresIn,
+        ...(AUTH_CONFIG.jwtIssuer && { issuer: AUTH_CONFIG.jwtIssuer }),
+        ...(AUTH_CONFIG.jwtAudience && { audience: AUTH_CONFIG.jwtAudience })
+    });
+}
+
+/**
+ * Resolve the caller from `Authorization: Bearer <API key or JWT>` or `X-API-Key`
+ * @param {object} headers - Request headers
+ * @returns {Promise<object|null>} { userId, authMethod, trusted } or null when no credentials were sent
+ */
+async function identify(headers = {}) {
+    if (AUTH_CONFIG.disabled) {
+        return { userId: AUTH_CONFIG.devUserId, authMethod: 'disabled', trusted: true };
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '')?.[1]?.trim();
+    const credential = headers['x-api-key'] || bearer;
+    if (!credential) return null;
+
+    if (credential.startsWith(API_KEY_PREFIX)) {
+        return identifyApiKey(credential);
+    }
+    return identifyJwt(credential);
+}
+
+async function identifyApiKey(key) {
+    const keyHash = hashApiKey(key);
+    const user = await User.findOneAndUpdate(
+        { 'apiKeys.keyHash': keyHash },
+        { $set: { 'apiKeys.$.lastUsedAt': new Date() } },
+        { new: true }
+    );
+    if (!user) throw httpError(401, 'Invalid API key');
+
+    return { userId: user.userId, authMethod: 'api_key', trusted: false };
+}
+
+async function identifyJwt(token) {
+    if (!AUTH_CONFIG.jwtSecret) throw httpError(401, 'Invalid credentials');
+
+    let payload;
+    try {
+        payload = jwt.verify(token, AUTH_CONFIG.jwtSecret, {
+            algorithms: ['HS256'],
+            issuer: AUTH_CONFIG.jwtIssuer,
+            audience: AUTH_CONFIG.jwtAudience
+        });
+    } catch (error) {
+        throw httpError(401, error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+    if (!payload.sub) throw httpError(401, 'Token has no subject');
+
+    // Tokens from an external identity provider create the user on first use
+    await User.updateOne(
+        { userId: payload.sub },
+        { $setOnInsert: { userId: payload.sub, name: payload.name, email: payload.email } },
+        { upsert: true }
+    );
+
+    return { userId: payload.sub, authMethod: 'jwt', trusted: false };
+}
+
+/**
+ * Express middleware: sets req.user or answers 401. Public paths pass through.
+ */
+async function authenticate(req, res, next) {
+    if (PUBLIC_PATHS.includes(req.path) || req.method === 'OPTIONS') {
+        return next();
+    }
+
+    try {
+        const user = await identify(req.headers);
+        if (!user) throw httpError(401, 'Authentication required');
+        req.user = user;
+        next();
+    } catch (error) {
+        if (!error.status) return next(error);
+        res.set('WWW-Authenticate', 'Bearer');
+        res.status(error.status).json({ error: 'Unauthorized', message: error.message });
+    }
+}
+
+/**
+ * A user's role in a project, or null
+ */
+async function getProjectRole(userId, projectId) {
+    const membership = await ProjectMembership.findOne({ projectId, userId }).select('role').lean();
+    return membership?.role || null;
+}
+
+/**
+ * Check that a user holds at least `minRole` in a project
+ * @param {object} user - req.user
+ * @param {string} projectId - Project identifier
+ * @param {string} minRole - viewer, editor or owner
+ * @param {object} options - { claimUnowned: a brand-new project (no members, no data) becomes the caller's on
+ *   first upload; projects that already hold data get owners from `npm run admin -- assign-owner` }
+ * @returns {Promise<string>} The user's role
+ */
+async function assertProjectAccess(user, projectId, minRole = 'viewer', { claimUnowned = false } = {}) {
+    if (!user) throw httpError(401, 'Authentication required');
+    if (!projectId) throw httpError(400, 'projectId is required');
+    if (user.trusted) return 'owner';
+
+    let role = await getProjectRole(user.userId, projectId);
+
+    if (!role && claimUnowned && !(await ProjectMembership.exists({ projectId })) && !(await projectHasData(projectId))) {
+        try {
+            await ProjectMembership.create({ projectId, userId: user.userId, role: 'owner', addedBy: user.userId });
+            console.log(`🔑 Project ${projectId} claimed by ${user.userId}`);
+            role = 'owner';
+        } catch (error) {
+            // Someone else claimed it at the same moment
+            if (error.code !== 11000) throw error;
+            role = await getProjectRole(user.userId, projectId);
+        }
+    }
+
+    if (!role) throw httpError(403, 'You are not a member of this project');
+    if (ROLES.indexOf(role) < ROLES.indexOf(minRole)) {
+        throw httpError(403, `This action requires the ${minRole} role (you are ${role})`);
+    }
+    return role;
+}
+
+/**
+ * Express middleware factory: require a role in the project named by req.params or req.body
+ * (multer runs first on upload routes so the body is parsed)
+ */
+function requireProjectRole(minRole, options = {}) {
+    return async (req, res, next) => {
+        const projectId = req.params.projectId || req.body?.projectId;
+        try {
+            req.projectRole = await assertProjectAccess(req.user, projectId, minRole, options);
+            next();
+        } catch (error) {
+            if (!error.status) return next(error);
+            res.status(error.status).json({ error: { 400: 'Invalid request', 401: 'Unauthorized' }[error.status] || 'Forbidden', message: error.message });
+        }
+    };
+}
+
+/**
+ * Whether anything was ever stored under a project id: such a project is not up for claiming
+ */
+async function projectHasData(projectId) {
+    const found = await Promise.all([SchemaUpload, Conversation, Thread, ProjectStats, ProjectSettings, IngestionJob]
+        .map(model => model.exists({ projectId })));
+    return found.some(Boolean);
+}
+
+/**
+ * Project ids the user belongs to, or null when the user may see every project
+ */
+async function listUserProjects(user) {
+    if (user?.trusted) return null;
+    const memberships = await ProjectMembership.find({ userId: user?.userId }).select('projectId role').lean();
+    return memberships.map(membership => ({ projectId: membership.projectId, role: membership.role }));
+}
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = {
+    AUTH_CONFIG,
+    ROLES,
+    generateApiKey,
+    hashApiKey,
+    issueToken,
+    identify,
+    authenticate,
+    getProjectRole,
+    assertProjectAccess,
+    requireProjectRole,
+    projectHasData,
+    listUserProjects
+};
@@ -0,0 +1,430 @@
+// utils/chunker.js - Structure-aware chunking of extracted schema text
+const { tokenize, detectDialect, splitTopLevel } = require('./sqlParser');
+const { formatSqlSummary, formatSqlTable } = require('./extractText');
+
+const CHUNK_CONFIG = {
+  chunkSize: parseSetting(process.env.CHUNK_SIZE, 500, 1),
+  // 0 is valid: chunks do not overlap
+  overlap: parseSetting(process.env.CHUNK_OVERLAP, 50, 0)
+};
+
+// Statements already represented by the per-table chunks built from the schema model
+const MODELLED_SQL_STATEMENTS = [
+  /^CREATE\s+(OR\s+REPLACE\s+)?((GLOBAL|LOCAL|TEMP|TEMPORARY|UNLOGGED)\s+)*TABLE\b/i,
+  /^CREATE\s+(UNIQUE\s+)?INDEX\b/i,
+  /^CREATE\s+TYPE\b/i,
+  /^ALTER\s+TABLE\b/i,
+  /^COMMENT\s+ON\b/i
+];
+
+// Brace-delimited entity headers per file type: group 1 = entity type, group 2 = name
+const BLOCK_PATTERNS = {
+  '.prisma': [/^[ \t]*(model|enum|type|view)\s+(\w+)\s*\{/gm],
+  '.go': [/^[ \t]*type\s+(\w+)\s+(struct)\s*\{/gm],
+  '.java': [/^[ \t]*(?:(?:public|private|protected|abstract|final|static)\s+)*(class|interface|enum|record)\s+(\w+)[^{;]*\{/gm],
+  '.php': [/^[ \t]*(?:(?:abstract|final)\s+)*(class|interface|trait)\s+(\w+)[^{;]*\{/gm],
+  '.js': [/^[ \t]*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?(class|interface)\s+(\w+)[^{;]*\{/gm],
+  '.ts': [
+    /^[ \t]*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?(class|interface)\s+(\w+)[^{;]*\{/gm,
+    /^[ \t]*(?:export\s+)?(type)\s+(\w+)\s*=\s*\{/gm
+  ]
+};
+
+/**
+ * Split extracted schema text into chunks that each describe a single entity
+ * (table, model, struct, class). Oversized entities are split by column/field
+ * groups with the entity header repeated; text outside any entity falls back
+ * to a character window.
+ * @param {string} text - Extracted text as stored on SchemaUpload
+ * @param {object} options - { fileType, schemaModel, chunkSize, overlap }
+ * @returns {Array<{text: string, metadata: object}>} Chunks with entity metadata
+ */
+function chunkSchemaText(text, options = {}) {
+  const {
+    fileType = '',
+    schemaModel = null,
+    chunkSize = CHUNK_CONFIG.chunkSize,
+    overlap = CHUNK_CONFIG.overlap
+  } = options;
+
+  const ext = fileType.toLowerCase();
+  let entities = [];
+  let remainder = text;
+
+  if (ext === '.sql' && schemaModel) {
+    ({ entities, remainder } = findSqlEntities(text, schemaModel));
+  } else if (BLOCK_PATTERNS[ext]) {
+    ({ entities, remainder } = findBraceEntities(text, BLOCK_PATTERNS[ext], ext));
+  } else if (ext === '.py') {
+    ({ entities, remainder } = findIndentedEntities(text));
+  } else if (ext === '.rb') {
+    ({ entities, remainder } = findRubyEntities(text));
+  }
+
+  const chunks = [];
+
+  for (const entity of entities) {
+    const parts = splitEntity(entity, chunkSize);
+    parts.forEach((partText, index) => {
+      chunks.push({
+        text: partText,
+        metadata: {
+          entityName: entity.name,
+          entityType: entity.type,
+          chunkPart: index + 1,
+          chunkParts: parts.length,
+          chunkStrategy: 'entity'
+        }
+      });
+    });
+  }
+
+  // Anything not covered by an entity (preambles, views, config blocks, data files)
+  if (hasSubstance(remainder)) {
+    const windows = splitIntoChunks(remainder.replace(/\n{3,}/g, '\n\n').trim(), chunkSize, overlap);
+    windows.forEach((windowText, index) => {
+      chunks.push({
+        text: windowText,
+        metadata: {
+          entityType: 'text',
+          chunkPart: index + 1,
+          chunkParts: windows.length,
+          chunkStrategy: 'window'
+        }
+      });
+    });
+  }
+
+  return chunks;
+}
+
+/**
+ * One entity per parsed table (rendered from the schema model), plus views,
+ * functions and other leftover statements from the raw SQL.
+ */
+function findSqlEntities(text, schemaModel) {
+  const entities = schemaModel.tables.map(table => {
+    const rendered = formatSqlTable(table).trimEnd();
+    const lines = rendered.split('\n');
+    return {
+      name: table.schema ? `${table.schema}.${table.name}` : table.name,
+      type: 'table',
+      text: rendered,
+      headerLines: lines[1]?.startsWith('  Description:') ? 2 : 1,
+      footerLines: 0
+    };
+  });
+
+  const summary = formatSqlSummary(schemaModel);
+  const raw = text.startsWith(summary) ? text.slice(summary.length) : text;
+  const dialect = schemaModel.dialect !== 'generic' ? schemaModel.dialect : detectDialect(raw);
+  const leftovers = [];
+
+  for (const statement of splitTopLevel(tokenize(raw, { dialect }), ';')) {
+    if (statement.length === 0) continue;
+
+    const statementText = raw.slice(statement[0].start, statement[statement.length - 1].end).trim();
+    if (MODELLED_SQL_STATEMENTS.some(pattern => pattern.test(statementText))) continue;
+
+    const named = statementText.match(/^CREATE\s+(?:OR\s+REPLACE\s+)?(?:MATERIALIZED\s+)?(VIEW|FUNCTION|PROCEDURE|TRIGGER|SEQUENCE)\s+(?:IF\s+NOT\s+EXISTS\s+)?([\w."`[\]]+)/i);
+    if (named) {
+      entities.push({
+        name: named[2].replace(/["`[\]]/g, ''),
+        type: named[1].toLowerCase(),
+        text: `${statementText};`,
+        headerLines: 1,
+        footerLines: 0
+      });
+    } else {
+      leftovers.push(`${statementText};`);
+    }
+  }
+
+  return { entities, remainder: leftovers.join('\n\n') };
+}
+
+/**
+ * Entities delimited by a header line and matching braces. Extracted text often
+ * repeats a block (summary + original source), so duplicates are collapsed by
+ * name and every occurrence is removed from the remainder.
+ */
+function findBraceEntities(text, patterns, ext) {
+  const spans = [];
+  const byName = new Map();
+
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const openBrace = match.index + match[0].lastIndexOf('{');
+      const closeBrace = findMatchingBrace(text, openBrace);
+      if (closeBrace === -1) continue;
+
+      // Go puts the name before the keyword: `type User struct {`
+      const [type, name] = ext === '.go' ? [match[2], match[1]] : [match[1], match[2]];
+      const start = text.lastIndexOf('\n', match.index) + 1;
+      const end = closeBrace + 1;
+      const blockText = text.slice(start, end);
+
+      // A header-only summary line would otherwise swallow the following blocks
+      if (containsSiblingHeader(blockText, patterns)) continue;
+
+      spans.push({ start, end });
+      const key = `${type}:${name}`;
+      if (!byName.has(key) || byName.get(key).text.length < blockText.length) {
+        byName.set(key, { name, type, text: blockText, position: start });
+      }
+      pattern.lastIndex = end;
+    }
+  }
+
+  const entities = Array.from(byName.values())
+    .sort((a, b) => a.position - b.position)
+    .map(({ name, type, text: blockText }) => ({
+      name,
+      type,
+      text: dedent(blockText),
+      headerLines: countHeaderLines(blockText),
+      footerLines: 1
+    }));
+
+  // Drop header-only summary lines (e.g. "public class User {") left behind by extraction
+  const headerLines = new Set(entities.map(entity => entity.text.split('\n')[0].trim()));
+  const remainder = removeSpans(text, spans)
+    .split('\n')
+    .filter(line => !headerLines.has(line.trim()))
+    .join('\n');
+
+  return { entities, remainder };
+}
+
+/**
+ * Python classes: the block runs until the next line indented at or below the class line
+ */
+function findIndentedEntities(text) {
+  const lines = text.split('\n');
+  const spans = [];
+  const byName = new Map();
+  let offset = 0;
+  const lineOffsets = lines.map(line => {
+    const start = offset;
+    offset += line.length + 1;
+    return start;
+  });
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(/^([ \t]*)class\s+(\w+)[^:]*:\s*(#.*)?$/);
+    if (!match) continue;
+
+    const indent = match[1].length;
+    let end = i + 1;
+    while (end < lines.length) {
+      const line = lines[end];
+      if (line.trim() !== '' && line.match(/^[ \t]*/)[0].length <= indent) break;
+      end++;
+    }
+    while (end > i + 1 && lines[end - 1].trim() === '') end--;
+
+    const blockText = lines.slice(i, end).join('\n');
+    spans.push({ start: lineOffsets[i], end: lineOffsets[i] + blockText.length });
+    if (!byName.has(match[2]) || byName.get(match[2]).text.length < blockText.length) {
+      byName.set(match[2], { name: match[2], type: 'class', text: dedent(blockText), headerLines: 1, footerLines: 0, position: i });
+    }
+  }
+
+  const entities = Array.from(byName.values()).sort((a, b) => a.position - b.position);
+  entities.forEach(entity => delete entity.position);
+  return { entities, remainder: removeSpans(text, spans) };
+}
+
+/**
+ * Ruby classes: the block runs until `end` at the class line's indentation
+ */
+function findRubyEntities(text) {
+  const entities = [];
+  const spans = [];
+  const classRegex = /^([ \t]*)class\s+([\w:]+)[^\n]*\n/gm;
+  let match;
+
+  while ((match = classRegex.exec(text)) !== null) {
+    const endRegex = new RegExp(`^${match[1]}end\\b.*$`, 'm');
+    const rest = text.slice(match.index + match[0].length);
+    const endMatch = rest.match(endRegex);
+    if (!endMatch) continue;
+
+    const end = match.index + match[0].length + endMatch.index + endMatch[0].length;
+    spans.push({ start: match.index, end });
+    entities.push({
+      name: match[2],
+      type: 'class',
+      text: dedent(text.slice(match.index, end)),
+      headerLines: 1,
+      footerLines: 1
+    });
+    classRegex.lastIndex = end;
+  }
+
+  return { entities, remainder: removeSpans(text, spans) };
+}
+
+/**
+ * Split an entity into column/field groups that fit the chunk size, repeating
+ * the header (and closing line) in every part.
+ */
+function splitEntity(entity, chunkSize) {
+  if (entity.text.length <= chunkSize) {
+    return [entity.text];
+  }
+
+  const lines = entity.text.split('\n');
+  const header = lines.slice(0, entity.headerLines);
+  const footer = entity.footerLines > 0 ? lines.slice(-entity.footerLines) : [];
+  const body = lines.slice(entity.headerLines, lines.length - footer.length);
+
+  const frameLength = [...header, ...footer].join('\n').length + 2;
+  const budget = Math.max(chunkSize - frameLength, 1);
+  const groups = [];
+  let current = [];
+  let currentLength = 0;
+
+  for (const line of body) {
+    if (current.length > 0 && currentLength + line.length + 1 > budget) {
+      groups.push(current);
+      current = [];
+      currentLength = 0;
+    }
+    current.push(line);
+    currentLength += line.length + 1;
+  }
+  if (current.length > 0) groups.push(current);
+
+  if (groups.length <= 1) {
+    return [entity.text];
+  }
+
+  return groups.map(group => [...header, ...group, ...footer].join('\n'));
+}
+
+/**
+ * Fixed-size character window splitting, breaking on whitespace where possible
+ * @param {string} text - Text to split
+ * @param {number} chunkSize - Maximum characters per chunk
+ * @param {number} overlap - Characters shared between consecutive chunks
+ * @returns {string[]} Text chunks
+ */
+function splitIntoChunks(text, chunkSize = CHUNK_CONFIG.chunkSize, overlap = CHUNK_CONFIG.overlap) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = start + chunkSize;
+
+    if (end < text.length) {
+      const lastSpace = text.lastIndexOf(' ', end);
+      if (lastSpace > start + chunkSize * 0.7) {
+        end = lastSpace;
+      }
+    }
+
+    const chunk = text.slice(start, end).trim();
+    if (chunk.length > 0) {
+      chunks.push(chunk);
+    }
+
+    if (end >= text.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+// Helpers
+
+function parseSetting(value, fallback, min) {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) || parsed < min ? fallback : parsed;
+}
+
+function findMatchingBrace(text, openIndex) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = openIndex; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+
+    if (ch === '/' && text[i + 1] === '/') {
+      const lineEnd = text.indexOf('\n', i);
+      if (lineEnd === -1) return -1;
+      i = lineEnd;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'" || ch === '`') quote = ch;
+    else if (ch === '{') depth++;
+    else if (ch === '}' && --depth === 0) return i;
+  }
+
+  return -1;
+}
+
+function containsSiblingHeader(blockText, patterns) {
+  const lines = blockText.split('\n');
+  const indent = lines[0].match(/^[ \t]*/)[0].length;
+  const headers = patterns.map(pattern => new RegExp(pattern.source));
+
+  return lines.slice(1, -1).some(line =>
+    line.trim() !== '' &&
+    line.match(/^[ \t]*/)[0].length <= indent &&
+    headers.some(header => header.test(line))
+  );
+}
+
+function countHeaderLines(blockText) {
+  const braceIndex = blockText.indexOf('{');
+  return blockText.slice(0, braceIndex).split('\n').length;
+}
+
+function removeSpans(text, spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  let result = '';
+  let cursor = 0;
+
+  for (const span of sorted) {
+    if (span.start > cursor) result += text.slice(cursor, span.start);
+    cursor = Math.max(cursor, span.end);
+  }
+
+  return result + text.slice(cursor);
+}
+
+function dedent(text) {
+  const lines = text.split('\n');
+  const indents = lines
+    .filter(line => line.trim() !== '')
+    .map(line => line.match(/^[ \t]*/)[0].length);
+  const minIndent = Math.min(...indents, lines[0].match(/^[ \t]*/)[0].length);
+  return minIndent > 0 ? lines.map(line => line.slice(minIndent)).join('\n') : text;
+}
+
+/**
+ * Skip remainders that are only section headings left behind by extraction
+ */
+function hasSubstance(text) {
+  const meaningful = text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !/^[\w/ ]+(structure|schema|found|defined|definitions)[^:]*:$/i.test(line));
+  return meaningful.join('').length > 0;
+}
+
+module.exports = {
+  chunkSchemaText,
+  splitIntoChunks,
+  CHUNK_CONFIG
+};
@@ -1,5 +1,6 @@
-// utils/embed.js - Updated Embedding Utils for Ollama
+// utils/embed.js - Batched Embedding Utils for Ollama and OpenAI
 const axios = require('axios');
+const { hashContent, lookupEmbeddings, storeEmbeddings } = require('./embeddingCache');
 
 const EMBEDDING_CONFIG = {
   provider: process.env.EMBEDDING_PROVIDER || 'ollama',
@@ -13,98 +14,308 @@ const EMBEDDING_CONFIG = {
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
     model: 'text-embedding-3-small',
+    dimensions: parseInt(process.env.OPENAI_EMBEDDING_DIMENSIONS) || 1536,
     apiUrl: 'https://api.openai.com/v1/embeddings'
   }
 };
 
+// Batched pipeline: inputs are split into batches, `concurrency` batches are in flight at
+// once and a failed batch is retried with exponential backoff before the call gives up
+const BATCH_CONFIG = {
+  batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32,
+  concurrency: parseInt(process.env.EMBEDDING_CONCURRENCY) || 4,
+  maxRetries: process.env.EMBEDDING_MAX_RETRIES ? Math.max(parseInt(process.env.EMBEDDING_MAX_RETRIES) || 0, 0) : 3,
+  retryDelayMs: parseInt(process.env.EMBEDDING_RETRY_DELAY_MS) || 500
+};
+
+// Throughput counters since process start, per provider (see getEmbeddingMetrics)
+const metrics = {
+  startedAt: new Date().toISOString(),
+  providers: {}
+};
+
+// Hash-based vectors, used when no provider is configured or reachable
+const MOCK_MODEL = { provider: 'mock', model: 'hash', dimensions: EMBEDDING_CONFIG.ollama.dimensions };
+
+// Resolved once per process; cleared on failure so the next call checks again
+let ollamaModelCheck = null;
+// Ollama before 0.3 has no /api/embed; detected on first use
+let ollamaBatchSupported = true;
+
 /**
- * Generate embeddings for text chunks using Ollama's nomic-embed-text model
+ * Generate embeddings for text chunks using the configured provider. Chunks embedded
+ * before with the same model come from the embedding cache (see utils/embeddingCache.js).
  * @param {string|string[]} input - Text or array of text chunks to embed
- * @returns {Promise<number[]|number[][]>} Embedding vector(s)
+ * @param {object} options - see generateEmbeddingsWithModel
+ * @returns {Promise<number[]|number[][]>} Embedding vector(s), in input order
  */
-async function generateEmbeddings(input) {
+async function generateEmbeddings(input, options = {}) {
+  const { embeddings } = await generateEmbeddingsWithModel(input, options);
+  return embeddings;
+}
+
+/**
+ * Generate embeddings and report which model produced them. Vectors from different
+ * models cannot be compared, so stored vectors are tagged with it (see embeddingModelTags).
+ * @param {string|string[]} input - Text or array of text chunks to embed
+ * @param {object} options - { onProgress(embedded, total) } called as batches finish,
+ *   { onCache({ hits, misses }) } called with how many chunks the cache served,
+ *   { fallbackToMock } - on provider errors return mock vectors instead of throwing (default true)
+ * @returns {Promise<object>} { embeddings, embeddingModel: { provider, model, dimensions } }
+ */
+async function generateEmbeddingsWithModel(input, { onProgress = null, onCache = null, fallbackToMock = true } = {}) {
   const isArray = Array.isArray(input);
   const chunks = isArray ? input : [input];
-  
-  console.log(`Generating embeddings for ${chunks.length} chunks using ${EMBEDDING_CONFIG.provider} provider`);
-  
+  const provider = EMBEDDING_CONFIG.provider;
+  const result = (embeddings, model) => ({
+    embeddings: isArray ? embeddings : embeddings[0],
+    embeddingModel: { ...model, dimensions: embeddings[0]?.length ?? model.dimensions }
+  });
+
+  if (chunks.length > 1) {
+    console.log(`Generating embeddings for ${chunks.length} chunks using ${provider} provider`);
+  }
+
   try {
-    switch (EMBEDDING_CONFIG.provider) {
+    let embeddings;
+    switch (provider) {
       case 'ollama':
-        const embeddings = await generateOllamaEmbeddings(chunks);
-        // console.log({"ollamaEmbeddings":embeddings});
-        return isArray ? embeddings : embeddings[0];
+        embeddings = await embedWithCache(provider, chunks, generateOllamaEmbeddings, { onProgress, onCache, prepare: ensureOllamaModel });
+        break;
       case 'openai':
-        const openaiEmbeddings = await generateOpenAIEmbeddings(chunks);
-        return isArray ? openaiEmbeddings : openaiEmbeddings[0];
+        if (!EMBEDDING_CONFIG.openai.apiKey) {
+          throw new Error('OpenAI API key not found');
+        }
+        embeddings = await embedWithCache(provider, chunks, generateOpenAIEmbeddings, { onProgress, onCache });
+        break;
       default:
-        const mockEmbeddings = generateMockEmbeddings(chunks);
-        console.log({"mockEmbeddings":mockEmbeddings});
-        return isArray ? mockEmbeddings : mockEmbeddings[0];
+        embeddings = generateMockEmbeddings(chunks);
+        onProgress?.(chunks.length, chunks.length);
+        return result(embeddings, MOCK_MODEL);
     }
+    return result(embeddings, getEmbeddingModel());
   } catch (error) {
     console.error('Error generating embeddings:', error.message);
+    if (!fallbackToMock) throw error;
+
     console.warn('Falling back to mock embeddings');
     const mockEmbeddings = generateMockEmbeddings(chunks);
-    return isArray ? mockEmbeddings : mockEmbeddings[0];
+    onProgress?.(chunks.length, chunks.length);
+    return result(mockEmbeddings, MOCK_MODEL);
+  }
+}
+
+/**
+ * The configured embedding model
+ * @returns {object} { provider, model, dimensions }
+ */
+function getEmbeddingModel() {
+  const { provider } = EMBEDDING_CONFIG;
+  if (!['ollama', 'openai'].includes(provider)) return MOCK_MODEL;
+  return { provider, model: EMBEDDING_CONFIG[provider].model, dimensions: EMBEDDING_CONFIG[provider].dimensions };
+}
+
+/**
+ * Metadata that tags a stored vector with its model; searches only compare vectors with equal tags
+ */
+function embeddingModelTags({ provider, model, dimensions }) {
+  return { embeddingModel: `${provider}:${model}`, embeddingDimensions: dimensions };
+}
+
+/**
+ * Serve chunks from the embedding cache and embed only the rest; identical texts are
+ * embedded once. `prepare` runs before the provider is first called.
+ */
+async function embedWithCache(provider, chunks, embedBatch, { onProgress, onCache, prepare = null }) {
+  const { model, dimensions } = EMBEDDING_CONFIG[provider];
+  const identity = { provider, model, dimensions };
+  const hashes = chunks.map(hashContent);
+  const vectorsByHash = await lookupEmbeddings(identity, [...new Set(hashes)]);
+
+  const hits = hashes.filter(hash => vectorsByHash.has(hash)).length;
+  const missing = [...new Set(hashes.filter(hash => !vectorsByHash.has(hash)))];
+  const stats = providerMetrics(provider);
+  stats.cacheHits += hits;
+  stats.cacheMisses += chunks.length - hits;
+  onCache?.({ hits, misses: chunks.length - hits });
+
+  if (hits > 0) {
+    if (chunks.length > 1) console.log(`♻️ ${hits} of ${chunks.length} embeddings served from cache`);
+    onProgress?.(hits, chunks.length);
+  }
+
+  if (missing.length > 0) {
+    await prepare?.();
+    const textByHash = new Map(hashes.map((hash, i) => [hash, chunks[i]]));
+    const texts = missing.map(hash => textByHash.get(hash));
+    const vectors = await embedInBatches(provider, texts, embedBatch, (embedded) => {
+      onProgress?.(hits + embedded, chunks.length);
+    });
+
+    missing.forEach((hash, i) => vectorsByHash.set(hash, vectors[i]));
+    await storeEmbeddings(identity, missing.map((hash, i) => ({ hash, embedding: vectors[i] })));
+    if (hits + missing.length < chunks.length) onProgress?.(chunks.length, chunks.length);
+  }
+
+  return hashes.map(hash => vectorsByHash.get(hash));
+}
+
+/**
+ * Run `embedBatch` over batches of chunks with bounded concurrency and per-batch retries
+ */
+async function embedInBatches(provider, chunks, embedBatch, onProgress) {
+  const { batchSize, concurrency } = BATCH_CONFIG;
+  const batches = [];
+  for (let start = 0; start < chunks.length; start += batchSize) {
+    batches.push({ start, texts: chunks.slice(start, start + batchSize) });
+  }
+
+  const stats = providerMetrics(provider);
+  const results = new Array(chunks.length);
+  const startTime = Date.now();
+  let embedded = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < batches.length) {
+      const batch = batches[next++];
+      const vectors = await withRetries(provider, () => embedBatch(batch.texts));
+      if (vectors.length !== batch.texts.length) {
+        throw new Error(`Expected ${batch.texts.length} embeddings from ${provider}, got ${vectors.length}`);
+      }
+
+      vectors.forEach((vector, i) => { results[batch.start + i] = vector; });
+      embedded += vectors.length;
+      stats.batches++;
+      onProgress?.(embedded, chunks.length);
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, worker));
+  } catch (error) {
+    stats.failures++;
+    // Stop the other workers from picking up more batches
+    next = batches.length;
+    throw error;
+  }
+
+  const elapsedMs = Date.now() - startTime;
+  stats.calls++;
+  stats.texts += chunks.length;
+  stats.totalMs += elapsedMs;
+  stats.lastRun = {
+    texts: chunks.length,
+    batches: batches.length,
+    elapsedMs,
+    textsPerSecond: rate(chunks.length, elapsedMs),
+    at: new Date().toISOString()
+  };
+
+  if (chunks.length > 1) {
+    console.log(`⚡ Embedded ${chunks.length} chunks in ${elapsedMs}ms (${stats.lastRun.textsPerSecond}/s, ${batches.length} batch(es) of ${batchSize}, concurrency ${concurrency})`);
+  }
+  return results;
+}
+
+/**
+ * Retry a batch with exponential backoff. Errors that will not go away (bad request,
+ * unknown model, auth) fail at once.
+ */
+async function withRetries(provider, fn) {
+  const { maxRetries, retryDelayMs } = BATCH_CONFIG;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const status = error.response?.status;
+      const permanent = error.permanent || (status && status < 500 && status !== 408 && status !== 429);
+      if (permanent || attempt >= maxRetries) throw error;
+
+      const delay = retryDelayMs * 2 ** attempt;
+      providerMetrics(provider).retries++;
+      console.warn(`⚠️ Embedding batch failed (${error.message}), retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
   }
 }
 
 /**
- * Generate embeddings using Ollama's nomic-embed-text model
+ * Generate embeddings for one batch using Ollama's batch endpoint (/api/embed), or one
+ * request per text on servers that do not have it
  */
 async function generateOllamaEmbeddings(chunks) {
   const { baseUrl, model } = EMBEDDING_CONFIG.ollama;
-  
-  console.log(`Using Ollama model: ${model}`);
-  
+  const options = {
+    timeout: 300000,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
   try {
-    // Check if model is available
-    await checkOllamaModel(model);
-    
+    if (ollamaBatchSupported) {
+      try {
+        const response = await axios.post(`${baseUrl}/api/embed`, { model, input: chunks }, options);
+        if (!Array.isArray(response.data?.embeddings)) {
+          throw new Error('Invalid response format from Ollama embed API');
+        }
+        return response.data.embeddings;
+      } catch (error) {
+        // An unknown route answers a plain-text 404; an unknown model answers JSON
+        if (error.response?.status !== 404 || typeof error.response.data !== 'string') throw error;
+        ollamaBatchSupported = false;
+        console.warn('⚠️ Ollama has no /api/embed, falling back to one request per chunk');
+      }
+    }
+
     const embeddings = [];
-    
-    // Process chunks individually to avoid context limits
     for (const chunk of chunks) {
       const response = await axios.post(`${baseUrl}/api/embeddings`, {
         model: model,
         prompt: chunk
-      }, {
-        timeout: 300000,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      
+      }, options);
+
       if (response.data && response.data.embedding) {
         embeddings.push(response.data.embedding);
       } else {
         throw new Error('Invalid response format from Ollama embeddings API');
       }
-      
-      // Small delay between requests to avoid overwhelming Ollama
-      if (chunks.length > 1) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
     }
-    
     return embeddings;
-    
+
   } catch (error) {
     console.error('Ollama embedding error:', error.message);
-    
+
     if (error.code === 'ECONNREFUSED') {
       throw new Error(`Ollama service is not running at ${baseUrl}`);
     }
-    
+
     if (error.response?.status === 404) {
-      throw new Error(`Model "${model}" not found. Please run: ollama pull ${model}`);
+      const notFound = new Error(`Model "${model}" not found. Please run: ollama pull ${model}`);
+      notFound.permanent = true;
+      throw notFound;
     }
-    
+
     throw error;
   }
 }
 
+/**
+ * Check the Ollama embedding model once per process
+ */
+function ensureOllamaModel() {
+  if (!ollamaModelCheck) {
+    console.log(`Using Ollama model: ${EMBEDDING_CONFIG.ollama.model}`);
+    ollamaModelCheck = checkOllamaModel(EMBEDDING_CONFIG.ollama.model).catch(error => {
+      ollamaModelCheck = null;
+      throw error;
+    });
+  }
+  return ollamaModelCheck;
+}
+
 /**
  * Check if Ollama model is available
  */
@@ -140,13 +351,9 @@ async function checkOllamaModel(modelName) {
 }
 
 /**
- * Generate embeddings using OpenAI's API (fallback)
+ * Generate embeddings for one batch using OpenAI's API (fallback)
  */
 async function generateOpenAIEmbeddings(chunks) {
-  if (!EMBEDDING_CONFIG.openai.apiKey) {
-    throw new Error('OpenAI API key not found');
-  }
-  
   const response = await axios.post(
     EMBEDDING_CONFIG.openai.apiUrl,
     {
@@ -154,6 +361,7 @@ async function generateOpenAIEmbeddings(chunks) {
       model: EMBEDDING_CONFIG.openai.model
     },
     {
+      timeout: 120000,
       headers: {
         'Authorization': `Bearer ${EMBEDDING_CONFIG.openai.apiKey}`,
         'Content-Type': 'application/json'
@@ -161,7 +369,39 @@ async function generateOpenAIEmbeddings(chunks) {
     }
   );
   
-  return response.data.data.map(item => item.embedding);
+  // Results carry their input index; keep input order
+  return response.data.data
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+}
+
+/**
+ * Embedding throughput since process start, for tuning batch size and concurrency
+ * @returns {object} { provider, model, config, startedAt, providers: { [name]: { calls, texts, batches, retries, failures, cacheHits, cacheMisses, averageTextsPerSecond, lastRun } } }
+ */
+function getEmbeddingMetrics() {
+  const provider = EMBEDDING_CONFIG.provider;
+  return {
+    provider,
+    model: EMBEDDING_CONFIG[provider]?.model || 'mock',
+    config: { ...BATCH_CONFIG, ollamaBatchEndpoint: ollamaBatchSupported },
+    startedAt: metrics.startedAt,
+    providers: Object.fromEntries(Object.entries(metrics.providers).map(([name, stats]) => [name, {
+      ...stats,
+      averageTextsPerSecond: rate(stats.texts, stats.totalMs)
+    }]))
+  };
+}
+
+function providerMetrics(provider) {
+  if (!metrics.providers[provider]) {
+    metrics.providers[provider] = { calls: 0, texts: 0, batches: 0, retries: 0, failures: 0, cacheHits: 0, cacheMisses: 0, totalMs: 0, lastRun: null };
+  }
+  return metrics.providers[provider];
+}
+
+function rate(count, ms) {
+  return ms > 0 ? Math.round((count / ms) * 10000) / 10 : count;
 }
 
 /**
@@ -216,6 +456,10 @@ function cosineSimilarity(vecA, vecB) {
 
 module.exports = { 
   generateEmbeddings, 
+  generateEmbeddingsWithModel,
+  getEmbeddingModel,
+  embeddingModelTags,
   cosineSimilarity,
-  checkOllamaModel
+  checkOllamaModel,
+  getEmbeddingMetrics
 };
\ No newline at end of file
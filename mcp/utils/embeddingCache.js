@@ -0,0 +1,98 @@
+// utils/embeddingCache.js - Content-addressed embedding cache in MongoDB
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { EmbeddingCache } = require('../models/index.js');
+
+const CACHE_ENABLED = process.env.EMBEDDING_CACHE !== 'false';
+
+// Models whose stale entries were already purged by this process
+const purged = new Set();
+
+/**
+ * Cache key of a chunk's text
+ */
+function hashContent(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Whether lookups can run: caching is on and MongoDB is connected (the cache is
+ * skipped rather than waiting for a connection)
+ */
+function cacheAvailable() {
+    return CACHE_ENABLED && mongoose.connection.readyState === 1;
+}
+
+/**
+ * Cached embeddings for content hashes under one embedding model
+ * @param {object} identity - { provider, model, dimensions }
+ * @param {string[]} hashes - Content hashes
+ * @returns {Promise<Map<string, number[]>>} Embeddings by hash; missing hashes are not cached
+ */
+async function lookupEmbeddings(identity, hashes) {
+    if (!cacheAvailable() || hashes.length === 0) return new Map();
+
+    try {
+        await purgeStaleEntries(identity);
+        const entries = await EmbeddingCache.find({ ...identity, contentHash: { $in: hashes } })
+            .select('contentHash embedding')
+            .lean();
+        return new Map(entries
+            .filter(entry => entry.embedding.length === identity.dimensions)
+            .map(entry => [entry.contentHash, entry.embedding]));
+    } catch (error) {
+        console.warn('⚠️ Embedding cache lookup failed:', error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Cache freshly generated embeddings. Vectors that do not have the configured
+ * dimensions are not cached.
+ * @param {object} identity - { provider, model, dimensions }
+ * @param {Array<{hash: string, embedding: number[]}>} entries
+ */
+async function storeEmbeddings(identity, entries) {
+    if (!cacheAvailable() || entries.length === 0) return;
+
+    const valid = entries.filter(entry => entry.embedding.length === identity.dimensions);
+    if (valid.length < entries.length) {
+        console.warn(`⚠️ ${identity.model} returned ${entries[0].embedding.length}-dimensional vectors, expected ${identity.dimensions}; not caching them (check EMBEDDING_DIMENSIONS)`);
+    }
+    if (valid.length === 0) return;
+
+    try {
+        await EmbeddingCache.bulkWrite(valid.map(entry => ({
+            updateOne: {
+                filter: { ...identity, contentHash: entry.hash },
+                update: { $setOnInsert: { ...identity, contentHash: entry.hash, embedding: entry.embedding } },
+                upsert: true
+            }
+        })), { ordered: false });
+    } catch (error) {
+        console.warn('⚠️ Embedding cache write failed:', error.message);
+    }
+}
+
+/**
+ * Drop entries of a provider made with another model or dimension; they can never be hit again
+ */
+async function purgeStaleEntries({ provider, model, dimensions }) {
+    const key = `${provider}:${model}:${dimensions}`;
+    if (purged.has(key)) return;
+    purged.add(key);
+
+    const { deletedCount } = await EmbeddingCache.deleteMany({
+        provider,
+        $or: [{ model: { $ne: model } }, { dimensions: { $ne: dimensions } }]
+    });
+    if (deletedCount > 0) {
+        console.log(`🧹 Removed ${deletedCount} cached embeddings from a previous ${provider} model or dimension`);
+    }
+}
+
+module.exports = {
+    hashContent,
+    lookupEmbeddings,
+    storeEmbeddings
+};
@@ -0,0 +1,283 @@
+// utils/erd.js - Entity-relationship diagrams (Mermaid, DBML, Graphviz DOT) from parsed schema models
+const { findTable, findColumn } = require('./sqlParser');
+
+const ERD_FORMATS = ['mermaid', 'dbml', 'dot'];
+
+/**
+ * Build the entities and relationships of a schema model, optionally scoped to
+ * some tables and their neighbours
+ * @param {object} schemaModel - Parsed (or merged) schema model
+ * @param {object} options - { tables: focus table names, depth: relationship hops to include around them }
+ * @returns {object} { entities, relationships, focus }
+ */
+function buildErd(schemaModel, options = {}) {
+  const { tables: focus = [], depth = 1 } = options;
+
+  const entities = schemaModel.tables.map(table => ({
+    name: qualifiedName(table),
+    table,
+    columns: table.columns.map(column => ({
+      name: column.name,
+      type: column.type,
+      primaryKey: column.primaryKey || table.primaryKey.some(name => sameName(name, column.name)),
+      foreignKey: table.foreignKeys.some(fk => fk.columns.some(name => sameName(name, column.name))),
+      unique: Boolean(column.unique),
+      nullable: column.nullable !== false,
+      comment: column.comment || null
+    }))
+  }));
+
+  const relationships = [];
+  for (const table of schemaModel.tables) {
+    for (const fk of table.foreignKeys) {
+      const target = findTable(schemaModel, fk.table, fk.schema);
+      const toColumns = fk.referencedColumns.length > 0 ? fk.referencedColumns : (target?.primaryKey || []);
+      const columns = fk.columns.map(name => findColumn(table, name)).filter(Boolean);
+
+      relationships.push({
+        from: qualifiedName(table),
+        fromColumns: fk.columns,
+        to: target ? qualifiedName(target) : qualifiedName({ name: fk.table, schema: fk.schema }),
+        toColumns,
+        // A unique or primary-key FK points at exactly one row from at most one row
+        cardinality: isUniqueKey(table, fk.columns) ? 'one-to-one' : 'many-to-one',
+        optional: columns.some(column => column.nullable !== false),
+        name: fk.name || fk.relationName || null,
+        external: !target
+      });
+    }
+  }
+
+  // References to tables outside the uploaded schemas still get a box, without columns
+  for (const relationship of relationships.filter(r => r.external)) {
+    if (!entities.some(entity => entity.name === relationship.to)) {
+      entities.push({ name: relationship.to, table: null, columns: [], external: true });
+    }
+  }
+
+  if (focus.length === 0) {
+    return { entities, relationships, focus: [] };
+  }
+
+  const focusNames = focus
+    .map(name => entities.find(entity => sameName(entity.name, name) || sameName(entity.table?.name, name)))
+    .filter(Boolean)
+    .map(entity => entity.name);
+  const included = new Set(focusNames);
+
+  let frontier = [...focusNames];
+  for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+    const next = [];
+    for (const relationship of relationships) {
+      for (const [a, b] of [[relationship.from, relationship.to], [relationship.to, relationship.from]]) {
+        if (frontier.includes(a) && !included.has(b)) {
+          included.add(b);
+          next.push(b);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    entities: entities.filter(entity => included.has(entity.name)),
+    relationships: relationships.filter(r => included.has(r.from) && included.has(r.to)),
+    focus: focusNames
+  };
+}
+
+/**
+ * Render a schema model as a diagram
+ * @param {object} schemaModel - Parsed (or merged) schema model
+ * @param {string} format - mermaid, dbml or dot
+ * @param {object} options - Passed to buildErd
+ * @returns {object} { format, diagram, entities, relationships, focus }
+ */
+function renderErd(schemaModel, format = 'mermaid', options = {}) {
+  if (!ERD_FORMATS.includes(format)) {
+    throw new Error(`Unsupported diagram format: ${format}. Available: ${ERD_FORMATS.join(', ')}`);
+  }
+
+  const erd = buildErd(schemaModel, options);
+  const render = { mermaid: renderMermaid, dbml: renderDbml, dot: renderDot }[format];
+
+  return {
+    format,
+    diagram: render(erd, schemaModel),
+    entities: erd.entities.map(entity => entity.name),
+    relationships: erd.relationships.length,
+    focus: erd.focus
+  };
+}
+
+function renderMermaid({ entities, relationships }) {
+  const lines = ['erDiagram'];
+
+  for (const entity of entities) {
+    // Tables outside the schema appear through their relationships only
+    if (entity.columns.length === 0) continue;
+    lines.push(`  ${mermaidName(entity.name)} {`);
+    for (const column of entity.columns) {
+      const keys = [column.primaryKey && 'PK', column.foreignKey && 'FK', column.unique && !column.primaryKey && 'UK'].filter(Boolean);
+      const type = (column.type || 'unknown').replace(/[^\w()[\]-]+/g, '_');
+      const comment = column.comment ? ` "${column.comment.replace(/"/g, "'")}"` : '';
+      lines.push(`    ${type} ${mermaidName(column.name)}${keys.length ? ` ${keys.join(', ')}` : ''}${comment}`);
+    }
+    lines.push('  }');
+  }
+
+  for (const relationship of relationships) {
+    // Child side: zero or more (or zero/one for 1:1); parent side: exactly one, or zero/one when the FK is nullable
+    const childSide = relationship.cardinality === 'one-to-one' ? '|o' : '}o';
+    const parentSide = relationship.optional ? 'o|' : '||';
+    lines.push(`  ${mermaidName(relationship.from)} ${childSide}--${parentSide} ${mermaidName(relationship.to)} : "${relationship.fromColumns.join(', ')}"`);
+  }
+
+  return lines.join('\n');
+}
+
+function renderDbml({ entities, relationships }, schemaModel) {
+  const blocks = [];
+  const usedEnums = new Set();
+
+  for (const entity of entities.filter(e => !e.external)) {
+    const lines = [`Table ${dbmlName(entity.name)} {`];
+    const compositePrimaryKey = entity.table.primaryKey.length > 1;
+    for (const column of entity.columns) {
+      const settings = [
+        column.primaryKey && !compositePrimaryKey && 'pk',
+        column.unique && !column.primaryKey && 'unique',
+        !column.nullable && (!column.primaryKey || compositePrimaryKey) && 'not null',
+        column.comment && `note: '${column.comment.replace(/'/g, "\\'")}'`
+      ].filter(Boolean);
+      lines.push(`  ${dbmlName(column.name)} ${dbmlType(column.type)}${settings.length ? ` [${settings.join(', ')}]` : ''}`);
+    }
+
+    const compositeKeys = compositePrimaryKey ? [`(${entity.table.primaryKey.map(dbmlName).join(', ')}) [pk]`] : [];
+    const compositeUniques = entity.table.uniqueConstraints
+      .filter(constraint => constraint.columns.length > 1)
+      .map(constraint => `(${constraint.columns.map(dbmlName).join(', ')}) [unique]`);
+    if (compositeKeys.length + compositeUniques.length > 0) {
+      lines.push('', '  indexes {', ...[...compositeKeys, ...compositeUniques].map(index => `    ${index}`), '  }');
+    }
+    if (entity.table.comment) {
+      lines.push(`  Note: '${entity.table.comment.replace(/'/g, "\\'")}'`);
+    }
+
+    lines.push('}');
+    blocks.push(lines.join('\n'));
+
+    entity.table.columns.filter(column => column.enumValues).forEach(column => usedEnums.add(column.type.toLowerCase()));
+  }
+
+  for (const enumDef of (schemaModel.enums || []).filter(e => usedEnums.has(e.name.toLowerCase()))) {
+    blocks.push([`Enum ${dbmlName(enumDef.name)} {`, ...enumDef.values.map(value => `  ${dbmlName(value)}`), '}'].join('\n'));
+  }
+
+  for (const relationship of relationships) {
+    const operator = relationship.cardinality === 'one-to-one' ? '-' : '>';
+    blocks.push(`Ref${relationship.name ? ` ${dbmlName(relationship.name)}` : ''}: ${dbmlEndpoint(relationship.from, relationship.fromColumns)} ${operator} ${dbmlEndpoint(relationship.to, relationship.toColumns)}`);
+  }
+
+  return blocks.join('\n\n');
+}
+
+function renderDot({ entities, relationships, focus }) {
+  const lines = [
+    'digraph erd {',
+    '  graph [rankdir=LR];',
+    '  node [shape=record, fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=9];'
+  ];
+
+  for (const entity of entities) {
+    const fields = entity.columns.map(column => {
+      const keys = [column.primaryKey && 'PK', column.foreignKey && 'FK', column.unique && !column.primaryKey && 'UK'].filter(Boolean);
+      return dotEscape(`${column.name} : ${column.type || 'unknown'}${keys.length ? ` (${keys.join(', ')})` : ''}`) + '\\l';
+    });
+    const style = [
+      entity.external && 'style=dashed',
+      focus.includes(entity.name) && 'penwidth=2'
+    ].filter(Boolean);
+    lines.push(`  "${entity.name}" [label="{${dotEscape(entity.name)}${fields.length ? `|${fields.join('')}` : ''}}"${style.length ? `, ${style.join(', ')}` : ''}];`);
+  }
+
+  for (const relationship of relationships) {
+    const heads = relationship.cardinality === 'one-to-one' ? 'arrowtail=none, arrowhead=tee' : 'arrowtail=crow, arrowhead=tee';
+    lines.push(`  "${relationship.from}" -> "${relationship.to}" [label="${dotEscape(relationship.fromColumns.join(', '))}", dir=both, ${heads}${relationship.optional ? ', style=dashed' : ''}];`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Recognize chat questions asking for a diagram ("show me the diagram for orders")
+ * and the tables they name. Plural/singular forms of table names both match.
+ * @param {string} question - Chat input
+ * @param {object} schemaModel - Parsed (or merged) schema model
+ * @returns {object|null} { tables } - empty when the whole schema is wanted; null when no diagram was asked for
+ */
+function detectDiagramRequest(question, schemaModel) {
+  if (!schemaModel || !/\b(diagram|erd|er-diagram|entity[- ]relationship|schema graph)s?\b/i.test(question)) {
+    return null;
+  }
+
+  const words = new Set((question.match(/[\w.]+/g) || []).map(word => word.toLowerCase()));
+  const tables = schemaModel.tables
+    .filter(table => [qualifiedName(table), table.name].some(name => {
+      const lower = name.toLowerCase();
+      return words.has(lower) || words.has(`${lower}s`) || (lower.endsWith('s') && words.has(lower.slice(0, -1)));
+    }))
+    .map(qualifiedName);
+
+  return { tables };
+}
+
+function isUniqueKey(table, columns) {
+  const key = normalizeColumns(columns);
+  return normalizeColumns(table.primaryKey) === key ||
+    table.uniqueConstraints.some(constraint => normalizeColumns(constraint.columns) === key) ||
+    table.indexes.some(index => index.unique && normalizeColumns(index.columns) === key);
+}
+
+function normalizeColumns(columns) {
+  return columns.map(name => name.toLowerCase()).sort().join(',');
+}
+
+function qualifiedName(table) {
+  return table.schema ? `${table.schema}.${table.name}` : table.name;
+}
+
+function sameName(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function mermaidName(name) {
+  return name.replace(/[^\w-]/g, '_');
+}
+
+function dbmlName(name) {
+  return /^[A-Za-z_][\w]*$/.test(name) ? name : `"${name.replace(/"/g, '\\"')}"`;
+}
+
+function dbmlType(type) {
+  const value = type || 'unknown';
+  return /^[\w]+(\(\d+(,\s*\d+)?\))?(\[\])?$/.test(value) ? value : `"${value.replace(/"/g, '\\"')}"`;
+}
+
+function dbmlEndpoint(entityName, columns) {
+  const table = entityName.split('.').map(dbmlName).join('.');
+  return columns.length === 1 ? `${table}.${dbmlName(columns[0])}` : `${table}.(${columns.map(dbmlName).join(', ')})`;
+}
+
+function dotEscape(text) {
+  return text.replace(/[\\{}|<>"]/g, char => `\\${char}`);
+}
+
+module.exports = {
+  ERD_FORMATS,
+  buildErd,
+  renderErd,
+  detectDiagramRequest
+};
@@ -1,5 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { parseSqlSchema } = require('./sqlParser');
+const { parsePrismaSchema } = require('./prismaParser');
 
 /**
  * Extract text content from various file formats
@@ -8,45 +10,82 @@ const path = require('path');
  * @returns {Promise<string>} Extracted text content
  */
 async function extractText(filePath, originalName) {
+  const { text } = await extractSchema(filePath, originalName);
+  return text;
+}
+
+/**
+ * Extract text content plus a structured schema model where the format supports one
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} originalName - Original filename for format detection
+ * @returns {Promise<{text: string, model: object|null}>} Extracted text and parsed schema model
+ */
+async function extractSchema(filePath, originalName) {
   try {
-    const ext = path.extname(originalName).toLowerCase();
     const content = await fs.readFile(filePath, 'utf8');
-    
-    switch (ext) {
-      case '.json':
-        return extractFromJson(content);
-      case '.sql':
-        return extractFromSql(content);
-      case '.prisma':
-        return extractFromPrisma(content);
-      case '.csv':
-        return extractFromCsv(content);
-      case '.php':
-        return extractFromPhp(content);
-      case '.go':
-        return extractFromGo(content);
-      case '.java':
-        return extractFromJava(content);
-      case '.js':
-      case '.ts':
-        return extractFromJavaScript(content);
-      case '.py':
-        return extractFromPython(content);
-      case '.xml':
-        return extractFromXml(content);
-      case '.yaml':
-      case '.yml':
-        return extractFromYaml(content);
-      default:
-       
-        return content;
-    }
+    return extractSchemaFromContent(content, originalName);
   } catch (error) {
     console.error('Error extracting text:', error);
     throw new Error(`Failed to extract text from file: ${error.message}`);
   }
 }
 
+/**
+ * Same as extractSchema, for content that is already in memory
+ * @param {string} content - Raw file content
+ * @param {string} originalName - Original filename for format detection
+ * @returns {{text: string, model: object|null}} Extracted text and parsed schema model
+ */
+function extractSchemaFromContent(content, originalName) {
+  const ext = path.extname(originalName).toLowerCase();
+
+  if (ext === '.sql') {
+    const model = parseSqlSchema(content);
+    return { text: extractFromSql(content, model), model };
+  }
+
+  if (ext === '.prisma') {
+    return { text: extractFromPrisma(content), model: parsePrismaSchema(content) };
+  }
+
+  return { text: extractContent(content, ext), model: null };
+}
+
+/**
+ * Format-specific text extraction for files without a structured model
+ */
+function extractContent(content, ext) {
+  switch (ext) {
+    case '.json':
+      return extractFromJson(content);
+    case '.sql':
+      return extractFromSql(content);
+    case '.prisma':
+      return extractFromPrisma(content);
+    case '.csv':
+      return extractFromCsv(content);
+    case '.php':
+      return extractFromPhp(content);
+    case '.go':
+      return extractFromGo(content);
+    case '.java':
+      return extractFromJava(content);
+    case '.js':
+    case '.ts':
+      return extractFromJavaScript(content);
+    case '.py':
+      return extractFromPython(content);
+    case '.xml':
+      return extractFromXml(content);
+    case '.yaml':
+    case '.yml':
+      return extractFromYaml(content);
+    default:
+     
+      return content;
+  }
+}
+
 
 function extractFromJson(content) {
   try {
@@ -87,22 +126,80 @@ function formatJsonSchema(schema) {
   return result + '\n' + JSON.stringify(schema, null, 2);
 }
 
-function extractFromSql(content) {
+function extractFromSql(content, model = parseSqlSchema(content)) {
+  return formatSqlSummary(model) + content;
+}
 
-  let result = 'SQL Database Schema:\n\n';
-  
+/**
+ * Summary header that precedes the raw SQL in the extracted text
+ */
+function formatSqlSummary(model) {
+  let result = `SQL Database Schema (${model.dialect}):\n\n`;
 
-  const tableRegex = /CREATE\s+TABLE\s+(\w+)\s*\([^)]+\)/gi;
-  const tables = content.match(tableRegex);
-  
-  if (tables) {
+  if (model.tables.length > 0) {
     result += 'Tables found:\n';
-    tables.forEach(table => {
-      result += table + '\n\n';
+    model.tables.forEach(table => {
+      result += formatSqlTable(table) + '\n';
     });
   }
-  
-  return result + content;
+
+  if (model.enums.length > 0) {
+    result += 'Enum types:\n';
+    model.enums.forEach(enumType => {
+      result += `- ${enumType.name}: ${enumType.values.join(', ')}\n`;
+    });
+    result += '\n';
+  }
+
+  return result;
+}
+
+/**
+ * Render a parsed table as a compact, readable summary
+ */
+function formatSqlTable(table) {
+  const qualifiedName = table.schema ? `${table.schema}.${table.name}` : table.name;
+  let result = `Table ${qualifiedName}:\n`;
+  if (table.comment) result += `  Description: ${table.comment}\n`;
+
+  table.columns.forEach(column => {
+    const flags = [];
+    if (column.primaryKey) flags.push('PRIMARY KEY');
+    if (!column.nullable && !column.primaryKey) flags.push('NOT NULL');
+    if (column.unique) flags.push('UNIQUE');
+    if (column.autoIncrement) flags.push('AUTO INCREMENT');
+    if (column.default !== null) flags.push(`DEFAULT ${column.default}`);
+    if (column.references) {
+      const target = `${column.references.table}(${column.references.columns.join(', ')})`;
+      flags.push(`REFERENCES ${target}${column.references.onDelete ? ` ON DELETE ${column.references.onDelete}` : ''}`);
+    }
+
+    result += `  - ${column.name}: ${column.type || 'untyped'}${flags.length ? ' ' + flags.join(' ') : ''}`;
+    if (column.comment) result += ` -- ${column.comment}`;
+    result += '\n';
+  });
+
+  if (table.primaryKey.length > 1) {
+    result += `  Primary key: (${table.primaryKey.join(', ')})\n`;
+  }
+
+  table.foreignKeys
+    .filter(fk => fk.columns.length > 1)
+    .forEach(fk => {
+      result += `  Foreign key: (${fk.columns.join(', ')}) -> ${fk.table}(${fk.referencedColumns.join(', ')})\n`;
+    });
+
+  table.uniqueConstraints
+    .filter(uc => uc.columns.length > 1)
+    .forEach(uc => {
+      result += `  Unique: (${uc.columns.join(', ')})\n`;
+    });
+
+  table.indexes.forEach(index => {
+    result += `  Index ${index.name || '(unnamed)'}: (${index.columns.join(', ')})${index.unique ? ' unique' : ''}\n`;
+  });
+
+  return result;
 }
 
 /**
@@ -293,4 +390,4 @@ function extractFromYaml(content) {
   return result + content;
 }
 
-module.exports = { extractText };
\ No newline at end of file
+module.exports = { extractText, extractSchema, extractSchemaFromContent, formatSqlSummary, formatSqlTable };
\ No newline at end of file
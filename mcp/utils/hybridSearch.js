@@ -0,0 +1,260 @@
+// utils/hybridSearch.js - Keyword (BM25) + vector retrieval with identifier-aware reranking
+const HYBRID_CONFIG = {
+    enabled: process.env.HYBRID_SEARCH !== 'false',
+    vectorWeight: parseWeight(process.env.HYBRID_VECTOR_WEIGHT, 0.5),
+    keywordWeight: parseWeight(process.env.HYBRID_KEYWORD_WEIGHT, 0.5),
+    identifierBoost: parseWeight(process.env.HYBRID_IDENTIFIER_BOOST, 0.3),
+    candidateMultiplier: parseInt(process.env.HYBRID_CANDIDATE_MULTIPLIER) || 4
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have', 'how',
+    'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'show', 'that', 'the', 'there', 'this', 'to', 'what',
+    'when', 'where', 'which', 'who', 'why', 'with', 'you'
+]);
+
+// Words that open lines of extracted schema text without naming a column
+const STRUCTURE_WORDS = new Set([
+    'alter', 'check', 'class', 'columns', 'constraint', 'create', 'description', 'enum', 'fields', 'foreign', 'index',
+    'indexes', 'interface', 'key', 'model', 'models', 'primary', 'record', 'references', 'struct', 'table', 'tables',
+    'type', 'unique', 'values', 'view'
+]);
+
+/**
+ * Split text into lowercase search terms. Identifiers are kept whole and also
+ * split into their parts: created_at -> created_at, created; orderStatus -> orderstatus, order, status.
+ */
+function tokenizeForSearch(text) {
+    const terms = [];
+
+    for (const word of String(text || '').match(/[A-Za-z0-9_]+/g) || []) {
+        const whole = word.toLowerCase();
+        const parts = word
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .split(/[_\s]+/)
+            .map(part => part.toLowerCase())
+            .filter(Boolean);
+
+        if (!STOP_WORDS.has(whole)) terms.push(whole);
+        if (parts.length > 1) {
+            terms.push(...parts.filter(part => part !== whole && !STOP_WORDS.has(part)));
+        }
+    }
+
+    return terms;
+}
+
+/**
+ * Build a BM25 index over a project's chunks
+ * @param {Array<{id: string, text: string, metadata: object}>} documents - Stored chunks
+ * @returns {object} { documents, termFrequencies, documentFrequency, lengths, averageLength, identifiers }
+ */
+function buildKeywordIndex(documents) {
+    const termFrequencies = [];
+    const documentFrequency = new Map();
+    const lengths = [];
+    const identifiers = [];
+
+    for (const doc of documents) {
+        const terms = tokenizeForSearch(doc.text);
+        const frequencies = new Map();
+        for (const term of terms) {
+            frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        }
+        for (const term of frequencies.keys()) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+
+        termFrequencies.push(frequencies);
+        lengths.push(terms.length);
+        identifiers.push(collectIdentifiers(doc));
+    }
+
+    const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+
+    return {
+        documents,
+        termFrequencies,
+        documentFrequency,
+        lengths,
+        averageLength: documents.length > 0 ? totalLength / documents.length : 0,
+        identifiers
+    };
+}
+
+/**
+ * Rank a project's chunks for a query by fusing BM25 and cosine similarity,
+ * then rerank the best candidates with an exact table/column name boost.
+ * @param {object} index - Result of buildKeywordIndex (documents need an embedding)
+ * @param {string} queryText - Raw question
+ * @param {number[]} queryEmbedding - Embedding of the question
+ * @param {number} topK - Number of results
+ * @returns {Array} [{ text, similarity, score, scores: { vector, keyword, identifier }, matchedIdentifiers, metadata, id }]
+ */
+function rankHybrid(index, queryText, queryEmbedding, topK = 5) {
+    const { documents } = index;
+    if (documents.length === 0) return [];
+
+    const queryTerms = [...new Set(tokenizeForSearch(queryText))];
+    const keywordScores = documents.map((doc, i) => bm25(index, i, queryTerms));
+    const vectorScores = documents.map(doc => safeCosine(queryEmbedding, doc.embedding));
+
+    const keywordNorm = normalizeScores(keywordScores);
+    const vectorNorm = normalizeScores(vectorScores);
+
+    const candidates = documents
+        .map((doc, i) => ({
+            index: i,
+            fused: HYBRID_CONFIG.vectorWeight * vectorNorm[i] + HYBRID_CONFIG.keywordWeight * keywordNorm[i]
+        }))
+        .sort((a, b) => b.fused - a.fused)
+        .slice(0, Math.max(topK * HYBRID_CONFIG.candidateMultiplier, topK));
+
+    // Rerank: chunks that define an identifier the question names exactly move up
+    const queryIdentifiers = extractQueryIdentifiers(queryText, index);
+    const reranked = candidates.map(candidate => {
+        const { matched, boost } = identifierMatch(queryIdentifiers, index.identifiers[candidate.index]);
+        return { ...candidate, matched, identifier: boost, score: candidate.fused + HYBRID_CONFIG.identifierBoost * boost };
+    });
+
+    return reranked
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+        .map(candidate => {
+            const doc = documents[candidate.index];
+            return {
+                text: doc.text,
+                similarity: vectorScores[candidate.index],
+                score: round(candidate.score),
+                scores: {
+                    vector: round(vectorScores[candidate.index]),
+                    keyword: round(keywordScores[candidate.index]),
+                    identifier: round(candidate.identifier)
+                },
+                matchedIdentifiers: candidate.matched,
+                metadata: doc.metadata,
+                id: doc.id
+            };
+        });
+}
+
+function bm25(index, docIndex, queryTerms) {
+    const frequencies = index.termFrequencies[docIndex];
+    const length = index.lengths[docIndex];
+    const total = index.documents.length;
+    let score = 0;
+
+    for (const term of queryTerms) {
+        const frequency = frequencies.get(term);
+        if (!frequency) continue;
+
+        const df = index.documentFrequency.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        const lengthRatio = index.averageLength > 0 ? length / index.averageLength : 1;
+        score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengthRatio));
+    }
+
+    return score;
+}
+
+/**
+ * Names a chunk defines: its entity (table/model) name, unqualified too, and the
+ * identifiers that start a line (columns and fields in every extracted format)
+ */
+function collectIdentifiers(doc) {
+    const entities = new Set();
+    const columns = new Set();
+    const entityName = doc.metadata?.entityName;
+
+    if (entityName) {
+        entities.add(entityName.toLowerCase());
+        entities.add(entityName.split('.').pop().toLowerCase());
+    }
+
+    for (const line of String(doc.text || '').split('\n')) {
+        const match = line.match(/^\s*(?:[-*]\s+|\|\s*)?[`"[]?([A-Za-z_][A-Za-z0-9_]*)/);
+        if (match && !STRUCTURE_WORDS.has(match[1].toLowerCase())) columns.add(match[1].toLowerCase());
+    }
+
+    return { entities, columns };
+}
+
+/**
+ * Words in the question that look like identifiers (snake_case, camelCase)
+ * or exactly name an indexed table/column
+ */
+function extractQueryIdentifiers(queryText, index) {
+    const known = new Set();
+    for (const { entities, columns } of index.identifiers) {
+        entities.forEach(name => known.add(name));
+        columns.forEach(name => known.add(name));
+    }
+
+    const identifiers = new Set();
+    for (const word of String(queryText || '').match(/[A-Za-z_][A-Za-z0-9_.]*/g) || []) {
+        const lower = word.replace(/\.$/, '').toLowerCase();
+        if (STOP_WORDS.has(lower)) continue;
+        const looksLikeIdentifier = /_/.test(word) || /[a-z][A-Z]/.test(word) || /\w\.\w/.test(word);
+        if (looksLikeIdentifier || known.has(lower)) identifiers.add(lower);
+    }
+    return [...identifiers];
+}
+
+function identifierMatch(queryIdentifiers, { entities, columns }) {
+    const matched = [];
+    let boost = 0;
+
+    for (const identifier of queryIdentifiers) {
+        if (entities.has(identifier)) {
+            matched.push(identifier);
+            boost += 1;
+        } else if (columns.has(identifier)) {
+            matched.push(identifier);
+            boost += 0.5;
+        }
+    }
+
+    return { matched, boost: Math.min(boost, 2) };
+}
+
+function normalizeScores(scores) {
+    const max = Math.max(...scores);
+    const min = Math.min(...scores);
+    if (max === min) return scores.map(() => (max > 0 ? 1 : 0));
+    return scores.map(score => (score - min) / (max - min));
+}
+
+function safeCosine(vecA, vecB) {
+    if (!Array.isArray(vecA) || !vecB || vecA.length !== vecB.length) return 0;
+
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < vecA.length; i++) {
+        dotProduct += vecA[i] * vecB[i];
+        normA += vecA[i] * vecA[i];
+        normB += vecB[i] * vecB[i];
+    }
+
+    return normA === 0 || normB === 0 ? 0 : dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function parseWeight(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+    HYBRID_CONFIG,
+    tokenizeForSearch,
+    buildKeywordIndex,
+    rankHybrid
+};
@@ -0,0 +1,398 @@
+// utils/ingestionJobs.js - Background schema ingestion and reindexing: a MongoDB-backed job queue with progress events
+const { EventEmitter } = require('events');
+const { ingestSchema, reindexUpload } = require('./projectData');
+const { IngestionJob, IngestionJobFile, SchemaUpload } = require('../models/index.js');
+
+// Progress is written to MongoDB at most this often while chunks are embedded
+const PROGRESS_SAVE_INTERVAL_MS = 1000;
+// How long waitForJob waits for a job to finish by default
+const WAIT_TIMEOUT_MS = parseInt(process.env.INGESTION_WAIT_TIMEOUT_MS) || 120000;
+
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let workerStore = null;
+let draining = false;
+// Set by a drainQueue call made while the worker was busy; the worker then looks at the queue again
+let rerun = false;
+
+/**
+ * Queue schema files for ingestion. Their content is stored with the job so it
+ * survives a restart; files already rejected are recorded as skipped.
+ * @param {object} request - { projectId, userId, files: [{ path, content, size, source }], skipped: [{ path, source, reason }] }
+ * @returns {Promise<object>} The queued job
+ */
+async function enqueueIngestion({ projectId, userId, files, skipped = [] }) {
+    const job = await IngestionJob.create({
+        projectId,
+        userId,
+        files: [
+            ...files.map(file => ({ fileName: file.path, source: sourceOf(file), size: file.size })),
+            ...skipped.map(entry => ({ fileName: entry.path, source: sourceOf(entry), status: 'skipped', reason: entry.reason }))
+        ],
+        progress: { filesTotal: files.length }
+    });
+
+    await IngestionJobFile.insertMany(files.map(file => ({ jobId: job._id, fileName: file.path, content: file.content })));
+
+    console.log(`📥 Queued ingestion job ${job._id}: ${files.length} file(s) for project ${projectId}`);
+    drainQueue();
+    return job;
+}
+
+/**
+ * Queue a reindex of a project's active uploads: each is re-embedded from its stored text
+ * with the current embedding model
+ * @param {object} request - { projectId, userId }
+ * @returns {Promise<object|null>} The queued job, or null when the project has no active uploads
+ */
+async function enqueueReindex({ projectId, userId }) {
+    const uploads = await SchemaUpload.find({ projectId, isActive: true })
+        .sort({ fileName: 1 })
+        .select('fileName fileSize');
+    if (uploads.length === 0) return null;
+
+    const job = await IngestionJob.create({
+        projectId,
+        userId,
+        kind: 'reindex',
+        files: uploads.map(upload => ({ fileName: upload.fileName, size: upload.fileSize, uploadId: upload._id })),
+        progress: { filesTotal: uploads.length }
+    });
+
+    console.log(`📥 Queued reindex job ${job._id}: ${uploads.length} upload(s) for project ${projectId}`);
+    drainQueue();
+    return job;
+}
+
+/**
+ * Start processing queued jobs. Jobs that were running when the server stopped are queued again;
+ * their already ingested files are not repeated.
+ * @param {object} vectorStore - Vector store instance the jobs write to
+ */
+async function startIngestionWorker(vectorStore) {
+    workerStore = vectorStore;
+
+    const { modifiedCount } = await IngestionJob.updateMany(
+        { status: 'running' },
+        { $set: { status: 'queued', stage: 'queued', updatedAt: new Date() } }
+    );
+    if (modifiedCount > 0) {
+        console.log(`🔁 Re-queued ${modifiedCount} ingestion job(s) interrupted by a restart`);
+    }
+
+    drainQueue();
+}
+
+/**
+ * Queue a failed job again; only its failed files are retried
+ * @returns {Promise<object|null>} The job, or null when it is not in a failed state
+ */
+async function retryIngestion(jobId) {
+    const job = await IngestionJob.findOneAndUpdate(
+        { _id: jobId, status: 'failed' },
+        {
+            $set: {
+                status: 'queued',
+                stage: 'queued',
+                error: null,
+                finishedAt: null,
+                updatedAt: new Date(),
+                'files.$[failed].status': 'pending',
+                'files.$[failed].reason': null
+            }
+        },
+        { new: true, arrayFilters: [{ 'failed.status': 'failed' }] }
+    );
+    if (!job) return null;
+
+    console.log(`🔁 Retrying ingestion job ${jobId}`);
+    emitJob(job);
+    drainQueue();
+    return job;
+}
+
+/**
+ * Listen to a job's progress; the listener receives the described job on every change
+ * @returns {Function} Unsubscribe
+ */
+function subscribeToJob(jobId, listener) {
+    const event = `job:${jobId}`;
+    jobEvents.on(event, listener);
+    return () => jobEvents.off(event, listener);
+}
+
+/**
+ * Resolve once a job has completed or failed. When timeoutMs runs out first, the job is
+ * returned as it stands (queued or running).
+ * @returns {Promise<object|null>} The described job, or null when there is no such job
+ */
+async function waitForJob(jobId, { timeoutMs = WAIT_TIMEOUT_MS } = {}) {
+    // Listen before reading, so a job finishing in between is not missed
+    let unsubscribe;
+    let latest = null;
+    const finished = new Promise(resolve => {
+        unsubscribe = subscribeToJob(jobId, (update) => {
+            latest = update;
+            if (isFinished(update.status)) resolve(update);
+        });
+    });
+    let timer;
+    const timedOut = new Promise(resolve => {
+        timer = setTimeout(() => resolve(null), timeoutMs);
+    });
+
+    try {
+        const job = await IngestionJob.findById(jobId);
+        if (!job || isFinished(job.status)) return job && describeJob(job);
+        return (await Promise.race([finished, timedOut])) || latest || describeJob(job);
+    } finally {
+        clearTimeout(timer);
+        unsubscribe();
+    }
+}
+
+async function drainQueue() {
+    if (!workerStore) return;
+    if (draining) {
+        rerun = true;
+        return;
+    }
+    draining = true;
+    rerun = false;
+
+    try {
+        let job;
+        while ((job = await claimNextJob())) {
+            await runJob(job);
+        }
+    } catch (error) {
+        console.error('❌ Ingestion worker error:', error);
+    } finally {
+        draining = false;
+        // A job queued after the last claim found nothing would otherwise wait for the next one
+        if (rerun) drainQueue();
+    }
+}
+
+function claimNextJob() {
+    return IngestionJob.findOneAndUpdate(
+        { status: 'queued' },
+        { $set: { status: 'running', startedAt: new Date(), updatedAt: new Date() }, $inc: { attempts: 1 } },
+        { sort: { createdAt: 1 }, new: true }
+    );
+}
+
+async function runJob(job) {
+    console.log(`⚙️ Running ${job.kind} job ${job._id} (attempt ${job.attempts})`);
+    const pending = job.files.filter(file => file.status === 'pending');
+    const contents = job.kind === 'reindex' ? [] : await IngestionJobFile.find({ jobId: job._id }).lean();
+    let quotaError = null;
+
+    job.progress.filesDone = job.files.filter(file => file.status === 'ingested').length;
+    job.progress.filesTotal = job.files.filter(file => file.status !== 'skipped').length;
+
+    try {
+        for (const file of pending) {
+            if (quotaError) {
+                file.set({ status: 'failed', reason: quotaError.message });
+                continue;
+            }
+
+            job.set({ 'progress.currentFile': file.fileName, 'progress.chunksEmbedded': 0, 'progress.chunksTotal': 0 });
+            await saveProgress(job, 'extracting');
+
+            try {
+                const result = job.kind === 'reindex'
+                    ? await reindexFile(job, file)
+                    : await ingestFile(job, file, contents);
+
+                file.set({
+                    status: 'ingested',
+                    reason: null,
+                    uploadId: result.upload._id,
+                    version: result.upload.version,
+                    previousVersionsRetired: result.retiredVersions,
+                    chunksStored: result.chunksStored,
+                    cacheHits: result.embeddingCache.hits,
+                    tablesParsed: result.schemaModel ? result.schemaModel.tables.length : undefined
+                });
+                job.progress.filesDone++;
+            } catch (error) {
+                // Unusable content will not improve on retry; quota and store errors may
+                if (error.status === 400) {
+                    file.set({ status: 'skipped', reason: error.message });
+                    job.progress.filesTotal--;
+                } else {
+                    if (error.status === 429) quotaError = error;
+                    console.error(`❌ Ingestion job ${job._id}: ${file.fileName} failed:`, error.message);
+                    file.set({ status: 'failed', reason: error.message });
+                }
+            }
+        }
+
+        const failed = job.files.filter(file => file.status === 'failed').length;
+        job.set({
+            status: failed > 0 ? 'failed' : 'completed',
+            error: failed > 0 ? `${failed} file(s) failed` : null
+        });
+    } catch (error) {
+        console.error(`❌ Ingestion job ${job._id} failed:`, error);
+        job.set({ status: 'failed', error: error.message });
+    }
+
+    job.chunksStored = job.files.reduce((sum, file) => sum + (file.status === 'ingested' ? file.chunksStored || 0 : 0), 0);
+    job.progress.currentFile = null;
+    job.finishedAt = new Date();
+    await saveProgress(job, 'done');
+
+    if (job.status === 'completed') {
+        await IngestionJobFile.deleteMany({ jobId: job._id });
+    }
+    console.log(`${job.status === 'completed' ? '✅' : '❌'} Ingestion job ${job._id} ${job.status}: ${job.progress.filesDone}/${job.progress.filesTotal} file(s), ${job.chunksStored} chunks`);
+}
+
+async function ingestFile(job, file, contents) {
+    const stored = contents.find(entry => entry.fileName === file.fileName);
+    if (!stored) throw new Error('File content is no longer available; upload it again');
+
+    return ingestSchema(workerStore, {
+        projectId: job.projectId,
+        userId: job.userId,
+        fileName: file.fileName,
+        content: stored.content,
+        fileSize: file.size,
+        batchId: job._id.toString(),
+        source: file.source || null
+    }, { onProgress: throttledProgress(job) });
+}
+
+async function reindexFile(job, file) {
+    const upload = await SchemaUpload.findOne({ _id: file.uploadId, projectId: job.projectId, isActive: true });
+    if (!upload) {
+        const error = new Error('Upload is no longer active');
+        error.status = 400;
+        throw error;
+    }
+
+    const result = await reindexUpload(workerStore, upload, { userId: job.userId, onProgress: throttledProgress(job) });
+    return { ...result, schemaModel: upload.schemaModel };
+}
+
+/**
+ * Progress callback for ingestSchema and reindexUpload: emits every step, saves at most once per interval
+ */
+function throttledProgress(job) {
+    let lastSaved = 0;
+
+    return ({ stage, embedded, total }) => {
+        if (stage === 'embedding') {
+            job.set({ 'progress.chunksEmbedded': embedded, 'progress.chunksTotal': total });
+        }
+
+        const now = Date.now();
+        if (stage !== job.stage || now - lastSaved >= PROGRESS_SAVE_INTERVAL_MS) {
+            lastSaved = now;
+            saveProgress(job, stage).catch(error => console.error('❌ Failed to save job progress:', error.message));
+        } else {
+            job.stage = stage;
+            emitJob(job);
+        }
+    };
+}
+
+async function saveProgress(job, stage) {
+    job.stage = stage;
+    job.updatedAt = new Date();
+    emitJob(job);
+
+    // Plain $set so overlapping progress writes never conflict
+    await IngestionJob.updateOne({ _id: job._id }, {
+        $set: {
+            status: job.status,
+            stage: job.stage,
+            files: job.files.toObject(),
+            progress: job.toObject().progress,
+            chunksStored: job.chunksStored,
+            error: job.error,
+            finishedAt: job.finishedAt,
+            updatedAt: job.updatedAt
+        }
+    });
+}
+
+function emitJob(job) {
+    jobEvents.emit(`job:${job._id}`, describeJob(job));
+}
+
+/**
+ * Public shape of a job for the status and progress endpoints
+ */
+function describeJob(job) {
+    const files = job.files.map(file => ({
+        fileName: file.fileName,
+        source: file.source || undefined,
+        status: file.status,
+        reason: file.reason || undefined,
+        uploadId: file.uploadId || undefined,
+        version: file.version,
+        previousVersionsRetired: file.previousVersionsRetired,
+        chunksStored: file.chunksStored,
+        embeddingCache: file.status === 'ingested' && file.cacheHits !== undefined
+            ? { hits: file.cacheHits, misses: file.chunksStored - file.cacheHits }
+            : undefined,
+        tablesParsed: file.tablesParsed
+    }));
+    const count = (status) => files.filter(file => file.status === status).length;
+    const cacheHits = files.reduce((sum, file) => sum + (file.embeddingCache?.hits || 0), 0);
+
+    return {
+        jobId: job._id,
+        projectId: job.projectId,
+        kind: job.kind || 'ingest',
+        status: job.status,
+        stage: job.stage,
+        attempts: job.attempts,
+        progress: {
+            currentFile: job.progress?.currentFile || null,
+            filesDone: job.progress?.filesDone || 0,
+            filesTotal: job.progress?.filesTotal || 0,
+            chunksEmbedded: job.progress?.chunksEmbedded || 0,
+            chunksTotal: job.progress?.chunksTotal || 0
+        },
+        summary: {
+            files: files.length,
+            pending: count('pending'),
+            ingested: count('ingested'),
+            skipped: count('skipped'),
+            failed: count('failed'),
+            chunksStored: job.chunksStored || 0,
+            embeddingCache: { hits: cacheHits, misses: (job.chunksStored || 0) - cacheHits }
+        },
+        files,
+        error: job.error || null,
+        createdBy: job.userId,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt || null,
+        finishedAt: job.finishedAt || null
+    };
+}
+
+function isFinished(status) {
+    return status === 'completed' || status === 'failed';
+}
+
+function sourceOf(entry) {
+    return entry.source && entry.source !== entry.path ? entry.source : undefined;
+}
+
+module.exports = {
+    enqueueIngestion,
+    enqueueReindex,
+    startIngestionWorker,
+    retryIngestion,
+    subscribeToJob,
+    waitForJob,
+    describeJob,
+    isFinished
+};
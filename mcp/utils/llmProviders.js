@@ -0,0 +1,375 @@
+// utils/llmProviders.js - Pluggable LLM providers (Ollama, OpenAI-compatible, mock) with per-project configuration
+const axios = require('axios');
+const crypto = require('crypto');
+const { isCancellation } = require('./taskRegistry');
+
+const OLLAMA_BASE_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
+
+const LLM_DEFAULTS = {
+    provider: process.env.LLM_PROVIDER || 'ollama',
+    fallbackProvider: process.env.LLM_FALLBACK_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : null),
+    temperature: Number.isNaN(parseFloat(process.env.LLM_TEMPERATURE)) ? 0.7 : parseFloat(process.env.LLM_TEMPERATURE),
+    contextSize: parseInt(process.env.LLM_CONTEXT_SIZE) || null,
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 2000
+};
+
+// Endpoints a project's LLM settings may point at (comma-separated base URLs). Anything else is
+// rejected, so project owners cannot make the server call arbitrary hosts.
+const ALLOWED_BASE_URLS = (process.env.LLM_ALLOWED_BASE_URLS || '')
+    .split(',')
+    .map(url => normalizeBaseUrl(url.trim()))
+    .filter(Boolean);
+
+const STOP_SEQUENCES = ['User:', '**User', '**Current User'];
+
+/**
+ * Each provider streams text through onToken and resolves when the answer is complete.
+ * generate(prompt, config, onToken, signal) - config is the resolved config from resolveLlmConfig;
+ * when signal aborts, the upstream request is closed and the promise rejects.
+ */
+const providers = {
+    ollama: {
+        defaultModel: process.env.OLLAMA_MODEL || 'llama3.2:1b-instruct-q4_K_M',
+        // Ollama allocates whatever num_ctx it is sent, so this is a choice rather than a model limit
+        contextWindow: () => parseInt(process.env.OLLAMA_NUM_CTX) || 4096,
+        generate: generateWithOllama
+    },
+    openai: {
+        defaultModel: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+        contextWindow: openAIContextWindow,
+        generate: generateWithOpenAI
+    },
+    mock: {
+        defaultModel: 'mock-echo',
+        contextWindow: () => 4096,
+        generate: generateWithMock
+    }
+};
+
+// A misspelled fallback would only surface once the primary provider fails, so refuse it at startup
+if (LLM_DEFAULTS.fallbackProvider && !providers[LLM_DEFAULTS.fallbackProvider]) {
+    throw new Error(`LLM_FALLBACK_PROVIDER "${LLM_DEFAULTS.fallbackProvider}" is not a known provider. Available: ${Object.keys(providers).join(', ')}`);
+}
+
+// Context windows of OpenAI models by name prefix (longest prefix wins)
+const OPENAI_CONTEXT_WINDOWS = {
+    'gpt-3.5-turbo': 16385,
+    'gpt-4': 8192,
+    'gpt-4-32k': 32768,
+    'gpt-4-turbo': 128000,
+    'gpt-4o': 128000,
+    'gpt-4.1': 1047576,
+    'o1': 200000,
+    'o3': 200000,
+    'o4-mini': 200000
+};
+
+/**
+ * Merge LLM settings: request overrides > project settings > environment defaults.
+ * baseUrl only comes from project settings, and only when LLM_ALLOWED_BASE_URLS lists it.
+ * @param {object} projectSettings - Stored per-project settings ({ provider, model, temperature, contextSize, baseUrl })
+ * @param {object} overrides - Per-request settings, same shape without baseUrl
+ * @returns {object} { provider, model, temperature, contextSize, maxTokens, baseUrl, fallbackProvider }
+ * @throws {Error} with status 400 for unknown providers, out-of-range values or a baseUrl override
+ */
+function resolveLlmConfig(projectSettings = {}, overrides = {}) {
+    if (overrides?.baseUrl !== undefined && overrides?.baseUrl !== null) {
+        throw invalidSettings('baseUrl cannot be overridden per request; set it in the project\'s LLM settings');
+    }
+
+    // Settings saved before the allowlist existed may name an endpoint it does not allow
+    let projectBaseUrl = projectSettings?.baseUrl || null;
+    if (projectBaseUrl && !isAllowedBaseUrl(projectBaseUrl)) {
+        console.warn(`⚠️ Ignoring project LLM baseUrl ${projectBaseUrl}: not listed in LLM_ALLOWED_BASE_URLS`);
+        projectBaseUrl = null;
+    }
+
+    const pick = (key) => overrides?.[key] ?? projectSettings?.[key] ?? undefined;
+
+    const provider = pick('provider') || LLM_DEFAULTS.provider;
+    // null is meaningful here: it switches the environment's fallback off
+    const fallbackProvider = [overrides, projectSettings].find(settings => settings && settings.fallbackProvider !== undefined)?.fallbackProvider;
+    validateLlmSettings({ ...projectSettings, ...overrides, provider, baseUrl: projectBaseUrl });
+
+    // A model name only carries over when it belongs to the chosen provider
+    const modelSource = overrides?.provider && overrides.provider !== projectSettings?.provider ? overrides : { ...projectSettings, ...overrides };
+
+    return {
+        provider,
+        model: modelSource.model || providers[provider].defaultModel,
+        temperature: pick('temperature') ?? LLM_DEFAULTS.temperature,
+        contextSize: pick('contextSize') ?? LLM_DEFAULTS.contextSize,
+        maxTokens: pick('maxTokens') ?? LLM_DEFAULTS.maxTokens,
+        baseUrl: projectBaseUrl,
+        fallbackProvider: fallbackProvider === undefined ? LLM_DEFAULTS.fallbackProvider : fallbackProvider
+    };
+}
+
+/**
+ * Reject settings that no provider can honour
+ */
+function validateLlmSettings(settings = {}) {
+    const { provider, fallbackProvider, temperature, contextSize, maxTokens, baseUrl } = settings;
+
+    if (provider !== undefined && !providers[provider]) {
+        throw invalidSettings(`Unknown LLM provider "${provider}". Available: ${Object.keys(providers).join(', ')}`);
+    }
+    if (fallbackProvider && !providers[fallbackProvider]) {
+        throw invalidSettings(`Unknown fallback provider "${fallbackProvider}". Available: ${Object.keys(providers).join(', ')}`);
+    }
+    if (temperature !== undefined && temperature !== null && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+        throw invalidSettings('temperature must be a number between 0 and 2');
+    }
+    if (contextSize !== undefined && contextSize !== null && (!Number.isInteger(contextSize) || contextSize < 256)) {
+        throw invalidSettings('contextSize must be an integer of at least 256');
+    }
+    if (maxTokens !== undefined && maxTokens !== null && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+        throw invalidSettings('maxTokens must be a positive integer');
+    }
+    if (baseUrl !== undefined && baseUrl !== null && baseUrl !== '' && !isAllowedBaseUrl(baseUrl)) {
+        throw invalidSettings(ALLOWED_BASE_URLS.length > 0
+            ? `baseUrl must be one of: ${ALLOWED_BASE_URLS.join(', ')}`
+            : 'baseUrl is not allowed; the server administrator can list permitted endpoints in LLM_ALLOWED_BASE_URLS');
+    }
+}
+
+function isAllowedBaseUrl(baseUrl) {
+    const normalized = typeof baseUrl === 'string' && normalizeBaseUrl(baseUrl);
+    return Boolean(normalized) && ALLOWED_BASE_URLS.includes(normalized);
+}
+
+/**
+ * Comparable form of a base URL (lowercase scheme and host, no trailing slash), or null when it is not http(s)
+ */
+function normalizeBaseUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+        return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Context window in tokens for a resolved config: an explicit contextSize wins,
+ * otherwise the provider's figure for the model
+ * @param {object} config - Resolved config from resolveLlmConfig
+ * @returns {number} Tokens
+ */
+function getContextWindow(config) {
+    if (config.contextSize) return config.contextSize;
+    return providers[config.provider]?.contextWindow(config.model) || 4096;
+}
+
+function openAIContextWindow(model = '') {
+    const prefix = Object.keys(OPENAI_CONTEXT_WINDOWS)
+        .filter(name => model === name || model.startsWith(`${name}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? OPENAI_CONTEXT_WINDOWS[prefix] : 8192;
+}
+
+function invalidSettings(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Stream a completion from the configured provider, falling back to
+ * config.fallbackProvider (with its default model) when the primary one fails.
+ * @param {string} prompt - Full prompt
+ * @param {function} streamFn - Receives { type: 'content', content, done } chunks, or one { type: 'error' } event
+ * @param {object} config - Resolved config from resolveLlmConfig
+ * @param {object} options - { signal } - AbortSignal that stops generation (see utils/taskRegistry)
+ * @returns {Promise<object|null>} { provider, model, cancelled? } that produced the answer, or null if every provider failed
+ */
+async function generateWithProvider(prompt, streamFn, config = resolveLlmConfig(), { signal } = {}) {
+    const attempts = [config];
+    if (config.fallbackProvider && config.fallbackProvider !== config.provider) {
+        attempts.push({ ...config, provider: config.fallbackProvider, model: providers[config.fallbackProvider].defaultModel, baseUrl: null });
+    }
+
+    let lastError = null;
+    for (const attempt of attempts) {
+        if (signal?.aborted) return { provider: attempt.provider, model: attempt.model, cancelled: true };
+
+        let streamed = false;
+        const onToken = (content) => {
+            streamed = true;
+            streamFn({ type: 'content', content, done: false });
+        };
+
+        try {
+            console.log(`🤖 Generating response using ${attempt.provider}/${attempt.model}...`);
+            await providers[attempt.provider].generate(prompt, attempt, onToken, signal);
+            console.log(`✅ ${attempt.provider} response generation completed`);
+            return { provider: attempt.provider, model: attempt.model };
+        } catch (error) {
+            if (isCancellation(error, signal)) {
+                console.log(`🛑 ${attempt.provider} generation cancelled`);
+                return { provider: attempt.provider, model: attempt.model, cancelled: true };
+            }
+            console.error(`❌ ${attempt.provider} generation error:`, error.message);
+            lastError = error;
+            // Text already reached the client; switching providers mid-answer would garble it
+            if (streamed) return { provider: attempt.provider, model: attempt.model };
+            if (attempt !== attempts[attempts.length - 1]) {
+                console.log(`🔄 Falling back to ${attempts[attempts.length - 1].provider}...`);
+            }
+        }
+    }
+
+    streamFn({
+        type: 'error',
+        error: 'LLM service unavailable',
+        message: lastError.message,
+        ...(config.provider === 'ollama' && { suggestion: `Try running: ollama pull ${config.model}` })
+    });
+    return null;
+}
+
+async function generateWithOllama(prompt, config, onToken, signal) {
+    const baseUrl = config.baseUrl || OLLAMA_BASE_URL;
+    await checkOllamaHealth(baseUrl, config.model, signal);
+
+    const response = await axios.post(`${baseUrl}/api/generate`, {
+        model: config.model,
+        prompt: prompt,
+        stream: true,
+        options: {
+            temperature: config.temperature,
+            top_p: 0.9,
+            num_predict: config.maxTokens,
+            num_ctx: getContextWindow(config),
+            stop: STOP_SEQUENCES
+        }
+    }, {
+        responseType: 'stream',
+        timeout: 60000,
+        signal
+    });
+
+    let buffer = '';
+
+    response.data.on('data', (chunk) => {
+        buffer += chunk.toString();
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const parsed = JSON.parse(line);
+                if (parsed.response) onToken(parsed.response);
+            } catch {
+                console.warn('⚠️ Failed to parse JSON chunk:', line);
+            }
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        // Destroying the response closes the connection, which stops Ollama generating
+        const abort = () => {
+            response.data.destroy();
+            reject(signal.reason);
+        };
+        if (signal?.aborted) return abort();
+        signal?.addEventListener('abort', abort, { once: true });
+
+        response.data.on('end', () => {
+            signal?.removeEventListener('abort', abort);
+            resolve();
+        });
+        response.data.on('error', reject);
+    });
+}
+
+/**
+ * Check if Ollama service is healthy and model is available
+ */
+async function checkOllamaHealth(baseUrl, model, signal) {
+    try {
+        const healthResponse = await axios.get(`${baseUrl}/api/tags`, {
+            timeout: 5000,
+            signal
+        });
+
+        const availableModels = healthResponse.data.models || [];
+        const modelExists = availableModels.some(available =>
+            available.name === model || available.name.startsWith(model.split(':')[0])
+        );
+
+        if (!modelExists) {
+            const availableNames = availableModels.map(m => m.name).join(', ');
+            throw new Error(`Model "${model}" not found. Available models: ${availableNames}. Please run: ollama pull ${model}`);
+        }
+
+    } catch (error) {
+        if (error.code === 'ECONNREFUSED') {
+            throw new Error(`Ollama service is not running at ${baseUrl}`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Any endpoint speaking the OpenAI chat completions API (OpenAI, vLLM, LM Studio, llama.cpp server, ...)
+ */
+async function generateWithOpenAI(prompt, config, onToken, signal) {
+    const baseURL = config.baseUrl || process.env.OPENAI_BASE_URL || undefined;
+    if (!process.env.OPENAI_API_KEY && !baseURL) {
+        throw new Error('OPENAI_API_KEY is not set');
+    }
+
+    // The server's key only goes to the endpoint configured alongside it
+    const configuredEndpoint = !config.baseUrl ||
+        (process.env.OPENAI_BASE_URL && normalizeBaseUrl(config.baseUrl) === normalizeBaseUrl(process.env.OPENAI_BASE_URL));
+
+    const openai = require('openai');
+    const client = new openai.OpenAI({
+        apiKey: (configuredEndpoint && process.env.OPENAI_API_KEY) || 'not-needed',
+        baseURL
+    });
+
+    const stream = await client.chat.completions.create({
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: true,
+        max_tokens: config.maxTokens,
+        temperature: config.temperature
+    }, { signal });
+
+    for await (const chunk of stream) {
+        const content = chunk.choices[0]?.delta?.content;
+        if (content) onToken(content);
+    }
+}
+
+/**
+ * Deterministic offline provider for tests and demos: the same prompt always
+ * yields the same answer. MOCK_LLM_RESPONSE replaces the generated text and
+ * MOCK_LLM_DELAY_MS paces the tokens like a real model.
+ */
+async function generateWithMock(prompt, config, onToken, signal) {
+    const delay = parseInt(process.env.MOCK_LLM_DELAY_MS) || 0;
+    const fingerprint = crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 8);
+    const text = process.env.MOCK_LLM_RESPONSE ||
+        `Mock answer from ${config.model} (prompt ${fingerprint}, ${prompt.length} characters, temperature ${config.temperature}).`;
+
+    for (const word of text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) throw signal.reason;
+        onToken(word);
+        if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+module.exports = {
+    providers,
+    resolveLlmConfig,
+    validateLlmSettings,
+    getContextWindow,
+    generateWithProvider,
+    LLM_DEFAULTS
+};
@@ -0,0 +1,333 @@
+// utils/localVectorStore.js - Local vector store backend: Chroma-style filters, disk snapshots and Chroma export/import
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+
+const LOCAL_STORE_CONFIG = {
+    // An empty path keeps the store in memory only. The HTTP and stdio servers each have their
+    // own file, and a lock file stops a second process from writing over a snapshot in use.
+    snapshotPath: process.env.LOCAL_VECTOR_STORE_PATH ?? path.join(__dirname, '..', 'data', 'vector-store.ndjson'),
+    stdioSnapshotPath: process.env.LOCAL_VECTOR_STORE_STDIO_PATH ?? path.join(__dirname, '..', 'data', 'vector-store.stdio.ndjson'),
+    snapshotDelayMs: parseInt(process.env.LOCAL_VECTOR_STORE_SNAPSHOT_DELAY_MS) || 2000
+};
+
+const SNAPSHOT_FORMAT = 1;
+const CHROMA_BATCH_SIZE = 500;
+
+/**
+ * Create an empty local store. Documents are kept per project as
+ * { id, text, embedding, metadata } like the rows of a Chroma collection.
+ */
+function createLocalStore({ snapshotPath = LOCAL_STORE_CONFIG.snapshotPath } = {}) {
+    return {
+        documents: new Map(), // projectId -> documents[]
+        isInMemory: true,
+        snapshotPath: snapshotPath || null,
+        snapshot: { timer: null, writing: null, dirty: false, lockPath: null }
+    };
+}
+
+/**
+ * Take the store's snapshot file for this process. The lock file beside it holds the owner's pid;
+ * a lock left by a process that is gone is taken over.
+ * @returns {number|null} null when the lock was taken, otherwise the pid of the process holding it
+ */
+function acquireSnapshotLock(store) {
+    if (!store.snapshotPath) return null;
+
+    const lockPath = `${store.snapshotPath}.lock`;
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            const owner = parseInt(fs.readFileSync(lockPath, 'utf8'));
+            if (owner !== process.pid && isProcessAlive(owner)) return owner;
+            fs.rmSync(lockPath, { force: true });
+        }
+    }
+
+    store.snapshot.lockPath = lockPath;
+    process.once('exit', () => releaseSnapshotLock(store));
+    return null;
+}
+
+/**
+ * Give the snapshot file back (on exit)
+ */
+function releaseSnapshotLock(store) {
+    const { lockPath } = store.snapshot;
+    if (!lockPath) return;
+
+    store.snapshot.lockPath = null;
+    try {
+        if (parseInt(fs.readFileSync(lockPath, 'utf8')) === process.pid) fs.rmSync(lockPath, { force: true });
+    } catch (error) {
+        // Already gone
+    }
+}
+
+function isProcessAlive(pid) {
+    if (!pid) return false;
+    try {
+        process.kill(pid, 0); // signal 0 only checks that the process exists
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Load the store's snapshot file, if there is one
+ * @returns {Promise<number>} Number of documents loaded
+ */
+async function loadSnapshot(store) {
+    if (!store.snapshotPath || !fs.existsSync(store.snapshotPath)) return 0;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(store.snapshotPath), crlfDelay: Infinity });
+    const batch = [];
+    let header = null;
+    let loaded = 0;
+    let invalid = 0;
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            if (!header) throw error;
+            invalid++;
+            continue;
+        }
+
+        if (!header) {
+            header = entry;
+            if (header.format !== SNAPSHOT_FORMAT) {
+                throw new Error(`Unsupported vector store snapshot format: ${header.format}`);
+            }
+            continue;
+        }
+        batch.push(entry);
+        loaded++;
+    }
+
+    addDocuments(store, batch);
+    if (invalid > 0) {
+        console.warn(`⚠️ Skipped ${invalid} unreadable entries in ${store.snapshotPath}`);
+    }
+    console.log(`📂 Loaded ${loaded} vectors from snapshot ${store.snapshotPath} (saved ${header?.savedAt || 'unknown'})`);
+    return loaded;
+}
+
+/**
+ * Save a snapshot soon; writes close together are coalesced into one
+ */
+function scheduleSnapshot(store) {
+    if (!store.snapshotPath) return;
+
+    store.snapshot.dirty = true;
+    if (store.snapshot.timer) return;
+
+    store.snapshot.timer = setTimeout(() => {
+        store.snapshot.timer = null;
+        saveSnapshot(store).catch(error => console.error('❌ Failed to save vector store snapshot:', error.message));
+    }, LOCAL_STORE_CONFIG.snapshotDelayMs);
+    store.snapshot.timer.unref();
+}
+
+/**
+ * Write every document to the snapshot file: one JSON line each after a header line.
+ * The file is written beside the old one and renamed over it, so a crash never leaves half a snapshot.
+ */
+async function saveSnapshot(store) {
+    if (!store.snapshotPath) return;
+
+    // One write at a time; changes made meanwhile are picked up by the next one
+    while (store.snapshot.writing) {
+        await store.snapshot.writing;
+    }
+    store.snapshot.dirty = false;
+    store.snapshot.writing = writeSnapshotFile(store).finally(() => {
+        store.snapshot.writing = null;
+    });
+    return store.snapshot.writing;
+}
+
+async function writeSnapshotFile(store) {
+    const documents = [...store.documents.values()].flat();
+    const tempPath = `${store.snapshotPath}.tmp`;
+    await fs.promises.mkdir(path.dirname(store.snapshotPath), { recursive: true });
+
+    const output = fs.createWriteStream(tempPath);
+    const write = async (entry) => {
+        if (!output.write(`${JSON.stringify(entry)}\n`)) await once(output, 'drain');
+    };
+
+    try {
+        await write({ format: SNAPSHOT_FORMAT, savedAt: new Date().toISOString(), documents: documents.length });
+        for (const doc of documents) {
+            await write(doc);
+        }
+        await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+    } catch (error) {
+        output.destroy();
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+    }
+
+    await fs.promises.rename(tempPath, store.snapshotPath);
+    console.log(`💾 Vector store snapshot saved (${documents.length} vectors)`);
+}
+
+/**
+ * Write pending changes now (on shutdown)
+ */
+async function flushSnapshot(store) {
+    if (!store?.snapshotPath) return;
+
+    if (store.snapshot.timer) {
+        clearTimeout(store.snapshot.timer);
+        store.snapshot.timer = null;
+    }
+    if (store.snapshot.dirty) {
+        await saveSnapshot(store);
+    } else if (store.snapshot.writing) {
+        await store.snapshot.writing;
+    }
+}
+
+/**
+ * Add documents, replacing any with the same id (Chroma upsert semantics)
+ */
+function addDocuments(store, documents) {
+    const positions = new Map(); // projectId -> Map(id -> index), built on first use
+
+    for (const doc of documents) {
+        const projectId = doc.metadata?.projectId;
+        if (!store.documents.has(projectId)) {
+            store.documents.set(projectId, []);
+        }
+
+        const projectDocs = store.documents.get(projectId);
+        if (!positions.has(projectId)) {
+            positions.set(projectId, new Map(projectDocs.map((other, i) => [other.id, i])));
+        }
+
+        const ids = positions.get(projectId);
+        if (ids.has(doc.id)) {
+            projectDocs[ids.get(doc.id)] = doc;
+        } else {
+            ids.set(doc.id, projectDocs.length);
+            projectDocs.push(doc);
+        }
+    }
+}
+
+/**
+ * Whether metadata matches a Chroma `where` filter: { field: value }, { field: { $eq, $ne,
+ * $gt, $gte, $lt, $lte, $in, $nin } }, and { $and: [...] } / { $or: [...] }
+ */
+function matchesWhere(metadata = {}, where) {
+    if (!where) return true;
+
+    return Object.entries(where).every(([key, condition]) => {
+        if (key === '$and') return condition.every(clause => matchesWhere(metadata, clause));
+        if (key === '$or') return condition.some(clause => matchesWhere(metadata, clause));
+
+        const value = metadata[key];
+        if (condition === null || typeof condition !== 'object') return value === condition;
+
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$eq': return value === operand;
+                case '$ne': return value !== operand;
+                case '$gt': return value > operand;
+                case '$gte': return value >= operand;
+                case '$lt': return value < operand;
+                case '$lte': return value <= operand;
+                case '$in': return operand.includes(value);
+                case '$nin': return !operand.includes(value);
+                default: throw new Error(`Unsupported filter operator: ${operator}`);
+            }
+        });
+    });
+}
+
+/**
+ * Copy local vectors into a Chroma collection; ids that already exist there are overwritten
+ * @param {object} store - Local store
+ * @param {object} collection - Chroma collection
+ * @param {object} options - { projectId } to copy a single project
+ * @returns {Promise<number>} Number of vectors copied
+ */
+async function exportToChroma(store, collection, { projectId = null } = {}) {
+    const documents = projectId ? (store.documents.get(projectId) || []) : [...store.documents.values()].flat();
+
+    for (let start = 0; start < documents.length; start += CHROMA_BATCH_SIZE) {
+        const batch = documents.slice(start, start + CHROMA_BATCH_SIZE);
+        await collection.upsert({
+            ids: batch.map(doc => doc.id),
+            embeddings: batch.map(doc => doc.embedding),
+            documents: batch.map(doc => doc.text),
+            metadatas: batch.map(doc => doc.metadata)
+        });
+    }
+
+    console.log(`📤 Exported ${documents.length} vectors to Chroma${projectId ? ` for project ${projectId}` : ''}`);
+    return documents.length;
+}
+
+/**
+ * Copy vectors from a Chroma collection into the local store; local vectors with the same id are replaced
+ * @param {object} store - Local store
+ * @param {object} collection - Chroma collection
+ * @param {object} options - { projectId } to copy a single project
+ * @returns {Promise<number>} Number of vectors copied
+ */
+async function importFromChroma(store, collection, { projectId = null } = {}) {
+    let imported = 0;
+
+    for (let offset = 0; ; offset += CHROMA_BATCH_SIZE) {
+        const results = await collection.get({
+            ...(projectId && { where: { projectId } }),
+            include: ['documents', 'metadatas', 'embeddings'],
+            limit: CHROMA_BATCH_SIZE,
+            offset
+        });
+        const ids = results.ids || [];
+
+        addDocuments(store, ids.map((id, i) => ({
+            id,
+            text: results.documents?.[i] || '',
+            embedding: Array.from(results.embeddings?.[i] || []),
+            metadata: results.metadatas?.[i] || {}
+        })));
+        imported += ids.length;
+
+        if (ids.length < CHROMA_BATCH_SIZE) break;
+    }
+
+    scheduleSnapshot(store);
+    console.log(`📥 Imported ${imported} vectors from Chroma${projectId ? ` for project ${projectId}` : ''}`);
+    return imported;
+}
+
+module.exports = {
+    LOCAL_STORE_CONFIG,
+    createLocalStore,
+    acquireSnapshotLock,
+    releaseSnapshotLock,
+    loadSnapshot,
+    scheduleSnapshot,
+    saveSnapshot,
+    flushSnapshot,
+    addDocuments,
+    matchesWhere,
+    exportToChroma,
+    importFromChroma
+};
@@ -0,0 +1,275 @@
+// utils/mcpServer.js - Model Context Protocol (JSON-RPC 2.0) server with stdio and HTTP/SSE transports
+const express = require('express');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SSE_KEEPALIVE_MS = 25000;
+
+// JSON-RPC 2.0 / MCP error codes
+const ERROR_CODES = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    RESOURCE_NOT_FOUND: -32002
+};
+
+class McpError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'McpError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * Create a transport-independent MCP server
+ * @param {object} options - { name, version, instructions, tools, resources }
+ *   tools: [{ name, description, inputSchema, handler(args, context) }]
+ *   resources: { list(context), read(uri, context), templates }
+ * @returns {object} { handleMessage(message, context) } resolving to a response, an array of responses, or null.
+ *   context ({ user }) is the caller's identity, supplied by the transport
+ */
+function createMcpServer({ name, version, instructions, tools = [], resources = null }) {
+    const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+
+    const methods = {
+        'initialize': async (params = {}) => ({
+            protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+                ? params.protocolVersion
+                : SUPPORTED_PROTOCOL_VERSIONS[0],
+            capabilities: {
+                tools: { listChanged: false },
+                ...(resources && { resources: { subscribe: false, listChanged: false } })
+            },
+            serverInfo: { name, version },
+            ...(instructions && { instructions })
+        }),
+
+        'ping': async () => ({}),
+
+        'tools/list': async () => ({
+            tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+        }),
+
+        'tools/call': async (params = {}, context) => {
+            const tool = toolsByName.get(params.name);
+            if (!tool) {
+                throw new McpError(ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+            }
+
+            const args = params.arguments || {};
+            const missing = (tool.inputSchema.required || []).filter(key => args[key] === undefined || args[key] === '');
+            if (missing.length > 0) {
+                return toolResult(`Missing required argument(s): ${missing.join(', ')}`, true);
+            }
+
+            try {
+                return normalizeToolResult(await tool.handler(args, context));
+            } catch (error) {
+                console.error(`❌ MCP tool ${tool.name} failed:`, error.message);
+                return toolResult(error.message, true);
+            }
+        },
+
+        ...(resources && {
+            'resources/list': async (params, context) => ({ resources: await resources.list(context) }),
+
+            'resources/templates/list': async () => ({ resourceTemplates: resources.templates || [] }),
+
+            'resources/read': async (params = {}, context) => {
+                if (!params.uri) {
+                    throw new McpError(ERROR_CODES.INVALID_PARAMS, 'uri is required');
+                }
+                const contents = await resources.read(params.uri, context);
+                if (!contents) {
+                    throw new McpError(ERROR_CODES.RESOURCE_NOT_FOUND, 'Resource not found', { uri: params.uri });
+                }
+                return { contents };
+            }
+        })
+    };
+
+    async function handleSingle(message, context) {
+        if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+            return errorResponse(message?.id ?? null, ERROR_CODES.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message');
+        }
+
+        // Responses to server-initiated requests; this server never sends any
+        if (message.method === undefined && ('result' in message || 'error' in message)) {
+            return null;
+        }
+
+        if (typeof message.method !== 'string') {
+            return errorResponse(message.id ?? null, ERROR_CODES.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message');
+        }
+
+        const isNotification = message.id === undefined;
+        if (isNotification) {
+            // notifications/initialized, notifications/cancelled, ... need no reply
+            return null;
+        }
+
+        const method = methods[message.method];
+        if (!method) {
+            return errorResponse(message.id, ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+        }
+
+        try {
+            const result = await method(message.params, context);
+            return { jsonrpc: '2.0', id: message.id, result };
+        } catch (error) {
+            if (!(error instanceof McpError)) {
+                console.error(`❌ MCP ${message.method} failed:`, error);
+            }
+            return errorResponse(message.id, error.code || ERROR_CODES.INTERNAL_ERROR, error.message, error.data);
+        }
+    }
+
+    async function handleMessage(message, context = {}) {
+        if (Array.isArray(message)) {
+            if (message.length === 0) {
+                return errorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Empty batch');
+            }
+            const responses = (await Promise.all(message.map(item => handleSingle(item, context)))).filter(Boolean);
+            return responses.length > 0 ? responses : null;
+        }
+        return handleSingle(message, context);
+    }
+
+    return { handleMessage };
+}
+
+function errorResponse(id, code, message, data) {
+    return {
+        jsonrpc: '2.0',
+        id,
+        error: { code, message, ...(data !== undefined && { data }) }
+    };
+}
+
+function toolResult(text, isError = false) {
+    return { content: [{ type: 'text', text }], isError };
+}
+
+/**
+ * Tool handlers may return a string, a ready-made { content } result, or any JSON value
+ */
+function normalizeToolResult(output) {
+    if (typeof output === 'string') return toolResult(output);
+    if (output && Array.isArray(output.content)) return { isError: false, ...output };
+    return toolResult(JSON.stringify(output, null, 2));
+}
+
+/**
+ * Express router exposing the server over HTTP.
+ *   GET  /sse       - SSE stream (2024-11-05 transport); first event names the message endpoint
+ *   POST /messages  - client messages for an SSE session (?sessionId=...); replies arrive on the stream
+ *   POST /          - plain request/response JSON-RPC for clients that do not keep a stream open
+ * Mount before the app-wide body parser so malformed JSON becomes a JSON-RPC parse error,
+ * and after authentication: req.user is passed to tools as the caller's identity.
+ */
+function createMcpRouter(server) {
+    const router = express.Router();
+    const sessions = new Map(); // sessionId -> { stream, userId }
+
+    router.use(express.json({ limit: '50mb' }));
+
+    router.get('/sse', (req, res) => {
+        const sessionId = crypto.randomUUID();
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(`event: endpoint\ndata: ${req.baseUrl}/messages?sessionId=${sessionId}\n\n`);
+
+        sessions.set(sessionId, { stream: res, userId: req.user?.userId });
+        console.log(`🔌 MCP SSE session opened: ${sessionId}`);
+
+        const keepAlive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            sessions.delete(sessionId);
+            console.log(`🔌 MCP SSE session closed: ${sessionId}`);
+        });
+    });
+
+    router.post('/messages', async (req, res) => {
+        const session = sessions.get(req.query.sessionId);
+        // A session only accepts messages from the user who opened it
+        if (!session || session.userId !== req.user?.userId) {
+            return res.status(404).json(errorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Unknown or expired sessionId'));
+        }
+
+        res.status(202).end();
+
+        const { stream } = session;
+        const response = await server.handleMessage(req.body, { user: req.user });
+        if (response && !stream.writableEnded) {
+            stream.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+        }
+    });
+
+    router.post('/', async (req, res) => {
+        const response = await server.handleMessage(req.body, { user: req.user });
+        if (!response) {
+            return res.status(202).end();
+        }
+        res.json(response);
+    });
+
+    router.get('/', (req, res) => {
+        res.status(405).set('Allow', 'POST').json({ error: 'Use GET /sse for a stream or POST JSON-RPC messages' });
+    });
+
+    router.use((error, req, res, next) => {
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json(errorResponse(null, ERROR_CODES.PARSE_ERROR, 'Parse error'));
+        }
+        console.error('❌ MCP transport error:', error);
+        res.status(500).json(errorResponse(null, ERROR_CODES.INTERNAL_ERROR, error.message));
+    });
+
+    return router;
+}
+
+/**
+ * Serve newline-delimited JSON-RPC messages over stdin/stdout.
+ * Callers must keep stdout free of anything else (send logs to stderr).
+ * @param {object} options - { input, output, context: identity passed to every message }
+ * @returns {readline.Interface} Emits 'close' when the client closes stdin
+ */
+function startStdioTransport(server, { input = process.stdin, output = process.stdout, context = {} } = {}) {
+    const rl = readline.createInterface({ input, terminal: false });
+    const send = (message) => output.write(`${JSON.stringify(message)}\n`);
+
+    rl.on('line', async (line) => {
+        if (!line.trim()) return;
+
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            send(errorResponse(null, ERROR_CODES.PARSE_ERROR, 'Parse error'));
+            return;
+        }
+
+        const response = await server.handleMessage(message, context);
+        if (response) send(response);
+    });
+
+    return rl;
+}
+
+module.exports = {
+    createMcpServer,
+    createMcpRouter,
+    startStdioTransport,
+    McpError,
+    ERROR_CODES
+};
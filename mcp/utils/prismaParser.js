@@ -0,0 +1,422 @@
+// utils/prismaParser.js - Prisma schema parser producing the same schema model as sqlParser
+
+const PRISMA_TYPE_CATEGORIES = {
+  String: 'string',
+  Boolean: 'boolean',
+  Int: 'integer',
+  BigInt: 'integer',
+  Float: 'float',
+  Decimal: 'decimal',
+  DateTime: 'timestamp',
+  Json: 'json',
+  Bytes: 'binary'
+};
+
+// Native @db.* types that refine the category of a Prisma scalar
+const NATIVE_TYPE_CATEGORIES = {
+  uuid: 'uuid',
+  date: 'date',
+  time: 'time',
+  timetz: 'time'
+};
+
+const PROVIDER_DIALECTS = {
+  postgresql: 'postgres',
+  postgres: 'postgres',
+  cockroachdb: 'postgres',
+  mysql: 'mysql',
+  sqlite: 'sqlite'
+};
+
+const REFERENTIAL_ACTIONS = {
+  Cascade: 'CASCADE',
+  Restrict: 'RESTRICT',
+  NoAction: 'NO ACTION',
+  SetNull: 'SET NULL',
+  SetDefault: 'SET DEFAULT'
+};
+
+/**
+ * Parse a Prisma schema into tables, columns, keys, relations and enums.
+ * Table and column names are the database names (@@map / @map); the Prisma
+ * names are kept as table.modelName and column.fieldName.
+ * @param {string} content - schema.prisma content
+ * @returns {object} { format: 'prisma', dialect, tables, enums, warnings }
+ */
+function parsePrismaSchema(content) {
+  const blocks = readBlocks(content);
+  const model = {
+    format: 'prisma',
+    dialect: 'generic',
+    tables: [],
+    enums: [],
+    warnings: []
+  };
+
+  const datasource = blocks.find(block => block.kind === 'datasource');
+  const provider = datasource?.lines.map(l => l.text.match(/^provider\s*=\s*"([^"]+)"/)).find(Boolean);
+  if (provider) model.dialect = PROVIDER_DIALECTS[provider[1]] || 'generic';
+
+  const enumBlocks = blocks.filter(block => block.kind === 'enum');
+  const modelBlocks = blocks.filter(block => block.kind === 'model' || block.kind === 'view');
+
+  for (const block of enumBlocks) {
+    const values = [];
+    let dbName = block.name;
+    for (const line of block.lines) {
+      if (line.text.startsWith('@@')) {
+        dbName = mapName(parseAttributes(line.text)) || dbName;
+        continue;
+      }
+      const [value] = line.text.split(/\s+/);
+      values.push(mapName(parseAttributes(line.text.slice(value.length))) || value);
+    }
+    model.enums.push({ name: dbName, schema: null, values, prismaName: block.name });
+  }
+
+  const enumsByPrismaName = new Map(model.enums.map(e => [e.prismaName, e]));
+  const modelsByName = new Map();
+  for (const block of modelBlocks) {
+    if (modelsByName.has(block.name)) {
+      model.warnings.push(`Model ${block.name} is defined more than once; keeping the last definition`);
+    }
+    modelsByName.set(block.name, parseModelBlock(block, model.warnings));
+  }
+
+  for (const parsed of modelsByName.values()) {
+    model.tables.push(buildTable(parsed, modelsByName, enumsByPrismaName, model.warnings));
+  }
+
+  model.enums.forEach(e => delete e.prismaName);
+  return model;
+}
+
+/**
+ * Split the file into top-level blocks; `///` doc comments attach to the next line
+ */
+function readBlocks(content) {
+  const blocks = [];
+  let current = null;
+  let docComment = [];
+
+  for (const raw of content.split(/\r?\n/)) {
+    const trimmed = raw.trim();
+
+    if (trimmed.startsWith('///')) {
+      docComment.push(trimmed.slice(3).trim());
+      continue;
+    }
+
+    const text = stripComment(trimmed);
+    if (!text) continue;
+
+    if (!current) {
+      const header = text.match(/^(model|enum|view|type|datasource|generator)\s+(\w+)\s*\{$/);
+      if (header) {
+        current = { kind: header[1], name: header[2], comment: docComment.join(' ') || null, lines: [] };
+      }
+      docComment = [];
+      continue;
+    }
+
+    if (text === '}') {
+      blocks.push(current);
+      current = null;
+    } else {
+      current.lines.push({ text, comment: docComment.join(' ') || null });
+    }
+    docComment = [];
+  }
+
+  return blocks;
+}
+
+function stripComment(line) {
+  let inString = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"' && line[i - 1] !== '\\') inString = !inString;
+    if (!inString && line[i] === '/' && line[i + 1] === '/') return line.slice(0, i).trim();
+  }
+  return line;
+}
+
+/**
+ * Read fields and block attributes (@@id, @@unique, @@index, @@map) of a model
+ */
+function parseModelBlock(block, warnings) {
+  const parsed = { name: block.name, dbName: block.name, comment: block.comment, fields: [], blockAttributes: [] };
+
+  for (const line of block.lines) {
+    if (line.text.startsWith('@@')) {
+      const attributes = parseAttributes(line.text);
+      parsed.blockAttributes.push(...attributes);
+      parsed.dbName = mapName(attributes) || parsed.dbName;
+      continue;
+    }
+
+    const match = line.text.match(/^(\w+)\s+(Unsupported\("[^"]*"\)|\w+)(\[\])?(\?)?\s*(.*)$/);
+    if (!match) {
+      warnings.push(`Model ${block.name}: could not parse field "${line.text}"`);
+      continue;
+    }
+
+    const [, name, type, list, optional, rest] = match;
+    parsed.fields.push({
+      name,
+      type,
+      isList: Boolean(list),
+      isOptional: Boolean(optional),
+      attributes: parseAttributes(rest),
+      comment: line.comment
+    });
+  }
+
+  return parsed;
+}
+
+/**
+ * Parse `@id @default(autoincrement()) @db.VarChar(255)` style attribute lists
+ * @returns {Array<{name: string, args: string|null}>} name without the leading @ / @@
+ */
+function parseAttributes(text) {
+  const attributes = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (text[i] !== '@') {
+      i++;
+      continue;
+    }
+
+    const nameMatch = text.slice(i).match(/^@@?([\w.]+)/);
+    if (!nameMatch) {
+      i++;
+      continue;
+    }
+    i += nameMatch[0].length;
+
+    let args = null;
+    if (text[i] === '(') {
+      let depth = 0;
+      let inString = false;
+      const start = i;
+      for (; i < text.length; i++) {
+        if (text[i] === '"' && text[i - 1] !== '\\') inString = !inString;
+        if (inString) continue;
+        if (text[i] === '(') depth++;
+        if (text[i] === ')' && --depth === 0) break;
+      }
+      args = text.slice(start + 1, i);
+      i++;
+    }
+
+    attributes.push({ name: nameMatch[1], args });
+  }
+
+  return attributes;
+}
+
+function findAttribute(attributes, name) {
+  return attributes.find(attribute => attribute.name === name);
+}
+
+function mapName(attributes) {
+  const map = findAttribute(attributes, 'map');
+  return map ? unquote(namedArg(map.args, null)) : null;
+}
+
+/**
+ * Value of a named argument (`fields: [a, b]`), or of the first positional argument when name is null
+ */
+function namedArg(args, name) {
+  if (args === null || args === undefined) return null;
+
+  for (const part of splitArgs(args)) {
+    const named = part.match(/^(\w+)\s*:\s*([\s\S]*)$/);
+    if (name && named && named[1] === name) return named[2].trim();
+    if (!name && !named) return part.trim();
+  }
+  return null;
+}
+
+function splitArgs(args) {
+  const parts = [];
+  let depth = 0;
+  let inString = false;
+  let current = '';
+
+  for (let i = 0; i < args.length; i++) {
+    const ch = args[i];
+    if (ch === '"' && args[i - 1] !== '\\') inString = !inString;
+    if (!inString) {
+      if (ch === '(' || ch === '[') depth++;
+      if (ch === ')' || ch === ']') depth--;
+      if (ch === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+    }
+    current += ch;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * `[a, b(sort: Desc)]` -> ['a', 'b']
+ */
+function fieldList(value) {
+  if (!value) return [];
+  const inner = value.trim().replace(/^\[/, '').replace(/\]$/, '');
+  return splitArgs(inner).map(item => item.match(/^\w+/)?.[0]).filter(Boolean);
+}
+
+function unquote(value) {
+  if (value === null || value === undefined) return null;
+  const match = value.match(/^"([\s\S]*)"$/);
+  return match ? match[1] : value;
+}
+
+/**
+ * Turn a parsed model into a table in the shared schema-model shape
+ */
+function buildTable(parsed, modelsByName, enumsByPrismaName, warnings) {
+  const table = {
+    name: parsed.dbName,
+    schema: unquote(namedArg(findAttribute(parsed.blockAttributes, 'schema')?.args, null)),
+    modelName: parsed.name,
+    columns: [],
+    primaryKey: [],
+    foreignKeys: [],
+    uniqueConstraints: [],
+    indexes: [],
+    checks: [],
+    comment: parsed.comment
+  };
+
+  const columnName = (fieldName) => {
+    const field = parsed.fields.find(f => f.name === fieldName);
+    return field ? mapName(field.attributes) || field.name : fieldName;
+  };
+
+  for (const field of parsed.fields) {
+    // Relation fields are navigations, not columns; their @relation becomes a foreign key
+    if (modelsByName.has(field.type)) {
+      const relation = findAttribute(field.attributes, 'relation');
+      const fields = fieldList(namedArg(relation?.args, 'fields'));
+      if (fields.length === 0) continue;
+
+      const target = modelsByName.get(field.type);
+      const targetColumn = (fieldName) => {
+        const targetField = target.fields.find(f => f.name === fieldName);
+        return targetField ? mapName(targetField.attributes) || targetField.name : fieldName;
+      };
+
+      table.foreignKeys.push({
+        name: unquote(namedArg(relation.args, 'map')),
+        columns: fields.map(columnName),
+        table: target.dbName,
+        schema: null,
+        referencedColumns: fieldList(namedArg(relation.args, 'references')).map(targetColumn),
+        onDelete: REFERENTIAL_ACTIONS[namedArg(relation.args, 'onDelete')] || null,
+        onUpdate: REFERENTIAL_ACTIONS[namedArg(relation.args, 'onUpdate')] || null,
+        relationField: field.name,
+        relationName: unquote(namedArg(relation.args, 'name')) || unquote(namedArg(relation.args, null))
+      });
+      continue;
+    }
+
+    if (field.type !== 'Unsupported' && !field.type.startsWith('Unsupported(') &&
+      !PRISMA_TYPE_CATEGORIES[field.type] && !enumsByPrismaName.has(field.type)) {
+      // Composite types (MongoDB) and unknown references
+      warnings.push(`Model ${parsed.name}: field ${field.name} has unknown type ${field.type}`);
+    }
+
+    table.columns.push(buildColumn(field, enumsByPrismaName));
+  }
+
+  for (const attribute of parsed.blockAttributes) {
+    const fields = fieldList(namedArg(attribute.args, 'fields') || namedArg(attribute.args, null)).map(columnName);
+    if (attribute.name === 'id') {
+      table.primaryKey = fields;
+    } else if (attribute.name === 'unique') {
+      table.uniqueConstraints.push({ name: unquote(namedArg(attribute.args, 'map')) || unquote(namedArg(attribute.args, 'name')), columns: fields });
+    } else if (attribute.name === 'index' || attribute.name === 'fulltext') {
+      table.indexes.push({
+        name: unquote(namedArg(attribute.args, 'map')) || unquote(namedArg(attribute.args, 'name')),
+        columns: fields,
+        unique: false,
+        method: attribute.name === 'fulltext' ? 'fulltext' : namedArg(attribute.args, 'type'),
+        where: null
+      });
+    }
+  }
+
+  if (table.primaryKey.length === 0) {
+    table.primaryKey = table.columns.filter(c => c.primaryKey).map(c => c.name);
+  }
+  for (const column of table.columns) {
+    if (table.primaryKey.includes(column.name)) column.primaryKey = true;
+    if (column.primaryKey) column.nullable = false;
+  }
+
+  // Single-column foreign keys are mirrored on the column, as the SQL parser does
+  for (const foreignKey of table.foreignKeys) {
+    if (foreignKey.columns.length !== 1) continue;
+    const column = table.columns.find(c => c.name === foreignKey.columns[0]);
+    if (column) {
+      column.references = {
+        table: foreignKey.table,
+        schema: null,
+        columns: foreignKey.referencedColumns,
+        onDelete: foreignKey.onDelete,
+        onUpdate: foreignKey.onUpdate
+      };
+    }
+  }
+
+  return table;
+}
+
+function buildColumn(field, enumsByPrismaName) {
+  const attributes = field.attributes;
+  const native = attributes.find(attribute => attribute.name.startsWith('db.'));
+  const nativeType = native ? native.name.slice(3) : null;
+  const enumType = enumsByPrismaName.get(field.type);
+  const defaultValue = findAttribute(attributes, 'default')?.args ?? null;
+
+  let category = enumType ? 'enum' : PRISMA_TYPE_CATEGORIES[field.type] || 'other';
+  if (nativeType && NATIVE_TYPE_CATEGORIES[nativeType.toLowerCase()]) {
+    category = NATIVE_TYPE_CATEGORIES[nativeType.toLowerCase()];
+  }
+
+  const column = {
+    name: mapName(attributes) || field.name,
+    type: nativeType ? `${nativeType}${native.args ? `(${native.args})` : ''}` : `${field.type}${field.isList ? '[]' : ''}`,
+    dataType: (nativeType || field.type).toLowerCase(),
+    typeArgs: native?.args ? splitArgs(native.args) : [],
+    isArray: field.isList,
+    category,
+    nullable: field.isOptional,
+    default: defaultValue,
+    primaryKey: Boolean(findAttribute(attributes, 'id')),
+    unique: Boolean(findAttribute(attributes, 'unique')),
+    autoIncrement: /^autoincrement\(\)$/.test(defaultValue || ''),
+    references: null,
+    check: null,
+    generated: null,
+    comment: field.comment
+  };
+
+  if (column.name !== field.name) column.fieldName = field.name;
+  if (findAttribute(attributes, 'updatedAt')) column.onUpdate = 'now()';
+  if (enumType) column.enumValues = enumType.values;
+
+  return column;
+}
+
+module.exports = {
+  parsePrismaSchema
+};
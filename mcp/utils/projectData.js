@@ -0,0 +1,449 @@
+// utils/projectData.js - Schema ingestion and project/conversation persistence shared by the HTTP and MCP surfaces
+const path = require('path');
+const { storeSchemaEmbeddings, deleteFileEmbeddings, deleteUploadEmbeddings } = require('./vectorStore');
+const { extractSchemaFromContent } = require('./extractText');
+const { chunkSchemaText } = require('./chunker');
+const { mergeSchemaModels } = require('./sqlParser');
+const { resolveLlmConfig } = require('./llmProviders');
+const { checkQuota, recordUsage } = require('./usageLimits');
+const { SchemaUpload, Thread, Conversation, ProjectStats, ProjectSettings } = require('../models/index.js');
+const mongoose = require('mongoose');
+
+const THREAD_TITLE_LENGTH = 60;
+// Tries at claiming a file's next version number when concurrent uploads of it collide
+const VERSION_SAVE_ATTEMPTS = 5;
+
+const SUPPORTED_FILE_TYPES = ['.sql', '.json', '.prisma', '.csv', '.php', '.go', '.java', '.js', '.ts', '.py', '.rb', '.xml', '.yaml', '.yml'];
+
+/**
+ * Extract, chunk, embed and record a schema file for a project. Re-uploading a file name
+ * adds a new version: once its vectors are stored it becomes the active one and older
+ * versions' vectors are removed. If storing fails, the version is discarded.
+ * @param {object} vectorStore - Vector store instance
+ * @param {object} file - { projectId, userId, fileName, content, fileSize, batchId, source }
+ * @param {object} options - { onProgress({ stage, embedded, total }) } with stage extracting, embedding or saving
+ * @returns {Promise<object>} { upload, chunksStored, schemaModel, retiredVersions, embeddingCache: { hits, misses } }
+ * @throws {Error} with status 400 when the file yields no usable content, 429 when embedding
+ *   it would exceed the user's or project's daily embedding quota
+ */
+async function ingestSchema(vectorStore, { projectId, userId, fileName, content, fileSize, batchId = null, source = null }, { onProgress = null } = {}) {
+    const size = fileSize ?? Buffer.byteLength(content, 'utf8');
+    console.log(`Processing schema file: ${fileName} (${size} bytes) for project: ${projectId}`);
+
+    onProgress?.({ stage: 'extracting' });
+    const { fileExtension, extractedText, schemaModel, chunks } = prepareSchema(fileName, content);
+    await checkQuota({ userId, projectId }, 'chunksEmbedded', chunks.length);
+
+    // The version is claimed before any vector is stored; it stays inactive until they all are
+    const upload = await saveNextVersion({
+        projectId,
+        userId,
+        fileName,
+        fileType: fileExtension,
+        fileSize: size,
+        extractedText,
+        schemaModel,
+        batchId,
+        source
+    });
+
+    let embeddingCache;
+    try {
+        onProgress?.({ stage: 'embedding', embedded: 0, total: chunks.length });
+        const stored = await embedUpload(vectorStore, upload, chunks, userId, new Date(), (embedded, total) => {
+            onProgress?.({ stage: 'embedding', embedded, total });
+        });
+        embeddingCache = stored.embeddingCache;
+
+        onProgress?.({ stage: 'saving' });
+        upload.set({ chunksStored: stored.chunksStored, isActive: true });
+        await upload.save();
+    } catch (error) {
+        await discardUpload(vectorStore, upload);
+        throw error;
+    }
+    console.log(`✅ Schema upload saved to MongoDB (${fileName} v${upload.version})`);
+
+    // Chunks served from the embedding cache cost nothing
+    await recordUsage({ userId, projectId }, { chunksEmbedded: embeddingCache.misses });
+
+    const retiredVersions = await retirePreviousVersions(vectorStore, upload);
+
+    // Update project stats
+    await updateProjectStats(projectId, userId);
+
+    return { upload, chunksStored: upload.chunksStored, schemaModel, retiredVersions, embeddingCache };
+}
+
+/**
+ * Replace the content of an active upload in place: same uploadId and version, new text,
+ * model and vectors. The old vectors are only removed once the new ones are stored.
+ * @param {object} vectorStore - Vector store instance
+ * @param {object} upload - Active SchemaUpload document
+ * @param {object} file - { userId, content, fileSize }
+ * @returns {Promise<object>} { upload, chunksStored, schemaModel, vectorsRemoved, embeddingCache: { hits, misses } }
+ * @throws {Error} with status 400 when the content yields no usable schema, 429 over the embedding quota
+ */
+async function replaceSchemaContent(vectorStore, upload, { userId, content, fileSize }) {
+    const size = fileSize ?? Buffer.byteLength(content, 'utf8');
+    console.log(`Replacing schema file: ${upload.fileName} v${upload.version} (${size} bytes) for project: ${upload.projectId}`);
+
+    const { extractedText, schemaModel, chunks } = prepareSchema(upload.fileName, content);
+    const usage = { userId: userId || upload.userId, projectId: upload.projectId };
+    await checkQuota(usage, 'chunksEmbedded', chunks.length);
+
+    const replacedAt = new Date();
+    const { chunksStored, embeddingCache } = await embedUpload(vectorStore, upload, chunks, usage.userId, replacedAt);
+    await recordUsage(usage, { chunksEmbedded: embeddingCache.misses });
+    const vectorsRemoved = await deleteUploadEmbeddings(vectorStore, upload.projectId, {
+        uploadId: upload._id,
+        filename: upload.fileName,
+        storedBefore: replacedAt.toISOString()
+    });
+
+    upload.set({ extractedText, schemaModel, fileSize: size, chunksStored, replacedAt });
+    await upload.save();
+    console.log(`✅ Replaced ${upload.fileName} v${upload.version} (${vectorsRemoved} old vectors removed)`);
+
+    await refreshSchemaCount(upload.projectId);
+
+    return { upload, chunksStored, schemaModel, vectorsRemoved, embeddingCache };
+}
+
+/**
+ * Re-embed an active upload from its stored text with the current embedding model, e.g. after
+ * OLLAMA_EMBED_MODEL or EMBEDDING_DIMENSIONS changed. The old vectors are only removed once
+ * the new ones are stored.
+ * @param {object} vectorStore - Vector store instance
+ * @param {object} upload - Active SchemaUpload document
+ * @param {object} options - { userId: who asked (usage is counted for them), onProgress } like ingestSchema
+ * @returns {Promise<object>} { upload, chunksStored, vectorsRemoved, embeddingCache: { hits, misses } }
+ */
+async function reindexUpload(vectorStore, upload, { userId = null, onProgress = null } = {}) {
+    console.log(`Reindexing schema file: ${upload.fileName} v${upload.version} for project: ${upload.projectId}`);
+
+    onProgress?.({ stage: 'extracting' });
+    const chunks = chunkSchemaText(upload.extractedText || '', { fileType: upload.fileType, schemaModel: upload.schemaModel });
+    if (chunks.length === 0) {
+        throw badRequest('No valid chunks could be created from the stored text');
+    }
+
+    const reindexedAt = new Date();
+    onProgress?.({ stage: 'embedding', embedded: 0, total: chunks.length });
+    const { chunksStored, embeddingCache } = await embedUpload(vectorStore, upload, chunks, upload.userId, reindexedAt, (embedded, total) => {
+        onProgress?.({ stage: 'embedding', embedded, total });
+    });
+    await recordUsage({ userId: userId || upload.userId, projectId: upload.projectId }, { chunksEmbedded: embeddingCache.misses });
+
+    onProgress?.({ stage: 'saving' });
+    const vectorsRemoved = await deleteUploadEmbeddings(vectorStore, upload.projectId, {
+        uploadId: upload._id,
+        filename: upload.fileName,
+        storedBefore: reindexedAt.toISOString()
+    });
+
+    upload.set({ chunksStored, reindexedAt });
+    await upload.save();
+    console.log(`✅ Reindexed ${upload.fileName} v${upload.version} (${chunksStored} vectors, ${vectorsRemoved} old vectors removed)`);
+
+    return { upload, chunksStored, vectorsRemoved, embeddingCache };
+}
+
+/**
+ * Delete an upload: it stops being active, its vectors leave the store and the
+ * project's schema count is updated. The record is kept for the version history.
+ * @returns {Promise<number>} Number of vectors removed
+ */
+async function removeSchemaUpload(vectorStore, upload) {
+    const vectorsRemoved = upload.isActive
+        ? await deleteUploadEmbeddings(vectorStore, upload.projectId, { uploadId: upload._id, filename: upload.fileName })
+        : 0;
+
+    upload.set({ isActive: false, deletedAt: new Date() });
+    await upload.save();
+    console.log(`🗑️ Deleted ${upload.fileName} v${upload.version} from project ${upload.projectId} (${vectorsRemoved} vectors removed)`);
+
+    await refreshSchemaCount(upload.projectId);
+
+    return vectorsRemoved;
+}
+
+/**
+ * Extract text and, where supported, a structured model, then chunk it
+ * @throws {Error} with status 400 for unsupported or empty files
+ */
+function prepareSchema(fileName, content) {
+    const fileExtension = path.extname(fileName).toLowerCase();
+
+    if (!SUPPORTED_FILE_TYPES.includes(fileExtension)) {
+        throw badRequest(`Unsupported file type: ${fileExtension}. Allowed: ${SUPPORTED_FILE_TYPES.join(', ')}`);
+    }
+
+    const { text: extractedText, model: schemaModel } = extractSchemaFromContent(content, fileName);
+
+    if (!extractedText || extractedText.trim().length === 0) {
+        throw badRequest('No text content could be extracted from the file');
+    }
+
+    // Split text into one chunk per table/model/class (sized by CHUNK_SIZE / CHUNK_OVERLAP)
+    const chunks = chunkSchemaText(extractedText, { fileType: fileExtension, schemaModel });
+
+    if (chunks.length === 0) {
+        throw badRequest('No valid chunks could be created from the file content');
+    }
+
+    console.log(`Created ${chunks.length} text chunks from ${fileName}`);
+    return { fileExtension, extractedText, schemaModel, chunks };
+}
+
+/**
+ * Store embeddings in vector store, tagged with the upload they belong to
+ * @returns {Promise<object>} { chunksStored, embeddingCache: { hits, misses } }
+ */
+async function embedUpload(vectorStore, upload, chunks, userId, storedAt, onProgress = null) {
+    let embeddingCache = { hits: 0, misses: chunks.length };
+    const chunksStored = await storeSchemaEmbeddings(vectorStore, upload.projectId, chunks, {
+        filename: upload.fileName,
+        uploadedBy: userId,
+        uploadedAt: storedAt.toISOString(),
+        fileType: upload.fileType,
+        uploadId: upload._id.toString(),
+        version: upload.version
+    }, { onProgress, onCache: (stats) => { embeddingCache = stats; } });
+
+    return { chunksStored, embeddingCache };
+}
+
+/**
+ * Save a new, still inactive version of a file. Concurrent uploads of one file race for the
+ * next version number; the unique index on { projectId, fileName, version } rejects the
+ * loser, which takes the number after it.
+ * @param {object} fields - SchemaUpload fields other than version
+ * @returns {Promise<object>} The saved SchemaUpload
+ */
+async function saveNextVersion(fields) {
+    for (let attempt = 1; ; attempt++) {
+        const latest = await SchemaUpload.findOne({ projectId: fields.projectId, fileName: fields.fileName }).sort({ version: -1 }).select('version');
+        const upload = new SchemaUpload({ ...fields, version: (latest?.version || 0) + 1, isActive: false });
+
+        try {
+            return await upload.save();
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= VERSION_SAVE_ATTEMPTS) throw error;
+        }
+    }
+}
+
+/**
+ * Undo a version whose vectors could not all be stored: remove the ones that were, and the record
+ */
+async function discardUpload(vectorStore, upload) {
+    try {
+        await deleteUploadEmbeddings(vectorStore, upload.projectId, { uploadId: upload._id, filename: upload.fileName, matchLegacy: false });
+        await SchemaUpload.deleteOne({ _id: upload._id });
+    } catch (error) {
+        console.error(`❌ Failed to clean up ${upload.fileName} v${upload.version}:`, error.message);
+    }
+}
+
+/**
+ * Deactivate every other version of an upload's file and drop their vectors from search
+ * @returns {Promise<number>} Number of versions retired
+ */
+async function retirePreviousVersions(vectorStore, upload) {
+    const { modifiedCount } = await SchemaUpload.updateMany(
+        { projectId: upload.projectId, fileName: upload.fileName, _id: { $ne: upload._id }, isActive: true },
+        { isActive: false, supersededAt: new Date() }
+    );
+
+    const removed = await deleteFileEmbeddings(vectorStore, upload.projectId, upload.fileName, { keepUploadId: upload._id });
+    if (modifiedCount > 0 || removed > 0) {
+        console.log(`🗂️ Retired ${modifiedCount} previous version(s) of ${upload.fileName} (${removed} vectors removed)`);
+    }
+
+    return modifiedCount;
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Get recent conversation history for context. With a threadId only that thread's
+ * messages are used, so unrelated conversations never share a prompt.
+ */
+async function getConversationHistory(projectId, userId, limit = 5, threadId = null) {
+    try {
+        const conversations = await Conversation.find(threadId ? { projectId, threadId } : {
+            projectId,
+            ...(userId && { userId })
+        })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .select('userMessage assistantResponse createdAt');
+
+        return conversations.reverse(); // Return in chronological order
+    } catch (error) {
+        console.error('Error fetching conversation history:', error);
+        return [];
+    }
+}
+
+/**
+ * Merge the parsed schema models of a project's active uploads
+ */
+async function getProjectSchemaModel(projectId) {
+    const uploads = await SchemaUpload.find({
+        projectId,
+        isActive: true,
+        schemaModel: { $ne: null }
+    })
+        .sort({ uploadedAt: 1 })
+        .select('schemaModel');
+
+    return mergeSchemaModels(uploads.map(upload => upload.schemaModel));
+}
+
+/**
+ * Resolve the LLM settings for a request: request overrides > project settings > environment defaults
+ * @throws {Error} with status 400 when the overrides are invalid
+ */
+async function getLlmConfig(projectId, overrides = {}) {
+    const settings = await ProjectSettings.findOne({ projectId }).select('llm').lean();
+    return resolveLlmConfig(settings?.llm || {}, overrides || {});
+}
+
+/**
+ * Create a conversation thread
+ * @param {string} projectId - Project identifier
+ * @param {object} thread - { userId, title }
+ * @returns {Promise<object>} Saved Thread document
+ */
+async function createThread(projectId, { userId, title } = {}) {
+    const thread = new Thread({
+        projectId,
+        userId,
+        title: String(title || '').trim() || 'New conversation'
+    });
+    await thread.save();
+    console.log(`🧵 Created thread ${thread._id} for project: ${projectId}`);
+    return thread;
+}
+
+/**
+ * Find a project's thread, or start a new one titled after the first question when no threadId is given
+ * @param {string} projectId - Project identifier
+ * @param {string|null} threadId - Existing thread
+ * @param {object} options - { userId, question }
+ * @returns {Promise<object>} { thread, created }
+ * @throws {Error} with status 400 for malformed ids and 404 for unknown threads
+ */
+async function resolveThread(projectId, threadId, { userId, question } = {}) {
+    if (!threadId) {
+        return { thread: await createThread(projectId, { userId, title: threadTitle(question) }), created: true };
+    }
+
+    if (!mongoose.isValidObjectId(threadId)) {
+        throw badRequest('Invalid threadId');
+    }
+
+    const thread = await Thread.findOne({ _id: threadId, projectId });
+    if (!thread) {
+        const error = new Error(`Thread ${threadId} not found in project ${projectId}`);
+        error.status = 404;
+        throw error;
+    }
+
+    return { thread, created: false };
+}
+
+/**
+ * First line of a question, cut at a word boundary
+ */
+function threadTitle(text) {
+    const line = String(text || '').trim().split('\n')[0].trim();
+    if (line.length <= THREAD_TITLE_LENGTH) return line;
+    const cut = line.slice(0, THREAD_TITLE_LENGTH);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 20 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+/**
+ * Save conversation to MongoDB, counting it on its thread
+ */
+async function saveConversation(conversationData) {
+    try {
+        const conversation = new Conversation(conversationData);
+        await conversation.save();
+        if (conversation.threadId) {
+            await Thread.updateOne(
+                { _id: conversation.threadId },
+                { $inc: { messageCount: 1 }, lastActivity: conversation.createdAt }
+            );
+        }
+        console.log('✅ Conversation saved to MongoDB');
+        return conversation;
+    } catch (error) {
+        console.error('Error saving conversation:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update project statistics
+ */
+async function updateProjectStats(projectId, userId) {
+    try {
+        const stats = await ProjectStats.findOneAndUpdate(
+            { projectId },
+            {
+                $inc: { totalConversations: 1 },
+                lastActivity: new Date(),
+                $addToSet: {
+                    users: { userId, lastActive: new Date() }
+                }
+            },
+            { upsert: true, new: true }
+        );
+
+        // Update schema count
+        const schemaCount = await SchemaUpload.countDocuments({ projectId, isActive: true });
+        stats.totalSchemas = schemaCount;
+        await stats.save();
+
+    } catch (error) {
+        console.error('Error updating project stats:', error);
+    }
+}
+
+/**
+ * Recount a project's active schemas after one is replaced or removed
+ */
+async function refreshSchemaCount(projectId) {
+    try {
+        const schemaCount = await SchemaUpload.countDocuments({ projectId, isActive: true });
+        await ProjectStats.updateOne(
+            { projectId },
+            { totalSchemas: schemaCount, lastActivity: new Date() },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('Error updating project schema count:', error);
+    }
+}
+
+module.exports = {
+    SUPPORTED_FILE_TYPES,
+    ingestSchema,
+    replaceSchemaContent,
+    reindexUpload,
+    removeSchemaUpload,
+    getConversationHistory,
+    createThread,
+    resolveThread,
+    getProjectSchemaModel,
+    getLlmConfig,
+    saveConversation,
+    updateProjectStats
+};
@@ -0,0 +1,109 @@
+// utils/promptBudget.js - Token estimation and budget allocation for prompt assembly
+const BUDGET_CONFIG = {
+    // Largest share of the context window the answer may claim
+    answerShare: parseFloat(process.env.PROMPT_ANSWER_SHARE) || 0.4,
+    // Share of the flexible budget kept for conversation history when schema context competes for it
+    historyShare: parseFloat(process.env.PROMPT_HISTORY_SHARE) || 0.25,
+    // Head-room for estimation error
+    safetyMargin: 0.05,
+    // Pieces are compressed rather than dropped only if at least this many tokens remain
+    minCompressedTokens: 48
+};
+
+/**
+ * Estimate the token count of text without a model-specific tokenizer: roughly one token
+ * per four letters, three digits or one punctuation mark, which tracks BPE tokenizers on
+ * English and SQL to within about 10-15%
+ * @param {string} text - Any text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    for (const piece of text.match(/[A-Za-z]+|\d+|[^\sA-Za-z\d]/g) || []) {
+        if (/^[A-Za-z]/.test(piece)) {
+            tokens += Math.ceil(piece.length / 4);
+        } else if (/^\d/.test(piece)) {
+            tokens += Math.ceil(piece.length / 3);
+        } else {
+            tokens += 1;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Split a context window between the fixed prompt parts, the answer and the flexible
+ * parts (schema context and history)
+ * @param {object} options - { contextWindow, maxTokens, fixedTokens }
+ * @returns {object} { contextWindow, margin, answerTokens, flexibleTokens }
+ */
+function planBudget({ contextWindow, maxTokens, fixedTokens }) {
+    const margin = Math.ceil(contextWindow * BUDGET_CONFIG.safetyMargin);
+    const answerTokens = Math.min(maxTokens, Math.floor(contextWindow * BUDGET_CONFIG.answerShare));
+    const flexibleTokens = Math.max(contextWindow - margin - answerTokens - fixedTokens, 0);
+
+    return { contextWindow, margin, answerTokens, flexibleTokens };
+}
+
+/**
+ * Keep the most valuable items that fit a token budget. Items come in priority order;
+ * one that no longer fits is compressed when enough budget remains, otherwise dropped.
+ * @param {Array} items - Items, most valuable first
+ * @param {number} budget - Tokens available
+ * @param {object} options - { render(item) -> text, compress(item, tokens) -> text|null }
+ * @returns {object} { selected: [{ item, text, tokens, compressed }], tokens, dropped, compressed }
+ */
+function fitToBudget(items, budget, { render, compress = null }) {
+    const selected = [];
+    let used = 0;
+    let dropped = 0;
+    let compressed = 0;
+
+    for (const item of items) {
+        const text = render(item);
+        const tokens = estimateTokens(text);
+        const remaining = budget - used;
+
+        if (tokens <= remaining) {
+            selected.push({ item, text, tokens, compressed: false });
+            used += tokens;
+            continue;
+        }
+
+        const shorter = compress && remaining >= BUDGET_CONFIG.minCompressedTokens ? compress(item, remaining) : null;
+        const shorterTokens = shorter ? estimateTokens(shorter) : Infinity;
+        if (shorterTokens <= remaining) {
+            selected.push({ item, text: shorter, tokens: shorterTokens, compressed: true });
+            used += shorterTokens;
+            compressed++;
+        } else {
+            dropped++;
+        }
+    }
+
+    return { selected, tokens: used, dropped, compressed };
+}
+
+/**
+ * Cut text to about the given number of tokens, marking the cut
+ */
+function truncateToTokens(text, tokens, marker = '\n... (truncated to fit the context window)') {
+    if (estimateTokens(text) <= tokens) return text;
+
+    const markerTokens = estimateTokens(marker);
+    let length = Math.max(Math.floor((tokens - markerTokens) * 3.5), 0);
+    while (length > 0 && estimateTokens(text.slice(0, length)) > tokens - markerTokens) {
+        length = Math.floor(length * 0.9);
+    }
+    return length > 0 ? text.slice(0, length).trimEnd() + marker : null;
+}
+
+module.exports = {
+    BUDGET_CONFIG,
+    estimateTokens,
+    planBudget,
+    fitToBudget,
+    truncateToTokens
+};
@@ -0,0 +1,199 @@
+// utils/schemaDiff.js - Structural diff between two versions of an uploaded schema
+const { chunkSchemaText } = require('./chunker');
+
+// Column properties compared between versions
+const COLUMN_FIELDS = ['type', 'nullable', 'default', 'primaryKey', 'unique', 'autoIncrement', 'references'];
+
+/**
+ * Compare two parsed schema models (SQL or Prisma)
+ * @param {object} from - Older schema model
+ * @param {object} to - Newer schema model
+ * @returns {object} { tables: { added, removed, changed }, enums: { added, removed, changed }, summary }
+ */
+function diffSchemaModels(from, to) {
+  const fromTables = indexBy(from.tables, tableKey);
+  const toTables = indexBy(to.tables, tableKey);
+
+  const tables = {
+    added: [...toTables.keys()].filter(key => !fromTables.has(key)).map(key => toTables.get(key).name),
+    removed: [...fromTables.keys()].filter(key => !toTables.has(key)).map(key => fromTables.get(key).name),
+    changed: []
+  };
+
+  for (const [key, newTable] of toTables) {
+    const oldTable = fromTables.get(key);
+    if (!oldTable) continue;
+    const changes = diffTable(oldTable, newTable);
+    if (changes) tables.changed.push(changes);
+  }
+
+  const fromEnums = indexBy(from.enums || [], e => e.name.toLowerCase());
+  const toEnums = indexBy(to.enums || [], e => e.name.toLowerCase());
+  const enums = {
+    added: [...toEnums.keys()].filter(key => !fromEnums.has(key)).map(key => toEnums.get(key).name),
+    removed: [...fromEnums.keys()].filter(key => !toEnums.has(key)).map(key => fromEnums.get(key).name),
+    changed: []
+  };
+
+  for (const [key, newEnum] of toEnums) {
+    const oldEnum = fromEnums.get(key);
+    if (!oldEnum) continue;
+    const addedValues = newEnum.values.filter(v => !oldEnum.values.includes(v));
+    const removedValues = oldEnum.values.filter(v => !newEnum.values.includes(v));
+    if (addedValues.length > 0 || removedValues.length > 0) {
+      enums.changed.push({ name: newEnum.name, addedValues, removedValues });
+    }
+  }
+
+  const columnChanges = tables.changed.reduce((counts, table) => {
+    counts.added += table.columns.added.length;
+    counts.removed += table.columns.removed.length;
+    counts.changed += table.columns.changed.length;
+    return counts;
+  }, { added: 0, removed: 0, changed: 0 });
+
+  return {
+    tables,
+    enums,
+    summary: {
+      tablesAdded: tables.added.length,
+      tablesRemoved: tables.removed.length,
+      tablesChanged: tables.changed.length,
+      columnsAdded: columnChanges.added,
+      columnsRemoved: columnChanges.removed,
+      columnsChanged: columnChanges.changed,
+      identical: tables.added.length + tables.removed.length + tables.changed.length +
+        enums.added.length + enums.removed.length + enums.changed.length === 0
+    }
+  };
+}
+
+function diffTable(oldTable, newTable) {
+  const oldColumns = indexBy(oldTable.columns, c => c.name.toLowerCase());
+  const newColumns = indexBy(newTable.columns, c => c.name.toLowerCase());
+
+  const columns = {
+    added: [...newColumns.keys()].filter(key => !oldColumns.has(key)).map(key => describeColumn(newColumns.get(key))),
+    removed: [...oldColumns.keys()].filter(key => !newColumns.has(key)).map(key => describeColumn(oldColumns.get(key))),
+    changed: []
+  };
+
+  for (const [key, newColumn] of newColumns) {
+    const oldColumn = oldColumns.get(key);
+    if (!oldColumn) continue;
+
+    const changes = {};
+    for (const field of COLUMN_FIELDS) {
+      const before = normalize(field, oldColumn[field]);
+      const after = normalize(field, newColumn[field]);
+      if (before !== after) changes[field] = { from: before, to: after };
+    }
+    if (Object.keys(changes).length > 0) {
+      columns.changed.push({ name: newColumn.name, changes });
+    }
+  }
+
+  const constraints = {};
+  const primaryBefore = oldTable.primaryKey.join(', ');
+  const primaryAfter = newTable.primaryKey.join(', ');
+  if (primaryBefore !== primaryAfter) {
+    constraints.primaryKey = { from: oldTable.primaryKey, to: newTable.primaryKey };
+  }
+
+  for (const [name, describe] of [['foreignKeys', describeForeignKey], ['uniqueConstraints', describeColumns], ['indexes', describeIndex]]) {
+    const before = new Set(oldTable[name].map(describe));
+    const after = new Set(newTable[name].map(describe));
+    const added = [...after].filter(item => !before.has(item));
+    const removed = [...before].filter(item => !after.has(item));
+    if (added.length > 0 || removed.length > 0) {
+      constraints[name] = { added, removed };
+    }
+  }
+
+  const hasColumnChanges = columns.added.length + columns.removed.length + columns.changed.length > 0;
+  if (!hasColumnChanges && Object.keys(constraints).length === 0) return null;
+
+  return {
+    name: newTable.name,
+    columns,
+    ...(Object.keys(constraints).length > 0 && { constraints })
+  };
+}
+
+/**
+ * Entity-level comparison for formats without a parsed model (Go, Java, TypeScript, ...):
+ * entities are the tables/models/classes found by the chunker.
+ * @param {string} fromText - Older extracted text
+ * @param {string} toText - Newer extracted text
+ * @param {string} fileType - File extension
+ * @returns {object} { entities: { added, removed, changed }, summary }
+ */
+function diffSchemaText(fromText, toText, fileType) {
+  const fromEntities = collectEntities(fromText, fileType);
+  const toEntities = collectEntities(toText, fileType);
+
+  const entities = {
+    added: [...toEntities.keys()].filter(name => !fromEntities.has(name)),
+    removed: [...fromEntities.keys()].filter(name => !toEntities.has(name)),
+    changed: [...toEntities.keys()].filter(name => fromEntities.has(name) && fromEntities.get(name) !== toEntities.get(name))
+  };
+
+  return {
+    entities,
+    summary: {
+      entitiesAdded: entities.added.length,
+      entitiesRemoved: entities.removed.length,
+      entitiesChanged: entities.changed.length,
+      identical: fromText === toText
+    }
+  };
+}
+
+function collectEntities(text, fileType) {
+  const entities = new Map();
+  const chunks = chunkSchemaText(text || '', { fileType, chunkSize: Number.MAX_SAFE_INTEGER, overlap: 0 });
+
+  for (const chunk of chunks) {
+    if (chunk.metadata.chunkStrategy !== 'entity') continue;
+    const name = `${chunk.metadata.entityType} ${chunk.metadata.entityName}`;
+    entities.set(name, (entities.get(name) || '') + chunk.text.replace(/\s+/g, ' ').trim());
+  }
+
+  return entities;
+}
+
+function tableKey(table) {
+  return `${(table.schema || '').toLowerCase()}.${table.name.toLowerCase()}`;
+}
+
+function indexBy(items, keyFn) {
+  return new Map(items.map(item => [keyFn(item), item]));
+}
+
+function normalize(field, value) {
+  if (field === 'references') {
+    return value ? `${value.table}(${(value.columns || []).join(', ')})` : null;
+  }
+  return value ?? null;
+}
+
+function describeColumn(column) {
+  return { name: column.name, type: column.type, nullable: column.nullable };
+}
+
+function describeColumns(constraint) {
+  return `(${constraint.columns.join(', ')})`;
+}
+
+function describeForeignKey(fk) {
+  return `(${fk.columns.join(', ')}) -> ${fk.table}(${fk.referencedColumns.join(', ')})`;
+}
+
+function describeIndex(index) {
+  return `${index.unique ? 'UNIQUE ' : ''}(${index.columns.join(', ')})`;
+}
+
+module.exports = {
+  diffSchemaModels,
+  diffSchemaText
+};
@@ -0,0 +1,151 @@
+// utils/schemaSearch.js - Filtered, paginated schema search over searchSimilarChunks (the retrieval chat uses)
+const { generateEmbeddingsWithModel, embeddingModelTags } = require('./embed');
+const { searchSimilarChunks } = require('./vectorStore');
+const { HYBRID_CONFIG } = require('./hybridSearch');
+
+const SEARCH_CONFIG = {
+    defaultLimit: 10,
+    maxLimit: 50,
+    // Deepest rank a page may reach (offset + limit)
+    maxWindow: parseInt(process.env.SEARCH_MAX_WINDOW) || 200
+};
+
+/**
+ * Search a project's schema chunks
+ * @param {object} vectorStore - Vector store instance
+ * @param {string} projectId - Project to search within
+ * @param {object} request - { query, filters, limit, offset, hybrid }; filters are
+ *   { fileTypes, uploadIds, entityNames, entityTypes, minSimilarity } (see parseFilters)
+ * @returns {Promise<object>} { mode, embeddingModel, offset, limit, hasMore, results }
+ * @throws {Error} with status 400 for an invalid request
+ */
+async function searchProjectSchema(vectorStore, projectId, { query, filters = {}, limit, offset, hybrid = true } = {}) {
+    if (typeof query !== 'string' || !query.trim()) {
+        throw badRequest('query is required');
+    }
+
+    const page = parsePage(limit, offset);
+    const { where, minSimilarity } = parseFilters(filters);
+    const useHybrid = hybrid !== false && HYBRID_CONFIG.enabled;
+
+    const { embeddings: queryEmbedding, embeddingModel } = await generateEmbeddingsWithModel(query);
+
+    // A similarity floor drops some of the top chunks, so widen the search until the page
+    // (plus one chunk, to tell whether there is a next page) is filled or nothing is left
+    const wanted = page.offset + page.limit + 1;
+    let topK = Math.min(wanted, SEARCH_CONFIG.maxWindow);
+    let matches;
+    for (;;) {
+        const chunks = await searchSimilarChunks(vectorStore, projectId, queryEmbedding, topK, {
+            queryText: useHybrid ? query : null,
+            where,
+            embeddingModel
+        });
+        matches = chunks.filter(chunk => minSimilarity === null || chunk.similarity >= minSimilarity);
+        if (matches.length >= wanted || chunks.length < topK || topK >= SEARCH_CONFIG.maxWindow) break;
+        topK = Math.min(topK * 2, SEARCH_CONFIG.maxWindow);
+    }
+
+    const results = matches.slice(page.offset, page.offset + page.limit).map((chunk, index) => describeResult(chunk, page.offset + index + 1));
+
+    return {
+        mode: useHybrid ? 'hybrid' : 'vector',
+        embeddingModel: embeddingModelTags({ ...embeddingModel, dimensions: queryEmbedding.length }),
+        offset: page.offset,
+        limit: page.limit,
+        count: results.length,
+        hasMore: matches.length > page.offset + page.limit && page.offset + page.limit < SEARCH_CONFIG.maxWindow,
+        results
+    };
+}
+
+/**
+ * Turn request filters into a Chroma `where` filter plus the similarity floor.
+ * List filters take a value or an array; entity names match exactly.
+ */
+function parseFilters(filters) {
+    if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+        throw badRequest('filters must be an object');
+    }
+
+    const clauses = [];
+    const addList = (name, field, normalize = value => value) => {
+        const values = filters[name];
+        if (values === undefined || values === null) return;
+        const list = (Array.isArray(values) ? values : [values]).map(value => {
+            if (typeof value !== 'string' || !value.trim()) throw badRequest(`filters.${name} must be a string or an array of strings`);
+            return normalize(value.trim());
+        });
+        if (list.length > 0) clauses.push(list.length === 1 ? { [field]: list[0] } : { [field]: { $in: list } });
+    };
+
+    addList('fileTypes', 'fileType', value => (value.startsWith('.') ? value : `.${value}`).toLowerCase());
+    addList('uploadIds', 'uploadId');
+    addList('entityNames', 'entityName');
+    addList('entityTypes', 'entityType');
+
+    let minSimilarity = null;
+    if (filters.minSimilarity !== undefined && filters.minSimilarity !== null) {
+        minSimilarity = Number(filters.minSimilarity);
+        if (Number.isNaN(minSimilarity) || minSimilarity < -1 || minSimilarity > 1) {
+            throw badRequest('filters.minSimilarity must be a number between -1 and 1');
+        }
+    }
+
+    return {
+        where: clauses.length === 0 ? null : clauses.length === 1 ? clauses[0] : { $and: clauses },
+        minSimilarity
+    };
+}
+
+function parsePage(limit = SEARCH_CONFIG.defaultLimit, offset = 0) {
+    const parsedLimit = Number(limit);
+    const parsedOffset = Number(offset);
+
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > SEARCH_CONFIG.maxLimit) {
+        throw badRequest(`limit must be an integer between 1 and ${SEARCH_CONFIG.maxLimit}`);
+    }
+    if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+        throw badRequest('offset must be a non-negative integer');
+    }
+    if (parsedOffset + parsedLimit > SEARCH_CONFIG.maxWindow) {
+        throw badRequest(`offset + limit may not exceed ${SEARCH_CONFIG.maxWindow}`);
+    }
+    return { limit: parsedLimit, offset: parsedOffset };
+}
+
+function describeResult(chunk, rank) {
+    const metadata = chunk.metadata || {};
+    return {
+        rank,
+        id: chunk.id,
+        score: chunk.score ?? round(chunk.similarity),
+        similarity: round(chunk.similarity),
+        scores: chunk.scores,
+        matchedIdentifiers: chunk.matchedIdentifiers?.length ? chunk.matchedIdentifiers : undefined,
+        filename: metadata.filename,
+        fileType: metadata.fileType,
+        entityName: metadata.entityName,
+        entityType: metadata.entityType,
+        uploadId: metadata.uploadId,
+        version: metadata.version,
+        chunkPart: metadata.chunkPart,
+        chunkParts: metadata.chunkParts,
+        text: chunk.text
+    };
+}
+
+function round(value) {
+    return typeof value === 'number' ? Math.round(value * 10000) / 10000 : value;
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+module.exports = {
+    SEARCH_CONFIG,
+    searchProjectSchema
+};
@@ -0,0 +1,1131 @@
+// utils/sqlAnalyzer.js - Resolve the tables and columns a SQL query touches against a schema model
+const { tokenize, detectDialect, splitTopLevel, findTable, findColumn, typeCategory } = require('./sqlParser');
+
+// Words that never name a column when they appear bare in an expression
+const RESERVED_WORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'NULL', 'IS', 'IN', 'LIKE', 'ILIKE', 'BETWEEN',
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'AS', 'ON', 'JOIN', 'LEFT', 'RIGHT', 'INNER', 'OUTER',
+  'FULL', 'CROSS', 'NATURAL', 'LATERAL', 'GROUP', 'BY', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET',
+  'ASC', 'DESC', 'DISTINCT', 'ALL', 'UNION', 'INTERSECT', 'EXCEPT', 'EXISTS', 'TRUE', 'FALSE',
+  'UNKNOWN', 'CAST', 'WITH', 'RECURSIVE', 'OVER', 'PARTITION', 'ROWS', 'RANGE', 'GROUPS', 'UNBOUNDED',
+  'PRECEDING', 'FOLLOWING', 'CURRENT', 'ROW', 'FILTER', 'WITHIN', 'NULLS', 'FIRST', 'LAST',
+  'INSERT', 'INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE', 'RETURNING', 'USING', 'FETCH', 'NEXT',
+  'ONLY', 'TOP', 'ESCAPE', 'SIMILAR', 'TO', 'COLLATE', 'ANY', 'SOME', 'DEFAULT', 'CONFLICT', 'DO',
+  'NOTHING', 'INTERVAL', 'BOTH', 'LEADING', 'TRAILING', 'FOR', 'WINDOW', 'TIES', 'PERCENT',
+  'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'LOCALTIME', 'LOCALTIMESTAMP',
+  'CURRENT_USER', 'SESSION_USER', 'SYSDATE', 'MATERIALIZED', 'DUPLICATE', 'KEY', 'IGNORE', 'REPLACE'
+]);
+
+const CLAUSE_KEYWORDS = ['SELECT', 'FROM', 'WHERE', 'GROUP', 'HAVING', 'WINDOW', 'ORDER', 'LIMIT', 'OFFSET', 'FETCH', 'FOR', 'RETURNING'];
+const JOIN_WORDS = new Set(['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'STRAIGHT_JOIN']);
+const SET_OPERATORS = new Set(['UNION', 'INTERSECT', 'EXCEPT', 'MINUS']);
+const COMPARISON_OPERATORS = new Set(['=', '<>', '!=', '<', '>', '<=', '>=']);
+const NUMERIC_CATEGORIES = new Set(['integer', 'decimal', 'float']);
+const TEMPORAL_CATEGORIES = new Set(['date', 'time', 'timestamp']);
+const TYPED_LITERAL_PREFIXES = new Set(['DATE', 'TIME', 'TIMESTAMP', 'INTERVAL']);
+// What each clause needs after its keyword; a clause left empty is reported as a syntax error
+const CLAUSE_OPERANDS = {
+  FROM: 'a table',
+  USING: 'a table',
+  SET: 'an assignment',
+  WHERE: 'a condition',
+  HAVING: 'a condition',
+  GROUP: 'an expression',
+  ORDER: 'an expression'
+};
+
+/**
+ * Analyze a SQL query and resolve its table and column references against a schema model
+ * @param {string} sql - SQL text (one or more statements)
+ * @param {object|null} schemaModel - Schema model from parseSqlSchema / mergeSchemaModels
+ * @param {object} options - { dialect }
+ * @returns {object} { statementTypes, tables, columns, diagnostics }
+ */
+function analyzeQuery(sql, schemaModel, options = {}) {
+  const dialect = options.dialect || (schemaModel && schemaModel.dialect !== 'generic' ? schemaModel.dialect : detectDialect(sql));
+  const tokens = tokenize(sql, { dialect });
+  const ctx = {
+    schemaModel: schemaModel && schemaModel.tables ? schemaModel : null,
+    source: (toks) => toks.length > 0 ? sql.slice(toks[0].start, toks[toks.length - 1].end) : '',
+    tables: new Map(),
+    columns: new Map(),
+    resolved: new Map(), // token start offset -> { table, column, label }
+    dialect,
+    diagnostics: []
+  };
+
+  const statements = splitTopLevel(tokens, ';').filter(statement => statement.length > 0);
+  const statementTypes = [];
+
+  if (statements.length === 0) {
+    addDiagnostic(ctx, 'error', 'empty_query', 'No SQL statement found');
+  }
+
+  if (!ctx.schemaModel) {
+    addDiagnostic(ctx, 'warning', 'no_schema', 'No parsed SQL schema is available for this project; table and column references could not be verified');
+  }
+
+  for (const statement of statements) {
+    statementTypes.push(statement[0].upper || statement[0].value);
+    try {
+      analyzeStatement(statement, ctx, null);
+    } catch (error) {
+      addDiagnostic(ctx, 'error', 'parse_error', `Could not parse statement "${truncate(ctx.source(statement), 80)}": ${error.message}`);
+    }
+  }
+
+  return {
+    dialect,
+    statementTypes,
+    tables: Array.from(ctx.tables.values()),
+    columns: Array.from(ctx.columns.values()),
+    diagnostics: ctx.diagnostics
+  };
+}
+
+function analyzeStatement(toks, ctx, parentScope) {
+  const keyword = toks[0].upper;
+
+  switch (keyword) {
+    case 'SELECT':
+    case 'WITH':
+    case 'VALUES':
+      return analyzeQueryExpression(toks, ctx, parentScope);
+    case 'INSERT':
+    case 'REPLACE':
+      return analyzeInsert(toks, ctx, parentScope);
+    case 'UPDATE':
+      return analyzeUpdate(toks, ctx, parentScope);
+    case 'DELETE':
+      return analyzeDelete(toks, ctx, parentScope);
+    default:
+      if (toks[0].value === '(') {
+        return analyzeQueryExpression(toks, ctx, parentScope);
+      }
+      addDiagnostic(ctx, 'info', 'unsupported_statement', `${keyword || toks[0].value} statements are not analyzed`);
+      return null;
+  }
+}
+
+/**
+ * [WITH ctes] select [UNION select ...]; returns the output columns of the first branch
+ */
+function analyzeQueryExpression(toks, ctx, parentScope) {
+  let pos = 0;
+  const scope = createScope(parentScope);
+
+  if (toks[0]?.upper === 'WITH') {
+    pos = parseCommonTableExpressions(toks, 1, ctx, scope);
+  }
+
+  const branches = splitSetOperations(toks.slice(pos));
+  let outputColumns = null;
+  if (branches.length === 0) addSyntaxError(ctx, 'Expected a query after WITH', toks[pos - 1]);
+
+  branches.forEach((branch, index) => {
+    let body = branch;
+    // Parenthesized branch: (SELECT ...) UNION (SELECT ...)
+    while (body.length > 0 && body[0].value === '(' && closingParen(body, 0) === body.length - 1) {
+      body = body.slice(1, -1);
+    }
+
+    const columns = analyzeBranch(body, ctx, scope);
+    if (index === 0) outputColumns = columns;
+  });
+
+  return outputColumns;
+}
+
+/**
+ * WITH [RECURSIVE] name [(cols)] AS [NOT] [MATERIALIZED] (query), ...
+ */
+function parseCommonTableExpressions(toks, pos, ctx, scope) {
+  if (toks[pos]?.upper === 'RECURSIVE') pos++;
+
+  while (pos < toks.length) {
+    const name = identifierValue(toks[pos]);
+    if (!name) break;
+    pos++;
+
+    let declaredColumns = null;
+    if (toks[pos]?.value === '(') {
+      const close = closingParen(toks, pos);
+      declaredColumns = toks.slice(pos + 1, close).filter(isIdentifier).map(identifierValue);
+      pos = close + 1;
+    }
+
+    if (toks[pos]?.upper !== 'AS') throw new Error(`expected AS after common table expression ${name}`);
+    pos++;
+    if (toks[pos]?.upper === 'NOT') pos++;
+    if (toks[pos]?.upper === 'MATERIALIZED') pos++;
+
+    const close = closingParen(toks, pos);
+    // Register before analyzing so recursive CTEs can reference themselves
+    const cte = { name, columns: declaredColumns };
+    scope.ctes.set(name.toLowerCase(), cte);
+    const outputColumns = analyzeQueryExpression(toks.slice(pos + 1, close), ctx, scope);
+    if (!cte.columns) cte.columns = outputColumns;
+    pos = close + 1;
+
+    if (toks[pos]?.value === ',') {
+      pos++;
+      continue;
+    }
+    break;
+  }
+
+  return pos;
+}
+
+/**
+ * Analyze a single SELECT (or VALUES) block and return its output column names,
+ * or null when they cannot be determined (e.g. SELECT *)
+ */
+function analyzeBranch(toks, ctx, parentScope) {
+  if (toks.length === 0) return null;
+
+  if (toks[0].upper === 'WITH') {
+    return analyzeQueryExpression(toks, ctx, parentScope);
+  }
+
+  if (toks[0].upper === 'VALUES') {
+    analyzeExpression(toks.slice(1), ctx, parentScope);
+    return null;
+  }
+
+  const clauses = splitClauses(toks);
+  const scope = createScope(parentScope);
+  checkClauseOperands(clauses, ctx);
+
+  if (clauses.FROM) {
+    parseFromClause(clauses.FROM, ctx, scope);
+  }
+
+  const selectItems = clauses.SELECT ? parseSelectList(clauses.SELECT) : [];
+  const aliases = new Set(selectItems.filter(item => item.alias).map(item => item.alias.toLowerCase()));
+
+  analyzeJoinConditions(scope, ctx);
+
+  for (const item of selectItems) {
+    analyzeExpression(item.expression, ctx, scope);
+  }
+
+  if (clauses.WHERE) analyzeExpression(clauses.WHERE, ctx, scope);
+  if (clauses.GROUP) analyzeExpression(stripLeadingBy(clauses.GROUP), ctx, scope, aliases);
+  if (clauses.HAVING) analyzeExpression(clauses.HAVING, ctx, scope, aliases);
+  if (clauses.ORDER) analyzeExpression(stripLeadingBy(clauses.ORDER), ctx, scope, aliases);
+  if (clauses.RETURNING) analyzeExpression(clauses.RETURNING, ctx, scope);
+
+  if (selectItems.some(item => item.star)) return null;
+  return selectItems.map(item => item.alias || item.outputName).filter(Boolean);
+}
+
+/**
+ * INSERT INTO table [(columns)] { VALUES ... | SELECT ... } [ON CONFLICT ...] [RETURNING ...]
+ */
+function analyzeInsert(toks, ctx, parentScope) {
+  let pos = 1;
+  while (toks[pos] && ['INTO', 'IGNORE', 'OR', 'REPLACE', 'ABORT', 'FAIL', 'ROLLBACK'].includes(toks[pos].upper)) pos++;
+
+  const scope = createScope(parentScope);
+  const target = readTableReference(toks, pos, ctx, scope, false);
+  pos = target.next;
+
+  if (toks[pos]?.value === '(') {
+    const close = closingParen(toks, pos);
+    const isColumnList = toks[pos + 1] && isIdentifier(toks[pos + 1]) && toks[pos + 1].upper !== 'SELECT';
+    if (isColumnList) {
+      toks.slice(pos + 1, close)
+        .filter(isIdentifier)
+        .forEach(t => resolveQualified(target.source.alias || target.source.name, identifierValue(t), ctx, scope, t));
+      pos = close + 1;
+    }
+  }
+
+  const rest = toks.slice(pos);
+  const conflictIndex = rest.findIndex(t => t.upper === 'ON');
+  const returningIndex = rest.findIndex(t => t.upper === 'RETURNING');
+  const bodyEnd = [conflictIndex, returningIndex].filter(i => i !== -1).sort((a, b) => a - b)[0] ?? rest.length;
+  const body = rest.slice(0, bodyEnd);
+
+  if (body[0]?.upper === 'SELECT' || body[0]?.upper === 'WITH' || body[0]?.value === '(') {
+    analyzeQueryExpression(body, ctx, parentScope);
+  } else if (body[0]?.upper === 'VALUES') {
+    analyzeExpression(body.slice(1), ctx, parentScope);
+  }
+
+  // ON CONFLICT ... DO UPDATE SET col = excluded.col / ON DUPLICATE KEY UPDATE col = VALUES(col)
+  if (conflictIndex !== -1) {
+    const conflictScope = createScope(scope);
+    conflictScope.sources.push({ name: 'excluded', alias: 'excluded', table: target.source.table, derived: false, columns: null });
+    const tail = rest.slice(conflictIndex, returningIndex === -1 ? rest.length : returningIndex);
+    const setIndex = tail.findIndex(t => t.upper === 'SET' || t.upper === 'UPDATE');
+    if (setIndex !== -1) analyzeAssignments(tail.slice(setIndex + 1), ctx, conflictScope, target.source);
+  }
+
+  if (returningIndex !== -1) analyzeExpression(rest.slice(returningIndex + 1), ctx, scope);
+  return null;
+}
+
+/**
+ * UPDATE table [alias] SET col = expr, ... [FROM ...] [WHERE ...] [RETURNING ...]
+ */
+function analyzeUpdate(toks, ctx, parentScope) {
+  let pos = 1;
+  if (toks[pos]?.upper === 'ONLY') pos++;
+
+  const scope = createScope(parentScope);
+  const target = readTableReference(toks, pos, ctx, scope);
+  pos = target.next;
+
+  // MySQL multi-table UPDATE a JOIN b ON ... SET ...
+  const setIndex = toks.findIndex((t, i) => i >= pos && t.upper === 'SET');
+  if (setIndex === -1) throw new Error('expected SET in UPDATE');
+  if (setIndex > pos) {
+    parseFromClause(toks.slice(pos, setIndex), ctx, scope, true);
+  }
+
+  const rest = toks.slice(setIndex + 1);
+  const clauses = splitClauses(rest, 'SET');
+  checkClauseOperands(clauses, ctx);
+  if (clauses.FROM) parseFromClause(clauses.FROM, ctx, scope);
+
+  analyzeJoinConditions(scope, ctx);
+  analyzeAssignments(clauses.SET || [], ctx, scope, target.source);
+  if (clauses.WHERE) analyzeExpression(clauses.WHERE, ctx, scope);
+  if (clauses.RETURNING) analyzeExpression(clauses.RETURNING, ctx, scope);
+  return null;
+}
+
+/**
+ * DELETE FROM table [alias] [USING ...] [WHERE ...] [RETURNING ...]
+ */
+function analyzeDelete(toks, ctx, parentScope) {
+  let pos = 1;
+  if (toks[pos]?.upper === 'FROM') pos++;
+  if (toks[pos]?.upper === 'ONLY') pos++;
+
+  const scope = createScope(parentScope);
+  const target = readTableReference(toks, pos, ctx, scope);
+  const rest = toks.slice(target.next);
+  const clauses = splitClauses(rest, 'USING', ['USING']);
+  // Without a USING keyword the leading "clause" is just whatever precedes WHERE
+  checkClauseOperands(rest[0]?.upper === 'USING' ? clauses : { ...clauses, USING: null }, ctx);
+
+  if (clauses.USING) parseFromClause(clauses.USING, ctx, scope);
+  analyzeJoinConditions(scope, ctx);
+  if (clauses.WHERE) analyzeExpression(clauses.WHERE, ctx, scope);
+  if (clauses.RETURNING) analyzeExpression(clauses.RETURNING, ctx, scope);
+  return null;
+}
+
+function analyzeAssignments(toks, ctx, scope, targetSource) {
+  for (const assignment of splitTopLevel(toks, ',')) {
+    const equals = assignment.findIndex(t => t.value === '=');
+    if (equals === -1) continue;
+
+    const left = assignment.slice(0, equals).filter(isIdentifier);
+    if (left.length > 0) {
+      const column = left[left.length - 1];
+      resolveQualified(left.length > 1 ? identifierValue(left[left.length - 2]) : (targetSource.alias || targetSource.name), identifierValue(column), ctx, scope, column);
+    }
+    analyzeExpression(assignment.slice(equals + 1), ctx, scope);
+  }
+}
+
+/**
+ * FROM a [AS x], b JOIN c ON ... LEFT JOIN (SELECT ...) d USING (col)
+ */
+function parseFromClause(toks, ctx, scope, allowTrailing = false) {
+  let pos = 0;
+  // True until a table follows the start of the clause, a comma or JOIN
+  let expectingSource = true;
+
+  while (pos < toks.length) {
+    const t = toks[pos];
+
+    if (t.value === ',') {
+      if (expectingSource) addSyntaxError(ctx, 'Expected a table before ","', t);
+      expectingSource = true;
+      pos++;
+      continue;
+    }
+
+    if (t.type === 'word' && JOIN_WORDS.has(t.upper)) {
+      if (t.upper === 'NATURAL') scope.naturalJoin = true;
+      if (t.upper === 'JOIN' || t.upper === 'STRAIGHT_JOIN') expectingSource = true;
+      pos++;
+      continue;
+    }
+
+    if (t.upper === 'ON') {
+      if (expectingSource) addSyntaxError(ctx, 'Expected a table before ON', t);
+      expectingSource = false;
+      const end = findJoinBoundary(toks, pos + 1);
+      if (end === pos + 1) addSyntaxError(ctx, 'Expected a join condition after ON', t);
+      scope.joinConditions.push(toks.slice(pos + 1, end));
+      pos = end;
+      continue;
+    }
+
+    if (t.upper === 'USING' && toks[pos + 1]?.value === '(') {
+      if (expectingSource) addSyntaxError(ctx, 'Expected a table before USING', t);
+      expectingSource = false;
+      const close = closingParen(toks, pos + 1);
+      const usingColumns = toks.slice(pos + 2, close).filter(isIdentifier);
+      // Each USING column must exist on both sides of the join
+      const recent = scope.sources.slice(-2);
+      for (const column of usingColumns) {
+        scope.usingColumns.add(identifierValue(column).toLowerCase());
+        for (const source of recent) {
+          resolveQualified(source.alias || source.name, identifierValue(column), ctx, scope, column);
+        }
+      }
+      pos = close + 1;
+      continue;
+    }
+
+    if (t.upper === 'LATERAL') {
+      pos++;
+      continue;
+    }
+
+    const reference = readTableReference(toks, pos, ctx, scope);
+    if (reference.next === pos) {
+      if (allowTrailing) break;
+      addSyntaxError(ctx, `Unexpected "${t.value}" in FROM clause`, t);
+      pos++;
+    } else {
+      expectingSource = false;
+      pos = reference.next;
+    }
+  }
+
+  if (expectingSource && toks.length > 0) {
+    const last = toks[toks.length - 1];
+    addSyntaxError(ctx, last ? `Expected a table after "${last.value}"` : 'Expected a table', last);
+  }
+}
+
+/**
+ * Read `name [AS] alias [(col aliases)]` or `(subquery) [AS] alias` and register it as a source
+ */
+function readTableReference(toks, pos, ctx, scope, allowFunction = true) {
+  const t = toks[pos];
+  let source;
+  let next;
+
+  if (t?.value === '(') {
+    const close = closingParen(toks, pos);
+    const inner = toks.slice(pos + 1, close);
+    const isQuery = ['SELECT', 'WITH', 'VALUES'].includes(inner[0]?.upper) || inner[0]?.value === '(';
+    const columns = isQuery ? analyzeQueryExpression(inner, ctx, scope.parent) : null;
+    if (!isQuery) parseFromClause(inner, ctx, scope);
+    source = { name: null, alias: null, table: null, derived: true, columns };
+    next = close + 1;
+  } else if (isIdentifier(t)) {
+    const parts = [identifierValue(t)];
+    next = pos + 1;
+    while (toks[next]?.value === '.' && isIdentifier(toks[next + 1])) {
+      parts.push(identifierValue(toks[next + 1]));
+      next += 2;
+    }
+
+    if (allowFunction && toks[next]?.value === '(') {
+      // Table-valued function, e.g. generate_series(1, 10)
+      const close = closingParen(toks, next);
+      analyzeExpression(toks.slice(next + 1, close), ctx, scope);
+      source = { name: parts[parts.length - 1], alias: null, table: null, derived: true, columns: null };
+      next = close + 1;
+    } else {
+      source = resolveTableSource(parts, ctx, scope, t);
+    }
+  } else {
+    return { source: null, next: pos };
+  }
+
+  if (toks[next]?.upper === 'AS') next++;
+  if (isIdentifier(toks[next]) && !isReservedWord(toks[next]) && !JOIN_WORDS.has(toks[next].upper)) {
+    source.alias = identifierValue(toks[next]);
+    next++;
+
+    if (toks[next]?.value === '(') {
+      const close = closingParen(toks, next);
+      source.columns = toks.slice(next + 1, close).filter(isIdentifier).map(identifierValue);
+      source.derived = true;
+      next = close + 1;
+    }
+  }
+
+  scope.sources.push(source);
+  return { source, next };
+}
+
+function resolveTableSource(parts, ctx, scope, token) {
+  const name = parts[parts.length - 1];
+  const schemaName = parts.length > 1 ? parts[parts.length - 2] : null;
+
+  const cte = parts.length === 1 ? findCte(scope, name) : null;
+  if (cte) {
+    return { name, alias: null, table: null, derived: true, columns: cte.columns };
+  }
+
+  if (!ctx.schemaModel) {
+    recordTable(ctx, name, schemaName, false);
+    return { name, alias: null, table: null, derived: true, columns: null };
+  }
+
+  const table = findTable(ctx.schemaModel, name, schemaName);
+  if (!table) {
+    recordTable(ctx, name, schemaName, false);
+    addDiagnostic(ctx, 'error', 'unknown_table', `Unknown table "${parts.join('.')}"`, {
+      table: parts.join('.'),
+      position: token.start,
+      suggestion: suggestName(name, ctx.schemaModel.tables.map(t => t.name))
+    });
+    return { name, alias: null, table: null, derived: true, columns: null, unknown: true };
+  }
+
+  recordTable(ctx, table.name, table.schema, true);
+  return { name: table.name, alias: null, table, derived: false, columns: null };
+}
+
+/**
+ * Walk an expression and resolve every column reference it contains.
+ * Subqueries are analyzed with the current scope as their parent.
+ */
+function analyzeExpression(toks, ctx, scope, selectAliases = new Set()) {
+  for (let i = 0; i < toks.length; i++) {
+    const t = toks[i];
+    const prev = toks[i - 1];
+    const next = toks[i + 1];
+
+    if (t.value === '(') {
+      const close = closingParen(toks, i);
+      const inner = toks.slice(i + 1, close);
+      if (['SELECT', 'WITH'].includes(inner[0]?.upper)) {
+        analyzeQueryExpression(inner, ctx, scope);
+        i = close;
+      }
+      continue;
+    }
+
+    if (!isIdentifier(t)) continue;
+
+    // Type casts (x::type, CAST(x AS type)), aliases (expr AS name) and bind parameters (:name, @var)
+    if (prev && (prev.value === '::' || prev.upper === 'AS' || prev.value === ':' || prev.value === '@')) continue;
+    // Named windows: OVER w
+    if (prev?.upper === 'OVER') continue;
+    // Function calls
+    if (next?.value === '(') continue;
+    // Typed literals: DATE '2024-01-01', INTERVAL '1' DAY
+    if (next?.type === 'string' && t.type === 'word') continue;
+    if (prev?.type === 'string' && t.type === 'word' && /^(YEAR|MONTH|DAY|HOUR|MINUTE|SECOND)S?$/.test(t.upper)) continue;
+    // EXTRACT(YEAR FROM col), TRIM(LEADING 'x' FROM col)
+    if (next?.upper === 'FROM' && t.type === 'word') continue;
+    if (t.type === 'word' && isReservedWord(t)) continue;
+    // Middle parts of qualified names are handled with their last part
+    if (next?.value === '.') continue;
+
+    if (prev?.value === '.') {
+      const qualifierToken = toks[i - 2];
+      if (!isIdentifier(qualifierToken)) continue;
+      resolveQualified(identifierValue(qualifierToken), identifierValue(t), ctx, scope, t);
+      continue;
+    }
+
+    if (selectAliases.has(identifierValue(t).toLowerCase())) continue;
+    resolveBare(identifierValue(t), ctx, scope, t);
+  }
+
+  checkComparisons(toks, ctx);
+}
+
+/**
+ * Analyze JOIN ... ON conditions and flag joins that do not follow a key
+ */
+function analyzeJoinConditions(scope, ctx) {
+  for (const condition of scope.joinConditions) {
+    analyzeExpression(condition, ctx, scope);
+    checkJoinKeys(condition, ctx);
+  }
+}
+
+/**
+ * Resolve `qualifier.column`
+ */
+function resolveQualified(qualifier, columnName, ctx, scope, token) {
+  const source = findSource(scope, qualifier);
+
+  if (!source) {
+    if (ctx.schemaModel) {
+      addDiagnostic(ctx, 'error', 'unknown_alias', `Unknown table or alias "${qualifier}" in reference "${qualifier}.${columnName}"`, {
+        table: qualifier,
+        column: columnName,
+        position: token.start
+      });
+    }
+    return null;
+  }
+
+  return checkColumnOnSource(source, columnName, ctx, token);
+}
+
+/**
+ * Resolve an unqualified column against every source in scope, then enclosing scopes
+ */
+function resolveBare(columnName, ctx, scope, token) {
+  for (let current = scope; current; current = current.parent) {
+    const candidates = current.sources.filter(source => sourceHasColumn(source, columnName));
+    const sharedByJoin = current.naturalJoin || current.usingColumns.has(columnName.toLowerCase());
+
+    if (candidates.length > 1 && !sharedByJoin) {
+      addDiagnostic(ctx, 'error', 'ambiguous_column', `Column "${columnName}" is ambiguous; it exists in ${candidates.map(describeSource).join(', ')}`, {
+        column: columnName,
+        position: token.start
+      });
+      return null;
+    }
+
+    if (candidates.length > 0) {
+      return checkColumnOnSource(candidates[0], columnName, ctx, token);
+    }
+
+    // A source with unknown columns might provide it; give up without a diagnostic
+    if (current.sources.some(source => source.derived && !source.columns)) {
+      return null;
+    }
+  }
+
+  if (!ctx.schemaModel || scopeIsEmpty(scope)) return null;
+
+  const visibleTables = collectVisibleTables(scope);
+  addDiagnostic(ctx, 'error', 'unknown_column', `Unknown column "${columnName}"${visibleTables.length ? ` (not found in ${visibleTables.join(', ')})` : ''}`, {
+    column: columnName,
+    position: token.start,
+    suggestion: suggestName(columnName, collectVisibleColumns(scope))
+  });
+  return null;
+}
+
+function checkColumnOnSource(source, columnName, ctx, token) {
+  if (columnName === '*') return null;
+
+  if (source.table) {
+    const column = findColumn(source.table, columnName);
+    if (!column) {
+      addDiagnostic(ctx, 'error', 'unknown_column', `Unknown column "${columnName}" on table "${source.table.name}"`, {
+        table: source.table.name,
+        column: columnName,
+        position: token.start,
+        suggestion: suggestName(columnName, source.table.columns.map(c => c.name))
+      });
+      return null;
+    }
+    recordColumn(ctx, source.table, column);
+    ctx.resolved.set(token.start, {
+      table: source.table,
+      column,
+      label: `${source.alias || source.table.name}.${column.name}`
+    });
+    return { source, column };
+  }
+
+  if (source.columns && !source.unknown && !source.columns.some(c => sameName(c, columnName))) {
+    addDiagnostic(ctx, 'error', 'unknown_column', `Unknown column "${columnName}" on derived table "${source.alias || source.name}"`, {
+      table: source.alias || source.name,
+      column: columnName,
+      position: token.start
+    });
+  }
+
+  return null;
+}
+
+// Type and key checks
+
+/**
+ * Flag comparisons (=, <>, <, IN, BETWEEN, ...) between incompatible types
+ */
+function checkComparisons(toks, ctx) {
+  if (!ctx.schemaModel) return;
+
+  for (let i = 0; i < toks.length; i++) {
+    const t = toks[i];
+
+    // Subqueries are checked when they are analyzed
+    if (t.value === '(' && ['SELECT', 'WITH'].includes(toks[i + 1]?.upper)) {
+      i = closingParen(toks, i);
+      continue;
+    }
+
+    if (t.type === 'op' && COMPARISON_OPERATORS.has(t.value)) {
+      compareOperands(operandBefore(toks, i, ctx), operandAfter(toks, i + 1, ctx), ctx, t);
+    } else if (t.upper === 'IN' && toks[i + 1]?.value === '(' && !['SELECT', 'WITH'].includes(toks[i + 2]?.upper)) {
+      const left = operandBefore(toks, i, ctx);
+      const close = closingParen(toks, i + 1);
+      for (const item of splitTopLevel(toks.slice(i + 2, close), ',')) {
+        compareOperands(left, operandAfter(item, 0, ctx), ctx, t);
+      }
+    } else if (t.upper === 'BETWEEN') {
+      const left = operandBefore(toks, i, ctx);
+      const andIndex = toks.findIndex((tok, index) => index > i + 1 && tok.upper === 'AND');
+      compareOperands(left, operandAfter(toks, i + 1, ctx), ctx, t);
+      if (andIndex !== -1) compareOperands(left, operandAfter(toks, andIndex + 1, ctx), ctx, t);
+    }
+  }
+}
+
+/**
+ * Describe the operand ending just before position `index`, or null when it is
+ * not a plain column, literal or typed literal
+ */
+function operandBefore(toks, index, ctx) {
+  let j = index - 1;
+  if (toks[j]?.upper === 'NOT') j--;
+  const t = toks[j];
+  if (!t || t.value === ')') return null;
+  if (toks[j - 1]?.value === '::') return null;
+
+  if (t.type === 'string' && toks[j - 1]?.type === 'word' && TYPED_LITERAL_PREFIXES.has(toks[j - 1].upper)) {
+    return { kind: 'typed', category: typeCategory(toks[j - 1].value), label: `${toks[j - 1].upper} '${t.value}'` };
+  }
+
+  return describeToken(t, ctx);
+}
+
+/**
+ * Describe the operand starting at position `index`
+ */
+function operandAfter(toks, index, ctx) {
+  let j = index;
+  let t = toks[j];
+  if (!t) return null;
+
+  if (t.value === '-' && toks[j + 1]?.type === 'number') {
+    return { kind: 'literal', category: 'number', value: `-${toks[j + 1].value}`, label: `-${toks[j + 1].value}` };
+  }
+
+  if (t.type === 'word' && TYPED_LITERAL_PREFIXES.has(t.upper) && toks[j + 1]?.type === 'string') {
+    return { kind: 'typed', category: typeCategory(t.value), label: `${t.upper} '${toks[j + 1].value}'` };
+  }
+
+  if (isIdentifier(t)) {
+    while (toks[j + 1]?.value === '.' && isIdentifier(toks[j + 2])) j += 2;
+    t = toks[j];
+  }
+
+  // Function calls and explicit casts are trusted as written
+  if (toks[j + 1]?.value === '(' || toks[j + 1]?.value === '::') return null;
+
+  return describeToken(t, ctx);
+}
+
+function describeToken(t, ctx) {
+  if (t.type === 'number') {
+    return { kind: 'literal', category: 'number', value: t.value, label: t.value };
+  }
+  if (t.type === 'string') {
+    return { kind: 'literal', category: 'string', value: t.value, label: `'${t.value}'` };
+  }
+  if (t.type === 'word' && (t.upper === 'TRUE' || t.upper === 'FALSE')) {
+    return { kind: 'literal', category: 'boolean', value: t.upper, label: t.upper };
+  }
+
+  const resolved = isIdentifier(t) ? ctx.resolved.get(t.start) : null;
+  if (resolved) {
+    return { kind: 'column', category: resolved.column.category, label: resolved.label, ...resolved };
+  }
+
+  return null;
+}
+
+function compareOperands(left, right, ctx, operator) {
+  if (!left || !right) return;
+  if (left.kind === 'literal' && right.kind === 'literal') return;
+
+  // Put the column (or typed literal) on the left
+  const [a, b] = left.kind === 'literal' ? [right, left] : [left, right];
+  if (!a.category || a.category === 'other' || !b.category || b.category === 'other') return;
+
+  if (b.kind === 'literal' && b.category === 'string' && a.category === 'enum' && a.column?.enumValues?.length) {
+    if (!a.column.enumValues.includes(b.value)) {
+      addDiagnostic(ctx, 'warning', 'invalid_enum_value', `${a.label} is compared with '${b.value}', which is not one of its values (${a.column.enumValues.join(', ')})`, {
+        column: a.label,
+        position: operator.start
+      });
+    }
+    return;
+  }
+
+  if (typesCompatible(a, b, ctx.dialect)) return;
+
+  addDiagnostic(ctx, 'warning', 'type_mismatch', `Type mismatch: ${a.label} (${a.category}) is compared with ${b.label} (${b.category})`, {
+    column: a.label,
+    position: operator.start
+  });
+}
+
+function typesCompatible(a, b, dialect) {
+  const looseBooleans = dialect === 'mysql' || dialect === 'sqlite';
+
+  if (b.kind === 'literal') {
+    switch (b.category) {
+      case 'number':
+        return NUMERIC_CATEGORIES.has(a.category) || (a.category === 'boolean' && looseBooleans);
+      case 'boolean':
+        return a.category === 'boolean' || (a.category === 'integer' && looseBooleans);
+      case 'string':
+        if (NUMERIC_CATEGORIES.has(a.category)) return /^\s*-?\d+(\.\d+)?\s*$/.test(b.value);
+        if (a.category === 'boolean') return /^(t|f|true|false|y|n|yes|no|on|off|0|1)$/i.test(b.value.trim());
+        if (a.category === 'date' || a.category === 'timestamp') return /^\d{4}-\d{2}-\d{2}/.test(b.value.trim());
+        if (a.category === 'time') return /^\d{1,2}:\d{2}/.test(b.value.trim());
+        if (a.category === 'uuid') return /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i.test(b.value.trim());
+        return true;
+      default:
+        return true;
+    }
+  }
+
+  if (a.category === b.category) return true;
+  if (NUMERIC_CATEGORIES.has(a.category) && NUMERIC_CATEGORIES.has(b.category)) return true;
+  if (TEMPORAL_CATEGORIES.has(a.category) && TEMPORAL_CATEGORIES.has(b.category)) {
+    return !(a.category === 'time') === !(b.category === 'time');
+  }
+  const pair = new Set([a.category, b.category]);
+  if (pair.has('string') && pair.has('enum')) return true;
+  if (looseBooleans && pair.has('boolean') && pair.has('integer')) return true;
+  return false;
+}
+
+/**
+ * Warn when a join equates two columns without a primary, unique or foreign key between them
+ */
+function checkJoinKeys(condition, ctx) {
+  if (!ctx.schemaModel) return;
+
+  let depth = 0;
+  for (let i = 0; i < condition.length; i++) {
+    const t = condition[i];
+    if (t.value === '(') depth++;
+    if (t.value === ')') depth--;
+    if (depth !== 0 || t.type !== 'op' || t.value !== '=') continue;
+
+    const a = operandBefore(condition, i, ctx);
+    const b = operandAfter(condition, i + 1, ctx);
+    if (a?.kind !== 'column' || b?.kind !== 'column') continue;
+    if (a.table === b.table && a.column === b.column) continue;
+
+    const keyed = referencesColumn(a, b) || referencesColumn(b, a) || isKeyColumn(a) || isKeyColumn(b);
+    if (keyed) continue;
+
+    const indexed = isIndexed(a) || isIndexed(b);
+    addDiagnostic(ctx, 'warning', 'non_key_join', `Join condition ${a.label} = ${b.label} does not use a primary key, unique key or foreign key${indexed ? '' : ', and neither column is indexed'}`, {
+      position: t.start
+    });
+  }
+}
+
+function referencesColumn(from, to) {
+  return from.table.foreignKeys.some(fk =>
+    sameName(fk.table, to.table.name) &&
+    fk.columns.some(c => sameName(c, from.column.name)) &&
+    (fk.referencedColumns.length === 0
+      ? to.column.primaryKey
+      : fk.referencedColumns.some(c => sameName(c, to.column.name)))
+  );
+}
+
+function isKeyColumn(operand) {
+  const { table, column } = operand;
+  if (column.unique) return true;
+  return column.primaryKey && table.primaryKey.length <= 1;
+}
+
+function isIndexed(operand) {
+  return operand.table.indexes.some(index => index.columns[0] && sameName(index.columns[0], operand.column.name));
+}
+
+// Scope helpers
+
+function createScope(parent) {
+  return { parent, sources: [], ctes: new Map(), joinConditions: [], usingColumns: new Set(), naturalJoin: false };
+}
+
+function findCte(scope, name) {
+  for (let current = scope; current; current = current.parent) {
+    const cte = current.ctes.get(name.toLowerCase());
+    if (cte) return cte;
+  }
+  return null;
+}
+
+function findSource(scope, qualifier) {
+  for (let current = scope; current; current = current.parent) {
+    const byAlias = current.sources.find(source => source.alias && sameName(source.alias, qualifier));
+    if (byAlias) return byAlias;
+    const byName = current.sources.find(source => !source.alias && source.name && sameName(source.name, qualifier));
+    if (byName) return byName;
+    // Qualifying with the table name still works when the table has an alias in most dialects
+    const byTable = current.sources.find(source => source.name && sameName(source.name, qualifier));
+    if (byTable) return byTable;
+  }
+  return null;
+}
+
+function describeSource(source) {
+  return source.alias ? `${source.table ? source.table.name : source.name} (${source.alias})` : (source.table ? source.table.name : source.name);
+}
+
+function sourceHasColumn(source, columnName) {
+  if (source.table) return Boolean(findColumn(source.table, columnName));
+  if (source.columns) return source.columns.some(c => sameName(c, columnName));
+  return false;
+}
+
+function scopeIsEmpty(scope) {
+  for (let current = scope; current; current = current.parent) {
+    if (current.sources.length > 0) return false;
+  }
+  return true;
+}
+
+function collectVisibleTables(scope) {
+  const names = [];
+  for (let current = scope; current; current = current.parent) {
+    current.sources.forEach(source => {
+      if (source.table) names.push(source.table.name);
+    });
+  }
+  return Array.from(new Set(names));
+}
+
+function collectVisibleColumns(scope) {
+  const names = [];
+  for (let current = scope; current; current = current.parent) {
+    current.sources.forEach(source => {
+      if (source.table) names.push(...source.table.columns.map(c => c.name));
+      else if (source.columns) names.push(...source.columns);
+    });
+  }
+  return names;
+}
+
+// Clause helpers
+
+/**
+ * Split a SELECT block into its top-level clauses keyed by the leading keyword
+ */
+function splitClauses(toks, firstClause = 'SELECT', extraKeywords = []) {
+  const keywords = new Set([...CLAUSE_KEYWORDS, ...extraKeywords]);
+  const clauses = {};
+  let current = firstClause;
+  let start = toks[0]?.upper === firstClause ? 1 : 0;
+  let depth = 0;
+
+  for (let i = start; i < toks.length; i++) {
+    const t = toks[i];
+    if (t.value === '(') depth++;
+    if (t.value === ')') depth--;
+    if (depth !== 0 || t.type !== 'word' || !keywords.has(t.upper)) continue;
+    // FOR UPDATE / FOR SHARE locking clause vs. FOR inside SUBSTRING handled by depth
+    if (t.upper === 'FOR' && !['UPDATE', 'SHARE', 'NO', 'KEY'].includes(toks[i + 1]?.upper)) continue;
+    // ORDER BY inside window definitions is nested in parentheses; GROUP/ORDER must be followed by BY
+    if ((t.upper === 'GROUP' || t.upper === 'ORDER') && toks[i + 1]?.upper !== 'BY') continue;
+
+    clauses[current] = toks.slice(start, i);
+    current = t.upper;
+    start = i + 1;
+  }
+
+  clauses[current] = toks.slice(start);
+  return clauses;
+}
+
+function splitSetOperations(toks) {
+  const branches = [];
+  let current = [];
+  let depth = 0;
+
+  for (let i = 0; i < toks.length; i++) {
+    const t = toks[i];
+    if (t.value === '(') depth++;
+    if (t.value === ')') depth--;
+
+    if (depth === 0 && t.type === 'word' && SET_OPERATORS.has(t.upper)) {
+      branches.push(current);
+      current = [];
+      if (['ALL', 'DISTINCT'].includes(toks[i + 1]?.upper)) i++;
+      continue;
+    }
+    current.push(t);
+  }
+
+  branches.push(current);
+  return branches.filter(branch => branch.length > 0);
+}
+
+/**
+ * Split the select list into items with their alias / output name
+ */
+function parseSelectList(toks) {
+  let list = toks;
+  if (['DISTINCT', 'ALL'].includes(list[0]?.upper)) {
+    list = list.slice(1);
+    // DISTINCT ON (expr)
+    if (list[0]?.upper === 'ON' && list[1]?.value === '(') list = list.slice(closingParen(list, 1) + 1);
+  }
+  if (list[0]?.upper === 'TOP') list = list.slice(2);
+
+  return splitTopLevel(list, ',')
+    .filter(item => item.length > 0)
+    .map(item => {
+      const last = item[item.length - 1];
+      const beforeLast = item[item.length - 2];
+      let expression = item;
+      let alias = null;
+
+      if (item.length >= 2 && isIdentifier(last) && !isReservedWord(last) &&
+        (beforeLast.upper === 'AS' || (beforeLast.type !== 'op' && beforeLast.value !== '.' && beforeLast.value !== ',' && beforeLast.value !== '('))) {
+        alias = identifierValue(last);
+        expression = item.slice(0, beforeLast.upper === 'AS' ? -2 : -1);
+      } else if (item.length >= 2 && last.type === 'string' && beforeLast.upper === 'AS') {
+        alias = last.value;
+        expression = item.slice(0, -2);
+      }
+
+      const star = expression[expression.length - 1]?.value === '*' &&
+        (expression.length === 1 || expression[expression.length - 2]?.value === '.');
+      const outputName = isIdentifier(expression[expression.length - 1]) ? identifierValue(expression[expression.length - 1]) : null;
+
+      return { expression, alias, star, outputName };
+    });
+}
+
+function findJoinBoundary(toks, pos) {
+  let depth = 0;
+  for (let i = pos; i < toks.length; i++) {
+    if (toks[i].value === '(') depth++;
+    if (toks[i].value === ')') depth--;
+    if (depth === 0 && (toks[i].value === ',' || (toks[i].type === 'word' && JOIN_WORDS.has(toks[i].upper)))) {
+      return i;
+    }
+  }
+  return toks.length;
+}
+
+/**
+ * Report clauses whose keyword is not followed by anything, e.g. `SELECT * FROM` or a bare `WHERE`
+ */
+function checkClauseOperands(clauses, ctx) {
+  for (const [name, toks] of Object.entries(clauses)) {
+    if (!CLAUSE_OPERANDS[name] || !toks) continue;
+    const operand = name === 'GROUP' || name === 'ORDER' ? stripLeadingBy(toks) : toks;
+    if (operand.length === 0) {
+      const keyword = name === 'GROUP' || name === 'ORDER' ? `${name} BY` : name;
+      addSyntaxError(ctx, `Expected ${CLAUSE_OPERANDS[name]} after ${keyword}`, toks[0]);
+    }
+  }
+}
+
+function stripLeadingBy(toks) {
+  return toks[0]?.upper === 'BY' ? toks.slice(1) : toks;
+}
+
+function closingParen(toks, pos) {
+  let depth = 0;
+  for (let i = pos; i < toks.length; i++) {
+    if (toks[i].value === '(') depth++;
+    if (toks[i].value === ')' && --depth === 0) return i;
+  }
+  throw new Error('unbalanced parentheses');
+}
+
+// Result helpers
+
+function recordTable(ctx, name, schema, known) {
+  const key = `${schema || ''}.${name}`.toLowerCase();
+  if (!ctx.tables.has(key)) {
+    ctx.tables.set(key, { name, schema: schema || null, known });
+  }
+}
+
+function recordColumn(ctx, table, column) {
+  const key = `${table.name}.${column.name}`.toLowerCase();
+  if (!ctx.columns.has(key)) {
+    ctx.columns.set(key, { table: table.name, column: column.name, type: column.type });
+  }
+}
+
+function addDiagnostic(ctx, severity, code, message, details = {}) {
+  const duplicate = ctx.diagnostics.some(d => d.code === code && d.message === message);
+  if (duplicate) return;
+
+  const diagnostic = { severity, code, message };
+  for (const [key, value] of Object.entries(details)) {
+    if (value !== undefined && value !== null) diagnostic[key] = value;
+  }
+  ctx.diagnostics.push(diagnostic);
+}
+
+function addSyntaxError(ctx, message, token) {
+  addDiagnostic(ctx, 'error', 'syntax_error', message, { position: token?.start });
+}
+
+/**
+ * Closest known name by edit distance, for "did you mean" hints
+ */
+function suggestName(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  const target = name.toLowerCase();
+
+  for (const candidate of candidates) {
+    const distance = editDistance(target, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best && bestDistance <= Math.max(2, Math.floor(target.length / 3)) ? best : undefined;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function isIdentifier(token) {
+  return Boolean(token) && (token.type === 'word' || token.type === 'ident');
+}
+
+function isReservedWord(token) {
+  return token.type === 'word' && RESERVED_WORDS.has(token.upper);
+}
+
+function identifierValue(token) {
+  return token ? token.value : null;
+}
+
+function sameName(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function truncate(text, maxLength) {
+  const singleLine = text.replace(/\s+/g, ' ');
+  return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 3)}...` : singleLine;
+}
+
+module.exports = {
+  analyzeQuery
+};
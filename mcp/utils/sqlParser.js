@@ -0,0 +1,1145 @@
+// utils/sqlParser.js - SQL DDL parser producing a normalized schema model
+
+const SUPPORTED_DIALECTS = ['postgres', 'mysql', 'sqlite'];
+
+// Words that end a column's type and start its constraint list
+const COLUMN_CONSTRAINT_KEYWORDS = new Set([
+  'NOT', 'NULL', 'DEFAULT', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'CHECK', 'CONSTRAINT',
+  'AUTO_INCREMENT', 'AUTOINCREMENT', 'IDENTITY', 'COLLATE', 'GENERATED', 'AS', 'COMMENT',
+  'ON', 'KEY', 'STORED', 'VIRTUAL', 'CHARSET', 'VISIBLE', 'INVISIBLE'
+]);
+
+const REFERENTIAL_ACTIONS = ['CASCADE', 'RESTRICT', 'NO ACTION', 'SET NULL', 'SET DEFAULT'];
+
+const TYPE_CATEGORIES = {
+  integer: ['int', 'integer', 'tinyint', 'smallint', 'mediumint', 'bigint', 'int2', 'int4', 'int8',
+    'serial', 'smallserial', 'bigserial', 'serial2', 'serial4', 'serial8'],
+  decimal: ['decimal', 'numeric', 'dec', 'money', 'number'],
+  float: ['float', 'float4', 'float8', 'real', 'double'],
+  boolean: ['bool', 'boolean'],
+  string: ['char', 'character', 'varchar', 'nchar', 'nvarchar', 'text', 'tinytext', 'mediumtext',
+    'longtext', 'citext', 'string', 'clob', 'set'],
+  date: ['date'],
+  time: ['time', 'timetz'],
+  timestamp: ['timestamp', 'timestamptz', 'datetime', 'datetime2', 'smalldatetime'],
+  json: ['json', 'jsonb'],
+  uuid: ['uuid', 'uniqueidentifier'],
+  binary: ['blob', 'tinyblob', 'mediumblob', 'longblob', 'bytea', 'binary', 'varbinary', 'bit'],
+  enum: ['enum']
+};
+
+/**
+ * Guess the SQL dialect from dialect-specific syntax
+ * @param {string} sql - Raw SQL text
+ * @returns {string} One of postgres, mysql, sqlite or generic
+ */
+function detectDialect(sql) {
+  const count = (regex) => (sql.match(regex) || []).length;
+
+  const scores = {
+    mysql: count(/`/g) * 2 +
+      count(/\bAUTO_INCREMENT\b/gi) * 3 +
+      count(/\bENGINE\s*=/gi) * 3 +
+      count(/\b(UNSIGNED|TINYINT|MEDIUMINT|MEDIUMTEXT|LONGTEXT|DATETIME)\b/gi),
+    postgres: count(/\b(SMALL|BIG)?SERIAL\b/gi) * 3 +
+      count(/::\w+/g) +
+      count(/\b(JSONB|TIMESTAMPTZ|BYTEA|CITEXT)\b/gi) * 2 +
+      count(/\bCREATE\s+(TYPE|EXTENSION|SCHEMA)\b/gi) * 2 +
+      count(/\bAS\s+IDENTITY\b/gi) * 2 +
+      count(/\$\$/g),
+    sqlite: count(/\bAUTOINCREMENT\b/gi) * 3 +
+      count(/\bWITHOUT\s+ROWID\b/gi) * 3 +
+      count(/\bPRAGMA\b/gi) * 2
+  };
+
+  const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return score > 0 ? best : 'generic';
+}
+
+/**
+ * Split SQL text into tokens, dropping whitespace and comments
+ * @param {string} sql - Raw SQL text
+ * @param {object} options - { dialect } enables dialect-specific lexing (MySQL # comments)
+ * @returns {Array<{type: string, value: string, upper?: string, start: number, end: number}>}
+ */
+function tokenize(sql, { dialect } = {}) {
+  const tokens = [];
+  const length = sql.length;
+  let i = 0;
+
+  const push = (type, value, start, end) => {
+    const token = { type, value, start, end };
+    if (type === 'word') token.upper = value.toUpperCase();
+    tokens.push(token);
+  };
+
+  while (i < length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comments
+    if ((ch === '-' && next === '-') || (ch === '#' && dialect === 'mysql')) {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? length : end + 1;
+      continue;
+    }
+
+    // Block comments
+    if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? length : end + 2;
+      continue;
+    }
+
+    // String literals, including E'' / N'' / B'' / X'' prefixes
+    if (ch === "'" || (/[eEnNbBxX]/.test(ch) && next === "'" && !/[\w$]/.test(sql[i - 1] || ''))) {
+      const start = i;
+      i = ch === "'" ? i + 1 : i + 2;
+      let value = '';
+      while (i < length) {
+        if (sql[i] === '\\' && dialect !== 'postgres' && dialect !== 'sqlite') {
+          value += sql[i + 1] || '';
+          i += 2;
+          continue;
+        }
+        if (sql[i] === "'") {
+          if (sql[i + 1] === "'") {
+            value += "'";
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += sql[i++];
+      }
+      push('string', value, start, i);
+      continue;
+    }
+
+    // Postgres dollar-quoted strings
+    if (ch === '$') {
+      const tag = sql.slice(i).match(/^\$([A-Za-z_]\w*)?\$/);
+      if (tag) {
+        const start = i;
+        const close = sql.indexOf(tag[0], i + tag[0].length);
+        const end = close === -1 ? length : close + tag[0].length;
+        push('string', sql.slice(i + tag[0].length, close === -1 ? length : close), start, end);
+        i = end;
+        continue;
+      }
+    }
+
+    // Quoted identifiers: "name", `name`, [name]
+    const bracketIdentifier = ch === '[' && dialect !== 'postgres' && dialect !== 'mysql' &&
+      next !== ']' && !/\d/.test(next || '');
+    if (ch === '"' || ch === '`' || bracketIdentifier) {
+      const close = ch === '[' ? ']' : ch;
+      const start = i;
+      let value = '';
+      i++;
+      while (i < length) {
+        if (sql[i] === close) {
+          if (close !== ']' && sql[i + 1] === close) {
+            value += close;
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += sql[i++];
+      }
+      push('ident', value, start, i);
+      continue;
+    }
+
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(next || ''))) {
+      const match = sql.slice(i).match(/^(\d*\.?\d+|\d+\.)([eE][+-]?\d+)?/);
+      push('number', match[0], i, i + match[0].length);
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_\u0080-\uffff]/.test(ch)) {
+      const match = sql.slice(i).match(/^[\w$\u0080-\uffff]+/);
+      push('word', match[0], i, i + match[0].length);
+      i += match[0].length;
+      continue;
+    }
+
+    const operator = sql.slice(i).match(/^(::|->>|->|<=|>=|<>|!=|\|\||[(),;.[\]])/);
+    if (operator) {
+      push(operator[0].length === 1 && '(),;.[]'.includes(operator[0]) ? 'punct' : 'op', operator[0], i, i + operator[0].length);
+      i += operator[0].length;
+      continue;
+    }
+
+    push('op', ch, i, i + 1);
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse SQL DDL into a normalized schema model
+ * @param {string} sql - Raw SQL text (CREATE TABLE / CREATE INDEX / ALTER TABLE ...)
+ * @param {object} options - { dialect } overrides dialect detection
+ * @returns {object} { format, dialect, tables, enums, warnings }
+ */
+function parseSqlSchema(sql, options = {}) {
+  const dialect = SUPPORTED_DIALECTS.includes(options.dialect) ? options.dialect : detectDialect(sql);
+  const tokens = tokenize(sql, { dialect });
+  const model = {
+    format: 'sql',
+    dialect,
+    tables: [],
+    enums: [],
+    warnings: []
+  };
+
+  const source = (toks) => toks.length > 0 ? sql.slice(toks[0].start, toks[toks.length - 1].end) : '';
+
+  for (const statement of splitTopLevel(tokens, ';')) {
+    if (statement.length === 0) continue;
+
+    try {
+      parseStatement(statement, model, source);
+    } catch (error) {
+      model.warnings.push(`Skipped statement "${truncate(source(statement), 80)}": ${error.message}`);
+    }
+  }
+
+  resolveEnumColumns(model);
+  return model;
+}
+
+/**
+ * Dispatch a single statement to the matching DDL handler
+ */
+function parseStatement(toks, model, source) {
+  const words = toks.slice(0, 6).map(t => t.upper);
+
+  if (words[0] === 'CREATE') {
+    let pos = 1;
+    if (words[1] === 'OR' && words[2] === 'REPLACE') pos = 3;
+    while (['TEMP', 'TEMPORARY', 'UNLOGGED', 'GLOBAL', 'LOCAL', 'VIRTUAL'].includes(toks[pos]?.upper)) pos++;
+
+    if (toks[pos]?.upper === 'TABLE') return parseCreateTable(toks, pos + 1, model, source);
+    if (toks[pos]?.upper === 'TYPE') return parseCreateType(toks, pos + 1, model);
+
+    if (toks[pos]?.upper === 'UNIQUE' && toks[pos + 1]?.upper === 'INDEX') return parseCreateIndex(toks, pos + 2, true, model, source);
+    if (toks[pos]?.upper === 'INDEX') return parseCreateIndex(toks, pos + 1, false, model, source);
+    return;
+  }
+
+  if (words[0] === 'ALTER' && words[1] === 'TABLE') {
+    return parseAlterTable(toks, 2, model, source);
+  }
+
+  if (words[0] === 'COMMENT' && words[1] === 'ON') {
+    return parseCommentOn(toks, model);
+  }
+}
+
+/**
+ * CREATE TABLE [IF NOT EXISTS] name ( elements ) [options]
+ */
+function parseCreateTable(toks, pos, model, source) {
+  pos = skipIfNotExists(toks, pos);
+  const { name, schema, next } = readQualifiedName(toks, pos);
+  pos = next;
+
+  if (!name) throw new Error('missing table name');
+
+  if (toks[pos]?.value !== '(') {
+    // CREATE TABLE ... AS SELECT / LIKE other_table carry no column definitions
+    model.warnings.push(`Table ${name} has no column definitions and was recorded without columns`);
+    addTable(model, createTable(name, schema));
+    return;
+  }
+
+  const { inner, next: afterBody } = readParenGroup(toks, pos);
+  const table = createTable(name, schema);
+
+  for (const element of splitTopLevel(inner, ',')) {
+    if (element.length === 0) continue;
+    if (!parseTableConstraint(element, table, source)) {
+      parseColumnDefinition(element, table, source);
+    }
+  }
+
+  // Trailing options: MySQL COMMENT='...', SQLite WITHOUT ROWID, ...
+  const options = toks.slice(afterBody);
+  for (let i = 0; i < options.length; i++) {
+    if (options[i].upper === 'COMMENT') {
+      const value = options[i + 1]?.value === '=' ? options[i + 2] : options[i + 1];
+      if (value?.type === 'string') table.comment = value.value;
+    }
+  }
+
+  finalizeTable(table);
+  addTable(model, table);
+}
+
+/**
+ * Parse a table-level constraint or MySQL inline index.
+ * Returns false when the element is a column definition instead.
+ */
+function parseTableConstraint(toks, table, source) {
+  let pos = 0;
+  let constraintName = null;
+
+  if (toks[0].upper === 'CONSTRAINT') {
+    constraintName = identValue(toks[1]);
+    pos = 2;
+  }
+
+  const keyword = toks[pos]?.upper;
+  const nextToken = toks[pos + 1];
+
+  switch (keyword) {
+    case 'PRIMARY': {
+      const group = findParenGroup(toks, pos);
+      if (!group) return false;
+      table.primaryKey = readColumnList(group.inner, source);
+      return true;
+    }
+
+    case 'FOREIGN': {
+      const group = findParenGroup(toks, pos);
+      if (!group) return false;
+      const { next, ...reference } = readReference(toks, group.next);
+      table.foreignKeys.push({
+        name: constraintName,
+        columns: readColumnList(group.inner, source),
+        ...reference
+      });
+      return true;
+    }
+
+    case 'UNIQUE': {
+      const group = findParenGroup(toks, pos);
+      if (!group) return false;
+      const indexName = inlineIndexName(toks, pos + 1, group.start);
+      table.uniqueConstraints.push({
+        name: constraintName || indexName,
+        columns: readColumnList(group.inner, source)
+      });
+      return true;
+    }
+
+    case 'CHECK': {
+      const group = findParenGroup(toks, pos);
+      if (!group) return false;
+      table.checks.push({ name: constraintName, expression: source(group.inner) });
+      return true;
+    }
+
+    case 'EXCLUDE':
+      table.checks.push({ name: constraintName, expression: source(toks.slice(pos)) });
+      return true;
+
+    case 'LIKE':
+      return true;
+
+    case 'KEY':
+    case 'INDEX':
+    case 'FULLTEXT':
+    case 'SPATIAL': {
+      // `key VARCHAR(10)` is a column named key; `KEY idx (a, b)` is an index
+      const group = findParenGroup(toks, pos);
+      if (!group || group.inner[0]?.type === 'number') return false;
+      if (constraintName === null && nextToken && nextToken.value !== '(' && toks[pos + 2] && toks[pos + 2].value !== '(' && toks[pos + 2].upper !== 'USING') {
+        return false;
+      }
+      table.indexes.push({
+        name: inlineIndexName(toks, pos + 1, group.start),
+        columns: readColumnList(group.inner, source),
+        unique: false,
+        method: keyword === 'FULLTEXT' || keyword === 'SPATIAL' ? keyword.toLowerCase() : readIndexMethod(toks)
+      });
+      return true;
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parse a column definition: name type [constraints...]
+ */
+function parseColumnDefinition(toks, table, source) {
+  const column = {
+    name: identValue(toks[0]),
+    type: '',
+    dataType: '',
+    typeArgs: [],
+    isArray: false,
+    category: 'other',
+    nullable: true,
+    default: null,
+    primaryKey: false,
+    unique: false,
+    autoIncrement: false,
+    references: null,
+    check: null,
+    generated: null,
+    comment: null
+  };
+
+  let pos = 1;
+
+  // Type: words (not constraint keywords), parenthesized arguments and [] suffixes
+  const typeStart = pos;
+  const typeWords = [];
+  while (pos < toks.length) {
+    const t = toks[pos];
+    if (t.type === 'word' && COLUMN_CONSTRAINT_KEYWORDS.has(t.upper)) break;
+    if (t.type === 'word' && t.upper === 'CHARACTER' && toks[pos + 1]?.upper === 'SET') break;
+
+    if (t.value === '(') {
+      const { inner, next } = readParenGroup(toks, pos);
+      if (column.typeArgs.length === 0) {
+        column.typeArgs = splitTopLevel(inner, ',').map(arg => {
+          const text = source(arg);
+          return /^\d+$/.test(text) ? parseInt(text, 10) : text.replace(/^'(.*)'$/, '$1');
+        });
+      }
+      pos = next;
+      continue;
+    }
+
+    if (t.value === '[' || t.value === ']') {
+      column.isArray = true;
+    } else if (t.upper === 'ARRAY') {
+      column.isArray = true;
+    } else if (t.type === 'word' || t.type === 'ident') {
+      typeWords.push(t.type === 'word' ? t.value.toLowerCase() : t.value);
+    }
+    pos++;
+  }
+
+  column.type = source(toks.slice(typeStart, pos));
+  column.dataType = typeWords.join(' ');
+  column.category = typeCategory(column.dataType);
+  if (/^(small|big)?serial\d?$/.test(column.dataType)) {
+    column.autoIncrement = true;
+    column.nullable = false;
+  }
+
+  let constraintName = null;
+
+  while (pos < toks.length) {
+    const t = toks[pos];
+    const keyword = t.upper;
+
+    switch (keyword) {
+      case 'CONSTRAINT':
+        constraintName = identValue(toks[pos + 1]);
+        pos += 2;
+        break;
+
+      case 'NOT':
+        if (toks[pos + 1]?.upper === 'NULL') {
+          column.nullable = false;
+          pos += 2;
+        } else {
+          pos++;
+        }
+        break;
+
+      case 'NULL':
+        pos++;
+        break;
+
+      case 'DEFAULT': {
+        const { expression, next } = readExpression(toks, pos + 1);
+        column.default = source(expression);
+        pos = next;
+        break;
+      }
+
+      case 'PRIMARY':
+        column.primaryKey = true;
+        column.nullable = false;
+        pos += toks[pos + 1]?.upper === 'KEY' ? 2 : 1;
+        while (['ASC', 'DESC'].includes(toks[pos]?.upper)) pos++;
+        break;
+
+      case 'UNIQUE':
+        column.unique = true;
+        table.uniqueConstraints.push({ name: constraintName, columns: [column.name] });
+        pos += toks[pos + 1]?.upper === 'KEY' ? 2 : 1;
+        break;
+
+      case 'KEY':
+        // MySQL shorthand for PRIMARY KEY on a column
+        column.primaryKey = true;
+        column.nullable = false;
+        pos++;
+        break;
+
+      case 'REFERENCES': {
+        const { next, ...reference } = readReference(toks, pos);
+        column.references = {
+          table: reference.table,
+          schema: reference.schema,
+          columns: reference.referencedColumns,
+          onDelete: reference.onDelete,
+          onUpdate: reference.onUpdate
+        };
+        table.foreignKeys.push({ name: constraintName, columns: [column.name], ...reference });
+        pos = next;
+        break;
+      }
+
+      case 'CHECK': {
+        const group = findParenGroup(toks, pos);
+        column.check = group ? source(group.inner) : null;
+        pos = group ? group.next : pos + 1;
+        break;
+      }
+
+      case 'AUTO_INCREMENT':
+      case 'AUTOINCREMENT':
+        column.autoIncrement = true;
+        pos++;
+        break;
+
+      case 'IDENTITY':
+        column.autoIncrement = true;
+        pos++;
+        if (toks[pos]?.value === '(') pos = readParenGroup(toks, pos).next;
+        break;
+
+      case 'GENERATED':
+      case 'AS': {
+        const asIndex = toks.findIndex((tok, i) => i >= pos && tok.upper === 'AS');
+        if (asIndex !== -1 && toks[asIndex + 1]?.upper === 'IDENTITY') {
+          column.autoIncrement = true;
+          column.nullable = false;
+          pos = asIndex + 2;
+          if (toks[pos]?.value === '(') pos = readParenGroup(toks, pos).next;
+        } else if (asIndex !== -1 && toks[asIndex + 1]?.value === '(') {
+          const { inner, next } = readParenGroup(toks, asIndex + 1);
+          column.generated = source(inner);
+          pos = next;
+        } else {
+          pos++;
+        }
+        break;
+      }
+
+      case 'COMMENT':
+        if (toks[pos + 1]?.type === 'string') column.comment = toks[pos + 1].value;
+        pos += 2;
+        break;
+
+      case 'COLLATE':
+      case 'CHARSET':
+        pos += 2;
+        break;
+
+      case 'CHARACTER':
+        pos += 3;
+        break;
+
+      case 'ON': {
+        const action = toks[pos + 1]?.upper;
+        if (action === 'UPDATE') {
+          // MySQL: ON UPDATE CURRENT_TIMESTAMP
+          const { expression, next } = readExpression(toks, pos + 2);
+          column.onUpdate = source(expression);
+          pos = next;
+        } else if (action === 'CONFLICT') {
+          // SQLite: ON CONFLICT REPLACE
+          pos += 3;
+        } else {
+          pos++;
+        }
+        break;
+      }
+
+      default:
+        pos++;
+    }
+  }
+
+  table.columns.push(column);
+  return column;
+}
+
+/**
+ * REFERENCES table [(columns)] [ON DELETE action] [ON UPDATE action] [MATCH ...] [DEFERRABLE ...]
+ */
+function readReference(toks, pos) {
+  if (toks[pos]?.upper === 'REFERENCES') pos++;
+
+  const { name, schema, next } = readQualifiedName(toks, pos);
+  pos = next;
+
+  const reference = {
+    table: name,
+    schema,
+    referencedColumns: [],
+    onDelete: null,
+    onUpdate: null
+  };
+
+  if (toks[pos]?.value === '(') {
+    const group = readParenGroup(toks, pos);
+    reference.referencedColumns = group.inner
+      .filter(t => t.type === 'word' || t.type === 'ident')
+      .map(identValue);
+    pos = group.next;
+  }
+
+  while (pos < toks.length) {
+    const keyword = toks[pos].upper;
+
+    if (keyword === 'ON' && ['DELETE', 'UPDATE'].includes(toks[pos + 1]?.upper)) {
+      const target = toks[pos + 1].upper === 'DELETE' ? 'onDelete' : 'onUpdate';
+      const twoWords = `${toks[pos + 2]?.upper} ${toks[pos + 3]?.upper}`;
+      if (REFERENTIAL_ACTIONS.includes(twoWords)) {
+        reference[target] = twoWords;
+        pos += 4;
+      } else {
+        reference[target] = toks[pos + 2]?.upper || null;
+        pos += 3;
+      }
+    } else if (keyword === 'MATCH') {
+      pos += 2;
+    } else if (keyword === 'DEFERRABLE' || keyword === 'INITIALLY') {
+      pos += keyword === 'INITIALLY' ? 2 : 1;
+    } else if (keyword === 'NOT' && toks[pos + 1]?.upper === 'DEFERRABLE') {
+      pos += 2;
+    } else {
+      break;
+    }
+  }
+
+  reference.next = pos;
+  return reference;
+}
+
+/**
+ * CREATE [UNIQUE] INDEX [CONCURRENTLY] [IF NOT EXISTS] [name] ON table [USING method] (columns)
+ */
+function parseCreateIndex(toks, pos, unique, model, source) {
+  if (toks[pos]?.upper === 'CONCURRENTLY') pos++;
+  pos = skipIfNotExists(toks, pos);
+
+  let indexName = null;
+  if (toks[pos]?.upper !== 'ON') {
+    const indexNameParts = readQualifiedName(toks, pos);
+    indexName = indexNameParts.name;
+    pos = indexNameParts.next;
+  }
+
+  if (toks[pos]?.upper !== 'ON') throw new Error('expected ON in CREATE INDEX');
+  pos++;
+  if (toks[pos]?.upper === 'ONLY') pos++;
+
+  const { name, schema, next } = readQualifiedName(toks, pos);
+  const group = findParenGroup(toks, next);
+  if (!group) throw new Error(`missing column list for index ${indexName || ''}`.trim());
+
+  const table = findTable(model, name, schema);
+  if (!table) {
+    model.warnings.push(`Index ${indexName || '(unnamed)'} references unknown table ${name}`);
+    return;
+  }
+
+  const whereIndex = toks.findIndex((t, i) => i >= group.next && t.upper === 'WHERE');
+
+  table.indexes.push({
+    name: indexName,
+    columns: readColumnList(group.inner, source),
+    unique,
+    method: readIndexMethod(toks),
+    where: whereIndex !== -1 ? source(toks.slice(whereIndex + 1)) : undefined
+  });
+
+  if (unique) {
+    table.uniqueConstraints.push({ name: indexName, columns: readColumnList(group.inner, source) });
+    finalizeTable(table);
+  }
+}
+
+/**
+ * ALTER TABLE [ONLY] [IF EXISTS] name action [, action ...]
+ */
+function parseAlterTable(toks, pos, model, source) {
+  if (toks[pos]?.upper === 'ONLY') pos++;
+  if (toks[pos]?.upper === 'IF' && toks[pos + 1]?.upper === 'EXISTS') pos += 2;
+
+  const { name, schema, next } = readQualifiedName(toks, pos);
+  const table = findTable(model, name, schema);
+  if (!table) {
+    model.warnings.push(`ALTER TABLE references unknown table ${name}`);
+    return;
+  }
+
+  for (const action of splitTopLevel(toks.slice(next), ',')) {
+    if (action.length === 0) continue;
+    const keyword = action[0].upper;
+
+    if (keyword === 'ADD') {
+      let rest = action.slice(1);
+      if (rest[0]?.upper === 'COLUMN') rest = rest.slice(1);
+      if (rest[0]?.upper === 'IF' && rest[1]?.upper === 'NOT' && rest[2]?.upper === 'EXISTS') rest = rest.slice(3);
+      if (rest.length > 0 && !parseTableConstraint(rest, table, source)) {
+        parseColumnDefinition(rest, table, source);
+      }
+    } else if (keyword === 'DROP') {
+      let rest = action.slice(1);
+      const target = rest[0]?.upper;
+      if (target === 'COLUMN') rest = rest.slice(1);
+      if (rest[0]?.upper === 'IF' && rest[1]?.upper === 'EXISTS') rest = rest.slice(2);
+
+      if (target === 'CONSTRAINT') {
+        dropConstraint(table, identValue(rest[1]));
+      } else if (target !== 'INDEX' && target !== 'KEY' && target !== 'PRIMARY' && target !== 'FOREIGN' && rest[0]) {
+        const columnName = identValue(rest[0]).toLowerCase();
+        table.columns = table.columns.filter(c => c.name.toLowerCase() !== columnName);
+      }
+    } else if (keyword === 'ALTER' || keyword === 'MODIFY' || keyword === 'CHANGE') {
+      applyColumnAlteration(action, table, source);
+    } else if (keyword === 'RENAME') {
+      applyRename(action, table);
+    }
+  }
+
+  finalizeTable(table);
+}
+
+/**
+ * ALTER COLUMN x SET/DROP NOT NULL | SET DEFAULT | TYPE ..., MODIFY / CHANGE (MySQL)
+ */
+function applyColumnAlteration(action, table, source) {
+  let rest = action.slice(1);
+  if (rest[0]?.upper === 'COLUMN') rest = rest.slice(1);
+
+  if (action[0].upper === 'MODIFY' || action[0].upper === 'CHANGE') {
+    const oldName = identValue(rest[0]).toLowerCase();
+    const definition = action[0].upper === 'CHANGE' ? rest.slice(1) : rest;
+    const index = table.columns.findIndex(c => c.name.toLowerCase() === oldName);
+    if (index === -1) return;
+
+    const scratch = createTable(table.name, table.schema);
+    const column = parseColumnDefinition(definition, scratch, source);
+    table.columns[index] = column;
+    return;
+  }
+
+  const column = findColumn(table, identValue(rest[0]));
+  if (!column) return;
+
+  const words = rest.slice(1).map(t => t.upper);
+  if (words[0] === 'SET' && words[1] === 'NOT' && words[2] === 'NULL') column.nullable = false;
+  if (words[0] === 'DROP' && words[1] === 'NOT' && words[2] === 'NULL') column.nullable = true;
+  if (words[0] === 'SET' && words[1] === 'DEFAULT') column.default = source(rest.slice(3));
+  if (words[0] === 'DROP' && words[1] === 'DEFAULT') column.default = null;
+
+  const typeIndex = words.indexOf('TYPE');
+  if (typeIndex !== -1) {
+    const scratch = createTable(table.name, table.schema);
+    const typeTokens = rest.slice(typeIndex + 2);
+    const usingIndex = typeTokens.findIndex(t => t.upper === 'USING');
+    const retyped = parseColumnDefinition([rest[0], ...(usingIndex === -1 ? typeTokens : typeTokens.slice(0, usingIndex))], scratch, source);
+    Object.assign(column, {
+      type: retyped.type,
+      dataType: retyped.dataType,
+      typeArgs: retyped.typeArgs,
+      isArray: retyped.isArray,
+      category: retyped.category
+    });
+  }
+}
+
+/**
+ * RENAME TO new_name | RENAME [COLUMN] a TO b
+ */
+function applyRename(action, table) {
+  const words = action.map(t => t.upper);
+
+  if (words[1] === 'TO' || words[1] === 'AS') {
+    table.name = identValue(action[2]);
+    return;
+  }
+
+  const offset = words[1] === 'COLUMN' ? 2 : 1;
+  const column = findColumn(table, identValue(action[offset]));
+  if (column && words[offset + 1] === 'TO') {
+    const newName = identValue(action[offset + 2]);
+    renameColumnReferences(table, column.name, newName);
+    column.name = newName;
+  }
+}
+
+/**
+ * CREATE TYPE name AS ENUM ('a', 'b')
+ */
+function parseCreateType(toks, pos, model) {
+  const { name, schema, next } = readQualifiedName(toks, pos);
+  if (toks[next]?.upper !== 'AS' || toks[next + 1]?.upper !== 'ENUM') return;
+
+  const group = findParenGroup(toks, next + 2);
+  model.enums.push({
+    name,
+    schema,
+    values: group ? group.inner.filter(t => t.type === 'string').map(t => t.value) : []
+  });
+}
+
+/**
+ * COMMENT ON TABLE t IS '...' / COMMENT ON COLUMN t.c IS '...'
+ */
+function parseCommentOn(toks, model) {
+  const target = toks[2]?.upper;
+  const isIndex = toks.findIndex(t => t.upper === 'IS');
+  const text = toks[isIndex + 1]?.type === 'string' ? toks[isIndex + 1].value : null;
+  if (isIndex === -1 || text === null) return;
+
+  const parts = toks.slice(3, isIndex).filter(t => t.value !== '.').map(identValue);
+
+  if (target === 'TABLE') {
+    const table = findTable(model, parts[parts.length - 1], parts.length > 1 ? parts[parts.length - 2] : null);
+    if (table) table.comment = text;
+  } else if (target === 'COLUMN' && parts.length >= 2) {
+    const table = findTable(model, parts[parts.length - 2], parts.length > 2 ? parts[parts.length - 3] : null);
+    const column = table && findColumn(table, parts[parts.length - 1]);
+    if (column) column.comment = text;
+  }
+}
+
+// Model helpers
+
+function createTable(name, schema) {
+  return {
+    name,
+    schema: schema || null,
+    columns: [],
+    primaryKey: [],
+    foreignKeys: [],
+    uniqueConstraints: [],
+    indexes: [],
+    checks: [],
+    comment: null
+  };
+}
+
+function addTable(model, table) {
+  const existing = model.tables.findIndex(t => sameName(t.name, table.name) && sameSchema(t.schema, table.schema));
+  if (existing !== -1) {
+    model.warnings.push(`Table ${table.name} is defined more than once; keeping the last definition`);
+    model.tables[existing] = table;
+  } else {
+    model.tables.push(table);
+  }
+
+  if (model.dialect === 'sqlite') {
+    table.columns
+      .filter(c => c.primaryKey && c.dataType === 'integer')
+      .forEach(c => { c.autoIncrement = true; });
+  }
+}
+
+/**
+ * Reconcile column-level and table-level key information
+ */
+function finalizeTable(table) {
+  const inlinePrimary = table.columns.filter(c => c.primaryKey).map(c => c.name);
+  if (table.primaryKey.length === 0 && inlinePrimary.length > 0) {
+    table.primaryKey = inlinePrimary;
+  }
+
+  for (const name of table.primaryKey) {
+    const column = findColumn(table, name);
+    if (column) {
+      column.primaryKey = true;
+      column.nullable = false;
+    }
+  }
+
+  for (const constraint of table.uniqueConstraints) {
+    if (constraint.columns.length === 1) {
+      const column = findColumn(table, constraint.columns[0]);
+      if (column) column.unique = true;
+    }
+  }
+
+  // Drop duplicate unique constraints that came from both inline and index definitions
+  const seen = new Set();
+  table.uniqueConstraints = table.uniqueConstraints.filter(constraint => {
+    const key = constraint.columns.map(c => c.toLowerCase()).join(',');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  for (const foreignKey of table.foreignKeys) {
+    if (foreignKey.columns.length !== 1) continue;
+    const column = findColumn(table, foreignKey.columns[0]);
+    if (column && !column.references) {
+      column.references = {
+        table: foreignKey.table,
+        schema: foreignKey.schema,
+        columns: foreignKey.referencedColumns,
+        onDelete: foreignKey.onDelete,
+        onUpdate: foreignKey.onUpdate
+      };
+    }
+  }
+}
+
+function dropConstraint(table, name) {
+  if (!name) return;
+  const matches = (c) => !sameName(c.name || '', name);
+  table.foreignKeys = table.foreignKeys.filter(matches);
+  table.uniqueConstraints = table.uniqueConstraints.filter(matches);
+  table.checks = table.checks.filter(matches);
+}
+
+function renameColumnReferences(table, oldName, newName) {
+  const rename = (columns) => columns.map(c => sameName(c, oldName) ? newName : c);
+  table.primaryKey = rename(table.primaryKey);
+  table.foreignKeys.forEach(fk => { fk.columns = rename(fk.columns); });
+  table.uniqueConstraints.forEach(uc => { uc.columns = rename(uc.columns); });
+  table.indexes.forEach(index => { index.columns = rename(index.columns); });
+}
+
+/**
+ * Mark columns whose type is a declared enum (Postgres CREATE TYPE ... AS ENUM)
+ */
+function resolveEnumColumns(model) {
+  for (const table of model.tables) {
+    for (const column of table.columns) {
+      const enumType = model.enums.find(e => sameName(e.name, column.dataType.split('.').pop()));
+      if (enumType) {
+        column.category = 'enum';
+        column.enumValues = enumType.values;
+      } else if (column.dataType === 'enum') {
+        column.enumValues = column.typeArgs.map(String);
+      }
+    }
+  }
+}
+
+/**
+ * Merge several schema models (e.g. one per uploaded file) into one.
+ * Later models win when the same table is defined more than once.
+ * @param {object[]} models - Schema models in upload order
+ * @returns {object|null} Merged model, or null when there is nothing to merge
+ */
+function mergeSchemaModels(models) {
+  const usable = models.filter(model => model && Array.isArray(model.tables));
+  if (usable.length === 0) return null;
+
+  const merged = { format: 'sql', dialect: 'generic', tables: [], enums: [], warnings: [] };
+  const dialectCounts = {};
+
+  for (const model of usable) {
+    if (model.dialect && model.dialect !== 'generic') {
+      dialectCounts[model.dialect] = (dialectCounts[model.dialect] || 0) + 1;
+    }
+    for (const table of model.tables) {
+      addTable(merged, table);
+    }
+    merged.enums.push(...(model.enums || []).filter(e => !merged.enums.some(existing => sameName(existing.name, e.name))));
+  }
+
+  const [dialect] = Object.entries(dialectCounts).sort((a, b) => b[1] - a[1])[0] || ['generic'];
+  merged.dialect = dialect;
+  return merged;
+}
+
+/**
+ * Find a table by name (case-insensitive), optionally restricted to a schema
+ * @param {object} model - Schema model from parseSqlSchema
+ * @param {string} name - Table name
+ * @param {string} [schema] - Schema/database qualifier
+ * @returns {object|undefined} Table definition
+ */
+function findTable(model, name, schema = null) {
+  if (!name) return undefined;
+  return model.tables.find(t => sameName(t.name, name) && (!schema || !t.schema || sameName(t.schema, schema)));
+}
+
+/**
+ * Find a column in a table by name (case-insensitive)
+ */
+function findColumn(table, name) {
+  if (!name) return undefined;
+  return table.columns.find(c => sameName(c.name, name));
+}
+
+/**
+ * Map a normalized data type to a coarse category used for comparisons
+ * @param {string} dataType - Lowercased type name, e.g. "character varying"
+ * @returns {string} integer, decimal, float, boolean, string, date, time, timestamp, json, uuid, binary, enum or other
+ */
+function typeCategory(dataType) {
+  const base = (dataType || '').toLowerCase().split(/\s+/)[0];
+  for (const [category, names] of Object.entries(TYPE_CATEGORIES)) {
+    if (names.includes(base)) return category;
+  }
+  return 'other';
+}
+
+// Token helpers
+
+function splitTopLevel(toks, separator) {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+
+  for (const t of toks) {
+    if (t.value === '(' && t.type === 'punct') depth++;
+    if (t.value === ')' && t.type === 'punct') depth--;
+
+    if (depth === 0 && t.type === 'punct' && t.value === separator) {
+      parts.push(current);
+      current = [];
+    } else {
+      current.push(t);
+    }
+  }
+
+  if (current.length > 0) parts.push(current);
+  return parts;
+}
+
+function readParenGroup(toks, pos) {
+  if (toks[pos]?.value !== '(') throw new Error(`expected "(" near "${toks[pos]?.value || 'end of statement'}"`);
+
+  let depth = 0;
+  for (let i = pos; i < toks.length; i++) {
+    if (toks[i].type !== 'punct') continue;
+    if (toks[i].value === '(') depth++;
+    if (toks[i].value === ')') depth--;
+    if (depth === 0) {
+      return { inner: toks.slice(pos + 1, i), start: pos, next: i + 1 };
+    }
+  }
+
+  throw new Error('unbalanced parentheses');
+}
+
+function findParenGroup(toks, pos) {
+  for (let i = pos; i < toks.length; i++) {
+    if (toks[i].type === 'punct' && toks[i].value === '(') return readParenGroup(toks, i);
+  }
+  return null;
+}
+
+/**
+ * Read an expression until the next column constraint keyword at depth 0
+ */
+function readExpression(toks, pos) {
+  const expression = [];
+  let depth = 0;
+
+  while (pos < toks.length) {
+    const t = toks[pos];
+    if (depth === 0 && t.type === 'word' && COLUMN_CONSTRAINT_KEYWORDS.has(t.upper) &&
+      !(t.upper === 'NULL' && expression.length === 0) &&
+      !(t.upper === 'ON' && expression.length === 0)) {
+      break;
+    }
+    if (t.value === '(') depth++;
+    if (t.value === ')') depth--;
+    expression.push(t);
+    pos++;
+  }
+
+  return { expression, next: pos };
+}
+
+function readQualifiedName(toks, pos) {
+  const parts = [];
+
+  while (toks[pos] && (toks[pos].type === 'word' || toks[pos].type === 'ident')) {
+    parts.push(identValue(toks[pos]));
+    pos++;
+    if (toks[pos]?.value === '.' && toks[pos + 1] && (toks[pos + 1].type === 'word' || toks[pos + 1].type === 'ident')) {
+      pos++;
+    } else {
+      break;
+    }
+  }
+
+  return {
+    name: parts[parts.length - 1] || null,
+    schema: parts.length > 1 ? parts.slice(0, -1).join('.') : null,
+    next: pos
+  };
+}
+
+/**
+ * Column names from an index or key list; expressions are kept as written
+ */
+function readColumnList(inner, source) {
+  return splitTopLevel(inner, ',')
+    .filter(item => item.length > 0)
+    .map(item => {
+      const first = item[0];
+      const simple = (first.type === 'word' || first.type === 'ident') &&
+        (item.length === 1 || ['ASC', 'DESC', 'COLLATE', 'NULLS'].includes(item[1].upper) ||
+          (item[1].value === '(' && item[2]?.type === 'number')); // MySQL prefix length: name(10)
+      return simple ? identValue(first) : source(item);
+    });
+}
+
+function readIndexMethod(toks) {
+  const usingIndex = toks.findIndex(t => t.upper === 'USING');
+  return usingIndex !== -1 && toks[usingIndex + 1] ? toks[usingIndex + 1].value.toLowerCase() : null;
+}
+
+function inlineIndexName(toks, pos, groupStart) {
+  const candidates = toks.slice(pos, groupStart).filter(t => (t.type === 'word' && !['KEY', 'INDEX', 'USING', 'BTREE', 'HASH'].includes(t.upper)) || t.type === 'ident');
+  return candidates.length > 0 ? identValue(candidates[0]) : null;
+}
+
+function skipIfNotExists(toks, pos) {
+  if (toks[pos]?.upper === 'IF' && toks[pos + 1]?.upper === 'NOT' && toks[pos + 2]?.upper === 'EXISTS') {
+    return pos + 3;
+  }
+  return pos;
+}
+
+function identValue(token) {
+  return token ? token.value : null;
+}
+
+function sameName(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function sameSchema(a, b) {
+  return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
+
+function truncate(text, maxLength) {
+  const singleLine = text.replace(/\s+/g, ' ');
+  return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 3)}...` : singleLine;
+}
+
+module.exports = {
+  parseSqlSchema,
+  mergeSchemaModels,
+  tokenize,
+  detectDialect,
+  typeCategory,
+  findTable,
+  findColumn,
+  splitTopLevel
+};
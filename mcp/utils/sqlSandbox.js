@@ -0,0 +1,421 @@
+// utils/sqlSandbox.js - Run queries against an ephemeral SQLite database built from the uploaded DDL
+const { fork } = require('child_process');
+const { tokenize } = require('./sqlParser');
+
+const SANDBOX_CONFIG = {
+  timeoutMs: parseInt(process.env.SQL_SANDBOX_TIMEOUT_MS) || 5000,
+  maxRows: parseInt(process.env.SQL_SANDBOX_MAX_ROWS) || 50,
+  maxSeedRows: parseInt(process.env.SQL_SANDBOX_MAX_SEED_ROWS) || 100,
+  // Each query gets its own Node process; these bound how many run and how large their heap grows
+  maxConcurrent: parseInt(process.env.SQL_SANDBOX_MAX_CONCURRENT) || 2,
+  maxMemoryMb: parseInt(process.env.SQL_SANDBOX_MAX_MEMORY_MB) || 128
+};
+
+// Sandbox processes running now, and the calls waiting for one of them to exit
+let runningSandboxes = 0;
+const sandboxQueue = [];
+
+// SQLite allows 10 attached databases by default
+const MAX_ATTACHED_SCHEMAS = 10;
+
+// A query must open with one of these and may not use the keywords below anywhere: they reach
+// the host's file system (ATTACH creates files) or change the connection (PRAGMA query_only = OFF)
+const READ_ONLY_STARTS = ['SELECT', 'WITH', 'VALUES', 'EXPLAIN'];
+const FORBIDDEN_KEYWORDS = ['ATTACH', 'DETACH', 'PRAGMA'];
+
+const SQLITE_TYPES = {
+  integer: 'INTEGER',
+  decimal: 'NUMERIC',
+  float: 'REAL',
+  boolean: 'INTEGER',
+  binary: 'BLOB'
+};
+
+/**
+ * Execute a read-only query against a throwaway SQLite copy of the schema.
+ * The database is built and queried in a child process that is killed when
+ * the time limit is reached, so runaway queries cannot block the server.
+ * At most SANDBOX_CONFIG.maxConcurrent children run at once; other queries wait for a slot.
+ * @param {string} sql - Query to run (a single read-only statement)
+ * @param {object} schemaModel - Parsed schema model (see sqlParser)
+ * @param {object} options - { seedRows, maxRows, timeoutMs, signal } - aborting signal kills the sandbox
+ *   (or stops the wait for a slot); timeoutMs starts once the query has a slot
+ * @returns {Promise<object>} { success, columns, rows, rowCount, truncated, error, executionTime, seedRows, executedSql, warnings }
+ */
+async function runSqlInSandbox(sql, schemaModel, options = {}) {
+  const release = options.signal?.aborted ? null : await acquireSandboxSlot(options.signal);
+  if (!release) {
+    return { ...failure('Query cancelled', { cancelled: true }), executionTime: 0 };
+  }
+
+  return runInChild(sql, schemaModel, options, release);
+}
+
+/**
+ * Wait until fewer than SANDBOX_CONFIG.maxConcurrent sandboxes run
+ * @returns {Promise<Function|null>} Call to give the slot back, or null when the signal aborted first
+ */
+function acquireSandboxSlot(signal) {
+  return new Promise((resolve) => {
+    const grant = () => {
+      signal?.removeEventListener('abort', cancel);
+      runningSandboxes++;
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        runningSandboxes--;
+        sandboxQueue.shift()?.();
+      });
+    };
+    const cancel = () => {
+      sandboxQueue.splice(sandboxQueue.indexOf(grant), 1);
+      resolve(null);
+    };
+
+    if (runningSandboxes < SANDBOX_CONFIG.maxConcurrent) return grant();
+    signal?.addEventListener('abort', cancel, { once: true });
+    sandboxQueue.push(grant);
+  });
+}
+
+function runInChild(sql, schemaModel, options, release) {
+  const timeoutMs = options.timeoutMs || SANDBOX_CONFIG.timeoutMs;
+  const startTime = Date.now();
+
+  return new Promise((resolve) => {
+    const child = fork(__filename, [], {
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc'],
+      execArgv: [`--max-old-space-size=${SANDBOX_CONFIG.maxMemoryMb}`]
+    });
+    // The slot is free once the process is gone, not when its answer arrives
+    child.once('exit', release);
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', abort);
+      if (child.exitCode === null) child.kill('SIGKILL');
+      resolve({ ...result, executionTime: Date.now() - startTime });
+    };
+
+    const timer = setTimeout(() => {
+      console.warn(`⏱️ SQL sandbox timed out after ${timeoutMs}ms`);
+      finish(failure(`Query exceeded the ${timeoutMs}ms time limit`, { timedOut: true }));
+    }, timeoutMs);
+
+    const abort = () => finish(failure('Query cancelled', { cancelled: true }));
+    options.signal?.addEventListener('abort', abort, { once: true });
+
+    child.once('message', finish);
+    child.once('error', (error) => {
+      release();
+      finish(failure(`Sandbox failed to start: ${error.message}`));
+    });
+    child.once('exit', (code) => finish(failure(`Sandbox exited unexpectedly (code ${code})`)));
+
+    child.send({
+      sql,
+      schemaModel,
+      options: {
+        seedRows: Math.min(Math.max(parseInt(options.seedRows) || 0, 0), SANDBOX_CONFIG.maxSeedRows),
+        maxRows: Math.max(parseInt(options.maxRows) || SANDBOX_CONFIG.maxRows, 1)
+      }
+    });
+  });
+}
+
+/**
+ * Build the database and run the query. Runs inside the sandbox process.
+ */
+function executeInSandbox(sql, schemaModel, { seedRows = 0, maxRows = SANDBOX_CONFIG.maxRows } = {}) {
+  const Database = require('better-sqlite3');
+  const db = new Database(':memory:');
+  const warnings = [];
+
+  try {
+    buildDatabase(db, schemaModel, warnings);
+    if (seedRows > 0) seedDatabase(db, schemaModel, seedRows, warnings);
+    registerFunctions(db);
+    db.pragma('query_only = ON');
+
+    const executedSql = adaptToSqlite(sql, schemaModel?.dialect);
+    const rejection = checkReadOnlySql(executedSql);
+    if (rejection) {
+      return failure(rejection, { executedSql, warnings, seedRows });
+    }
+
+    let statement;
+    try {
+      statement = db.prepare(executedSql);
+    } catch (error) {
+      return failure(error.message, { executedSql, warnings, seedRows });
+    }
+
+    if (!statement.readonly) {
+      return failure('Only read-only statements (SELECT, WITH, EXPLAIN) can run in the sandbox', { executedSql, warnings, seedRows });
+    }
+
+    const columns = statement.reader ? statement.columns().map(c => c.name) : [];
+    const rows = [];
+    let truncated = false;
+
+    if (statement.reader) {
+      statement.raw(true);
+      for (const row of statement.iterate()) {
+        if (rows.length >= maxRows) {
+          truncated = true;
+          break;
+        }
+        rows.push(row.map(toJsonValue));
+      }
+    } else {
+      statement.run();
+    }
+
+    return {
+      success: true,
+      columns,
+      rows,
+      rowCount: rows.length,
+      truncated,
+      error: null,
+      seedRows,
+      executedSql,
+      warnings
+    };
+  } catch (error) {
+    return failure(error.message, { warnings, seedRows });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Why a query may not run in the sandbox, or null when it may. Checked on SQLite tokens,
+ * so comments and string literals cannot hide or fake a keyword.
+ */
+function checkReadOnlySql(sql) {
+  const words = tokenize(sql, { dialect: 'sqlite' }).filter(t => t.type === 'word');
+
+  if (!words[0] || !READ_ONLY_STARTS.includes(words[0].upper)) {
+    return `Only read-only statements (${READ_ONLY_STARTS.join(', ')}) can run in the sandbox`;
+  }
+  const forbidden = words.find(t => FORBIDDEN_KEYWORDS.includes(t.upper));
+  if (forbidden) {
+    return `${forbidden.upper} is not allowed in the sandbox`;
+  }
+  return null;
+}
+
+function failure(message, extra = {}) {
+  return {
+    success: false,
+    columns: [],
+    rows: [],
+    rowCount: 0,
+    truncated: false,
+    error: message,
+    warnings: [],
+    ...extra
+  };
+}
+
+/**
+ * Create every table of the schema model. Tables in a named schema (e.g. public.users)
+ * live in an attached database of that name, so both qualified and bare names resolve.
+ */
+function buildDatabase(db, schemaModel, warnings) {
+  const attached = new Set();
+
+  for (const table of schemaModel?.tables || []) {
+    let prefix = '';
+    if (table.schema && !['main', 'temp'].includes(table.schema.toLowerCase())) {
+      const schema = table.schema.toLowerCase();
+      if (!attached.has(schema) && attached.size < MAX_ATTACHED_SCHEMAS) {
+        db.exec(`ATTACH DATABASE ':memory:' AS ${quote(schema)}`);
+        attached.add(schema);
+      }
+      if (attached.has(schema)) {
+        prefix = `${quote(schema)}.`;
+      } else {
+        warnings.push(`Too many schemas; table "${table.schema}.${table.name}" was created without its schema`);
+      }
+    }
+
+    try {
+      db.exec(`CREATE TABLE ${prefix}${quote(table.name)} (${tableDefinition(table)})`);
+    } catch (error) {
+      warnings.push(`Could not create table "${table.name}": ${error.message}`);
+    }
+  }
+}
+
+function tableDefinition(table) {
+  const compositeKey = table.primaryKey.length > 1;
+
+  const parts = table.columns.map(column => {
+    let definition = `${quote(column.name)} ${column.isArray ? 'TEXT' : (SQLITE_TYPES[column.category] || 'TEXT')}`;
+    if (column.primaryKey && !compositeKey) definition += ' PRIMARY KEY';
+    if (column.nullable === false && !column.primaryKey) definition += ' NOT NULL';
+    if (column.unique && !column.primaryKey) definition += ' UNIQUE';
+    if (column.enumValues?.length) {
+      definition += ` CHECK (${quote(column.name)} IN (${column.enumValues.map(literal).join(', ')}))`;
+    }
+    return definition;
+  });
+
+  if (compositeKey) {
+    parts.push(`PRIMARY KEY (${table.primaryKey.map(quote).join(', ')})`);
+  }
+  for (const constraint of table.uniqueConstraints) {
+    parts.push(`UNIQUE (${constraint.columns.map(quote).join(', ')})`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Insert deterministic sample rows. Row i of a foreign key column holds the value that
+ * row i of the referenced column gets, so joins across seeded tables match up.
+ */
+function seedDatabase(db, schemaModel, seedRows, warnings) {
+  for (const table of schemaModel.tables) {
+    if (table.columns.length === 0) continue;
+
+    const target = (table.schema && !['main', 'temp'].includes(table.schema.toLowerCase()))
+      ? `${quote(table.schema.toLowerCase())}.${quote(table.name)}`
+      : quote(table.name);
+    let insert;
+    try {
+      insert = db.prepare(`INSERT OR IGNORE INTO ${target} (${table.columns.map(c => quote(c.name)).join(', ')}) VALUES (${table.columns.map(() => '?').join(', ')})`);
+    } catch (error) {
+      warnings.push(`Could not seed table "${table.name}": ${error.message}`);
+      continue;
+    }
+
+    const insertAll = db.transaction(() => {
+      for (let i = 1; i <= seedRows; i++) {
+        insert.run(table.columns.map(column => seedValue(schemaModel, table, column, i)));
+      }
+    });
+    insertAll();
+  }
+}
+
+function seedValue(schemaModel, table, column, row) {
+  const reference = columnReference(schemaModel, table, column);
+  if (reference) return sampleValue(reference.column, row);
+  return sampleValue(column, row);
+}
+
+function columnReference(schemaModel, table, column) {
+  const name = column.name.toLowerCase();
+  const foreignKey = table.foreignKeys.find(fk => fk.columns.some(c => c.toLowerCase() === name));
+  const target = foreignKey
+    ? { table: foreignKey.table, columns: foreignKey.referencedColumns, index: foreignKey.columns.findIndex(c => c.toLowerCase() === name) }
+    : column.references ? { table: column.references.table, columns: column.references.columns, index: 0 } : null;
+  if (!target) return null;
+
+  const parent = schemaModel.tables.find(t => t.name.toLowerCase() === String(target.table).toLowerCase());
+  if (!parent) return null;
+
+  const parentColumnName = target.columns?.[target.index] || parent.primaryKey[target.index];
+  const parentColumn = parentColumnName && parent.columns.find(c => c.name.toLowerCase() === parentColumnName.toLowerCase());
+  // Guard against self-references to the same column
+  if (!parentColumn || parentColumn === column) return null;
+
+  return { table: parent, column: parentColumn };
+}
+
+function sampleValue(column, row) {
+  const day = String((row % 28) + 1).padStart(2, '0');
+
+  if (column.enumValues?.length) return column.enumValues[(row - 1) % column.enumValues.length];
+  if (column.isArray) return '[]';
+
+  switch (column.category) {
+    case 'integer': return row;
+    case 'decimal':
+    case 'float': return row * 10.5;
+    case 'boolean': return row % 2;
+    case 'uuid': return `00000000-0000-4000-8000-${String(row).padStart(12, '0')}`;
+    case 'date': return `2024-01-${day}`;
+    case 'timestamp': return `2024-01-${day} 12:00:00`;
+    case 'time': return `12:${String(row % 60).padStart(2, '0')}:00`;
+    case 'json': return '{}';
+    case 'binary': return Buffer.from([row % 256]);
+    default:
+      return /email/i.test(column.name) ? `user${row}@example.com` : `${column.name}_${row}`;
+  }
+}
+
+/**
+ * Functions common in other dialects that SQLite lacks
+ */
+function registerFunctions(db) {
+  db.function('now', { deterministic: false }, () => new Date().toISOString().replace('T', ' ').slice(0, 19));
+}
+
+/**
+ * Rewrite the few dialect constructs SQLite cannot parse: ILIKE becomes LIKE (already
+ * case-insensitive for ASCII) and PostgreSQL ::type casts are dropped.
+ */
+function adaptToSqlite(sql, dialect) {
+  const toks = tokenize(sql, { dialect });
+  const edits = [];
+
+  for (let i = 0; i < toks.length; i++) {
+    const t = toks[i];
+    if (t.upper === 'ILIKE') {
+      edits.push({ start: t.start, end: t.end, text: 'LIKE' });
+    } else if (t.value === '::' && toks[i + 1]) {
+      let end = i + 1;
+      while (toks[end + 1]?.value === '.' && toks[end + 2]) end += 2;
+      if (toks[end + 1]?.value === '(') {
+        while (end < toks.length - 1 && toks[end].value !== ')') end++;
+      }
+      while (toks[end + 1]?.value === '[' && toks[end + 2]?.value === ']') end += 2;
+      edits.push({ start: t.start, end: toks[end].end, text: '' });
+      i = end;
+    }
+  }
+
+  let result = sql;
+  for (const edit of edits.reverse()) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result.trim();
+}
+
+function toJsonValue(value) {
+  if (Buffer.isBuffer(value)) return `\\x${value.toString('hex')}`;
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+function quote(identifier) {
+  return `"${String(identifier).replace(/"/g, '""')}"`;
+}
+
+function literal(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// Sandbox process entry point
+if (require.main === module) {
+  process.once('message', ({ sql, schemaModel, options }) => {
+    const result = executeInSandbox(sql, schemaModel, options);
+    process.send(result, () => process.exit(0));
+  });
+}
+
+module.exports = {
+  runSqlInSandbox,
+  executeInSandbox,
+  checkReadOnlySql,
+  adaptToSqlite,
+  SANDBOX_CONFIG
+};
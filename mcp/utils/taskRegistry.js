@@ -0,0 +1,77 @@
+// utils/taskRegistry.js - In-flight /task runs, each with an AbortController so it can be cancelled
+const crypto = require('crypto');
+
+const tasks = new Map();
+
+/**
+ * Register a task run
+ * @param {object} details - { type, projectId, userId }
+ * @returns {object} { id, type, projectId, userId, startedAt, signal }
+ */
+function startTask({ type, projectId, userId }) {
+    const controller = new AbortController();
+    const task = {
+        id: crypto.randomUUID(),
+        type,
+        projectId,
+        userId,
+        startedAt: new Date(),
+        signal: controller.signal,
+        controller
+    };
+
+    tasks.set(task.id, task);
+    return task;
+}
+
+/**
+ * Abort a running task; its LLM stream and sandbox process stop at the next opportunity
+ * @param {string} taskId - Task identifier
+ * @param {string} reason - Why it was cancelled (client_request, client_disconnected)
+ * @returns {object|null} The task, or null if it is unknown or already finished
+ */
+function cancelTask(taskId, reason = 'client_request') {
+    const task = tasks.get(taskId);
+    if (!task) return null;
+
+    if (!task.signal.aborted) {
+        console.log(`🛑 Cancelling task ${taskId} (${task.type}, ${reason})`);
+        task.controller.abort(cancellationError(reason));
+    }
+    return task;
+}
+
+/**
+ * Forget a task once its response is complete
+ */
+function finishTask(taskId) {
+    tasks.delete(taskId);
+}
+
+function getTask(taskId) {
+    return tasks.get(taskId) || null;
+}
+
+/**
+ * Error used as the abort reason, recognisable with isCancellation
+ */
+function cancellationError(reason) {
+    const error = new Error(`Task cancelled (${reason})`);
+    error.name = 'AbortError';
+    error.cancelled = true;
+    error.reason = reason;
+    return error;
+}
+
+function isCancellation(error, signal) {
+    return Boolean(signal?.aborted || error?.cancelled || error?.name === 'AbortError' || error?.name === 'CanceledError');
+}
+
+module.exports = {
+    startTask,
+    cancelTask,
+    finishTask,
+    getTask,
+    cancellationError,
+    isCancellation
+};
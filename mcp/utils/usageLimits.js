@@ -0,0 +1,283 @@
+// utils/usageLimits.js - Short-window rate limits and daily usage quotas per user and per project
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const { UsageRecord } = require('../models/index.js');
+
+const RATE_LIMIT_CONFIG = {
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
+    // Requests per window across the whole API, per user
+    general: parseLimit(process.env.RATE_LIMIT_MAX_REQUESTS, 300),
+    chat: {
+        perUser: parseLimit(process.env.CHAT_RATE_LIMIT_PER_USER, 20),
+        perProject: parseLimit(process.env.CHAT_RATE_LIMIT_PER_PROJECT, 60)
+    },
+    upload: {
+        perUser: parseLimit(process.env.UPLOAD_RATE_LIMIT_PER_USER, 10),
+        perProject: parseLimit(process.env.UPLOAD_RATE_LIMIT_PER_PROJECT, 30)
+    }
+};
+
+// Daily quotas (UTC days); 0 disables a quota
+const QUOTA_METRICS = ['requests', 'uploads', 'tokensGenerated', 'chunksEmbedded'];
+const QUOTA_CONFIG = {
+    user: {
+        requests: parseLimit(process.env.QUOTA_USER_DAILY_REQUESTS, 500),
+        uploads: parseLimit(process.env.QUOTA_USER_DAILY_UPLOADS, 100),
+        tokensGenerated: parseLimit(process.env.QUOTA_USER_DAILY_TOKENS, 200000),
+        chunksEmbedded: parseLimit(process.env.QUOTA_USER_DAILY_CHUNKS, 5000)
+    },
+    project: {
+        requests: parseLimit(process.env.QUOTA_PROJECT_DAILY_REQUESTS, 2000),
+        uploads: parseLimit(process.env.QUOTA_PROJECT_DAILY_UPLOADS, 500),
+        tokensGenerated: parseLimit(process.env.QUOTA_PROJECT_DAILY_TOKENS, 1000000),
+        chunksEmbedded: parseLimit(process.env.QUOTA_PROJECT_DAILY_CHUNKS, 20000)
+    }
+};
+
+const limiters = {};
+
+/**
+ * Express rate limiter counting requests per user or per project in a fixed window.
+ * Answers 429 with a Retry-After header and the same hint in the body. There is one limiter
+ * per name and scope: asking again returns it, so HTTP routes and MCP tool calls share a window.
+ * @param {string} name - general, chat or upload
+ * @param {string} scope - user or project
+ */
+function createRateLimiter(name, scope = 'user') {
+    if (limiters[`${name}:${scope}`]) return limiters[`${name}:${scope}`].limiter;
+
+    const limit = name === 'general' ? RATE_LIMIT_CONFIG.general : RATE_LIMIT_CONFIG[name][scope === 'user' ? 'perUser' : 'perProject'];
+    const store = new MemoryStore();
+
+    const limiter = rateLimit({
+        store,
+        windowMs: RATE_LIMIT_CONFIG.windowMs,
+        limit,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        // Unlimited (0) limits and unauthenticated routes pass through
+        skip: (req) => limit === 0 || !rateLimitKey(req, scope),
+        keyGenerator: (req) => rateLimitKey(req, scope),
+        handler: (req, res, next, options) => {
+            const retryAfter = Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 1);
+            console.warn(`🚦 Rate limit hit: ${name} per ${scope} (${rateLimitKey(req, scope)})`);
+            res.status(options.statusCode).json({
+                error: 'Too many requests',
+                message: rateLimitMessage(name, scope, limit),
+                limit: { name, scope, max: limit, windowMs: RATE_LIMIT_CONFIG.windowMs },
+                retryAfter
+            });
+        }
+    });
+
+    limiters[`${name}:${scope}`] = { limiter, limit, store };
+    return limiter;
+}
+
+/**
+ * Count a call that does not go through Express (an MCP tool call) against the per-user and
+ * per-project windows of a limiter
+ * @param {string} name - chat or upload
+ * @param {object} subject - { userId, projectId }
+ * @throws {Error} with status 429 and retryAfter (seconds) when a window's limit is reached
+ */
+async function consumeRateLimit(name, { userId, projectId }) {
+    for (const [scope, key] of [['user', userId], ['project', projectId]]) {
+        createRateLimiter(name, scope);
+        const { limit, store } = limiters[`${name}:${scope}`];
+        if (limit === 0 || !key) continue;
+
+        const { totalHits, resetTime } = await store.increment(key);
+        if (totalHits > limit) {
+            console.warn(`🚦 Rate limit hit: ${name} per ${scope} (${key})`);
+            const error = new Error(rateLimitMessage(name, scope, limit));
+            error.status = 429;
+            error.retryAfter = Math.max(Math.ceil((resetTime - Date.now()) / 1000), 1);
+            throw error;
+        }
+    }
+}
+
+function rateLimitMessage(name, scope, limit) {
+    return `${capitalize(name)} rate limit of ${limit} requests per ${Math.round(RATE_LIMIT_CONFIG.windowMs / 1000)}s per ${scope} reached`;
+}
+
+function rateLimitKey(req, scope) {
+    return scope === 'user' ? req.user?.userId : (req.params?.projectId || req.body?.projectId);
+}
+
+/**
+ * Reject work that would push the user or the project over a daily quota
+ * @param {object} subject - { userId, projectId }
+ * @param {string} metric - requests, uploads, tokensGenerated or chunksEmbedded
+ * @param {number} amount - Units about to be used; 0 only checks the quota is not already spent
+ * @throws {Error} with status 429 and retryAfter (seconds) when a quota would be exceeded
+ */
+async function checkQuota({ userId, projectId }, metric, amount = 1) {
+    const day = usageDay();
+    const records = await UsageRecord.find({
+        day,
+        $or: [{ scope: 'user', key: userId }, { scope: 'project', key: projectId }]
+    }).lean();
+
+    for (const [scope, key] of [['user', userId], ['project', projectId]]) {
+        const limit = QUOTA_CONFIG[scope][metric];
+        if (!key || !limit) continue;
+
+        const used = records.find(record => record.scope === scope && record.key === key)?.[metric] || 0;
+        if (used + amount > limit || (amount === 0 && used >= limit)) {
+            const error = new Error(`Daily ${describeMetric(metric)} quota for this ${scope} reached (${used}/${limit}${amount > 1 ? `, ${amount} more requested` : ''})`);
+            error.status = 429;
+            error.quota = { scope, metric, used, limit, requested: amount };
+            error.retryAfter = secondsUntilReset();
+            throw error;
+        }
+    }
+}
+
+/**
+ * Add to today's counters of a user and a project
+ * @param {object} subject - { userId, projectId }
+ * @param {object} increments - { requests, uploads, tokensGenerated, chunksEmbedded }
+ */
+async function recordUsage({ userId, projectId }, increments) {
+    const $inc = Object.fromEntries(Object.entries(increments).filter(([metric, value]) => QUOTA_METRICS.includes(metric) && value > 0));
+    if (Object.keys($inc).length === 0) return;
+
+    const day = usageDay();
+    await Promise.all([['user', userId], ['project', projectId]]
+        .filter(([, key]) => key)
+        .map(([scope, key]) => UsageRecord.updateOne(
+            { scope, key, day },
+            { $inc, $set: { updatedAt: new Date() } },
+            { upsert: true }
+        )));
+}
+
+/**
+ * Check a quota and count `amount` units against it
+ */
+async function consumeQuota(subject, metric, amount = 1) {
+    await checkQuota(subject, metric, amount);
+    await recordUsage(subject, { [metric]: amount });
+}
+
+/**
+ * Express middleware: count the request against the daily quota, or answer 429
+ * @param {string} metric - requests or uploads
+ * @param {object} options - { alsoCheck: metrics that must not be spent already, e.g. tokensGenerated }
+ */
+function requireQuota(metric, { alsoCheck = [] } = {}) {
+    return async (req, res, next) => {
+        const subject = { userId: req.user?.userId, projectId: req.params.projectId || req.body?.projectId };
+        try {
+            for (const other of alsoCheck) {
+                await checkQuota(subject, other, 0);
+            }
+            await consumeQuota(subject, metric);
+            next();
+        } catch (error) {
+            if (error.status !== 429) return next(error);
+            sendQuotaExceeded(res, error);
+        }
+    };
+}
+
+/**
+ * Answer 429 for a quota error from checkQuota, with a Retry-After header
+ */
+function sendQuotaExceeded(res, error) {
+    console.warn(`🚦 Quota exceeded: ${error.message}`);
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(429).json({
+        error: 'Quota exceeded',
+        message: error.message,
+        quota: error.quota,
+        retryAfter: error.retryAfter,
+        resetsAt: nextReset().toISOString()
+    });
+}
+
+/**
+ * Today's usage of a user and a project against their quotas, plus the
+ * current rate-limit windows
+ * @returns {Promise<object>} { day, resetsAt, user, project, rateLimits }
+ */
+async function getUsage({ userId, projectId }) {
+    const day = usageDay();
+    const records = await UsageRecord.find({
+        day,
+        $or: [{ scope: 'user', key: userId }, { scope: 'project', key: projectId }]
+    }).lean();
+
+    const describe = (scope, key) => {
+        const record = records.find(r => r.scope === scope && r.key === key) || {};
+        return {
+            [scope === 'user' ? 'userId' : 'projectId']: key,
+            ...Object.fromEntries(QUOTA_METRICS.map(metric => {
+                const used = record[metric] || 0;
+                const limit = QUOTA_CONFIG[scope][metric] || null;
+                return [metric, { used, limit, remaining: limit === null ? null : Math.max(limit - used, 0) }];
+            }))
+        };
+    };
+
+    const rateLimits = {};
+    for (const [name, { limiter, limit }] of Object.entries(limiters)) {
+        const scope = name.split(':')[1];
+        const key = scope === 'user' ? userId : projectId;
+        const hits = limit > 0 && key ? await limiter.getKey(key) : null;
+        rateLimits[name] = {
+            limit: limit || null,
+            windowMs: RATE_LIMIT_CONFIG.windowMs,
+            used: hits?.totalHits || 0,
+            resetsAt: hits?.resetTime || null
+        };
+    }
+
+    return {
+        day,
+        resetsAt: nextReset().toISOString(),
+        user: describe('user', userId),
+        project: describe('project', projectId),
+        rateLimits
+    };
+}
+
+function usageDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function nextReset() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+function secondsUntilReset() {
+    return Math.max(Math.ceil((nextReset() - Date.now()) / 1000), 1);
+}
+
+function describeMetric(metric) {
+    return { requests: 'request', uploads: 'upload', tokensGenerated: 'generated token', chunksEmbedded: 'embedding' }[metric];
+}
+
+function parseLimit(value, fallback) {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? fallback : Math.max(parsed, 0);
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+    RATE_LIMIT_CONFIG,
+    QUOTA_CONFIG,
+    createRateLimiter,
+    consumeRateLimit,
+    checkQuota,
+    recordUsage,
+    consumeQuota,
+    requireQuota,
+    sendQuotaExceeded,
+    getUsage
+};
@@ -1,107 +1,207 @@
 // utils/vectorStore.js - Vector Store Implementation with ChromaDB
+const crypto = require('crypto');
 const { ChromaClient } = require('chromadb');
-const { generateEmbeddings } = require('./embed');
+const { generateEmbeddingsWithModel, getEmbeddingModel, embeddingModelTags } = require('./embed');
+const { HYBRID_CONFIG, buildKeywordIndex, rankHybrid } = require('./hybridSearch');
+const { createLocalStore, acquireSnapshotLock, loadSnapshot, scheduleSnapshot, flushSnapshot, addDocuments, matchesWhere } = require('./localVectorStore');
 
 const COLLECTION_NAME = 'schema_embeddings';
 const CHROMA_URL = process.env.CHROMA_URL || 'http://localhost:8000';
 
-let client;
-let collection;
+// How ChromaDB vectors are split into collections:
+//   shared  - one collection for every project, separated by a projectId filter (default)
+//   project - one collection per project
+//   tenant  - one collection per tenant: the part of the projectId before VECTOR_TENANT_SEPARATOR
+// The local store always keeps projects apart.
+const COLLECTION_MODES = ['shared', 'project', 'tenant'];
+const COLLECTION_CONFIG = {
+    mode: parseCollectionMode(process.env.VECTOR_COLLECTION_MODE),
+    tenantSeparator: process.env.VECTOR_TENANT_SEPARATOR || ':'
+};
+const CHROMA_PAGE_SIZE = 500;
+
+// Per-project keyword indexes for hybrid search, rebuilt after writes. ChromaDB entries also
+// expire so writes from another process (e.g. the stdio MCP server) are picked up.
+const keywordIndexes = new Map();
+const KEYWORD_INDEX_TTL_MS = parseInt(process.env.KEYWORD_INDEX_TTL_MS) || 60000;
 
 /**
- * Initialize ChromaDB client and collection
+ * Connect to ChromaDB, or fall back to the local store
+ * @param {object} options - { snapshotPath } - local store snapshot file (defaults to LOCAL_VECTOR_STORE_PATH)
  */
-const axios = require('axios');
+async function initializeVectorStore({ snapshotPath } = {}) {
+    try {
+        const chromaStore = await connectChroma();
+        global.vectorStore = chromaStore;
+        return chromaStore;
+    } catch (error) {
+        console.error('❌ Failed to initialize vector store:', error);
+        console.log('🔄 Falling back to in-memory vector store...');
+        return initializeInMemoryStore({ snapshotPath });
+    }
+}
 
-const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
-const OLLAMA_EMBED_MODEL = process.env.OLLAMA_EMBED_MODEL || 'nomic-embed-text';
+/**
+ * Connect to ChromaDB and open (or create) the shared schema collection. Per-project
+ * or per-tenant collections are opened on first use (see getProjectCollection).
+ * @returns {Promise<object>} { client, collection, collections, collectionMode }
+ */
+async function connectChroma() {
+    console.log(`🔌 Connecting to ChromaDB at ${CHROMA_URL}...`);
+
+    const chromaUrl = new URL(CHROMA_URL);
+    const client = new ChromaClient({
+        host: chromaUrl.hostname,
+        port: parseInt(chromaUrl.port) || (chromaUrl.protocol === 'https:' ? 443 : 80),
+        ssl: chromaUrl.protocol === 'https:'
+    });
 
-async function initializeVectorStore() {
+    let collection;
     try {
-        console.log(`🔌 Connecting to ChromaDB at ${CHROMA_URL}...`);
-
-        const client = new ChromaClient({ host: 'localhost', port: 8000, ssl: false });
-
-
-        // 🧠 Define custom embedding function using Ollama
-        const embeddingFunction = {
-            embedDocuments: async (texts) => {
-                const response = await axios.post(`${OLLAMA_URL}/api/embeddings`, {
-                    model: OLLAMA_EMBED_MODEL,
-                    prompt: texts
-                });
-                return response.data.embeddings;
-            },
-            embedQuery: async (text) => {
-                const response = await axios.post(`${OLLAMA_URL}/api/embeddings`, {
-                    model: OLLAMA_EMBED_MODEL,
-                    prompt: [text]
-                });
-                return response.data.embeddings[0];
+        collection = await client.getCollection({
+            name: COLLECTION_NAME
+        });
+        console.log(`📚 Using existing collection: ${COLLECTION_NAME}`);
+    } catch (error) {
+        collection = await client.createCollection({
+            name: COLLECTION_NAME,
+            metadata: {
+                description: 'Database schema embeddings for RAG',
+                created_at: new Date().toISOString()
             }
-        };
+        });
+        console.log(`📚 Created new collection: ${COLLECTION_NAME}`);
+    }
+
+    if (COLLECTION_CONFIG.mode !== 'shared') {
+        console.log(`📚 Using one collection per ${COLLECTION_CONFIG.mode}`);
+        const legacyCount = await collection.count();
+        if (legacyCount > 0) {
+            console.warn(`⚠️ ${legacyCount} vectors are still in the shared collection ${COLLECTION_NAME} and will not be searched; move them with npm run vectors:migrate`);
+        }
+    }
+
+    return { client, collection, collections: new Map(), collectionMode: COLLECTION_CONFIG.mode };
+}
 
-        let collection;
+/**
+ * Name of the ChromaDB collection holding a project's vectors. Names keep a readable part of the
+ * project (or tenant) id and a hash of it, so ids that differ only in unusual characters never share one.
+ */
+function getCollectionName(projectId, mode = COLLECTION_CONFIG.mode) {
+    if (mode === 'shared') return COLLECTION_NAME;
+
+    const key = mode === 'tenant' ? tenantOf(projectId) : String(projectId);
+    const slug = key.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+    const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+    return `${COLLECTION_NAME}_${slug ? `${slug}_` : ''}${hash}`;
+}
+
+function tenantOf(projectId) {
+    const separatorAt = String(projectId).indexOf(COLLECTION_CONFIG.tenantSeparator);
+    return separatorAt > 0 ? String(projectId).slice(0, separatorAt) : String(projectId);
+}
+
+/**
+ * The ChromaDB collection holding a project's vectors
+ * @param {object} vectorStore - ChromaDB vector store
+ * @param {string} projectId - Project identifier
+ * @param {object} options - { create: create the collection when it does not exist yet }
+ * @returns {Promise<object|null>} The collection, or null when it does not exist and create is false
+ */
+async function getProjectCollection(vectorStore, projectId, { create = false } = {}) {
+    if (vectorStore.collectionMode === 'shared' || !vectorStore.collectionMode) return vectorStore.collection;
+
+    const name = getCollectionName(projectId, vectorStore.collectionMode);
+    if (vectorStore.collections.has(name)) return vectorStore.collections.get(name);
+
+    let projectCollection;
+    if (create) {
+        projectCollection = await vectorStore.client.getOrCreateCollection({
+            name,
+            metadata: {
+                description: 'Database schema embeddings for RAG',
+                ...(vectorStore.collectionMode === 'tenant' ? { tenant: tenantOf(projectId) } : { projectId }),
+                created_at: new Date().toISOString()
+            }
+        });
+    } else {
         try {
-            collection = await client.getCollection({
-                name: COLLECTION_NAME
-                // embeddingFunction
-            });
-            console.log(`📚 Using existing collection: ${COLLECTION_NAME}`);
+            projectCollection = await vectorStore.client.getCollection({ name });
         } catch (error) {
-            collection = await client.createCollection({
-                name: COLLECTION_NAME,
-               // embeddingFunction,
-                metadata: {
-                    description: 'Database schema embeddings for RAG',
-                    created_at: new Date().toISOString()
-                }
-            });
-            console.log(`📚 Created new collection: ${COLLECTION_NAME}`);
+            // Nothing stored for the project yet
+            return null;
         }
-
-        global.vectorStore = { client, collection };
-        return { client, collection };
-    } catch (error) {
-        console.error('❌ Failed to initialize vector store:', error);
-        console.log('🔄 Falling back to in-memory vector store...');
-        return initializeInMemoryStore(); // You must have defined this elsewhere
     }
+
+    vectorStore.collections.set(name, projectCollection);
+    return projectCollection;
 }
 
 /**
- * Fallback in-memory vector store implementation
+ * Fallback local vector store: kept in memory and snapshotted to disk so it survives
+ * restarts (see utils/localVectorStore.js)
  */
-function initializeInMemoryStore() {
-    const inMemoryStore = {
-        documents: new Map(), // projectId -> documents[]
-        isInMemory: true
-    };
+async function initializeInMemoryStore({ snapshotPath } = {}) {
+    const inMemoryStore = createLocalStore({ snapshotPath });
+
+    const lockedBy = acquireSnapshotLock(inMemoryStore);
+    if (lockedBy) {
+        // Writing the file too would drop the other process's vectors
+        console.error(`❌ Vector store snapshot ${inMemoryStore.snapshotPath} is in use by process ${lockedBy}; vectors stored by this process are kept in memory only`);
+        inMemoryStore.snapshotPath = null;
+    }
+
+    try {
+        await loadSnapshot(inMemoryStore);
+    } catch (error) {
+        // Keep the unreadable file for inspection instead of overwriting it
+        console.error(`❌ Could not load vector store snapshot ${inMemoryStore.snapshotPath}:`, error.message);
+        inMemoryStore.snapshotPath = null;
+    }
 
     global.vectorStore = inMemoryStore;
 
-    console.log('✅ In-memory vector store initialized');
+    console.log(`✅ In-memory vector store initialized${inMemoryStore.snapshotPath ? ` (snapshots: ${inMemoryStore.snapshotPath})` : ''}`);
     return inMemoryStore;
 }
 
+/**
+ * Write the local store's pending changes to disk; a no-op for ChromaDB
+ */
+async function flushVectorStore() {
+    if (global.vectorStore?.isInMemory) {
+        await flushSnapshot(global.vectorStore);
+    }
+}
+
 /**
  * Store schema embeddings in the vector database
  * @param {object} vectorStore - Vector store instance
  * @param {string} projectId - Project identifier
- * @param {string[]} chunks - Text chunks to embed and store
+ * @param {Array<string|{text: string, metadata: object}>} chunks - Text chunks (optionally with per-chunk metadata) to embed and store
  * @param {object} metadata - Additional metadata about the schema
+ * @param {object} options - { onProgress(embedded, total), onCache({ hits, misses }) }, see generateEmbeddingsWithModel.
+ *   Vectors are tagged with the embedding model; a provider failure fails the store instead of storing mock vectors.
+ * @returns {Promise<number>} Number of chunks stored
  */
-async function storeSchemaEmbeddings(vectorStore, projectId, chunks, metadata = {}) {
+async function storeSchemaEmbeddings(vectorStore, projectId, chunks, metadata = {}, { onProgress = null, onCache = null } = {}) {
     console.log(`💾 Storing ${chunks.length} schema embeddings for project: ${projectId}`);
 
+    const normalizedChunks = chunks.map(chunk =>
+        typeof chunk === 'string' ? { text: chunk, metadata: {} } : { text: chunk.text, metadata: chunk.metadata || {} }
+    );
+
     try {
         if (vectorStore.isInMemory) {
-            await storeInMemoryEmbeddings(vectorStore, projectId, chunks, metadata);
+            await storeInMemoryEmbeddings(vectorStore, projectId, normalizedChunks, metadata, { onProgress, onCache });
         } else {
-            await storeChromaEmbeddings(vectorStore, projectId, chunks, metadata);
+            await storeChromaEmbeddings(vectorStore, projectId, normalizedChunks, metadata, { onProgress, onCache });
         }
 
+        keywordIndexes.delete(projectId);
         console.log(`✅ Successfully stored embeddings for project: ${projectId}`);
+        return normalizedChunks.length;
 
     } catch (error) {
         console.error(`❌ Failed to store embeddings for project ${projectId}:`, error);
@@ -112,33 +212,30 @@ async function storeSchemaEmbeddings(vectorStore, projectId, chunks, metadata =
 /**
  * Store embeddings in ChromaDB
  */
-async function storeChromaEmbeddings(vectorStore, projectId, chunks, metadata) {
-    const { collection } = vectorStore;
+async function storeChromaEmbeddings(vectorStore, projectId, chunks, metadata, embedOptions) {
+    const collection = await getProjectCollection(vectorStore, projectId, { create: true });
 
-    // Generate embeddings for all chunks
-    const embeddings = [];
+    // Generate embeddings for all chunks (batched, see utils/embed.js)
+    const { embeddings, embeddingModel } = await generateEmbeddingsWithModel(chunks.map(chunk => chunk.text), { ...embedOptions, fallbackToMock: false });
+    const modelTags = embeddingModelTags(embeddingModel);
     const documents = [];
     const metadatas = [];
     const ids = [];
+    const timestamp = Date.now();
 
     for (let i = 0; i < chunks.length; i++) {
         const chunk = chunks[i];
-        const embedding = await generateEmbeddings(chunk);
-        // console.log({ "embeddingat vectorstore": embedding })
-        embeddings.push(embedding);
-        documents.push(chunk);
+        documents.push(chunk.text);
         metadatas.push({
             projectId,
             chunkIndex: i,
-            timestamp: new Date().toISOString(),
-            ...metadata
+            timestamp: new Date(timestamp).toISOString(),
+            ...metadata,
+            ...chunk.metadata,
+            ...modelTags
         });
-        ids.push(`${projectId}_${i}_${Date.now()}`);
+        ids.push(`${projectId}_${i}_${timestamp}`);
     }
-    //console.log(embeddings)
-    // Add to ChromaDB collection
-
-
 
     await collection.add({
         ids,
@@ -146,75 +243,70 @@ async function storeChromaEmbeddings(vectorStore, projectId, chunks, metadata) {
         documents,
         metadatas
     });
-    const count = await collection.count();
-   // console.log("🧮 Total vectors stored in collection:", count);
-
-// const result = await collection.get({
-//   include: ['embeddings', 'documents', 'metadatas', 'uris'], // ✅ only these allowed
-//   where: { projectId }
-// });
-
-
-
-   // console.log("📦 Confirmed in collection:", result.embeddings);
-
 }
 
 /**
  * Store embeddings in memory (fallback)
  */
-async function storeInMemoryEmbeddings(vectorStore, projectId, chunks, metadata) {
-    if (!vectorStore.documents.has(projectId)) {
-        vectorStore.documents.set(projectId, []);
-    }
-
-    const projectDocs = vectorStore.documents.get(projectId);
-
-    // Clear existing documents for this project
-    projectDocs.length = 0;
-
-    // Generate and store embeddings
-    for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        const embedding = await generateEmbeddings(chunk);
-        console.log({ "embeddingat vectorstore": embedding })
-        const timestamp = Date.now();
-
-        projectDocs.push({
-            id: `${projectId}_${i}_${timestamp}`,
-            text: chunk,
-            embedding: embedding,
-            metadata: {
-                projectId,
-                chunkIndex: i,
-                timestamp: new Date().toISOString(),
-                ...metadata
-            }
-        });
-    }
+async function storeInMemoryEmbeddings(vectorStore, projectId, chunks, metadata, embedOptions) {
+    // Generate embeddings for all chunks (batched, see utils/embed.js), then append them
+    // to the project's earlier uploads like collection.add does
+    const { embeddings, embeddingModel } = await generateEmbeddingsWithModel(chunks.map(chunk => chunk.text), { ...embedOptions, fallbackToMock: false });
+    const modelTags = embeddingModelTags(embeddingModel);
+    const timestamp = Date.now();
+
+    addDocuments(vectorStore, chunks.map((chunk, i) => ({
+        id: `${projectId}_${i}_${timestamp}`,
+        text: chunk.text,
+        embedding: embeddings[i],
+        metadata: {
+            projectId,
+            chunkIndex: i,
+            timestamp: new Date(timestamp).toISOString(),
+            ...metadata,
+            ...chunk.metadata,
+            ...modelTags
+        }
+    })));
+    scheduleSnapshot(vectorStore);
 }
 
 /**
- * Search for similar chunks using cosine similarity
+ * Search for similar chunks. With options.queryText the search is hybrid: BM25 keyword
+ * scores are fused with cosine similarity and exact table/column names in the question
+ * boost the chunks that define them (see utils/hybridSearch.js). Both backends are
+ * scored by the same code, so results do not depend on the store.
+ * Only vectors made by the query's embedding model are compared; others need a reindex.
  * @param {object} vectorStore - Vector store instance
  * @param {string} projectId - Project to search within
  * @param {number[]} queryEmbedding - Embedding of the search query
  * @param {number} topK - Number of top results to return
+ * @param {object} options - { queryText, where, embeddingModel } - where is a Chroma metadata filter,
+ *   e.g. { filename: 'users.sql' }; embeddingModel ({ provider, model }) made the query embedding
+ *   and defaults to the configured model
  * @returns {Array} Array of similar chunks with similarity scores
  */
-async function searchSimilarChunks(vectorStore, projectId, queryEmbedding, topK = 5) {
-    console.log(`🔍 Searching for top ${topK} similar chunks in project: ${projectId}`);
+async function searchSimilarChunks(vectorStore, projectId, queryEmbedding, topK = 5, { queryText = null, where = null, embeddingModel = null } = {}) {
+    const hybrid = Boolean(queryText) && HYBRID_CONFIG.enabled;
+    const modelTags = embeddingModelTags({ ...(embeddingModel || getEmbeddingModel()), dimensions: queryEmbedding.length });
+    console.log(`🔍 Searching for top ${topK} ${hybrid ? 'hybrid' : 'similar'} chunks in project: ${projectId} (${modelTags.embeddingModel})`);
 
     try {
         let results;
 
-        if (vectorStore.isInMemory) {
-            results = await searchInMemoryChunks(vectorStore, projectId, queryEmbedding, topK);
+        if (hybrid) {
+            const index = await getKeywordIndex(vectorStore, projectId, modelTags, where);
+            results = rankHybrid(index, queryText, queryEmbedding, topK);
+        } else if (vectorStore.isInMemory) {
+            results = await searchInMemoryChunks(vectorStore, projectId, queryEmbedding, topK, scopedWhere(projectId, modelTags, where));
         } else {
-            results = await searchChromaChunks(vectorStore, projectId, queryEmbedding, topK);
+            results = await searchChromaChunks(vectorStore, projectId, queryEmbedding, topK, scopedWhere(projectId, modelTags, where));
         }
 
         console.log(`📊 Found ${results.length} similar chunks`);
+        if (results.length === 0 && !where) {
+            await warnAboutOtherModels(vectorStore, projectId, modelTags);
+        }
         return results;
 
     } catch (error) {
@@ -223,16 +315,74 @@ async function searchSimilarChunks(vectorStore, projectId, queryEmbedding, topK
     }
 }
 
+/**
+ * Keyword index over a project's chunks from one embedding model, with embeddings for the
+ * vector half of the score. Indexes over a filtered subset are built per search and not cached.
+ */
+async function getKeywordIndex(vectorStore, projectId, modelTags, where = null) {
+    const modelKey = `${modelTags.embeddingModel}/${modelTags.embeddingDimensions}`;
+    const cached = !where && keywordIndexes.get(projectId);
+    if (cached && cached.modelKey === modelKey && (vectorStore.isInMemory || Date.now() - cached.builtAt < KEYWORD_INDEX_TTL_MS)) {
+        return cached.index;
+    }
+
+    const filter = scopedWhere(projectId, modelTags, where);
+    let documents;
+    if (vectorStore.isInMemory) {
+        documents = (vectorStore.documents.get(projectId) || []).filter(doc => matchesWhere(doc.metadata, filter));
+    } else {
+        const collection = await getProjectCollection(vectorStore, projectId);
+        const results = collection
+            ? await collection.get({ where: filter, include: ['documents', 'metadatas', 'embeddings'] })
+            : {};
+        documents = (results.ids || []).map((id, i) => ({
+            id,
+            text: results.documents?.[i] || '',
+            metadata: results.metadatas?.[i] || {},
+            embedding: results.embeddings?.[i]
+        }));
+    }
+
+    const index = buildKeywordIndex(documents);
+    if (!where) keywordIndexes.set(projectId, { index, modelKey, builtAt: Date.now() });
+    return index;
+}
+
+/**
+ * Chroma filter for a project's vectors of one embedding model, narrowed by an optional metadata filter
+ */
+function scopedWhere(projectId, modelTags, where) {
+    return {
+        $and: [
+            { projectId },
+            { embeddingModel: modelTags.embeddingModel },
+            { embeddingDimensions: modelTags.embeddingDimensions },
+            ...(where ? [where] : [])
+        ]
+    };
+}
+
+/**
+ * A search found nothing: say so when the project does have vectors, just from another model
+ */
+async function warnAboutOtherModels(vectorStore, projectId, modelTags) {
+    const { documentCount } = await getProjectStats(vectorStore, projectId);
+    if (documentCount > 0) {
+        console.warn(`⚠️ Project ${projectId} has ${documentCount} vectors but none from ${modelTags.embeddingModel} (${modelTags.embeddingDimensions} dimensions); reindex it with POST /project/${projectId}/reindex`);
+    }
+}
+
 /**
  * Search ChromaDB for similar chunks
  */
-async function searchChromaChunks(vectorStore, projectId, queryEmbedding, topK) {
-    const { collection } = vectorStore;
+async function searchChromaChunks(vectorStore, projectId, queryEmbedding, topK, where) {
+    const collection = await getProjectCollection(vectorStore, projectId);
+    if (!collection) return [];
 
     const results = await collection.query({
         queryEmbeddings: [queryEmbedding],
         nResults: topK,
-        where: { projectId: projectId }
+        where
     });
 
     // Format results
@@ -255,8 +405,8 @@ async function searchChromaChunks(vectorStore, projectId, queryEmbedding, topK)
 /**
  * Search in-memory store for similar chunks
  */
-async function searchInMemoryChunks(vectorStore, projectId, queryEmbedding, topK) {
-    const projectDocs = vectorStore.documents.get(projectId) || [];
+async function searchInMemoryChunks(vectorStore, projectId, queryEmbedding, topK, where) {
+    const projectDocs = (vectorStore.documents.get(projectId) || []).filter(doc => matchesWhere(doc.metadata, where));
 
     if (projectDocs.length === 0) {
         return [];
@@ -322,13 +472,14 @@ async function getProjectStats(vectorStore, projectId) {
                     Math.max(...projectDocs.map(doc => new Date(doc.metadata.timestamp).getTime())) : null
             };
         } else {
-            // For ChromaDB, we'd need to query with filters
-            const results = await vectorStore.collection.get({
-                where: { projectId: projectId }
-            });
+            const collection = await getProjectCollection(vectorStore, projectId);
+            const results = collection
+                ? await collection.get({ where: { projectId }, include: ['metadatas'] })
+                : {};
 
             return {
                 projectId,
+                collection: getCollectionName(projectId, vectorStore.collectionMode),
                 documentCount: results.ids?.length || 0,
                 lastUpdated: results.metadatas?.length > 0 ?
                     Math.max(...results.metadatas.map(meta => new Date(meta.timestamp).getTime())) : null
@@ -354,13 +505,20 @@ async function deleteProjectEmbeddings(vectorStore, projectId) {
     try {
         if (vectorStore.isInMemory) {
             vectorStore.documents.delete(projectId);
+            scheduleSnapshot(vectorStore);
+        } else if (vectorStore.collectionMode === 'project') {
+            // The collection holds nothing else: drop it instead of scanning it
+            const name = getCollectionName(projectId, 'project');
+            if (await getProjectCollection(vectorStore, projectId)) {
+                await vectorStore.client.deleteCollection({ name });
+            }
+            vectorStore.collections.delete(name);
         } else {
-            // For ChromaDB, delete by project ID filter
-            await vectorStore.collection.delete({
-                where: { projectId: projectId }
-            });
+            const collection = await getProjectCollection(vectorStore, projectId);
+            await collection?.delete({ where: { projectId } });
         }
 
+        keywordIndexes.delete(projectId);
         console.log(`✅ Successfully deleted embeddings for project: ${projectId}`);
 
     } catch (error) {
@@ -369,40 +527,187 @@ async function deleteProjectEmbeddings(vectorStore, projectId) {
     }
 }
 
+/**
+ * Delete a file's embeddings, optionally keeping those of one upload (the version just stored)
+ * @param {object} vectorStore - Vector store instance
+ * @param {string} projectId - Project identifier
+ * @param {string} filename - File name the chunks were stored under
+ * @param {object} options - { keepUploadId }
+ * @returns {Promise<number>} Number of embeddings deleted
+ */
+async function deleteFileEmbeddings(vectorStore, projectId, filename, { keepUploadId = null } = {}) {
+    return deleteMatchingEmbeddings(vectorStore, projectId, filename, (metadata) =>
+        keepUploadId === null || metadata?.uploadId !== String(keepUploadId)
+    );
+}
+
+/**
+ * Delete the embeddings of a single upload. Vectors stored before uploads were tagged
+ * with an uploadId are matched by file name unless matchLegacy is false.
+ * @param {object} vectorStore - Vector store instance
+ * @param {string} projectId - Project identifier
+ * @param {object} upload - { uploadId, filename, storedBefore, matchLegacy } - storedBefore (ISO date) spares vectors stored at or after it
+ * @returns {Promise<number>} Number of embeddings deleted
+ */
+async function deleteUploadEmbeddings(vectorStore, projectId, { uploadId, filename, storedBefore = null, matchLegacy = true }) {
+    return deleteMatchingEmbeddings(vectorStore, projectId, filename, (metadata = {}) =>
+        ((matchLegacy && metadata.uploadId === undefined) || metadata.uploadId === String(uploadId)) &&
+        (storedBefore === null || !metadata.uploadedAt || metadata.uploadedAt < storedBefore)
+    );
+}
+
+async function deleteMatchingEmbeddings(vectorStore, projectId, filename, shouldDelete) {
+    keywordIndexes.delete(projectId);
+
+    if (vectorStore.isInMemory) {
+        const projectDocs = vectorStore.documents.get(projectId) || [];
+        const remaining = projectDocs.filter(doc => doc.metadata.filename !== filename || !shouldDelete(doc.metadata));
+        vectorStore.documents.set(projectId, remaining);
+        if (remaining.length < projectDocs.length) scheduleSnapshot(vectorStore);
+        return projectDocs.length - remaining.length;
+    }
+
+    const collection = await getProjectCollection(vectorStore, projectId);
+    if (!collection) return 0;
+
+    const results = await collection.get({
+        where: { $and: [{ projectId }, { filename }] },
+        include: ['metadatas']
+    });
+    const ids = (results.ids || []).filter((id, i) => shouldDelete(results.metadatas?.[i]));
+
+    if (ids.length > 0) {
+        await collection.delete({ ids });
+    }
+    return ids.length;
+}
+
 /**
  * List all projects with embeddings
+ * @returns {Promise<Array>} [{ projectId, documentCount, lastUpdated, collection }]
  */
 async function listProjects(vectorStore) {
     try {
         if (vectorStore.isInMemory) {
-            const projects = Array.from(vectorStore.documents.keys());
-            return projects.map(projectId => ({
-                projectId,
-                documentCount: vectorStore.documents.get(projectId).length
-            }));
-        } else {
-            // For ChromaDB, we'd need to get all unique project IDs
-            const results = await vectorStore.collection.get();
-            const projectCounts = {};
-
-            if (results.metadatas) {
-                results.metadatas.forEach(metadata => {
-                    const projectId = metadata.projectId;
-                    projectCounts[projectId] = (projectCounts[projectId] || 0) + 1;
-                });
-            }
+            return Array.from(vectorStore.documents.entries())
+                .filter(([, projectDocs]) => projectDocs.length > 0)
+                .map(([projectId, projectDocs]) => ({
+                    projectId,
+                    documentCount: projectDocs.length,
+                    lastUpdated: latestTimestamp(projectDocs.map(doc => doc.metadata))
+                }));
+        }
 
-            return Object.entries(projectCounts).map(([projectId, count]) => ({
-                projectId,
-                documentCount: count
-            }));
+        const projects = new Map();
+        for (const collection of await listCollections(vectorStore)) {
+            await forEachPage(collection, { include: ['metadatas'] }, (results) => {
+                for (const metadata of results.metadatas || []) {
+                    if (!metadata?.projectId) continue;
+                    const project = projects.get(metadata.projectId) || { projectId: metadata.projectId, documentCount: 0, lastUpdated: null, collection: collection.name };
+                    project.documentCount++;
+                    project.lastUpdated = latestTimestamp([metadata], project.lastUpdated);
+                    projects.set(metadata.projectId, project);
+                }
+            });
         }
+
+        return [...projects.values()];
     } catch (error) {
         console.error('❌ Failed to list projects:', error);
         return [];
     }
 }
 
+/**
+ * Move vectors from the shared collection into per-project (or per-tenant) collections.
+ * Everything is copied before anything is removed from the shared collection, so an
+ * interrupted migration can simply be run again.
+ * @param {object} vectorStore - ChromaDB vector store in project or tenant mode
+ * @param {object} options - { projectId } to move a single project
+ * @returns {Promise<object>} { moved, projects: { projectId: vectors moved } }
+ */
+async function migrateSharedCollection(vectorStore, { projectId = null } = {}) {
+    if (vectorStore.isInMemory || vectorStore.collectionMode === 'shared') {
+        throw new Error('Set VECTOR_COLLECTION_MODE to project or tenant before migrating');
+    }
+
+    const projects = {};
+    const movedIds = [];
+
+    await forEachPage(vectorStore.collection, {
+        ...(projectId && { where: { projectId } }),
+        include: ['documents', 'metadatas', 'embeddings']
+    }, async (results) => {
+        const byProject = new Map();
+        (results.ids || []).forEach((id, i) => {
+            const metadata = results.metadatas?.[i];
+            if (!metadata?.projectId) return; // not a schema vector; leave it where it is
+            if (!byProject.has(metadata.projectId)) byProject.set(metadata.projectId, []);
+            byProject.get(metadata.projectId).push(i);
+        });
+
+        for (const [owner, rows] of byProject) {
+            const target = await getProjectCollection(vectorStore, owner, { create: true });
+            await target.upsert({
+                ids: rows.map(i => results.ids[i]),
+                embeddings: rows.map(i => Array.from(results.embeddings[i])),
+                documents: rows.map(i => results.documents?.[i] || ''),
+                metadatas: rows.map(i => results.metadatas[i])
+            });
+            movedIds.push(...rows.map(i => results.ids[i]));
+            projects[owner] = (projects[owner] || 0) + rows.length;
+        }
+    });
+
+    for (let start = 0; start < movedIds.length; start += CHROMA_PAGE_SIZE) {
+        await vectorStore.collection.delete({ ids: movedIds.slice(start, start + CHROMA_PAGE_SIZE) });
+    }
+    keywordIndexes.clear();
+
+    console.log(`📦 Moved ${movedIds.length} vectors of ${Object.keys(projects).length} project(s) out of ${COLLECTION_NAME}`);
+    return { moved: movedIds.length, projects };
+}
+
+/**
+ * Collections holding schema vectors: the shared one, or every per-project/per-tenant one
+ */
+async function listCollections(vectorStore) {
+    if (vectorStore.collectionMode === 'shared' || !vectorStore.collectionMode) return [vectorStore.collection];
+
+    const collections = [];
+    for (let offset = 0; ; offset += CHROMA_PAGE_SIZE) {
+        const page = await vectorStore.client.listCollections({ limit: CHROMA_PAGE_SIZE, offset });
+        collections.push(...page.filter(collection => collection.name.startsWith(`${COLLECTION_NAME}_`)));
+        if (page.length < CHROMA_PAGE_SIZE) break;
+    }
+    return collections;
+}
+
+/**
+ * Page through a collection's records; the callback receives each page of collection.get results
+ */
+async function forEachPage(collection, query, callback) {
+    for (let offset = 0; ; offset += CHROMA_PAGE_SIZE) {
+        const results = await collection.get({ ...query, limit: CHROMA_PAGE_SIZE, offset });
+        await callback(results);
+        if ((results.ids || []).length < CHROMA_PAGE_SIZE) break;
+    }
+}
+
+function latestTimestamp(metadatas, latest = null) {
+    return metadatas.reduce((max, metadata) => {
+        const time = new Date(metadata?.timestamp).getTime();
+        return Number.isNaN(time) || (max !== null && max >= time) ? max : time;
+    }, latest);
+}
+
+function parseCollectionMode(value) {
+    if (!value) return 'shared';
+    if (COLLECTION_MODES.includes(value)) return value;
+    console.warn(`⚠️ Unknown VECTOR_COLLECTION_MODE "${value}"; using shared`);
+    return 'shared';
+}
+
 /**
  * Get vector store instance (for external access)
  */
@@ -423,18 +728,22 @@ async function healthCheck() {
             return {
                 status: 'healthy',
                 type: 'in-memory',
-                projectCount: global.vectorStore.documents.size
+                projectCount: global.vectorStore.documents.size,
+                snapshotPath: global.vectorStore.snapshotPath
             };
         } else {
             // Test ChromaDB connection
             await global.vectorStore.client.heartbeat();
-            const count = await global.vectorStore.collection.count();
+            const collections = await listCollections(global.vectorStore);
+            const counts = await Promise.all(collections.map(collection => collection.count()));
 
             return {
                 status: 'healthy',
                 type: 'chromadb',
                 url: CHROMA_URL,
-                documentCount: count
+                collectionMode: global.vectorStore.collectionMode,
+                collectionCount: collections.length,
+                documentCount: counts.reduce((sum, count) => sum + count, 0)
             };
         }
     } catch (error) {
@@ -446,11 +755,19 @@ async function healthCheck() {
 }
 
 module.exports = {
+    COLLECTION_CONFIG,
     initializeVectorStore,
+    connectChroma,
+    getCollectionName,
+    getProjectCollection,
+    migrateSharedCollection,
+    flushVectorStore,
     storeSchemaEmbeddings,
     searchSimilarChunks,
     getProjectStats,
     deleteProjectEmbeddings,
+    deleteFileEmbeddings,
+    deleteUploadEmbeddings,
     listProjects,
     getVectorStore,
     healthCheck
@@ -0,0 +1,63 @@
+// vectorStoreSync.js - Copy vectors between the local store snapshot and ChromaDB, and split the shared ChromaDB collection
+//
+//   node vectorStoreSync.js export [projectId]    local snapshot -> ChromaDB (e.g. once Chroma is back)
+//   node vectorStoreSync.js import [projectId]    ChromaDB -> local snapshot (e.g. a backup before an outage)
+//   node vectorStoreSync.js migrate [projectId]   shared ChromaDB collection -> one collection per project or tenant
+//                                                 (set VECTOR_COLLECTION_MODE=project or tenant first)
+//
+// The snapshot is LOCAL_VECTOR_STORE_PATH (the HTTP server's). A server running on the local
+// store holds that file, so stop it first.
+const { connectChroma, getProjectCollection, listProjects, migrateSharedCollection } = require('./utils/vectorStore.js');
+const { createLocalStore, acquireSnapshotLock, loadSnapshot, flushSnapshot, exportToChroma, importFromChroma } = require('./utils/localVectorStore.js');
+
+const [command, projectId = null] = process.argv.slice(2);
+
+(async () => {
+    if (!['export', 'import', 'migrate'].includes(command)) {
+        console.error('Usage: node vectorStoreSync.js export|import|migrate [projectId]');
+        process.exit(1);
+    }
+
+    try {
+        const chroma = await connectChroma();
+
+        if (command === 'migrate') {
+            const { moved, projects } = await migrateSharedCollection(chroma, { projectId });
+            for (const [owner, count] of Object.entries(projects)) {
+                console.log(`   ${owner}: ${count} vectors`);
+            }
+            console.log(`✅ Migration complete (${moved} vectors moved)`);
+            process.exit(0);
+        }
+
+        const store = createLocalStore();
+        if (!store.snapshotPath) {
+            throw new Error('LOCAL_VECTOR_STORE_PATH is empty; there is no snapshot to sync');
+        }
+        const lockedBy = acquireSnapshotLock(store);
+        if (lockedBy) {
+            throw new Error(`${store.snapshotPath} is in use by process ${lockedBy}; stop it first`);
+        }
+        await loadSnapshot(store);
+
+        // Each project goes to (or comes from) its own collection when collections are split
+        if (command === 'export') {
+            const projectIds = projectId ? [projectId] : [...store.documents.keys()];
+            for (const id of projectIds) {
+                await exportToChroma(store, await getProjectCollection(chroma, id, { create: true }), { projectId: id });
+            }
+        } else {
+            const projectIds = projectId ? [projectId] : (await listProjects(chroma)).map(project => project.projectId);
+            for (const id of projectIds) {
+                const collection = await getProjectCollection(chroma, id);
+                if (collection) await importFromChroma(store, collection, { projectId: id });
+            }
+            await flushSnapshot(store);
+        }
+        console.log('✅ Sync complete');
+        process.exit(0);
+    } catch (error) {
+        console.error(`❌ ${command} failed:`, error.message);
+        process.exit(1);
+    }
+})();